@@ -1,16 +1,77 @@
 // Import centralized ChromeAPI to eliminate code duplication and ensure consistency
 import ChromeAPI from './src/utils/ChromeAPI.js';
+import TabArchive from './src/core/TabArchive.js';
+import JanitorRunLog, { JANITOR_RUN_NOTIFICATION_PREFIX } from './src/core/JanitorRunLog.js';
+import { planJanitorRun, reconcileActivationHistory, getJanitorAlarmPeriodMinutes, JANITOR_SETTINGS_KEYS, DAY_MS, HOUR_MS, TAB_ACTIVATION_HISTORY_KEY } from './src/core/TabJanitor.js';
+import { PROTECTION_SETTINGS_KEYS, normalizeProtectionRules, getProtectionReason } from './src/core/TabProtection.js';
+import { planWindowCapEviction, WINDOW_CAP_SETTINGS_KEYS } from './src/core/WindowTabCap.js';
+import { canonicalizeUrl, normalizeUrlRules, URL_RULE_SETTINGS_KEYS } from './src/core/UrlCanonicalizer.js';
+import { normalizeDedupePolicy, findDuplicateTabs, resolveDuplicates, shouldPromptForDuplicate, isEarlyRedirectCandidate, isDuplicateIgnored, getSitePattern, addPatternToList, DEDUPE_POLICY_SETTINGS_KEYS, DEDUPE_EARLY_REDIRECT_KEY } from './src/core/DedupePolicy.js';
+import FeatureRegistry from './src/core/FeatureRegistry.js';
+import TtlStore from './src/core/TtlStore.js';
+import TabModel, { TAB_MODEL_SNAPSHOT_KEY } from './src/core/TabModel.js';
+import TabManager from './src/core/TabManager.js';
+import { TAB_COMMAND_PORT, runTabCommand, createTabCommandProgress } from './src/core/TabCommands.js';
+import ExternalApi, { createErrorResponse, EXTERNAL_API_ERRORS } from './src/core/ExternalApi.js';
+import NativeBridge, { NATIVE_BRIDGE_ENABLED_KEY } from './src/core/NativeBridge.js';
+import {
+	getBadgeState,
+	normalizeBadgeThresholds,
+	normalizeInactiveDays,
+	countInactiveTabs,
+	countDuplicateTabs,
+	getOpenedTodayCount,
+	recordTabOpened,
+	BADGE_THRESHOLD_SETTINGS_KEYS,
+	BADGE_INACTIVE_DAYS_KEY,
+	TABS_OPENED_TODAY_KEY,
+	TIME_BASED_BADGE_MODES
+} from './src/core/BadgeStatus.js';
+import ActiveTimeClock, { TAB_ACTIVE_TIME_HISTORY_KEY, IDLE_DETECTION_SECONDS, estimateActiveTimeAt } from './src/core/ActiveTimeClock.js';
+import JanitorPendingBatches, {
+	getNextCloseTime,
+	JANITOR_WARNING_LEAD_MS,
+	JANITOR_WARNING_NOTIFICATION_PREFIX,
+	JANITOR_BATCH_ALARM
+} from './src/core/JanitorPendingBatches.js';
 
 let windowsCount = 0;
 let allWindowsTabCount = 0;
+let discardedTabsCount = 0;
+let inactiveTabsCount = 0;
+let inactiveDays = normalizeInactiveDays();
+let duplicateTabsCount = 0;
+let openedTodayCount = 0;
+
+// Windows and tabs kept from event payloads - a full scan only seeds and reconciles them.
+// Mirrored to session storage so the popup paints before its own query returns
+const tabModel = new TabModel();
+// Counts and the badge are published at most once per interval, however many events arrive
+const STATS_PUBLISH_DELAY_MS = 250;
+let statsPublishTimer = null;
+// Whether the pending publish changes any count, or only what the popup snapshot shows
+let statsPublishCounts = false;
+// Last published counts, badge and snapshot, so unchanged values are not written again
+let publishedStats = null;
+let publishedBadge = null;
+let publishedSnapshotTabs = null;
+// Serializes the read-modify-write of the tabs opened today counter
+let tabsOpenedTodayQueue = Promise.resolve();
 // CRITICAL MV3 FIX: Tab activation history must be persistent across service worker restarts
 // Using chrome.storage.local instead of in-memory variable to prevent data loss
 
-// PERFORMANCE: Cache frequently accessed settings to avoid storage I/O on every tab update
-let cachedTabDedupeEnabled = false;
+// Tabs closed by the early redirect - their late onUpdated events are ignored
+const earlyRedirectedTabIds = new Set();
+
+// Dedupe notification state is short-lived: session storage entries that expire on their own
+const DEDUPE_NOTIFICATION_TTL_MS = 10 * 60 * 1000;
+// Canonical URL -> pending notification, so one URL never gets two notifications
+const dedupePendingUrls = new TtlStore('dedupe_pending_urls', { "defaultTtlMs": DEDUPE_NOTIFICATION_TTL_MS });
+// Notification ID -> context for the notification buttons
+const dedupeContexts = new TtlStore('dedupe_contexts', { "defaultTtlMs": DEDUPE_NOTIFICATION_TTL_MS });
 
 // FIXED: Race-condition-safe tab activation history management
-const TAB_ACTIVATION_HISTORY_KEY = 'tab_activation_history';
+// TAB_ACTIVATION_HISTORY_KEY lives in TabJanitor.js so the options page preview reads the same key
 
 /**
  * TabHistoryManager - Prevents storage race conditions with batched writes
@@ -21,7 +82,11 @@ const TAB_ACTIVATION_HISTORY_KEY = 'tab_activation_history';
  * 3. Using individual keys for concurrent-safe operations
  */
 class TabHistoryManager {
-	constructor() {
+	/**
+	 * @param {string} [storageKey] - Storage key of the tabId -> value map
+	 */
+	constructor(storageKey = TAB_ACTIVATION_HISTORY_KEY) {
+		this.storageKey = storageKey;
 		this.pendingWrites = new Map(); // tabId -> timestamp
 		this.pendingDeletes = new Set(); // tabId set
 		this.flushTimer = null;
@@ -61,8 +126,8 @@ class TabHistoryManager {
 	 * @returns {Object} Tab activation history
 	 */
 	async getHistory() {
-		const stored = await ChromeAPI.getStorage([TAB_ACTIVATION_HISTORY_KEY]);
-		const history = { ...(stored[TAB_ACTIVATION_HISTORY_KEY] || {}) };
+		const stored = await ChromeAPI.getStorage([this.storageKey]);
+		const history = { ...(stored[this.storageKey] || {}) };
 
 		// Apply pending writes
 		for (const [tabId, timestamp] of this.pendingWrites.entries()) {
@@ -102,8 +167,8 @@ class TabHistoryManager {
 
 		try {
 			// Get current storage state using ChromeAPI wrapper
-			const stored = await ChromeAPI.getStorage([TAB_ACTIVATION_HISTORY_KEY]);
-			const currentHistory = stored[TAB_ACTIVATION_HISTORY_KEY] || {};
+			const stored = await ChromeAPI.getStorage([this.storageKey]);
+			const currentHistory = stored[this.storageKey] || {};
 
 			// Apply all pending changes atomically
 			const updatedHistory = { ...currentHistory };
@@ -119,7 +184,7 @@ class TabHistoryManager {
 			}
 
 			// Single atomic write operation using ChromeAPI wrapper
-			const success = await ChromeAPI.setStorage({ [TAB_ACTIVATION_HISTORY_KEY]: updatedHistory });
+			const success = await ChromeAPI.setStorage({ [this.storageKey]: updatedHistory });
 
 			if (success) {
 				console.log(`TabHistoryManager: Flushed ${this.pendingWrites.size} writes, ${this.pendingDeletes.size} deletes`);
@@ -156,6 +221,30 @@ class TabHistoryManager {
 // Global instance for tab history management
 const tabHistoryManager = new TabHistoryManager();
 
+// Active browsing clock - janitor inactivity ignores time while the machine is idle or the browser unfocused
+const activeTimeClock = new ActiveTimeClock();
+
+// Clock reading at each tab's last activation, stored next to the activation history
+const activeTimeHistoryManager = new TabHistoryManager(TAB_ACTIVE_TIME_HISTORY_KEY);
+
+// Archive of tabs closed by the janitor, restorable from the popup and options page
+const tabArchive = new TabArchive();
+
+// Bounded log of janitor runs - each run can be undone from its notification or the options page
+const janitorRunLog = new JanitorRunLog(tabArchive);
+
+// Batches the janitor has warned about, closed an hour later unless snoozed
+const janitorPendingBatches = new JanitorPendingBatches();
+
+// Runs the tab commands of the popup and options page (see handleTabCommandPort)
+const tabManager = new TabManager();
+
+// Answers extensions on the allow-list in options (see handleExternalMessage)
+const externalApi = new ExternalApi(tabManager);
+
+// Runs commands typed in a terminal, relayed by the native host (see the nativeBridge feature)
+const nativeBridge = new NativeBridge(tabManager);
+
 // Legacy wrapper functions for backward compatibility
 async function getTabActivationHistory() {
 	return await tabHistoryManager.getHistory();
@@ -167,34 +256,61 @@ async function setTabActivationTimestamp(tabId, timestamp = Date.now()) {
 
 async function removeTabFromHistory(tabId) {
 	await tabHistoryManager.removeTab(tabId);
+	await activeTimeHistoryManager.removeTab(tabId);
+}
+
+async function setTabActiveTime(tabId, activeMs) {
+	await activeTimeHistoryManager.setActivationTime(tabId, activeMs ?? await activeTimeClock.read());
+}
+
+// Older Chrome versions replace the tab ID on discard - carry both histories over
+async function moveTabHistory(fromTabId, toTabId, lastActivated) {
+	const activeHistory = await activeTimeHistoryManager.getHistory();
+	await setTabActivationTimestamp(toTabId, lastActivated);
+	if (Number.isFinite(activeHistory[fromTabId])) {
+		await setTabActiveTime(toTabId, activeHistory[fromTabId]);
+	}
+	await removeTabFromHistory(fromTabId);
 }
 
 // FIXED: Use ChromeAPI for consistent async patterns
-async function updateBadgeTitle (count) {
-	const iconTitle = `You have ${count} open tab(s).`;
-	await ChromeAPI.setBadgeTitle(iconTitle);
+async function updateBadgeTitle (badge) {
+	// Names what is counted and how it compares with the color thresholds
+	await ChromeAPI.setBadgeTitle(badge.title);
 }
 
 // FIXED: Use ChromeAPI for consistent async patterns and error handling
 async function updateBadgeText () {
 	try {
-		const data = await ChromeAPI.getStorage(["badgeDisplayOption"]);
+		const data = await ChromeAPI.getStorage(["badgeDisplayOption", ...BADGE_THRESHOLD_SETTINGS_KEYS]);
 		const displayOption = data.badgeDisplayOption;
 
-		if (!displayOption || displayOption === "allWindows") {
-			// show the tabs count in all windows
-			await ChromeAPI.setBadgeText(String(allWindowsTabCount));
-			await updateBadgeTitle(allWindowsTabCount);
-		} else if (displayOption === "currentWindow") {
-			// show the tabs count in current window
-			const currentWindowTabs = await ChromeAPI.queryTabs({ "currentWindow": true });
-			await ChromeAPI.setBadgeText(String(currentWindowTabs.length));
-			await updateBadgeTitle(currentWindowTabs.length);
-		} else if (displayOption === "windowsCount") {
-			// show the windows count
-			await ChromeAPI.setBadgeText(String(windowsCount));
-			await updateBadgeTitle(windowsCount);
+		// Only the current window mode needs the focused window, its tabs come from the tab model
+		const currentWindow = displayOption === "currentWindow" ? await ChromeAPI.getLastFocusedWindow() : null;
+		const badge = getBadgeState({
+			"mode": displayOption,
+			"counts": {
+				"allWindowsTabs": allWindowsTabCount,
+				"currentWindowTabs": currentWindow ? tabModel.countWindowTabs(currentWindow.id) : 0,
+				"windows": windowsCount,
+				"discarded": discardedTabsCount,
+				"inactive": inactiveTabsCount,
+				inactiveDays,
+				"duplicates": duplicateTabsCount,
+				"openedToday": openedTodayCount
+			},
+			"thresholds": normalizeBadgeThresholds(data)
+		});
+
+		const badgeKey = JSON.stringify(badge);
+		if (badgeKey === publishedBadge) {
+			return;
 		}
+		publishedBadge = badgeKey;
+
+		await ChromeAPI.setBadgeText(badge.text);
+		await ChromeAPI.setBadgeBackgroundColor(badge.color);
+		await updateBadgeTitle(badge);
 	} catch (error) {
 		console.error('Failed to update badge text:', error.message);
 		// Fallback: show total count from global variable
@@ -202,91 +318,230 @@ async function updateBadgeText () {
 	}
 }
 
-// count all tabs in all windows - MODERNIZED: async/await instead of callback
+// count all tabs in all windows - full scan that seeds the tab model at startup and corrects drift on the reconcile alarm
 async function getAllStats () {
 	try {
 		const windows = await ChromeAPI.getAllWindows({ "populate": true });
-		await displayResults(windows || []);
+		const seeded = publishedStats !== null;
+		const before = tabModel.reset(windows);
+		const after = tabModel.getCounts();
+		if (seeded && (before.tabs !== after.tabs || before.windows !== after.windows || before.discarded !== after.discarded)) {
+			console.log(`Tab counts: Reconciled drift (${before.tabs} -> ${after.tabs} tabs, ${before.windows} -> ${after.windows} windows)`);
+		}
 	} catch (error) {
 		console.error('Failed to get all windows stats:', error.message);
-		await displayResults([]); // Empty array on error
 	}
+	await publishStats();
 }
 
-async function displayResults (window_list) {
-	windowsCount = window_list.length;
-	allWindowsTabCount = window_list.reduce((count, win) => {return count + win.tabs.length;}, 0);
-	await ChromeAPI.setStorage({
-		"windowsCount": window_list.length,
-		"allWindowsTabsCount": allWindowsTabCount
-	});
+// Coalesces bursts of tab events into one publish
+function scheduleStatsPublish () {
+	statsPublishCounts = true;
+	schedulePublish();
+}
+
+// Titles, favicons and tab order only change the popup snapshot - no count needs the history or a new canonicalization
+function scheduleSnapshotMirror () {
+	schedulePublish();
+}
+
+function schedulePublish () {
+	if (statsPublishTimer) {
+		return;
+	}
+	statsPublishTimer = setTimeout(() => {
+		statsPublishTimer = null;
+		const countsChanged = statsPublishCounts;
+		statsPublishCounts = false;
+		if (countsChanged) {
+			publishStats();
+		} else {
+			mirrorTabModel();
+		}
+	}, STATS_PUBLISH_DELAY_MS);
+}
+
+// Derives every badge count from the tab model and writes the ones that changed
+async function publishStats () {
+	const tabs = tabModel.getTabs();
+	const counts = tabModel.getCounts();
+	const [settings, history] = await Promise.all([
+		ChromeAPI.getStorage([...URL_RULE_SETTINGS_KEYS, ...DEDUPE_POLICY_SETTINGS_KEYS, BADGE_INACTIVE_DAYS_KEY, TABS_OPENED_TODAY_KEY]),
+		tabHistoryManager.getHistory()
+	]);
+
+	windowsCount = counts.windows;
+	allWindowsTabCount = counts.tabs;
+	discardedTabsCount = counts.discarded;
+	inactiveDays = normalizeInactiveDays(settings[BADGE_INACTIVE_DAYS_KEY]);
+	inactiveTabsCount = countInactiveTabs({ tabs, history, "days": inactiveDays });
+	// SHARED: Same canonicalization as background duplicate detection
+	duplicateTabsCount = countDuplicateTabs(tabs, normalizeUrlRules(settings), normalizeDedupePolicy(settings));
+	openedTodayCount = getOpenedTodayCount(settings[TABS_OPENED_TODAY_KEY]);
+
+	const stats = {
+		"windowsCount": windowsCount,
+		"allWindowsTabsCount": allWindowsTabCount,
+		"discardedTabsCount": discardedTabsCount,
+		"inactiveTabsCount": inactiveTabsCount,
+		"duplicateTabsCount": duplicateTabsCount
+	};
+	if (JSON.stringify(stats) !== JSON.stringify(publishedStats)) {
+		await ChromeAPI.setStorage(stats);
+		publishedStats = stats;
+	}
 	await updateBadgeText();
+	await mirrorTabModel();
+}
+
+// Popup first paint reads this snapshot (session storage: never written to disk, gone with the browser)
+async function mirrorTabModel () {
+	if (!ChromeAPI.hasSessionStorage()) {
+		return;
+	}
+	const snapshot = tabModel.getSnapshot();
+	const snapshotTabs = JSON.stringify(snapshot.tabs);
+	if (snapshotTabs === publishedSnapshotTabs) {
+		return;
+	}
+	if (await ChromeAPI.setSessionStorage({ [TAB_MODEL_SNAPSHOT_KEY]: snapshot })) {
+		publishedSnapshotTabs = snapshotTabs;
+	}
+}
+
+// Counts every tab opened today, including tabs closed again since.
+// Increments are applied one at a time, so a burst of new tabs never loses one
+function recordTabOpenedToday () {
+	const run = tabsOpenedTodayQueue.then(async () => {
+		const stored = await ChromeAPI.getStorage([TABS_OPENED_TODAY_KEY]);
+		return await ChromeAPI.setStorage({ [TABS_OPENED_TODAY_KEY]: recordTabOpened(stored[TABS_OPENED_TODAY_KEY]) });
+	});
+
+	// Keep the queue alive even if one write fails
+	tabsOpenedTodayQueue = run.catch(() => false);
+	return run;
+}
+
+
+// SHARED: Applies the dedupe policy (URL rules, scope, winner, protection) - used on
+// navigation and again by the notification buttons, so both always agree
+async function findDuplicateResolution(tab, url) {
+	const settings = await ChromeAPI.getStorage([...URL_RULE_SETTINGS_KEYS, ...DEDUPE_POLICY_SETTINGS_KEYS, ...PROTECTION_SETTINGS_KEYS]);
+	const urlRules = normalizeUrlRules(settings);
+	const policy = normalizeDedupePolicy(settings);
+	// Sites on the ignore list may have as many copies open as the user likes
+	if (isDuplicateIgnored(url, policy)) {
+		return null;
+	}
+
+	const tabs = await ChromeAPI.queryTabs({});
+	const duplicates = findDuplicateTabs({ tab, url, tabs, urlRules, policy });
+	if (duplicates.length === 0) {
+		return null;
+	}
+
+	const focusedWindow = policy.winner === 'focused' ? await ChromeAPI.getLastFocusedWindow() : null;
+	const { winner, losers } = resolveDuplicates({ tab, duplicates, policy, "focusedWindowId": focusedWindow?.id ?? null });
+
+	// Never close a protected tab (pinned, audible, grouped, allow-listed)
+	const protectionRules = normalizeProtectionRules(settings);
+	const closable = losers.filter((loser) => {
+		const reason = getProtectionReason(loser, protectionRules);
+		if (reason) {
+			console.log(`TabDuke: Keeping protected duplicate ${loser.id} (${reason})`);
+		}
+		return !reason;
+	});
+
+	return { "canonicalUrl": canonicalizeUrl(url, urlRules), policy, winner, "losers": closable };
 }
 
+// Switch to the tab the policy keeps and close the others
+async function applyDuplicateResolution({ winner, losers }) {
+	await ChromeAPI.updateTab(winner.id, { active: true });
+	await ChromeAPI.focusWindow(winner.windowId);
+	await ChromeAPI.removeTabs(losers.map((loser) => loser.id));
+}
+
+// Add a site to the dedupe ignore list - future duplicates there are left alone
+async function allowDuplicatesForSite(sitePattern) {
+	const { dedupeIgnoreList } = await ChromeAPI.getStorage(['dedupeIgnoreList']);
+	const patterns = addPatternToList(dedupeIgnoreList, sitePattern);
+	if (!patterns.includes(sitePattern)) {
+		console.warn(`TabDuke: Dedupe ignore list is full, not adding ${sitePattern}`);
+		return;
+	}
+	await ChromeAPI.setStorage({ "dedupeIgnoreList": patterns });
+	console.log(`TabDuke: Always allowing duplicates on ${sitePattern}`);
+}
 
-// FIXED: Global Tab Dedupe handler - registered only once to prevent duplicate listeners
+// Tab Dedupe handler - added and removed by the feature registry with the tabDedupe setting
 async function handleTabUpdate(tabId, changeInfo, tab) {
-	// PERFORMANCE: Use cached setting to avoid storage I/O on every tab update
-	if (!cachedTabDedupeEnabled) {
-		return; // Skip if dedupe is disabled
+	// Registered only while dedupe is enabled (see the "dedupe" feature)
+	if (earlyRedirectedTabIds.has(tabId)) {
+		return; // Already closed in favour of an existing tab
 	}
 
-	if (changeInfo.url) {
+	if (changeInfo.url && changeInfo.url !== "chrome://newtab/") {
 		try {
-			const tabs = await ChromeAPI.queryTabs({ "url": changeInfo.url });
-			if (tabs.length >= 2 && changeInfo.url !== "chrome://newtab/") {
-				const oldTab = tabs[0].id === tabId ? tabs[1] : tabs[0];
+			const resolution = await findDuplicateResolution(tab, changeInfo.url);
+			if (!resolution || resolution.losers.length === 0) {
+				return;
+			}
+			const { canonicalUrl, policy, winner, losers } = resolution;
 
-				// Check for existing notification for this URL to prevent spam
-				const urlKey = `pending_dedupe_url_${encodeURIComponent(changeInfo.url)}`;
-				const { [urlKey]: existingNotification } = await ChromeAPI.getStorage([urlKey]);
+			// AUTO-RESOLVE: Switch and close without asking, unless the site is on the prompt-always list
+			if (!shouldPromptForDuplicate(changeInfo.url, policy)) {
+				await applyDuplicateResolution(resolution);
+				console.log(`TabDuke: Auto-resolved duplicate of ${canonicalUrl} - kept tab ${winner.id}, closed ${losers.length}`);
+				return;
+			}
 
-				if (existingNotification) {
-					return;
-				}
+			// One notification per URL at a time to prevent spam - add() fails while one is pending
+			const notificationId = `dedupe-${tabId}-${winner.id}`;
+			if (!(await dedupePendingUrls.add(canonicalUrl, { notificationId }))) {
+				return;
+			}
 
-				// Create notification instead of confirm() - CRITICAL MV3 FIX
-				const notificationId = `dedupe-${tabId}-${oldTab.id}`;
+			// Create notification instead of confirm() - CRITICAL MV3 FIX
+			const message = winner.id === tabId
+				? `Keep this tab and close ${losers.length} other copy(ies) of "${winner.title}"?`
+				: `Switch to existing "${winner.title}" tab?`;
+			// Notifications allow two buttons: the second one allows duplicates for the site for good
+			// when there is one to name - dismissing the notification keeps both tabs either way
+			const sitePattern = getSitePattern(changeInfo.url);
+			const secondButton = sitePattern ? `Always Allow on ${sitePattern}` : 'Keep Both Tabs';
 
+			try {
+				await chrome.notifications.create(notificationId, {
+					type: 'basic',
+					iconUrl: 'images/icon48.png',
+					title: 'Duplicate Tab Detected',
+					message,
+					contextMessage: 'Close this notification to keep both tabs',
+					buttons: [
+						{ title: 'Switch & Close Duplicate' },
+						{ title: secondButton }
+					]
+				});
+			} catch (notificationError) {
+				console.log('TabDuke: Notifications blocked by user, using direct deduplication fallback');
+				await dedupePendingUrls.delete(canonicalUrl);
+				// Fallback: resolve directly with the policy
 				try {
-					// Check notification permission first
-					const permissionLevel = await chrome.notifications.getPermissionLevel();
-
-					await chrome.notifications.create(notificationId, {
-						type: 'basic',
-						iconUrl: 'images/icon48.png',
-						title: 'Duplicate Tab Detected',
-						message: `Switch to existing "${oldTab.title}" tab?`,
-						buttons: [
-							{ title: 'Switch & Close Duplicate' },
-							{ title: 'Keep Both Tabs' }
-						]
-					});
-				} catch (notificationError) {
-					console.log('TabDuke: Notifications blocked by user, using direct deduplication fallback');
-					// Fallback: directly switch to existing tab and close duplicate
-					try {
-						await ChromeAPI.updateTab(oldTab.id, { active: true });
-						await ChromeAPI.focusWindow(oldTab.windowId);
-						await ChromeAPI.removeTabs(tabId);
-						return; // Skip storage context creation
-					} catch (fallbackError) {
-						console.error('TabDuke: Fallback deduplication failed:', fallbackError.message);
-						return; // Give up gracefully
-					}
+					await applyDuplicateResolution(resolution);
+				} catch (fallbackError) {
+					console.error('TabDuke: Fallback deduplication failed:', fallbackError.message);
 				}
-
-				// Store context for notification click handler AND track pending URL
-				await ChromeAPI.setStorage({
-					[`dedupe_${notificationId}`]: {
-						newTabId: tabId,
-						oldTabId: oldTab.id,
-						oldWindowId: oldTab.windowId,
-						url: changeInfo.url // Store URL for cleanup
-					},
-					[urlKey]: { notificationId, timestamp: Date.now() }
-				});
+				return; // Skip storage context creation
 			}
+
+			// Store context for notification click handler
+			await dedupeContexts.set(notificationId, {
+				newTabId: tabId,
+				url: canonicalUrl, // Canonical URL releases the pending URL on cleanup
+				sitePattern
+			});
 		} catch (error) {
 			console.error('TabDuke: Failed to query tabs for deduplication:', error.message);
 			// Skip deduplication on error - tab will remain as is
@@ -294,294 +549,666 @@ async function handleTabUpdate(tabId, changeInfo, tab) {
 	}
 }
 
-// FIXED: Registration guard to prevent duplicate listener registration
-let tabDedupeListenerRegistered = false;
+// The early redirect is opt-in on top of duplicate detection
+function isEarlyRedirectEnabled(settings) {
+	return Boolean(settings.tabDedupe) && settings[DEDUPE_EARLY_REDIRECT_KEY] === true;
+}
 
-function registerTabDedupeHandler() {
-	if (tabDedupeListenerRegistered) {
+// EARLY-REDIRECT: Close a fresh tab in favour of an existing duplicate before it fetches anything.
+// Only top-level navigations of blank tabs qualify (see isEarlyRedirectCandidate), so reloads and
+// later hops of a redirect chain fall through to handleTabUpdate on the final URL
+async function handleBeforeNavigate(details) {
+	if (details.frameId !== 0 || details.tabId < 0 || details.documentLifecycle === 'prerender') {
 		return;
 	}
 
-	chrome.tabs.onUpdated.addListener(handleTabUpdate);
-	tabDedupeListenerRegistered = true;
-}
-
-/**
- * Clean up orphaned dedupe contexts that may persist after service worker termination
- * Removes dedupe contexts older than 10 minutes and their associated URL locks
- */
-async function cleanupOrphanedDedupeContexts() {
 	try {
-		const storage = await ChromeAPI.getStorage(null);
-		const currentTime = Date.now();
-		const orphanedKeys = [];
-
-		for (const [key, value] of Object.entries(storage)) {
-			// Clean up pending URL locks older than 10 minutes
-			if (key.startsWith('pending_dedupe_url_') && value.timestamp) {
-				if (currentTime - value.timestamp > 10 * 60 * 1000) {
-					orphanedKeys.push(key);
-				}
-			}
-			// Clean up dedupe contexts without checking timestamp (notification should have cleared them)
-			else if (key.startsWith('dedupe_dedupe-')) {
-				orphanedKeys.push(key);
-			}
+		// The listener stays registered while the option is off (see registerEarlyRedirectListener)
+		const settings = await ChromeAPI.getStorage(["tabDedupe", DEDUPE_EARLY_REDIRECT_KEY, ...URL_RULE_SETTINGS_KEYS]);
+		if (!isEarlyRedirectEnabled(settings)) {
+			return;
+		}
+
+		const tab = await ChromeAPI.getTab(details.tabId);
+		if (!tab || !isEarlyRedirectCandidate({ tab, "url": details.url, "urlRules": normalizeUrlRules(settings) })) {
+			return;
 		}
 
-		if (orphanedKeys.length > 0) {
-			await ChromeAPI.removeStorage(orphanedKeys);
-			console.log(`TabDuke: Cleaned up ${orphanedKeys.length} orphaned dedupe contexts`);
+		const resolution = await findDuplicateResolution(tab, details.url);
+		// Only redirect when the policy keeps another tab and this one may be closed
+		if (!resolution || resolution.winner.id === tab.id || !resolution.losers.some((loser) => loser.id === tab.id)) {
+			return;
+		}
+		// Duplicates that need confirming (auto-resolve off, or a site on the prompt-always list)
+		// get the notification from handleTabUpdate once the URL commits
+		if (shouldPromptForDuplicate(details.url, resolution.policy)) {
+			return;
 		}
+
+		earlyRedirectedTabIds.add(tab.id);
+		await applyDuplicateResolution({ "winner": resolution.winner, "losers": [tab] });
+		console.log(`TabDuke: Redirected new tab ${tab.id} to existing tab ${resolution.winner.id} for ${resolution.canonicalUrl}`);
 	} catch (error) {
-		console.error('TabDuke: Failed to cleanup orphaned dedupe contexts:', error.message);
+		console.error('TabDuke: Early duplicate redirect failed:', error.message);
+	}
+}
+
+// Drop a dedupe notification's context and release its URL for future notifications
+async function releaseDedupeNotification(notificationId, context) {
+	await dedupeContexts.delete(notificationId);
+	if (context && context.url) {
+		await dedupePendingUrls.delete(context.url);
+	}
+}
+
+// Entries expire on their own; the periodic purge only keeps expired ones from piling up in session storage
+async function purgeExpiredDedupeState() {
+	const purged = await dedupePendingUrls.purgeExpired() + await dedupeContexts.purgeExpired();
+	if (purged > 0) {
+		console.log(`TabDuke: Purged ${purged} expired dedupe notification entries`);
+	}
+}
+
+// Older versions kept dedupe notification state in chrome.storage.local - remove it once after updating
+async function removeLegacyDedupeState() {
+	const storage = await ChromeAPI.getStorage(null);
+	const legacyKeys = Object.keys(storage).filter((key) => {return key.startsWith('pending_dedupe_url_') || key.startsWith('dedupe_dedupe-');});
+	if (legacyKeys.length > 0) {
+		await ChromeAPI.removeStorage(legacyKeys);
+		console.log(`TabDuke: Removed ${legacyKeys.length} legacy dedupe entries from local storage`);
 	}
 }
 
 // FIXED: Global Tab Janitor alarm handler - registered only once to prevent duplicate listeners
 async function handleTabJanitorAlarm() {
-	const { tabJanitor, tabJanitorDays } = await ChromeAPI.getStorage(['tabJanitor', 'tabJanitorDays']);
+	const settings = await ChromeAPI.getStorage(JANITOR_SETTINGS_KEYS);
 
 	// Skip if janitor is disabled
-	if (!tabJanitor) {
+	if (!settings.tabJanitor) {
 		console.log('Tab Janitor: Skipping cleanup - feature disabled');
 		return;
 	}
 
-	// SECURITY: Defensive validation - clamp days between 1-30 to prevent immediate tab closure
-	let validatedDays = Number(tabJanitorDays);
-	if (isNaN(validatedDays) || validatedDays < 1) {
-		validatedDays = 5; // Safe default
-		console.warn(`Tab Janitor: Invalid days value "${tabJanitorDays}", using default 5 days`);
-	} else if (validatedDays > 30) {
-		validatedDays = 30; // Maximum allowed
-		console.warn(`Tab Janitor: Days value "${tabJanitorDays}" too high, clamping to 30 days`);
+	const tabs = await ChromeAPI.queryTabs({});
+	if (tabs.length === 0) {
+		// queryTabs resolves [] on failure - never treat that as "every tab is gone"
+		console.warn('Tab Janitor: No open tabs returned, skipping cleanup');
+		return;
 	}
 
-	const now = Date.now();
 	const history = await getTabActivationHistory();
-	console.log(`Tab Janitor: Checking ${Object.keys(history).length} tabs for inactivity > ${validatedDays} days`);
 
-	for (const [tabId, ts] of Object.entries(history)) {
-		const daysSinceActive = (now - ts) / (1000 * 60 * 60 * 24);
-		if (daysSinceActive > validatedDays) {
-			console.log(`Tab Janitor: Removing inactive tab ${tabId} (inactive for ${daysSinceActive.toFixed(1)} days)`);
-			try {
-				// MODERNIZED: Use ChromeAPI wrapper with async/await instead of callback
-				await ChromeAPI.removeTabs(parseInt(tabId));
-				// Successfully removed tab, clean up persistent history
-				await removeTabFromHistory(tabId);
-				console.log(`Tab Janitor: Successfully removed tab ${tabId} and cleaned history`);
-			} catch (error) {
-				console.error(`Failed to remove inactive tab ${tabId}:`, error.message);
-				// Tab might have been already closed or invalid - clean up history anyway
-				await removeTabFromHistory(tabId);
+	// Checkpoint the active browsing clock so time away is never counted as inactivity
+	const activeTime = { "now": await activeTimeClock.update(), "history": await activeTimeHistoryManager.getHistory() };
+
+	// SHARED: Same planner as the options page dry-run preview
+	const plan = planJanitorRun({ tabs, history, settings, activeTime });
+	if (plan.warning) {
+		console.warn(`Tab Janitor: ${plan.warning}`);
+	}
+	console.log(`Tab Janitor: Checking ${Object.keys(history).length} tabs for inactivity > ${plan.days} days (${plan.rules.length} per-domain rules)`);
+	if (plan.protected.length > 0) {
+		console.log(`Tab Janitor: Keeping ${plan.protected.length} protected tabs open`);
+	}
+
+	// Tabs that are already gone - just clean up their history
+	for (const tabId of plan.orphanedTabIds) {
+		await removeTabFromHistory(tabId);
+	}
+
+	// Forget exemptions for tabs that no longer exist
+	if (plan.staleExemptTabIds.length > 0) {
+		const staleIds = new Set(plan.staleExemptTabIds);
+		await ChromeAPI.setStorage({
+			"tabJanitorExemptTabIds": settings.tabJanitorExemptTabIds.filter((tabId) => !staleIds.has(tabId))
+		});
+	}
+
+	// DISCARD MODE: Free the memory of tabs past the first threshold without losing them
+	let discardedCount = 0;
+	for (const { tab, lastActivated, inactiveMs } of plan.discards) {
+		const discarded = await ChromeAPI.discardTab(tab.id);
+		if (!discarded) {
+			continue;
+		}
+		discardedCount++;
+		console.log(`Tab Janitor: Discarded tab ${tab.id} (inactive for ${(inactiveMs / DAY_MS).toFixed(1)} days of active browsing)`);
+		if (discarded.id !== tab.id) {
+			await moveTabHistory(tab.id, discarded.id, lastActivated);
+		}
+	}
+
+	// WARN-FIRST: New candidates are announced and only closed once their batch is due
+	const schedule = await janitorPendingBatches.schedule(plan.candidates);
+	if (schedule === null) {
+		console.error('Tab Janitor: Failed to save pending batches - skipping cleanup');
+		return;
+	}
+	await scheduleJanitorBatchAlarm(schedule.state);
+	if (schedule.batch) {
+		await notifyJanitorWarning(schedule.batch);
+	}
+	if (schedule.snoozed.length > 0) {
+		console.log(`Tab Janitor: Keeping ${schedule.snoozed.length} snoozed tabs open`);
+	}
+
+	if (schedule.due.length === 0) {
+		// Only logged if tabs were discarded (see JanitorRunLog.addRun)
+		await janitorRunLog.addRun({ plan, "archived": [], "discarded": discardedCount });
+		return;
+	}
+
+	// ARCHIVE-FIRST: Never close a tab that could not be written to the archive
+	const archived = await tabArchive.addTabs(schedule.due);
+	if (archived === null) {
+		console.error('Tab Janitor: Failed to archive inactive tabs - skipping cleanup to avoid losing them');
+		return;
+	}
+
+	const closed = [];
+	const stillOpen = [];
+	for (const entry of archived) {
+		// MODERNIZED: Use ChromeAPI wrapper with async/await instead of callback
+		const removed = await ChromeAPI.removeTabs(entry.tabId);
+		if (removed) {
+			closed.push(entry);
+			console.log(`Tab Janitor: Archived and removed tab ${entry.tabId} (last active ${new Date(entry.lastActivated).toISOString()})`);
+		} else {
+			stillOpen.push(entry.id);
+			console.error(`Failed to remove inactive tab ${entry.tabId}`);
+		}
+		// Tab is either closed or no longer valid - clean up persistent history
+		await removeTabFromHistory(entry.tabId);
+	}
+
+	// A tab that is still open must not also sit in the archive
+	if (stillOpen.length > 0) {
+		await tabArchive.removeEntries(stillOpen);
+	}
+
+	const run = await janitorRunLog.addRun({ plan, "archived": closed, "discarded": discardedCount });
+	if (run && closed.length > 0) {
+		await notifyJanitorRun(run);
+	}
+}
+
+// Wake the janitor when the next warned-about batch is due
+async function scheduleJanitorBatchAlarm(state) {
+	const closeAt = getNextCloseTime(state);
+	if (closeAt === null) {
+		await ChromeAPI.clearAlarm(JANITOR_BATCH_ALARM);
+	} else {
+		await ChromeAPI.createAlarm(JANITOR_BATCH_ALARM, { "when": closeAt });
+	}
+}
+
+// Forget the pending batches and their warnings - the registry clears the batch alarm
+async function clearJanitorPendingBatches() {
+	const batchIds = await janitorPendingBatches.clear();
+	for (const batchId of batchIds) {
+		await chrome.notifications.clear(`${JANITOR_WARNING_NOTIFICATION_PREFIX}${batchId}`);
+	}
+	if (batchIds.length > 0) {
+		console.log(`Tab Janitor: Dropped ${batchIds.length} pending batches`);
+	}
+}
+
+// Announce a batch before closing it, with Review and Snooze buttons
+async function notifyJanitorWarning(batch) {
+	const hours = Math.round(JANITOR_WARNING_LEAD_MS / HOUR_MS);
+	try {
+		await chrome.notifications.create(`${JANITOR_WARNING_NOTIFICATION_PREFIX}${batch.id}`, {
+			type: 'basic',
+			iconUrl: 'images/icon48.png',
+			title: 'Tab Janitor',
+			message: `${batch.tabs.length} inactive tab(s) will be closed in ${hours} hour${hours === 1 ? '' : 's'}.`,
+			buttons: [
+				{ title: 'Review' },
+				{ title: 'Snooze 1 day' }
+			]
+		});
+	} catch (error) {
+		// The batch still closes on time - it can be reviewed in the options page preview
+		console.log('TabDuke: Could not show janitor warning notification:', error.message);
+	}
+}
+
+// UNDO: Offer to restore everything a janitor run just closed
+async function notifyJanitorRun(run) {
+	try {
+		await chrome.notifications.create(`${JANITOR_RUN_NOTIFICATION_PREFIX}${run.id}`, {
+			type: 'basic',
+			iconUrl: 'images/icon48.png',
+			title: 'Tab Janitor',
+			message: `Archived and closed ${run.tabs.length} inactive tab(s).`,
+			buttons: [
+				{ title: 'Restore' }
+			]
+		});
+	} catch (error) {
+		// Runs stay restorable from the options page
+		console.log('TabDuke: Could not show janitor run notification:', error.message);
+	}
+}
+
+// Window cap checks run one at a time so a burst of new tabs never evicts more than needed
+let windowCapQueue = Promise.resolve();
+
+function enforceWindowCap(windowId, newTabId) {
+	const run = windowCapQueue.then(() => handleWindowCap(windowId, newTabId));
+	windowCapQueue = run.catch((error) => {
+		console.error('TabDuke: Window cap check failed:', error.message);
+	});
+	return windowCapQueue;
+}
+
+// Closes or discards the least recently activated tabs of a window over its cap
+async function handleWindowCap(windowId, newTabId) {
+	const settings = await ChromeAPI.getStorage(WINDOW_CAP_SETTINGS_KEYS);
+	if (!settings.tabWindowCapEnabled) {
+		return;
+	}
+
+	const tabs = await ChromeAPI.queryTabs({ windowId });
+	const history = await getTabActivationHistory();
+	const plan = planWindowCapEviction({ tabs, history, settings, "keepTabIds": [newTabId] });
+	if (plan.evictions.length === 0) {
+		if (plan.excess > 0) {
+			console.log(`Window cap: Window ${windowId} is ${plan.excess} over its cap of ${plan.cap} but every other tab is kept`);
+		}
+		return;
+	}
+
+	if (plan.action === 'discard') {
+		for (const { tab, lastActivated } of plan.evictions) {
+			const discarded = await ChromeAPI.discardTab(tab.id);
+			if (discarded && discarded.id !== tab.id) {
+				await moveTabHistory(tab.id, discarded.id, lastActivated);
 			}
 		}
+		console.log(`Window cap: Discarded ${plan.evictions.length} tab(s) in window ${windowId} (cap ${plan.cap})`);
+		return;
+	}
+
+	// ARCHIVE-FIRST: Evicted tabs stay restorable from the popup and options page
+	const archived = await tabArchive.addTabs(plan.evictions);
+	if (archived === null) {
+		console.error('Window cap: Failed to archive tabs - skipping eviction to avoid losing them');
+		return;
+	}
+
+	const stillOpen = [];
+	for (const entry of archived) {
+		const removed = await ChromeAPI.removeTabs(entry.tabId);
+		if (!removed) {
+			stillOpen.push(entry.id);
+		}
+	}
+	if (stillOpen.length > 0) {
+		await tabArchive.removeEntries(stillOpen);
+	}
+	console.log(`Window cap: Archived and closed ${archived.length - stillOpen.length} tab(s) in window ${windowId} (cap ${plan.cap})`);
+}
+
+// Badge in "current window" mode follows the focused window
+async function handleBadgeFocusChange () {
+	const { "badgeDisplayOption": displayOption } = await ChromeAPI.getStorage(["badgeDisplayOption"]);
+	if (displayOption === "currentWindow") {
+		await updateBadgeText();
 	}
 }
 
-// Use chrome.alarms instead of setInterval - simplified to just manage the alarm
-function registerTabJanitor () {
-	chrome.alarms.create("tabJanitor", { "periodInMinutes": 60 });
-	console.log('Tab Janitor: Alarm registered (cleanup threshold determined dynamically from storage)');
+// The inactivity threshold, URL rules and dedupe ignore list change the counts themselves, other settings only what is shown
+async function handleBadgeSettingsChange (settings, changes) {
+	if (BADGE_INACTIVE_DAYS_KEY in changes || "dedupeIgnoreList" in changes || URL_RULE_SETTINGS_KEYS.some((key) => {return key in changes;})) {
+		await publishStats();
+	} else {
+		await updateBadgeText();
+	}
 }
 
+// FEATURES: Each background feature declares its settings, listeners and alarms - the registry
+// adds and removes them as the settings change, so a disabled feature leaves nothing behind
+const featureRegistry = new FeatureRegistry()
+	.register({
+		"name": "dedupe",
+		"settings": ["tabDedupe"],
+		"isEnabled": (settings) => {return Boolean(settings.tabDedupe);},
+		"listeners": [[chrome.tabs.onUpdated, handleTabUpdate]],
+		"alarms": [
+			// Expired notification entries are purged from session storage
+			{ "name": "dedupeContextCleanup", "schedule": () => {return { "periodInMinutes": 30 };}, "handler": purgeExpiredDedupeState }
+		]
+	})
+	.register({
+		"name": "earlyRedirect",
+		"settings": ["tabDedupe", DEDUPE_EARLY_REDIRECT_KEY],
+		"isEnabled": isEarlyRedirectEnabled,
+		// Options grant the webNavigation permission before turning the option on
+		"activate": registerEarlyRedirectListener
+	})
+	.register({
+		"name": "janitor",
+		"settings": ["tabJanitor", "tabJanitorRules", "tabJanitorMode"],
+		"isEnabled": (settings) => {return Boolean(settings.tabJanitor);},
+		// Warned-about batches would all be due the moment the janitor is turned back on
+		"deactivate": clearJanitorPendingBatches,
+		"alarms": [
+			// Thresholds are read from storage on every run; hour-based per-domain rules and
+			// discard mode only switch the alarm to a finer period
+			{ "name": "tabJanitor", "schedule": (settings) => {return { "periodInMinutes": getJanitorAlarmPeriodMinutes(settings) };}, "handler": handleTabJanitorAlarm },
+			// One-shot alarm scheduled by the janitor itself when a warned-about batch is due
+			{ "name": JANITOR_BATCH_ALARM, "handler": handleTabJanitorAlarm }
+		]
+	})
+	.register({
+		"name": "badge",
+		"settings": ["badgeDisplayOption", ...BADGE_THRESHOLD_SETTINGS_KEYS, BADGE_INACTIVE_DAYS_KEY, "dedupeIgnoreList", ...URL_RULE_SETTINGS_KEYS],
+		"listeners": [[chrome.windows.onFocusChanged, handleBadgeFocusChange]],
+		"update": handleBadgeSettingsChange
+	})
+	.register({
+		"name": "badgeClock",
+		"settings": ["badgeDisplayOption"],
+		// Inactive tabs and tabs opened today also change while no tab event fires
+		"isEnabled": (settings) => {return TIME_BASED_BADGE_MODES.includes(settings.badgeDisplayOption);},
+		"alarms": [
+			{ "name": "badgeRefresh", "schedule": () => {return { "periodInMinutes": 15 };}, "handler": publishStats }
+		]
+	})
+	.register({
+		"name": "tabCounts",
+		"settings": [],
+		"alarms": [
+			// Events can be missed (e.g. while the service worker starts) - a full scan corrects the counts
+			{ "name": "tabCountReconcile", "schedule": () => {return { "periodInMinutes": 10 };}, "handler": getAllStats }
+		]
+	})
+	.register({
+		"name": "nativeBridge",
+		"settings": [NATIVE_BRIDGE_ENABLED_KEY],
+		"isEnabled": (settings) => {return settings[NATIVE_BRIDGE_ENABLED_KEY] === true;},
+		// While the host is connected Chrome keeps the service worker running
+		"activate": () => {nativeBridge.start();},
+		"deactivate": () => {nativeBridge.stop();},
+		"alarms": [
+			// The host exits with Chrome's port - connect again later (a no-op once Chrome reported the host missing)
+			{ "name": "nativeBridgeReconnect", "schedule": () => {return { "periodInMinutes": 5 };}, "handler": () => {nativeBridge.start();} }
+		]
+	});
+
+// Registered synchronously so alarms and settings changes that wake the service worker are delivered
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+	await featureRegistry.handleAlarm(alarm);
+});
+chrome.storage.onChanged.addListener((changes, namespace) => {
+	return featureRegistry.handleStorageChange(changes, namespace);
+});
+
+// Registered synchronously so a navigation that wakes the service worker is seen; webNavigation is
+// an optional permission, so the listener is only there once options have granted it
+function registerEarlyRedirectListener () {
+	const event = chrome.webNavigation?.onBeforeNavigate;
+	if (event && !event.hasListener(handleBeforeNavigate)) {
+		event.addListener(handleBeforeNavigate);
+	}
+}
+registerEarlyRedirectListener();
+
+// Tab commands sent by the popup and options page run here, so they complete even after the page closes
+function handleTabCommandPort (port) {
+	if (port.name !== TAB_COMMAND_PORT || port.sender?.id !== chrome.runtime.id) {
+		return;
+	}
+	// The page may close mid-command - the command still runs, only its messages are dropped
+	let connected = true;
+	port.onDisconnect.addListener(() => {connected = false;});
+	const post = (message) => {
+		if (connected) port.postMessage(message);
+	};
+	port.onMessage.addListener(async (request) => {
+		const response = await runTabCommand(tabManager, request, (progress) => {post(createTabCommandProgress(request, progress));});
+		post(response);
+	});
+}
+chrome.runtime.onConnect.addListener(handleTabCommandPort);
+
+// Registered synchronously so a message that wakes the service worker is answered; the allow-list
+// is read for every message, so settings changes apply without re-registering
+function handleExternalMessage (message, sender, sendResponse) {
+	externalApi.handleMessage(message, sender)
+		// Callers always get an answer, never a closed channel
+		.catch((error) => {
+			console.error('External API: Failed to answer a message:', error.message);
+			return createErrorResponse(message, EXTERNAL_API_ERRORS.internal, 'The request could not be completed');
+		})
+		.then(sendResponse);
+	return true; // The response is sent asynchronously
+}
+chrome.runtime.onMessageExternal?.addListener(handleExternalMessage);
+
+chrome.runtime.onInstalled.addListener(async (details) => {
+	if (details.reason === 'update') {
+		await removeLegacyDedupeState();
+	}
+});
+
 /* Keeps track of the last timestamp each tab was activated */
 chrome.tabs.onActivated.addListener(async (activeInfo) => {
 	await setTabActivationTimestamp(activeInfo.tabId);
+	await setTabActiveTime(activeInfo.tabId);
 	console.log(`Tab activation recorded for tab ${activeInfo.tabId}`);
+	// An activated tab is no longer inactive, and the popup snapshot shows the new active tab
+	if (tabModel.activateTab(activeInfo.tabId, activeInfo.windowId)) {
+		scheduleStatsPublish();
+	}
 });
 
 async function init () {
-	const { tabDedupe, tabJanitor, tabJanitorDays } = await ChromeAPI.getStorage(["tabDedupe", "tabJanitor", "tabJanitorDays"]);
-
-	// PERFORMANCE: Initialize cached settings to avoid storage I/O on frequent events
-	cachedTabDedupeEnabled = Boolean(tabDedupe);
+	// Start before the first await so an alarm that woke the service worker waits for its feature
+	const featuresStarted = featureRegistry.start();
 
 	// Action taken when a new tab is opened.
 	chrome.tabs.onCreated.addListener(async (tab) => {
+		// Model the tab before any await so its first onUpdated events find it
+		tabModel.addTab(tab);
+		scheduleStatsPublish();
 		// FIXED: Set initial timestamp for newly created tabs to ensure Tab Janitor tracking
 		await setTabActivationTimestamp(tab.id);
+		await setTabActiveTime(tab.id);
 		console.log(`Initial timestamp set for new tab ${tab.id}`);
-		return getAllStats();
+		await recordTabOpenedToday();
+		// Evict after the new tab is tracked so it is never the least recently used one
+		await enforceWindowCap(tab.windowId, tab.id);
 	});
 
 	// Action taken when a tab is closed.
 	chrome.tabs.onRemoved.addListener(async (tabId) => {
+		earlyRedirectedTabIds.delete(tabId);
 		// Clean up persistent activation history to prevent storage bloat
 		await removeTabFromHistory(tabId);
-		return getAllStats();
+		if (tabModel.removeTab(tabId)) {
+			scheduleStatsPublish();
+		}
 	});
 
-	// Action taken when a new window is opened
-	chrome.windows.onCreated.addListener(() => {return getAllStats();});
+	// Discarding or reloading a tab changes the discarded count, navigating changes the duplicate count,
+	// titles and favicons only change the popup snapshot
+	chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+		if (!tabModel.updateTab(tabId, changeInfo)) {
+			return;
+		}
+		if ("url" in changeInfo || "discarded" in changeInfo) {
+			scheduleStatsPublish();
+		} else {
+			scheduleSnapshotMirror();
+		}
+	});
 
-	// Action taken when a windows is closed.
-	chrome.windows.onRemoved.addListener(() => {return getAllStats();});
+	// Moving a tab to another window changes the current window count
+	chrome.tabs.onAttached.addListener((tabId, attachInfo) => {
+		if (tabModel.moveTab(tabId, attachInfo.newWindowId, attachInfo.newPosition)) {
+			scheduleStatsPublish();
+		}
+	});
 
-	// to change badge text on switching current tab
-	chrome.windows.onFocusChanged.addListener(async () => {
-		// only if the badgeDisplayOption is set to "currentWindow"
-		const { "badgeDisplayOption": displayOption } = await ChromeAPI.getStorage(["badgeDisplayOption"]);
-		if (displayOption === "currentWindow") {
-			await updateBadgeText();
+	// Reordering tabs changes the popup snapshot
+	chrome.tabs.onMoved.addListener((tabId, moveInfo) => {
+		if (tabModel.moveTab(tabId, moveInfo.windowId, moveInfo.toIndex)) {
+			scheduleSnapshotMirror();
 		}
 	});
 
-	// FIXED: Register global Tab Janitor alarm handler once to prevent duplicate listeners
-	chrome.alarms.onAlarm.addListener(async (alarm) => {
-		if (alarm.name === "tabJanitor") {
-			await handleTabJanitorAlarm();
-		} else if (alarm.name === "dedupeContextCleanup") {
-			await cleanupOrphanedDedupeContexts();
+	// Older Chrome versions replace the tab ID on discard, prerendering swaps in a tab showing another page -
+	// both change the counts, so the new tab's state comes from Chrome rather than the replaced tab
+	chrome.tabs.onReplaced.addListener(async (addedTabId, removedTabId) => {
+		tabModel.replaceTab(addedTabId, removedTabId);
+		const tab = await ChromeAPI.getTab(addedTabId);
+		if (tab && !tabModel.addTab(tab)) {
+			tabModel.updateTab(addedTabId, tab);
+		}
+		scheduleStatsPublish();
+	});
+
+	// Action taken when a new window is opened
+	chrome.windows.onCreated.addListener((window) => {
+		if (tabModel.addWindow(window.id)) {
+			scheduleStatsPublish();
+		}
+	});
+
+	// Action taken when a windows is closed.
+	chrome.windows.onRemoved.addListener((windowId) => {
+		if (tabModel.removeWindow(windowId)) {
+			scheduleStatsPublish();
 		}
 	});
 
+	// Pause the active browsing clock while the machine is idle or locked
+	chrome.idle.setDetectionInterval(IDLE_DETECTION_SECONDS);
+	chrome.idle.onStateChanged.addListener(async (idleState) => {
+		await activeTimeClock.update({ idleState });
+	});
+
+	// The active browsing clock only runs while a browser window has focus
+	chrome.windows.onFocusChanged.addListener(async (windowId) => {
+		await activeTimeClock.update({ "focused": windowId !== chrome.windows.WINDOW_ID_NONE });
+	});
+
 	// FIXED: Register Tab Dedupe notification handlers once to prevent duplicate listeners
 	chrome.notifications.onButtonClicked.addListener(async (notificationId, buttonIndex) => {
 		if (notificationId.startsWith('dedupe-')) {
-			const contextKey = `dedupe_${notificationId}`;
-			const { [contextKey]: context } = await ChromeAPI.getStorage([contextKey]);
+			const context = await dedupeContexts.get(notificationId);
 
 			if (context && buttonIndex === 0) { // Switch & Close Duplicate
 				try {
-					// Switch to existing tab
-					await ChromeAPI.updateTab(context.oldTabId, { active: true });
-					await ChromeAPI.focusWindow(context.oldWindowId);
-
-					// Close duplicate tab
-					await ChromeAPI.removeTabs(context.newTabId);
+					// Re-apply the policy - tabs may have been closed or moved since the notification
+					const tabs = await ChromeAPI.queryTabs({});
+					const newTab = tabs.find((candidate) => candidate.id === context.newTabId);
+					const resolution = newTab ? await findDuplicateResolution(newTab, newTab.url) : null;
+					if (resolution && resolution.canonicalUrl === context.url) {
+						await applyDuplicateResolution(resolution);
+					}
 				} catch (error) {
 					console.error('Failed to handle tab dedupe:', error.message);
 				}
+			} else if (context && buttonIndex === 1 && context.sitePattern) { // Always Allow on <site>
+				await allowDuplicatesForSite(context.sitePattern);
 			}
 
 			// Cleanup context and URL tracking
-			if (context && context.url) {
-				const urlKey = `pending_dedupe_url_${encodeURIComponent(context.url)}`;
-				await ChromeAPI.removeStorage([contextKey, urlKey]);
-			} else {
-				await ChromeAPI.removeStorage([contextKey]);
-			}
+			await releaseDedupeNotification(notificationId, context);
 			await chrome.notifications.clear(notificationId);
 		}
 	});
 
+	// Janitor run "Restore" button - reopen every tab the run closed
+	chrome.notifications.onButtonClicked.addListener(async (notificationId, buttonIndex) => {
+		if (notificationId.startsWith(JANITOR_RUN_NOTIFICATION_PREFIX) && buttonIndex === 0) {
+			const runId = notificationId.slice(JANITOR_RUN_NOTIFICATION_PREFIX.length);
+			const results = await janitorRunLog.restoreRun(runId);
+			console.log(`Tab Janitor: Restored ${results.success.length} tabs from ${runId} (${results.failed.length} failed, ${results.missing} no longer archived)`);
+			await chrome.notifications.clear(notificationId);
+		}
+	});
+
+	// Janitor warning buttons - review the upcoming close, or hold the batch back for a day
+	chrome.notifications.onButtonClicked.addListener(async (notificationId, buttonIndex) => {
+		if (!notificationId.startsWith(JANITOR_WARNING_NOTIFICATION_PREFIX)) return;
+
+		const batchId = notificationId.slice(JANITOR_WARNING_NOTIFICATION_PREFIX.length);
+		if (buttonIndex === 0) {
+			await ChromeAPI.createTab({ "url": chrome.runtime.getURL('options.html#janitorPreview') });
+		} else if (buttonIndex === 1) {
+			const count = await janitorPendingBatches.snooze(batchId);
+			await scheduleJanitorBatchAlarm(await janitorPendingBatches.getState());
+			console.log(`Tab Janitor: Snoozed ${count} tabs from ${batchId} for 1 day`);
+		}
+		await chrome.notifications.clear(notificationId);
+	});
+
 	// Auto-clear notifications after 10 seconds
 	chrome.notifications.onClosed.addListener(async (notificationId) => {
 		if (notificationId.startsWith('dedupe-')) {
-			const contextKey = `dedupe_${notificationId}`;
-			const { [contextKey]: context } = await ChromeAPI.getStorage([contextKey]);
-
 			// Cleanup context and URL tracking
-			if (context && context.url) {
-				const urlKey = `pending_dedupe_url_${encodeURIComponent(context.url)}`;
-				await ChromeAPI.removeStorage([contextKey, urlKey]);
-			} else {
-				await ChromeAPI.removeStorage([contextKey]);
-			}
+			await releaseDedupeNotification(notificationId, await dedupeContexts.get(notificationId));
 		}
 	});
 
-	// Setup periodic cleanup for orphaned dedupe contexts (only if dedupe is enabled)
-	if (tabDedupe) {
-		chrome.alarms.create("dedupeContextCleanup", { periodInMinutes: 30 });
-		console.log('Dedupe context cleanup alarm created');
-	}
-
-	// Initialize the stats to start off with.
+	// Initialize the stats to start off with - events until then land in a model the scan replaces,
+	// anything the scan misses is corrected by the reconcile alarm
 	getAllStats();
 
-	// CRITICAL: Initialize activation history for existing tabs after service worker restart
-	// This ensures tab janitor works correctly across service worker restarts
+	// Sync the active browsing clock with the current idle and focus state - time while
+	// the service worker or browser was not running is never counted as active
+	const [idleState, focusedWindow] = await Promise.all([
+		ChromeAPI.queryIdleState(IDLE_DETECTION_SECONDS),
+		ChromeAPI.getLastFocusedWindow()
+	]);
+	const activeNow = await activeTimeClock.update({ idleState, "focused": Boolean(focusedWindow?.focused) });
+
+	// CRITICAL: Reconcile activation history with the open tabs after a service worker or browser restart
+	// Seeds from Chrome's tab.lastAccessed so restarts don't reset inactivity clocks, and drops stale tab IDs
 	try {
 		const tabs = await ChromeAPI.queryTabs({});
-		const history = await getTabActivationHistory();
-		let newTabsFound = 0;
-
-		for (const tab of tabs) {
-			// Only add tabs that don't already have activation history
-			if (!history[tab.id]) {
-				// Use current time as fallback - this is better than losing tracking completely
-				await setTabActivationTimestamp(tab.id);
-				newTabsFound++;
+		if (tabs.length === 0) {
+			// queryTabs resolves [] on failure - never treat that as "every tab is gone"
+			console.warn('Tab Janitor: No open tabs returned, skipping history reconciliation');
+		} else {
+			const history = await getTabActivationHistory();
+			const { updates, staleTabIds } = reconcileActivationHistory({ tabs, history });
+
+			for (const [tabId, timestamp] of Object.entries(updates)) {
+				await setTabActivationTimestamp(Number(tabId), timestamp);
+			}
+			for (const tabId of staleTabIds) {
+				await removeTabFromHistory(tabId);
 			}
-		}
-
-		if (newTabsFound > 0) {
-			console.log(`Tab Janitor: Initialized activation history for ${newTabsFound} existing tabs after service worker restart`);
-		}
-	} catch (error) {
-		console.error('Failed to initialize tab activation history:', error);
-	}
-
-	// Activate tab de-dupe detector if enabled in options.
-	if (tabDedupe) {
-		registerTabDedupeHandler();
-	}
-
-	// Activate tab janitor if enabled.
-	if (tabJanitor) {
-		registerTabJanitor();
-	}
-
-	// CRITICAL: Listen for settings changes to enable/disable features dynamically
-	chrome.storage.onChanged.addListener(async (changes, namespace) => {
-		if (namespace !== 'local') return;
-
-		// Handle tabDedupe setting changes
-		if ('tabDedupe' in changes) {
-			// PERFORMANCE: Update cached setting to avoid storage reads on tab updates
-			cachedTabDedupeEnabled = Boolean(changes.tabDedupe.newValue);
 
-			if (changes.tabDedupe.newValue && !changes.tabDedupe.oldValue) {
-				// Enable tab dedupe
-				registerTabDedupeHandler();
-				// Also enable cleanup alarm when dedupe is enabled
-				chrome.alarms.create("dedupeContextCleanup", { periodInMinutes: 30 });
-				console.log('Dedupe context cleanup alarm created');
-			} else if (!changes.tabDedupe.newValue && changes.tabDedupe.oldValue) {
-				// Disable cleanup alarm when dedupe is disabled
-				chrome.alarms.clear('dedupeContextCleanup');
-				console.log('Dedupe context cleanup alarm cleared');
+			// Tabs without a clock reading (or just corrected above) get one from their last activation -
+			// after a browser restart every tab has a new ID, and a reading of "now" would reset them all
+			const activeHistory = await activeTimeHistoryManager.getHistory();
+			const openIds = new Set(tabs.map((tab) => String(tab.id)));
+			for (const tab of tabs) {
+				if (!Number.isFinite(activeHistory[tab.id]) || tab.id in updates) {
+					const lastActivated = updates[tab.id] ?? history[tab.id] ?? Date.now();
+					await setTabActiveTime(tab.id, estimateActiveTimeAt(lastActivated, activeNow));
+				}
 			}
-			// Note: Cannot easily disable dedupe once registered due to listener architecture
-		}
-
-		// Handle tabJanitor setting changes
-		if ('tabJanitor' in changes) {
-			console.log(`Tab Janitor setting changed: ${changes.tabJanitor.oldValue} → ${changes.tabJanitor.newValue}`);
-			if (changes.tabJanitor.newValue && !changes.tabJanitor.oldValue) {
-				// Enable tab janitor
-				registerTabJanitor();
-			} else if (!changes.tabJanitor.newValue && changes.tabJanitor.oldValue) {
-				// Disable tab janitor by clearing the alarm
-				chrome.alarms.clear('tabJanitor');
-				console.log('Tab Janitor disabled - alarm cleared');
+			for (const tabId of Object.keys(activeHistory).filter((id) => !openIds.has(id))) {
+				await activeTimeHistoryManager.removeTab(tabId);
 			}
-		}
 
-		// Handle tabJanitorDays setting changes (reconfigure if janitor is active)
-		if ('tabJanitorDays' in changes) {
-			console.log(`Tab Janitor Days changed: ${changes.tabJanitorDays.oldValue} → ${changes.tabJanitorDays.newValue}`);
-			ChromeAPI.getStorage(['tabJanitor']).then(({tabJanitor}) => {
-				if (tabJanitor) {
-					// Re-register alarm (days value will be read dynamically from storage)
-					chrome.alarms.clear('tabJanitor'); // Clear existing alarm
-					registerTabJanitor();
-					console.log(`Tab Janitor reconfigured with ${changes.tabJanitorDays.newValue} days`);
-				}
-			});
+			if (Object.keys(updates).length > 0 || staleTabIds.length > 0) {
+				console.log(`Tab Janitor: Reconciled activation history - ${Object.keys(updates).length} seeded or corrected, ${staleTabIds.length} stale entries removed`);
+			}
 		}
+	} catch (error) {
+		console.error('Failed to initialize tab activation history:', error);
+	}
 
-		// Handle badgeDisplayOption setting changes
-		if ('badgeDisplayOption' in changes) {
-			console.log(`Badge Display Option changed: ${changes.badgeDisplayOption.oldValue} → ${changes.badgeDisplayOption.newValue}`);
-			// Update badge immediately when setting changes
-			await updateBadgeText();
-		}
-	});
+	// Activate the features enabled in options (dedupe, janitor, badge)
+	await featuresStarted;
 }
 
 // CRITICAL: Service worker shutdown protection for TabHistoryManager
@@ -589,7 +1216,7 @@ async function init () {
 self.addEventListener('beforeunload', async (event) => {
 	console.log('TabDuke: Service worker shutting down, flushing pending tab history');
 	try {
-		await tabHistoryManager.forceFlush();
+		await Promise.all([tabHistoryManager.forceFlush(), activeTimeHistoryManager.forceFlush()]);
 	} catch (error) {
 		console.error('TabDuke: Failed to flush tab history on shutdown:', error);
 	}
@@ -599,7 +1226,8 @@ self.addEventListener('beforeunload', async (event) => {
 chrome.runtime.onSuspend?.addListener(async () => {
 	console.log('TabDuke: Extension suspending, flushing pending tab history');
 	try {
-		await tabHistoryManager.forceFlush();
+		// Both histories are debounced - the janitor needs the activation time and the active-time reading
+		await Promise.all([tabHistoryManager.forceFlush(), activeTimeHistoryManager.forceFlush()]);
 	} catch (error) {
 		console.error('TabDuke: Failed to flush tab history on suspend:', error);
 	}
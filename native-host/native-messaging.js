@@ -0,0 +1,130 @@
+/**
+ * Native messaging helpers shared by the TabDuke host and its command line.
+ *
+ * Chrome talks to a native host over stdin/stdout: each message is JSON
+ * preceded by its byte length as a 32-bit integer in native byte order
+ * (little-endian on every platform Chrome supports). Terminal commands reach
+ * the host over a local socket, one JSON line per request and response.
+ *
+ * @fileoverview Native messaging framing, command parsing and socket location (Node.js)
+ * @since 1.3.0
+ */
+
+import os from 'node:os';
+import path from 'node:path';
+
+export const NATIVE_BRIDGE_VERSION = 1;
+
+// Chrome refuses messages from a host larger than 1 MB
+export const MAX_HOST_MESSAGE_BYTES = 1024 * 1024;
+
+export const USAGE = `Usage: tabduke-host.js <command> [options]
+
+Commands:
+  list [--window <id>] [--duplicates]   List open tabs as JSON
+  search <words...> [--limit <n>]       Find tabs whose title or URL contains every word
+  close <pattern> [--dry-run]           Close tabs matching a pattern (example.com, docs.*, github.com/org/*)
+  focus <url> [--open]                  Switch to the tab showing a URL, or open it with --open
+
+Protected tabs (pinned, audible, grouped, allow-listed) are never closed.`;
+
+/**
+ * Frames a message for Chrome.
+ * @param {Object} message - Message to send
+ * @returns {Buffer} Length prefix followed by the JSON bytes
+ * @throws {Error} If the message is larger than Chrome accepts
+ */
+export function encodeNativeMessage(message) {
+	const json = Buffer.from(JSON.stringify(message), 'utf8');
+	if (json.length > MAX_HOST_MESSAGE_BYTES) {
+		throw new Error(`Message of ${json.length} bytes exceeds the ${MAX_HOST_MESSAGE_BYTES} byte limit`);
+	}
+	const header = Buffer.alloc(4);
+	header.writeUInt32LE(json.length, 0);
+	return Buffer.concat([header, json]);
+}
+
+/**
+ * NativeMessageReader class - Reassembles framed messages from stdin chunks
+ *
+ * @class NativeMessageReader
+ * @since 1.3.0
+ *
+ * @example
+ * const reader = new NativeMessageReader();
+ * process.stdin.on('data', (chunk) => reader.push(chunk).forEach(handleMessage));
+ */
+export class NativeMessageReader {
+	constructor() {
+		/** @private */
+		this.buffer = Buffer.alloc(0);
+	}
+
+	/**
+	 * Adds a chunk and returns the messages it completes.
+	 * @param {Buffer} chunk - Bytes read from stdin
+	 * @returns {Object[]} Complete messages, in order
+	 */
+	push(chunk) {
+		this.buffer = Buffer.concat([this.buffer, chunk]);
+		const messages = [];
+		while (this.buffer.length >= 4) {
+			const length = this.buffer.readUInt32LE(0);
+			if (this.buffer.length < 4 + length) break;
+			messages.push(JSON.parse(this.buffer.subarray(4, 4 + length).toString('utf8')));
+			this.buffer = this.buffer.subarray(4 + length);
+		}
+		return messages;
+	}
+}
+
+/**
+ * Turns command-line arguments into a bridge command.
+ * @param {string[]} args - Arguments after the script name
+ * @returns {{command: string, params: Object}} Command for the extension
+ * @throws {Error} With the usage text if the arguments are not a command
+ *
+ * @example
+ * parseCommandLine(['close', 'news.example.com', '--dry-run']);
+ * // { command: 'close', params: { pattern: 'news.example.com', dryRun: true } }
+ */
+export function parseCommandLine(args) {
+	const [command, ...rest] = args;
+	const flags = new Set(rest.filter((arg) => arg.startsWith('--')));
+	const valueOf = (flag) => {
+		const index = rest.indexOf(flag);
+		return index === -1 ? undefined : rest[index + 1];
+	};
+	const words = rest.filter((arg, index) => !arg.startsWith('--') && !['--window', '--limit'].includes(rest[index - 1]));
+
+	switch (command) {
+		case 'list': {
+			const params = {};
+			if (flags.has('--window')) params.windowId = Number(valueOf('--window'));
+			if (flags.has('--duplicates')) params.duplicatesOnly = true;
+			return { command, params };
+		}
+		case 'search':
+			if (words.length === 0) break;
+			return { command, "params": { "query": words.join(' '), ...(flags.has('--limit') ? { "limit": Number(valueOf('--limit')) } : {}) } };
+		case 'close':
+			if (words.length !== 1) break;
+			return { command, "params": { "pattern": words[0], "dryRun": flags.has('--dry-run') } };
+		case 'focus':
+			if (words.length !== 1) break;
+			return { command, "params": { "url": words[0], "open": flags.has('--open') } };
+	}
+	throw new Error(USAGE);
+}
+
+/**
+ * Where the host listens for terminal commands - only the current user can reach it.
+ * @param {string} [platform] - Node platform name
+ * @returns {string} Unix socket path, or a named pipe on Windows
+ */
+export function getSocketPath(platform = process.platform) {
+	if (platform === 'win32') {
+		return `\\\\.\\pipe\\tabduke-bridge-${os.userInfo().username}`;
+	}
+	return path.join(os.homedir(), '.tabduke', 'bridge.sock');
+}
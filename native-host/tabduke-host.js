@@ -0,0 +1,208 @@
+#!/usr/bin/env node
+/**
+ * TabDuke native messaging host and command line.
+ *
+ * Started by Chrome (with the extension origin as its first argument), it
+ * listens on a local socket and relays terminal commands to the extension
+ * over stdin/stdout. Started from a terminal, it sends one command to the
+ * running host and prints the JSON response.
+ *
+ * Nothing but framed messages may be written to stdout in host mode, so the
+ * host logs to stderr, which Chrome forwards to its own log.
+ *
+ * @fileoverview Reference native host for the TabDuke command-line bridge (Node.js)
+ * @since 1.3.0
+ *
+ * @example
+ * ./tabduke-host.js list --duplicates
+ * ./tabduke-host.js close 'news.example.com' --dry-run
+ * ./tabduke-host.js focus https://mail.example.com/ --open
+ */
+
+import fs from 'node:fs';
+import net from 'node:net';
+import path from 'node:path';
+import {
+	NATIVE_BRIDGE_VERSION,
+	encodeNativeMessage,
+	NativeMessageReader,
+	parseCommandLine,
+	getSocketPath
+} from './native-messaging.js';
+
+// How long a terminal command waits for the extension
+const COMMAND_TIMEOUT_MS = 30000;
+
+/**
+ * Relays commands between terminal clients and the extension until Chrome closes stdin.
+ */
+function runHost() {
+	const socketPath = getSocketPath();
+	const pending = new Map();
+	const reader = new NativeMessageReader();
+	let nextId = 1;
+
+	// One response line per request line; the connection ends once the client has sent
+	// everything and the last of its requests is answered
+	const endIfDone = (client) => {
+		if (client.finished && client.unanswered === 0 && !client.socket.destroyed) {
+			client.socket.end();
+		}
+	};
+
+	const reply = (client, response) => {
+		client.unanswered--;
+		if (!client.socket.destroyed) {
+			client.socket.write(`${JSON.stringify(response)}\n`);
+		}
+		endIfDone(client);
+	};
+
+	// Passes one request line from a terminal client on to the extension
+	const forward = (client, line) => {
+		client.unanswered++;
+
+		let request = null;
+		try {
+			request = JSON.parse(line);
+		} catch {
+			reply(client, { "version": NATIVE_BRIDGE_VERSION, "id": null, "ok": false, "error": { "code": 'invalid_params', "message": 'Request is not JSON' } });
+			return;
+		}
+
+		const id = nextId++;
+		const timer = setTimeout(() => {
+			pending.delete(id);
+			reply(client, { "version": NATIVE_BRIDGE_VERSION, id, "ok": false, "error": { "code": 'timeout', "message": 'The extension did not answer in time' } });
+		}, COMMAND_TIMEOUT_MS);
+		pending.set(id, { client, timer });
+
+		try {
+			process.stdout.write(encodeNativeMessage({ "version": NATIVE_BRIDGE_VERSION, id, "command": request.command, "params": request.params ?? {} }));
+		} catch (error) {
+			pending.delete(id);
+			clearTimeout(timer);
+			reply(client, { "version": NATIVE_BRIDGE_VERSION, id, "ok": false, "error": { "code": 'invalid_params', "message": error.message } });
+		}
+	};
+
+	process.stdin.on('data', (chunk) => {
+		let messages = [];
+		try {
+			messages = reader.push(chunk);
+		} catch (error) {
+			console.error('tabduke-host: Unreadable message from the extension:', error.message);
+			return;
+		}
+		for (const message of messages) {
+			const entry = pending.get(message.id);
+			if (!entry) continue;
+			pending.delete(message.id);
+			clearTimeout(entry.timer);
+			reply(entry.client, message);
+		}
+	});
+
+	// Half-open: a client ends its side after the last request and still reads the answers
+	const server = net.createServer({ "allowHalfOpen": true }, (socket) => {
+		const client = { socket, "unanswered": 0, "finished": false };
+		let input = '';
+		socket.setEncoding('utf8');
+		socket.on('error', () => {});
+		socket.on('data', (data) => {
+			input += data;
+			// Consume every complete line; a partial line waits for the next chunk
+			let newline = input.indexOf('\n');
+			while (newline !== -1) {
+				const line = input.slice(0, newline);
+				input = input.slice(newline + 1);
+				forward(client, line);
+				newline = input.indexOf('\n');
+			}
+		});
+		socket.on('end', () => {
+			// A last request without a trailing newline
+			if (input.trim()) {
+				forward(client, input);
+			}
+			input = '';
+			client.finished = true;
+			endIfDone(client);
+		});
+	});
+
+	const shutdown = () => {
+		server.close();
+		if (process.platform !== 'win32') {
+			fs.rmSync(socketPath, { "force": true });
+		}
+		process.exit(0);
+	};
+
+	// Chrome closes stdin when the extension disconnects or the browser exits
+	process.stdin.on('end', shutdown);
+	process.on('SIGTERM', shutdown);
+
+	if (process.platform !== 'win32') {
+		fs.mkdirSync(path.dirname(socketPath), { "recursive": true, "mode": 0o700 });
+		// A socket left by a host that did not exit cleanly
+		fs.rmSync(socketPath, { "force": true });
+	}
+	server.on('error', (error) => {
+		console.error(`tabduke-host: Cannot listen on ${socketPath}:`, error.message);
+		process.exit(1);
+	});
+	server.listen(socketPath, () => {
+		if (process.platform !== 'win32') {
+			fs.chmodSync(socketPath, 0o600);
+		}
+	});
+}
+
+/**
+ * Sends one command to the running host and prints the response.
+ * @param {string[]} args - Command-line arguments
+ */
+function runClient(args) {
+	let request = null;
+	try {
+		request = parseCommandLine(args);
+	} catch (error) {
+		console.error(error.message);
+		process.exit(2);
+	}
+
+	const socketPath = getSocketPath();
+	const socket = net.createConnection(socketPath, () => {
+		// Ending our side tells the host this is the only request
+		socket.end(`${JSON.stringify(request)}\n`);
+	});
+	let output = '';
+	socket.setEncoding('utf8');
+	socket.on('data', (data) => {
+		output += data;
+	});
+	socket.on('end', () => {
+		let response = null;
+		try {
+			response = JSON.parse(output);
+		} catch {
+			console.error('tabduke-host: The host sent an unreadable response');
+			process.exit(1);
+		}
+		console.log(JSON.stringify(response.ok ? response.result : response.error, null, 2));
+		process.exit(response.ok ? 0 : 1);
+	});
+	socket.on('error', (error) => {
+		console.error(`tabduke-host: Cannot reach the extension at ${socketPath} (${error.code || error.message}).`);
+		console.error('Check that Chrome is running and "Command-line Bridge" is on in the TabDuke options.');
+		process.exit(1);
+	});
+}
+
+const args = process.argv.slice(2);
+if (args[0]?.startsWith('chrome-extension://')) {
+	runHost();
+} else {
+	runClient(args);
+}
@@ -1,4 +1,50 @@
 import ChromeAPI from './src/utils/ChromeAPI.js';
+import TabArchive, { TAB_ARCHIVE_KEY } from './src/core/TabArchive.js';
+import BackgroundTabManager from './src/core/BackgroundTabManager.js';
+import JanitorRunLog, { JANITOR_RUN_LOG_KEY } from './src/core/JanitorRunLog.js';
+import {
+	planJanitorRun,
+	normalizeJanitorRules,
+	validateJanitorRule,
+	formatJanitorThreshold,
+	JANITOR_SETTINGS_KEYS,
+	JANITOR_RULE_UNITS,
+	MAX_JANITOR_RULES,
+	JANITOR_DEFAULT_DISCARD_HOURS,
+	getMaxDiscardHours,
+	TAB_ACTIVATION_HISTORY_KEY,
+	HOUR_MS,
+	DAY_MS
+} from './src/core/TabJanitor.js';
+import { PROTECTION_SETTINGS_KEYS, normalizeProtectionRules, parseAllowList } from './src/core/TabProtection.js';
+import { WINDOW_CAP_DEFAULT, WINDOW_CAP_MIN, WINDOW_CAP_MAX } from './src/core/WindowTabCap.js';
+import { normalizeUrlRules, URL_RULE_SETTINGS_KEYS } from './src/core/UrlCanonicalizer.js';
+import { findDuplicateGroups, selectDuplicatesToClose, countTabsByWindow, getLastActivated } from './src/core/DuplicateScanner.js';
+import { normalizeDedupePolicy, DEDUPE_POLICY_SETTINGS_KEYS, DEDUPE_EARLY_REDIRECT_KEY } from './src/core/DedupePolicy.js';
+import ActiveTimeClock, { TAB_ACTIVE_TIME_HISTORY_KEY } from './src/core/ActiveTimeClock.js';
+import { JANITOR_PENDING_KEY, normalizePendingState, getPendingStatus } from './src/core/JanitorPendingBatches.js';
+import { parseExtensionIdList, normalizeExternalApiSettings, EXTERNAL_API_SETTINGS_KEYS, EXTERNAL_API_ENABLED_KEY, EXTERNAL_API_ALLOW_LIST_KEY } from './src/core/ExternalApi.js';
+import { NATIVE_BRIDGE_ENABLED_KEY } from './src/core/NativeBridge.js';
+import {
+	getBadgeState,
+	normalizeBadgeThresholds,
+	normalizeInactiveDays,
+	getOpenedTodayCount,
+	BADGE_THRESHOLD_SETTINGS_KEYS,
+	BADGE_THRESHOLD_MAX,
+	BADGE_DISPLAY_MODES,
+	BADGE_INACTIVE_DAYS_KEY,
+	BADGE_INACTIVE_DAYS_MAX,
+	TABS_OPENED_TODAY_KEY
+} from './src/core/BadgeStatus.js';
+
+// Counts background.js stores for the badge - previews are built from the same values
+const BADGE_COUNT_KEYS = ["windowsCount", "allWindowsTabsCount", "discardedTabsCount", "inactiveTabsCount", "duplicateTabsCount", TABS_OPENED_TODAY_KEY, BADGE_INACTIVE_DAYS_KEY];
+
+const tabManager = new BackgroundTabManager();
+const tabArchive = new TabArchive(tabManager);
+const janitorRunLog = new JanitorRunLog(tabArchive);
+const activeTimeClock = new ActiveTimeClock();
 
 // Make ChromeAPI available globally for options-enhancements.js
 window.ChromeAPI = ChromeAPI;
@@ -38,9 +84,65 @@ async function restore_options () {
 	// restore options for tabDedupe
 	document.getElementById("tabDedupe").checked = Boolean(tabDedupe);
 
+	// Restore duplicate URL rules (stored as top-level keys, default on).
+	const urlRuleSettings = await ChromeAPI.getStorage(URL_RULE_SETTINGS_KEYS);
+	for (const key of URL_RULE_SETTINGS_KEYS) {
+		document.getElementById(key).checked = urlRuleSettings[key] !== false;
+	}
+
+	// Restore the dedupe policy.
+	const policy = normalizeDedupePolicy(await ChromeAPI.getStorage(DEDUPE_POLICY_SETTINGS_KEYS));
+	document.getElementById("dedupeScope").value = policy.scope;
+	document.getElementById("dedupeWinner").value = policy.winner;
+	document.getElementById("dedupeAutoResolve").checked = policy.autoResolve;
+	document.getElementById("dedupePromptAlwaysList").value = policy.promptAlways.join("\n");
+	document.getElementById("dedupeIgnoreList").value = policy.ignore.join("\n");
+	const { [DEDUPE_EARLY_REDIRECT_KEY]: dedupeEarlyRedirect } = await ChromeAPI.getStorage([DEDUPE_EARLY_REDIRECT_KEY]);
+	// It stays off while the webNavigation permission is missing.
+	document.getElementById(DEDUPE_EARLY_REDIRECT_KEY).checked = dedupeEarlyRedirect === true && Boolean(chrome.webNavigation);
+
 	// Restore tab janitor options.
 	document.getElementById("tabJanitor").checked = Boolean(tabJanitor);
 	document.getElementById("tabJanitorDays").value = tabJanitorDays || 5;
+
+	// Restore janitor action mode.
+	const { tabJanitorMode, tabJanitorDiscardHours } = await ChromeAPI.getStorage(["tabJanitorMode", "tabJanitorDiscardHours"]);
+	document.getElementById("tabJanitorMode").value = tabJanitorMode === "discard" ? "discard" : "close";
+	document.getElementById("tabJanitorDiscardHours").value = tabJanitorDiscardHours || JANITOR_DEFAULT_DISCARD_HOURS;
+	document.getElementById("tabJanitorDiscardHours").max = getMaxDiscardHours(tabJanitorDays || 5);
+	updateDiscardControls();
+
+	// Restore per-site janitor thresholds.
+	const { tabJanitorRules } = await ChromeAPI.getStorage(["tabJanitorRules"]);
+	renderJanitorRules(normalizeJanitorRules(tabJanitorRules));
+
+	// Restore tab janitor protection rules.
+	const rules = normalizeProtectionRules(await ChromeAPI.getStorage(PROTECTION_SETTINGS_KEYS));
+	document.getElementById("tabJanitorProtectPinned").checked = rules.protectPinned;
+	document.getElementById("tabJanitorProtectAudible").checked = rules.protectAudible;
+	document.getElementById("tabJanitorProtectGrouped").checked = rules.protectGrouped;
+	document.getElementById("tabJanitorAllowList").value = rules.allowList.join("\n");
+
+	// Restore the badge color thresholds and the inactive tabs threshold.
+	await restoreBadgeThresholds();
+	const inactiveDaysData = await ChromeAPI.getStorage([BADGE_INACTIVE_DAYS_KEY]);
+	document.getElementById(BADGE_INACTIVE_DAYS_KEY).value = normalizeInactiveDays(inactiveDaysData[BADGE_INACTIVE_DAYS_KEY]);
+
+	// Restore the tabs-per-window cap.
+	const { tabWindowCapEnabled, tabWindowCap, tabWindowCapAction } = await ChromeAPI.getStorage(["tabWindowCapEnabled", "tabWindowCap", "tabWindowCapAction"]);
+	document.getElementById("tabWindowCapEnabled").checked = Boolean(tabWindowCapEnabled);
+	document.getElementById("tabWindowCap").value = tabWindowCap || WINDOW_CAP_DEFAULT;
+	document.getElementById("tabWindowCapAction").value = tabWindowCapAction === "discard" ? "discard" : "close";
+
+	// Restore the extension API allow-list.
+	const externalApi = normalizeExternalApiSettings(await ChromeAPI.getStorage(EXTERNAL_API_SETTINGS_KEYS));
+	document.getElementById(EXTERNAL_API_ENABLED_KEY).checked = externalApi.enabled;
+	document.getElementById(EXTERNAL_API_ALLOW_LIST_KEY).value = externalApi.allowList.join("\n");
+	document.getElementById("externalApiOwnId").textContent = chrome.runtime.id;
+
+	// Restore the command-line bridge; it stays off while the permission is missing.
+	const { [NATIVE_BRIDGE_ENABLED_KEY]: nativeBridgeEnabled } = await ChromeAPI.getStorage([NATIVE_BRIDGE_ENABLED_KEY]);
+	document.getElementById(NATIVE_BRIDGE_ENABLED_KEY).checked = nativeBridgeEnabled === true && Boolean(chrome.runtime.connectNative);
 }
 
 document.addEventListener("DOMContentLoaded", () => {
@@ -54,10 +156,72 @@ document.addEventListener("DOMContentLoaded", () => {
 		radio.addEventListener("click", async () => { return await save_options("badgeDisplayOption", radio.value); });
 	}
 
+	// Add event listeners for the badge color thresholds.
+	for (const key of BADGE_THRESHOLD_SETTINGS_KEYS) {
+		document.getElementById(key).addEventListener("change", saveBadgeThresholds);
+	}
+	document.getElementById(BADGE_INACTIVE_DAYS_KEY).addEventListener("change", () => {
+		const input = document.getElementById(BADGE_INACTIVE_DAYS_KEY);
+		let value = input.valueAsNumber;
+
+		// Validate and clamp the value (1-365 days)
+		if (isNaN(value) || value < 1) {
+			value = 1;
+		} else if (value > BADGE_INACTIVE_DAYS_MAX) {
+			value = BADGE_INACTIVE_DAYS_MAX;
+		}
+		value = Math.floor(value);
+
+		if (input.valueAsNumber !== value) {
+			input.value = value;
+		}
+
+		save_options(BADGE_INACTIVE_DAYS_KEY, value);
+	});
+	// Background recounts on tab events - keep the previews live
+	chrome.storage.onChanged.addListener((changes, namespace) => {
+		if (namespace === "local" && [...BADGE_COUNT_KEYS, ...BADGE_THRESHOLD_SETTINGS_KEYS].some((key) => { return key in changes; })) {
+			updateBadgePreviews();
+		}
+	});
+
 	// Add event listener for tabDedupe checkbox.
 	const checkbox = document.getElementById("tabDedupe");
 	checkbox.addEventListener("click", async () => { return await save_options("tabDedupe", checkbox.checked); });
 
+	// Add event listeners for duplicate URL rules.
+	for (const key of URL_RULE_SETTINGS_KEYS) {
+		const ruleCheckbox = document.getElementById(key);
+		ruleCheckbox.addEventListener("click", async () => { return await save_options(key, ruleCheckbox.checked); });
+	}
+
+	// Add event listeners for the dedupe policy.
+	for (const key of ["dedupeScope", "dedupeWinner"]) {
+		const policySelect = document.getElementById(key);
+		policySelect.addEventListener("change", async () => { return await save_options(key, policySelect.value); });
+	}
+	const autoResolveCheckbox = document.getElementById("dedupeAutoResolve");
+	autoResolveCheckbox.addEventListener("click", async () => { return await save_options("dedupeAutoResolve", autoResolveCheckbox.checked); });
+	const earlyRedirectCheckbox = document.getElementById(DEDUPE_EARLY_REDIRECT_KEY);
+	// The webNavigation permission is requested on the click itself
+	earlyRedirectCheckbox.addEventListener("click", async () => {
+		if (earlyRedirectCheckbox.checked && !(await ChromeAPI.requestPermissions(["webNavigation"]))) {
+			earlyRedirectCheckbox.checked = false;
+			showToast("Redirecting before the page loads needs the web navigation permission", "error");
+			return;
+		}
+		await save_options(DEDUPE_EARLY_REDIRECT_KEY, earlyRedirectCheckbox.checked);
+	});
+	document.getElementById("dedupePromptAlwaysList").addEventListener("change", () => { return savePatternList("dedupePromptAlwaysList", "Prompt-always list"); });
+	document.getElementById("dedupeIgnoreList").addEventListener("change", () => { return savePatternList("dedupeIgnoreList", "Ignore list"); });
+	// Sites are also added from the duplicate notification - show them unless the list is being edited
+	chrome.storage.onChanged.addListener((changes, namespace) => {
+		const ignoreList = document.getElementById("dedupeIgnoreList");
+		if (namespace === "local" && "dedupeIgnoreList" in changes && document.activeElement !== ignoreList) {
+			ignoreList.value = normalizeDedupePolicy({ "dedupeIgnoreList": changes.dedupeIgnoreList.newValue }).ignore.join("\n");
+		}
+	});
+
 	// Add event listener for tabJanitor checkbox.
 	const janitorCheckbox = document.getElementById("tabJanitor");
 	janitorCheckbox.addEventListener("click", async () => { return await save_options("tabJanitor", janitorCheckbox.checked); });
@@ -80,6 +244,74 @@ document.addEventListener("DOMContentLoaded", () => {
 		}
 
 		save_options("tabJanitorDays", value);
+		// A shorter close threshold can leave the discard threshold at or past it
+		clampDiscardHours();
+	});
+
+	// Add event listeners for janitor action mode.
+	const modeSelect = document.getElementById("tabJanitorMode");
+	modeSelect.addEventListener("change", async () => {
+		updateDiscardControls();
+		await save_options("tabJanitorMode", modeSelect.value);
+	});
+	document.getElementById("tabJanitorDiscardHours").addEventListener("input", clampDiscardHours);
+
+	// Add event listeners for per-site janitor thresholds.
+	const rulesTable = document.getElementById("janitorRulesTable");
+	rulesTable.addEventListener("change", saveJanitorRules);
+	document.getElementById("addJanitorRuleButton").addEventListener("click", () => {
+		if (rulesTable.querySelectorAll("tr.janitor-rule-row").length >= MAX_JANITOR_RULES) {
+			showToast(`At most ${MAX_JANITOR_RULES} rules are allowed`, "error");
+			return;
+		}
+		appendJanitorRuleRow({ "pattern": "", "value": 4, "unit": "hours" }).querySelector("input").focus();
+	});
+
+	// Add event listeners for tab janitor protection rules.
+	for (const key of ["tabJanitorProtectPinned", "tabJanitorProtectAudible", "tabJanitorProtectGrouped"]) {
+		const protectCheckbox = document.getElementById(key);
+		protectCheckbox.addEventListener("click", async () => { return await save_options(key, protectCheckbox.checked); });
+	}
+	document.getElementById("tabJanitorAllowList").addEventListener("change", () => { return savePatternList("tabJanitorAllowList", "Allow-list"); });
+
+	// Add event listeners for the tabs-per-window cap.
+	const capCheckbox = document.getElementById("tabWindowCapEnabled");
+	capCheckbox.addEventListener("click", async () => { return await save_options("tabWindowCapEnabled", capCheckbox.checked); });
+	document.getElementById("tabWindowCap").addEventListener("change", () => {
+		const input = document.getElementById("tabWindowCap");
+		let value = input.valueAsNumber;
+
+		// Validate and clamp the value (2-500 tabs)
+		if (isNaN(value) || value < WINDOW_CAP_MIN) {
+			value = WINDOW_CAP_MIN;
+		} else if (value > WINDOW_CAP_MAX) {
+			value = WINDOW_CAP_MAX;
+		}
+		value = Math.floor(value);
+
+		if (input.valueAsNumber !== value) {
+			input.value = value;
+		}
+
+		save_options("tabWindowCap", value);
+	});
+	const capActionSelect = document.getElementById("tabWindowCapAction");
+	capActionSelect.addEventListener("change", async () => { return await save_options("tabWindowCapAction", capActionSelect.value); });
+
+	// Add event listeners for the extension API.
+	const externalApiCheckbox = document.getElementById(EXTERNAL_API_ENABLED_KEY);
+	externalApiCheckbox.addEventListener("click", async () => { return await save_options(EXTERNAL_API_ENABLED_KEY, externalApiCheckbox.checked); });
+	document.getElementById(EXTERNAL_API_ALLOW_LIST_KEY).addEventListener("change", saveExtensionIdList);
+
+	// Add event listener for the command-line bridge - the permission is requested on the click itself
+	const nativeBridgeCheckbox = document.getElementById(NATIVE_BRIDGE_ENABLED_KEY);
+	nativeBridgeCheckbox.addEventListener("click", async () => {
+		if (nativeBridgeCheckbox.checked && !(await ChromeAPI.requestPermissions(["nativeMessaging"]))) {
+			nativeBridgeCheckbox.checked = false;
+			showToast("The command-line bridge needs the native messaging permission", "error");
+			return;
+		}
+		await save_options(NATIVE_BRIDGE_ENABLED_KEY, nativeBridgeCheckbox.checked);
 	});
 
 	document.getElementById("refreshButton").addEventListener("click", async () => {
@@ -87,6 +319,11 @@ document.addEventListener("DOMContentLoaded", () => {
 		await populateFeedbackTemplate(); // Also refresh the feedback template data
 	});
 
+	// Auto-close dry-run preview, run log and archived tabs view
+	initializeJanitorPreview();
+	initializeJanitorRuns();
+	initializeArchivedTabs();
+
 	// Initialize counts and feedback template
 	updateCounts();
 	setTimeout(populateFeedbackTemplate, 100); // Small delay to ensure storage data is loaded
@@ -104,183 +341,174 @@ document.addEventListener("DOMContentLoaded", () => {
 	// FIXED: Move duplicate scan event listeners inside DOMContentLoaded
 	// "auto-select" button
 	document.getElementById("autoSelectButton").addEventListener("click", () => {
-		const table = document.getElementById("duplicateTabsTable");
-		if (!table) return; // No table exists yet
+		if (!duplicateScan) return; // Nothing scanned yet
 
-		const checkboxes = Array.from(table.querySelectorAll("input[type='checkbox']"));
-		const urlCheckboxMap = new Map();
-
-		for (let checkbox of checkboxes) {
-			const url = checkbox.parentElement.parentElement.title;
-			if (!urlCheckboxMap.has(url)) {
-				urlCheckboxMap.set(url, []);
-			}
-			urlCheckboxMap.get(url).push(checkbox);
-		}
+		const strategy = document.getElementById("duplicateKeepStrategy").value;
+		const toClose = new Set(selectDuplicatesToClose(duplicateScan.groups, strategy, duplicateScan));
 
-		for (let [url, urlCheckboxes] of urlCheckboxMap) {
-			if (urlCheckboxes.length > 1) {
-				for (let i = 1; i < urlCheckboxes.length; i++) {
-					urlCheckboxes[i].checked = true;
-				}
-			}
+		for (const checkbox of document.querySelectorAll("#duplicateGroups input[type='checkbox']")) {
+			checkbox.checked = toClose.has(parseInt(checkbox.value));
 		}
 	});
 
 	// "bulk close" button
 	document.getElementById("bulkCloseButton").addEventListener("click", async () => {
-		const table = document.getElementById("duplicateTabsTable");
-		if (!table) return; // No table exists yet
-
-		const checkboxes = table.querySelectorAll("input[type='checkbox']");
-		for (let checkbox of checkboxes) {
-			if (checkbox.checked) {
-				const success = await ChromeAPI.removeTabs(parseInt(checkbox.value));
-				if (success) {
-					checkbox.parentElement.parentElement.remove(); // Remove the row from the table
-				} else {
-					console.error('TabDuke: Failed to close tab:', checkbox.value);
-				}
-			}
+		const checkboxes = document.querySelectorAll("#duplicateGroups input[type='checkbox']");
+		if (checkboxes.length === 0) return; // Nothing scanned yet
+
+		// The user picked these tabs themselves - only the allow-list keeps any of them open
+		const checkedIds = Array.from(checkboxes).filter((checkbox) => { return checkbox.checked; }).map((checkbox) => { return parseInt(checkbox.value); });
+		const { allowed, protectedIds } = await tabManager.filterProtectedTabs(checkedIds, { "allowListOnly": true });
+		if (protectedIds.length > 0) {
+			showToast(`Kept ${protectedIds.length} allow-listed tab(s) open`, "info");
 		}
 
-		const existingTable = document.getElementById("duplicateTabsTable");
-		if (existingTable) {
-			existingTable.remove();
+		if (allowed.length > 0) {
+			// Runs in the service worker - leaving this page does not stop it
+			const results = await tabManager.closeTabs(allowed, {
+				"onProgress": ({ done, total }) => { showToast(`Closing tabs... ${done}/${total}`, "info"); }
+			});
+			if (results.failed.length > 0) {
+				console.error('TabDuke: Failed to close tabs:', results.failed);
+			}
 		}
+
+		// Groups change once tabs are gone - scan again
+		await scanDuplicateTabs();
 	});
 
 	// find duplicate tabs
-	document.getElementById("scanDuplicateTabsButton").addEventListener("click", async () => {
-		const tabs = await ChromeAPI.queryTabs({});
-		const windows = await ChromeAPI.getAllWindows();
-		const urlTabMap = new Map();
-
-		for (let tab of tabs) {
-			if (!urlTabMap.has(tab.url)) {
-				urlTabMap.set(tab.url, []);
-			}
-			urlTabMap.get(tab.url).push(tab);
-		}
-
-		// Remove the table if it already exists
-		const existingTable = document.getElementById("duplicateTabsTable");
-		if (existingTable) {
-			existingTable.remove();
-		}
+	document.getElementById("scanDuplicateTabsButton").addEventListener("click", scanDuplicateTabs);
+});
 
-		// Create a table to display the duplicate tabs
-		const table = document.createElement("table");
-		table.id = "duplicateTabsTable";
-		// SECURITY: Use safe DOM creation instead of innerHTML to prevent XSS
-		const headerRow = document.createElement("tr");
-
-		const headers = ["", "Favicon", "Title", "Window Index", "Action"];
-		headers.forEach(headerText => {
-			const th = document.createElement("th");
-			th.textContent = headerText;
-			headerRow.appendChild(th);
-		});
+// Last duplicate scan, used by auto-select
+let duplicateScan = null;
+
+// Scan open tabs and render one collapsible group per duplicate set
+async function scanDuplicateTabs () {
+	const [tabs, windows, stored] = await Promise.all([
+		ChromeAPI.queryTabs({}),
+		ChromeAPI.getAllWindows(),
+		ChromeAPI.getStorage([...URL_RULE_SETTINGS_KEYS, ...DEDUPE_POLICY_SETTINGS_KEYS, TAB_ACTIVATION_HISTORY_KEY])
+	]);
+
+	// SHARED: Same duplicate groups as background duplicate detection and the badge
+	const mode = document.getElementById("duplicateScanMode").value;
+	const groups = findDuplicateGroups({ tabs, "urlRules": normalizeUrlRules(stored), "dedupePolicy": normalizeDedupePolicy(stored), mode });
+	duplicateScan = {
+		groups,
+		"history": stored[TAB_ACTIVATION_HISTORY_KEY] || {},
+		"windowTabCounts": countTabsByWindow(tabs)
+	};
+
+	// Windows are numbered in the order Chrome lists them
+	const windowNumbers = new Map(windows.map((window, index) => { return [window.id, index + 1]; }));
+
+	const duplicateContainer = document.getElementById("duplicateResultsContainer");
+	const groupsContainer = document.getElementById("duplicateGroups");
+	duplicateContainer.classList.remove("hidden");
+	groupsContainer.textContent = "";
+
+	const tabCount = groups.reduce((total, group) => { return total + group.tabs.length; }, 0);
+	document.getElementById("duplicateScanSummary").textContent = groups.length === 0
+		? (mode === "near" ? "No tabs share a title with different query strings" : "No duplicate tabs found")
+		: `${groups.length} group(s), ${tabCount} tabs`;
+
+	for (const group of groups) {
+		groupsContainer.appendChild(renderDuplicateGroup(group, windowNumbers));
+	}
+}
 
-		table.appendChild(headerRow);
-
-		for (let [url, tabs] of urlTabMap) {
-			if (tabs.length > 1) {
-				for (let tab of tabs) {
-					const row = document.createElement("tr");
-
-					// Add checkbox
-					const checkboxCell = document.createElement("td");
-					const checkbox = document.createElement("input");
-					checkbox.type = "checkbox";
-					checkbox.value = tab.id;
-					checkboxCell.appendChild(checkbox);
-					row.appendChild(checkboxCell);
-
-					// Add favicon
-					const faviconCell = document.createElement("td");
-					const favicon = document.createElement("img");
-					// Set consistent sizing like TabRenderer
-					favicon.setAttribute("width", "16");
-					favicon.setAttribute("height", "16");
-					favicon.setAttribute("alt", "favicon");
-					favicon.style.minWidth = "16px";
-					favicon.style.minHeight = "16px";
-					favicon.style.maxWidth = "16px";
-					favicon.style.maxHeight = "16px";
-					favicon.style.objectFit = "contain";
-
-					// SECURITY: Use centralized favicon validator for consistency with TabRenderer
-					if (window.isSafeFaviconUrlGlobal && window.isSafeFaviconUrlGlobal(tab.favIconUrl)) {
-						favicon.src = tab.favIconUrl;
-					} else {
-						// Use default icon for invalid or missing favicons
-						favicon.src = window.getDefaultFaviconUrlGlobal ? window.getDefaultFaviconUrlGlobal() : 'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMTYiIGhlaWdodD0iMTYiIHZpZXdCb3g9IjAgMCAxNiAxNiIgZmlsbD0ibm9uZSIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj4KPHJlY3Qgd2lkdGg9IjE2IiBoZWlnaHQ9IjE2IiBmaWxsPSIjRkZGIi8+Cjx0ZXh0IHg9IjgiIHk9IjEyIiB0ZXh0LWFuY2hvcj0ibWlkZGxlIiBmb250LWZhbWlseT0ic2Fucy1zZXJpZiIgZm9udC1zaXplPSIxMiIgZmlsbD0iIzk5OSI+8J+MkDwvdGV4dD4KPHN2Zz4K';
-					}
-
-					// Handle broken favicon images gracefully
-					favicon.addEventListener('error', function() {
-						this.style.visibility = 'hidden';
-					});
-
-					faviconCell.appendChild(favicon);
-					row.appendChild(faviconCell);
-
-					// Add title
-					const titleCell = document.createElement("td");
-					titleCell.textContent = tab.title;
-					row.appendChild(titleCell);
-
-					// Add window index
-					const windowIndexCell = document.createElement("td");
-					const windowIndex = windows.findIndex((window) => { return window.id === tab.windowId; });
-					windowIndexCell.textContent = windowIndex;
-					row.appendChild(windowIndexCell);
-
-					// Add close button
-					const actionCell = document.createElement("td");
-					const closeButton = document.createElement("button");
-					closeButton.textContent = "Close Tab";
-					closeButton.addEventListener("click", async () => {
-						const success = await ChromeAPI.removeTabs(tab.id);
-						if (success) {
-							row.remove(); // Remove the row from the table
-						} else {
-							console.error('TabDuke: Failed to close tab:', tab.id);
-						}
-					});
-					actionCell.appendChild(closeButton);
-					row.appendChild(actionCell);
-
-					// Set the title attribute to the tab's URL
-					row.title = tab.url;
-
-					// Add a click event listener to switch to the tab
-					row.addEventListener("dblclick", async () => {
-						await ChromeAPI.updateTab(tab.id, { "active": true });
-						await ChromeAPI.focusWindow(tab.windowId);
-					});
-
-					table.appendChild(row);
-				}
+// SECURITY: Use safe DOM creation instead of innerHTML to prevent XSS
+function renderDuplicateGroup (group, windowNumbers) {
+	const { history } = duplicateScan;
+	const details = document.createElement("details");
+	details.className = "duplicate-group";
+	details.open = true;
+	details.dataset.groupKey = group.key;
+
+	const lastUsed = Math.max(...group.tabs.map((tab) => { return getLastActivated(tab, history) ?? 0; }));
+	const windowLabels = group.windowIds.map((windowId) => { return windowNumbers.get(windowId) ?? "?"; });
+
+	const summary = document.createElement("summary");
+	const count = document.createElement("span");
+	count.className = "duplicate-group-count";
+	count.textContent = `×${group.tabs.length}`;
+	const title = document.createElement("span");
+	title.className = "duplicate-group-title";
+	title.textContent = group.title || group.url;
+	title.title = group.url;
+	const meta = document.createElement("span");
+	meta.className = "duplicate-group-meta";
+	meta.textContent = `${windowLabels.length > 1 ? "Windows" : "Window"} ${windowLabels.join(", ")}`
+		+ (lastUsed > 0 ? ` · last used ${new Date(lastUsed).toLocaleString()}` : "");
+	summary.append(count, title, meta);
+	details.appendChild(summary);
+
+	const table = document.createElement("table");
+	table.className = "duplicate-table";
+	const headerRow = document.createElement("tr");
+	["", "", "Title", "Window", "Last Active", "Action"].forEach((headerText) => {
+		const th = document.createElement("th");
+		th.textContent = headerText;
+		headerRow.appendChild(th);
+	});
+	table.appendChild(headerRow);
+
+	for (const tab of group.tabs) {
+		const row = document.createElement("tr");
+		// Set the title attribute to the tab's URL
+		row.title = tab.url;
+
+		const checkboxCell = document.createElement("td");
+		const checkbox = document.createElement("input");
+		checkbox.type = "checkbox";
+		checkbox.value = tab.id;
+		checkboxCell.appendChild(checkbox);
+		row.appendChild(checkboxCell);
+
+		const faviconCell = document.createElement("td");
+		faviconCell.appendChild(createFaviconImage(tab.favIconUrl));
+		row.appendChild(faviconCell);
+
+		const titleCell = document.createElement("td");
+		titleCell.textContent = tab.title;
+		row.appendChild(titleCell);
+
+		const windowCell = document.createElement("td");
+		windowCell.textContent = windowNumbers.get(tab.windowId) ?? "-";
+		row.appendChild(windowCell);
+
+		const lastActivated = getLastActivated(tab, history);
+		const lastActiveCell = document.createElement("td");
+		lastActiveCell.textContent = lastActivated ? new Date(lastActivated).toLocaleString() : "-";
+		row.appendChild(lastActiveCell);
+
+		const actionCell = document.createElement("td");
+		const closeButton = document.createElement("button");
+		closeButton.textContent = "Close Tab";
+		closeButton.addEventListener("click", async () => {
+			const success = await tabManager.closeTab(tab.id);
+			if (success) {
+				row.remove(); // Remove the row from the table
+			} else {
+				console.error('TabDuke: Failed to close tab:', tab.id);
 			}
-		}
-
-		// Append the table to the dedicated duplicate results container
-		const duplicateContainer = document.getElementById("duplicateResultsContainer");
-		duplicateContainer.classList.remove("hidden");
+		});
+		actionCell.appendChild(closeButton);
+		row.appendChild(actionCell);
 
-		// Clear any existing results first
-		const existingResults = duplicateContainer.querySelector("table");
-		if (existingResults) {
-			existingResults.remove();
-		}
+		// Add a click event listener to switch to the tab
+		row.addEventListener("dblclick", async () => {
+			await tabManager.switchToTab(tab.id, tab.windowId);
+		});
 
-		// Table styling handled by CSS #duplicateTabsTable selector
+		table.appendChild(row);
+	}
 
-		duplicateContainer.appendChild(table);
-	});
-});
+	details.appendChild(table);
+	return details;
+}
 
 // REUSE: Use the same proven logic as background.js for consistent tab counting
 async function updateCounts () {
@@ -316,31 +544,646 @@ async function updateCounts () {
 
 // set icon text on badge
 async function updateBadgeText () {
-	// PERFORMANCE: Single storage call instead of two separate calls
-	const data = await ChromeAPI.getStorage(["badgeDisplayOption", "windowsCount", "allWindowsTabsCount"]);
-	const { badgeDisplayOption, windowsCount, allWindowsTabsCount } = data;
-	if (!badgeDisplayOption || badgeDisplayOption === "allWindows") {
-		// show the tabs count in all windows
-		await ChromeAPI.setBadgeText(String(allWindowsTabsCount));
-		await updateBadgeTitle(allWindowsTabsCount);
-	} else if (badgeDisplayOption === "currentWindow") {
-		// show the tabs count in current window
-		let currentWindowTabs = await ChromeAPI.queryTabs({ "currentWindow": true });
-		await ChromeAPI.setBadgeText(String(currentWindowTabs.length));
-		await updateBadgeTitle(currentWindowTabs.length);
-	} else if (badgeDisplayOption === "windowsCount") {
-		// show the windows count
-		await ChromeAPI.setBadgeText(String(windowsCount));
-		await updateBadgeTitle(windowsCount);
-	}
+	// PERFORMANCE: Single storage call instead of separate calls
+	const data = await ChromeAPI.getStorage(["badgeDisplayOption", ...BADGE_COUNT_KEYS, ...BADGE_THRESHOLD_SETTINGS_KEYS]);
+	const badge = await getStoredBadgeState(data, data.badgeDisplayOption);
+	await ChromeAPI.setBadgeText(badge.text);
+	await ChromeAPI.setBadgeBackgroundColor(badge.color);
+	await updateBadgeTitle(badge);
 }
 
 // set icon's tooltip
-async function updateBadgeTitle (count) {
-	const iconTitle = `You have ${count} open tab(s)/window(s).`;
-	await ChromeAPI.setBadgeTitle(iconTitle);
+async function updateBadgeTitle (badge) {
+	await ChromeAPI.setBadgeTitle(badge.title);
 }
 
+// SHARED: Same badge text, color and tooltip as background.js, from the counts it stores
+async function getStoredBadgeState (data, mode) {
+	// show the tabs count in current window
+	const currentWindowTabs = mode === "currentWindow" ? await ChromeAPI.queryTabs({ "currentWindow": true }) : [];
+	return getBadgeState({
+		mode,
+		"counts": {
+			"allWindowsTabs": data.allWindowsTabsCount || 0,
+			"currentWindowTabs": currentWindowTabs.length,
+			"windows": data.windowsCount || 0,
+			"discarded": data.discardedTabsCount || 0,
+			"inactive": data.inactiveTabsCount || 0,
+			"inactiveDays": normalizeInactiveDays(data[BADGE_INACTIVE_DAYS_KEY]),
+			"duplicates": data.duplicateTabsCount || 0,
+			"openedToday": getOpenedTodayCount(data[TABS_OPENED_TODAY_KEY])
+		},
+		"thresholds": normalizeBadgeThresholds(data)
+	});
+}
+
+// Save the badge color thresholds - the red level must stay above the amber level
+async function saveBadgeThresholds () {
+	const values = {};
+	for (const key of BADGE_THRESHOLD_SETTINGS_KEYS) {
+		values[key] = document.getElementById(key).valueAsNumber;
+	}
+
+	const thresholds = normalizeBadgeThresholds(values);
+	const normalized = {
+		"badgeTabWarnAt": thresholds.tabs.warnAt,
+		"badgeTabAlertAt": thresholds.tabs.alertAt,
+		"badgeWindowWarnAt": thresholds.windows.warnAt,
+		"badgeWindowAlertAt": thresholds.windows.alertAt
+	};
+	if (BADGE_THRESHOLD_SETTINGS_KEYS.some((key) => { return normalized[key] !== values[key]; })) {
+		showToast(`Red must start above amber, with whole numbers from 1 to ${BADGE_THRESHOLD_MAX}`, "error");
+		await restoreBadgeThresholds();
+		return;
+	}
+
+	await ChromeAPI.setStorage(normalized);
+	await updateBadgeText();
+	await updateBadgePreviews();
+}
+
+async function restoreBadgeThresholds () {
+	const thresholds = normalizeBadgeThresholds(await ChromeAPI.getStorage(BADGE_THRESHOLD_SETTINGS_KEYS));
+	document.getElementById("badgeTabWarnAt").value = thresholds.tabs.warnAt;
+	document.getElementById("badgeTabAlertAt").value = thresholds.tabs.alertAt;
+	document.getElementById("badgeWindowWarnAt").value = thresholds.windows.warnAt;
+	document.getElementById("badgeWindowAlertAt").value = thresholds.windows.alertAt;
+}
+
+// Discard threshold only applies in discard mode
+function updateDiscardControls () {
+	const discardMode = document.getElementById("tabJanitorMode").value === "discard";
+	document.querySelectorAll(".discard-only").forEach((element) => {
+		element.classList.toggle("hidden", !discardMode);
+	});
+}
+
+// Validate the discard threshold (1 hour up to just below the close threshold) and save it
+function clampDiscardHours () {
+	const input = document.getElementById("tabJanitorDiscardHours");
+	const maxHours = getMaxDiscardHours(document.getElementById("tabJanitorDays").valueAsNumber || 1);
+	let value = input.valueAsNumber;
+	input.max = maxHours;
+
+	if (isNaN(value) || value < 1) {
+		value = 1;
+	} else if (value > maxHours) {
+		value = maxHours;
+		// Discarding at or after the close threshold would never discard anything
+		if (document.getElementById("tabJanitorMode").value === "discard") {
+			showToast(`Tabs must be discarded before they are closed - discarding after ${maxHours} hours`, "info");
+		}
+	}
+
+	if (input.valueAsNumber !== value) {
+		input.value = value;
+	}
+
+	save_options("tabJanitorDiscardHours", value);
+}
+
+// ===== AUTO-CLOSE THRESHOLD RULES =====
+
+// Render the per-site threshold table from validated rules
+function renderJanitorRules (rules) {
+	const table = document.getElementById("janitorRulesTable");
+	table.textContent = "";
+
+	const headerRow = document.createElement("tr");
+	["Pattern", "Close after", "Unit", ""].forEach((headerText) => {
+		const th = document.createElement("th");
+		th.textContent = headerText;
+		headerRow.appendChild(th);
+	});
+	table.appendChild(headerRow);
+
+	rules.forEach((rule) => { appendJanitorRuleRow(rule); });
+}
+
+function appendJanitorRuleRow (rule) {
+	const table = document.getElementById("janitorRulesTable");
+	const row = document.createElement("tr");
+	row.className = "janitor-rule-row";
+
+	const patternCell = document.createElement("td");
+	const patternInput = document.createElement("input");
+	patternInput.type = "text";
+	patternInput.className = "input-classic focus-classic";
+	patternInput.placeholder = "ci-dashboard.example";
+	patternInput.value = rule.pattern;
+	patternInput.spellcheck = false;
+	patternInput.setAttribute("aria-label", "URL or domain pattern");
+	patternCell.appendChild(patternInput);
+	row.appendChild(patternCell);
+
+	const valueCell = document.createElement("td");
+	const valueInput = document.createElement("input");
+	valueInput.type = "number";
+	valueInput.min = "1";
+	valueInput.className = "input-classic focus-classic";
+	valueInput.value = rule.value;
+	valueInput.setAttribute("aria-label", "Inactivity threshold");
+	valueCell.appendChild(valueInput);
+	row.appendChild(valueCell);
+
+	const unitCell = document.createElement("td");
+	const unitSelect = document.createElement("select");
+	unitSelect.className = "input-classic focus-classic";
+	unitSelect.setAttribute("aria-label", "Threshold unit");
+	JANITOR_RULE_UNITS.forEach((unit) => {
+		const option = document.createElement("option");
+		option.value = unit;
+		option.textContent = unit;
+		unitSelect.appendChild(option);
+	});
+	unitSelect.value = rule.unit;
+	unitCell.appendChild(unitSelect);
+	row.appendChild(unitCell);
+
+	const actionCell = document.createElement("td");
+	const removeButton = document.createElement("button");
+	removeButton.type = "button";
+	removeButton.className = "btn-secondary-classic focus-classic";
+	removeButton.textContent = "Remove";
+	removeButton.addEventListener("click", async () => {
+		row.remove();
+		table.classList.toggle("hidden", !table.querySelector("tr.janitor-rule-row"));
+		await saveJanitorRules();
+	});
+	actionCell.appendChild(removeButton);
+	row.appendChild(actionCell);
+
+	table.appendChild(row);
+	table.classList.remove("hidden");
+	return row;
+}
+
+// Validate every row and save the table only when all rules are valid
+async function saveJanitorRules () {
+	const table = document.getElementById("janitorRulesTable");
+	const errorOutput = document.getElementById("janitorRulesErrors");
+	const rules = [];
+	const errors = [];
+
+	table.querySelectorAll("tr.janitor-rule-row").forEach((row, index) => {
+		const [patternInput, valueInput] = row.querySelectorAll("input");
+		const unitSelect = row.querySelector("select");
+
+		// Rows without a pattern are still being typed - neither saved nor reported
+		if (!patternInput.value.trim()) return;
+
+		const result = validateJanitorRule({ "pattern": patternInput.value, "value": valueInput.value, "unit": unitSelect.value });
+		patternInput.setAttribute("aria-invalid", String(!result.valid));
+		if (result.valid) {
+			rules.push(result.rule);
+		} else {
+			errors.push(`Rule ${index + 1}: ${result.error}`);
+		}
+	});
+
+	errorOutput.textContent = errors.join("\n");
+	errorOutput.classList.toggle("hidden", errors.length === 0);
+
+	if (errors.length > 0) {
+		showToast("Thresholds not saved - fix the highlighted rules", "error");
+		return;
+	}
+
+	await save_options("tabJanitorRules", rules);
+}
+
+// Shows the per-line errors of a list textarea next to it
+function showListErrors (textarea, errors) {
+	const errorOutput = document.getElementById(`${textarea.id}Errors`);
+	errorOutput.textContent = errors
+		.map(({ line, pattern, error }) => { return line > 0 ? `Line ${line} "${pattern}": ${error}` : error; })
+		.join("\n");
+	errorOutput.classList.toggle("hidden", errors.length === 0);
+	textarea.setAttribute("aria-invalid", String(errors.length > 0));
+}
+
+// Validate the allow-list textarea and save it only when every line is a valid pattern
+// Validates and saves a URL pattern textarea (janitor allow-list, dedupe prompt-always list)
+async function savePatternList (key, listName) {
+	const textarea = document.getElementById(key);
+	const { patterns, errors } = parseAllowList(textarea.value);
+	showListErrors(textarea, errors);
+
+	if (errors.length > 0) {
+		showToast(`${listName} not saved - fix the highlighted patterns`, "error");
+		return;
+	}
+
+	textarea.value = patterns.join("\n");
+	await save_options(key, patterns);
+}
+
+// Validates and saves the extension IDs allowed to use the extension API
+async function saveExtensionIdList () {
+	const textarea = document.getElementById(EXTERNAL_API_ALLOW_LIST_KEY);
+	const { ids, errors } = parseExtensionIdList(textarea.value);
+	showListErrors(textarea, errors);
+
+	if (errors.length > 0) {
+		showToast("Extensions not saved - fix the highlighted IDs", "error");
+		return;
+	}
+
+	textarea.value = ids.join("\n");
+	await save_options(EXTERNAL_API_ALLOW_LIST_KEY, ids);
+}
+
+// ===== AUTO-CLOSE PREVIEW =====
+
+const PROTECTION_REASON_LABELS = {
+	"pinned": "Pinned",
+	"audible": "Playing audio",
+	"grouped": "In a tab group",
+	"allowList": "Allow-listed"
+};
+
+// Dry-run of the next janitor run, using the same planner as background.js
+function initializeJanitorPreview () {
+	const section = document.getElementById("janitorPreviewSection");
+
+	const openPreview = async () => {
+		section.classList.remove("hidden");
+		await renderJanitorPreview();
+		section.scrollIntoView({ "behavior": "smooth", "block": "start" });
+	};
+	document.getElementById("janitorPreviewButton").addEventListener("click", openPreview);
+
+	// "Review" on the janitor's pre-close warning links straight to the preview
+	if (window.location.hash === "#janitorPreview") {
+		openPreview();
+	}
+
+	document.getElementById("janitorPreviewRefreshButton").addEventListener("click", async () => {
+		await renderJanitorPreview();
+	});
+
+	// Threshold or exemption changes alter the plan - keep an open preview in sync
+	chrome.storage.onChanged.addListener((changes, namespace) => {
+		if (namespace !== "local" || section.classList.contains("hidden")) return;
+		if (JANITOR_PENDING_KEY in changes || JANITOR_SETTINGS_KEYS.some((key) => { return key in changes; })) {
+			renderJanitorPreview();
+		}
+	});
+}
+
+async function renderJanitorPreview () {
+	const [tabs, windows, stored, activeNow] = await Promise.all([
+		ChromeAPI.queryTabs({}),
+		ChromeAPI.getAllWindows(),
+		ChromeAPI.getStorage([...JANITOR_SETTINGS_KEYS, TAB_ACTIVATION_HISTORY_KEY, TAB_ACTIVE_TIME_HISTORY_KEY, JANITOR_PENDING_KEY]),
+		activeTimeClock.read()
+	]);
+	const plan = planJanitorRun({
+		tabs,
+		"history": stored[TAB_ACTIVATION_HISTORY_KEY],
+		"settings": stored,
+		"activeTime": { "now": activeNow, "history": stored[TAB_ACTIVE_TIME_HISTORY_KEY] || {} }
+	});
+
+	const pending = normalizePendingState(stored[JANITOR_PENDING_KEY]);
+
+	const summary = document.getElementById("janitorPreviewSummary");
+	const table = document.getElementById("janitorPreviewTable");
+	const rows = [
+		...plan.candidates.map((entry) => { return { ...entry, "action": describePendingClose(getPendingStatus(pending, entry.tab)) }; }),
+		...plan.discards.map((entry) => { return { ...entry, "action": "Discard" }; }),
+		...plan.exempted.map((entry) => { return { ...entry, "action": "Keep" }; }),
+		...plan.protected.map((entry) => { return { ...entry, "action": "Keep" }; })
+	];
+
+	summary.textContent = `${plan.candidates.length} tab(s) past their inactivity threshold would be archived and closed`
+		+ (plan.mode === "discard" ? ` and ${plan.discards.length} discarded` : "")
+		+ (stored.tabJanitor ? ", each batch announced by a notification an hour ahead." : " once Auto-close is enabled.")
+		+ (plan.exempted.length > 0 ? ` ${plan.exempted.length} exempted.` : "")
+		+ (plan.protected.length > 0 ? ` ${plan.protected.length} protected.` : "");
+
+	table.textContent = "";
+	table.classList.toggle("hidden", rows.length === 0);
+	if (rows.length === 0) return;
+
+	const headerRow = document.createElement("tr");
+	["", "Title", "URL", "Window", "Days Inactive", "Threshold", "Action", "Exempt"].forEach((headerText) => {
+		const th = document.createElement("th");
+		th.textContent = headerText;
+		headerRow.appendChild(th);
+	});
+	table.appendChild(headerRow);
+
+	const exemptIds = new Set(plan.exempted.map(({ tab }) => { return tab.id; }));
+	for (const { tab, inactiveMs, thresholdMs, rule, reason, action } of rows) {
+		const row = document.createElement("tr");
+
+		const faviconCell = document.createElement("td");
+		faviconCell.appendChild(createFaviconImage(tab.favIconUrl));
+		row.appendChild(faviconCell);
+
+		const titleCell = document.createElement("td");
+		titleCell.textContent = tab.title;
+		row.appendChild(titleCell);
+
+		const urlCell = document.createElement("td");
+		urlCell.className = "cell-muted";
+		urlCell.textContent = tab.url;
+		urlCell.title = tab.url;
+		row.appendChild(urlCell);
+
+		const windowCell = document.createElement("td");
+		windowCell.className = "cell-muted";
+		windowCell.textContent = windows.findIndex((win) => { return win.id === tab.windowId; }) + 1;
+		row.appendChild(windowCell);
+
+		const daysCell = document.createElement("td");
+		daysCell.className = "cell-muted";
+		daysCell.textContent = (inactiveMs / DAY_MS).toFixed(1);
+		row.appendChild(daysCell);
+
+		const thresholdCell = document.createElement("td");
+		thresholdCell.className = "cell-muted";
+		if (action === "Discard") {
+			thresholdCell.textContent = `${thresholdMs / HOUR_MS} hours (discard)`;
+		} else {
+			thresholdCell.textContent = rule ? `${formatJanitorThreshold(rule)} (${rule.pattern})` : `${plan.days} days (default)`;
+		}
+		row.appendChild(thresholdCell);
+
+		const actionCell = document.createElement("td");
+		actionCell.className = "cell-muted";
+		actionCell.textContent = action;
+		row.appendChild(actionCell);
+
+		const exemptCell = document.createElement("td");
+		if (reason) {
+			// Protection rules win over per-tab exemptions - nothing to toggle
+			exemptCell.className = "cell-muted";
+			exemptCell.textContent = PROTECTION_REASON_LABELS[reason];
+			row.appendChild(exemptCell);
+			table.appendChild(row);
+			continue;
+		}
+		const exemptCheckbox = document.createElement("input");
+		exemptCheckbox.type = "checkbox";
+		exemptCheckbox.checked = exemptIds.has(tab.id);
+		exemptCheckbox.setAttribute("aria-label", `Exempt "${tab.title}" from Auto-close`);
+		exemptCheckbox.addEventListener("change", async () => {
+			await setJanitorExemption(tab.id, exemptCheckbox.checked);
+		});
+		exemptCell.appendChild(exemptCheckbox);
+		row.appendChild(exemptCell);
+
+		table.appendChild(row);
+	}
+}
+
+// Candidates are announced an hour ahead - show where each one stands
+function describePendingClose (status) {
+	if (status?.snoozedUntil) {
+		return `Snoozed until ${new Date(status.snoozedUntil).toLocaleString()}`;
+	}
+	if (status?.closeAt) {
+		return `Close at ${new Date(status.closeAt).toLocaleTimeString([], { "hour": "2-digit", "minute": "2-digit" })}`;
+	}
+	return "Warn, then close";
+}
+
+// Exempt (or un-exempt) one open tab from Auto-close
+async function setJanitorExemption (tabId, exempt) {
+	const { tabJanitorExemptTabIds } = await ChromeAPI.getStorage(["tabJanitorExemptTabIds"]);
+	const exemptIds = new Set(Array.isArray(tabJanitorExemptTabIds) ? tabJanitorExemptTabIds : []);
+	if (exempt) {
+		exemptIds.add(tabId);
+	} else {
+		exemptIds.delete(tabId);
+	}
+	await save_options("tabJanitorExemptTabIds", [...exemptIds]);
+}
+
+// ===== AUTO-CLOSE RUNS =====
+
+function initializeJanitorRuns () {
+	// Runs are logged in the background - keep the list current while the page is open
+	chrome.storage.onChanged.addListener((changes, namespace) => {
+		if (namespace === "local" && JANITOR_RUN_LOG_KEY in changes) {
+			renderJanitorRuns();
+		}
+	});
+
+	renderJanitorRuns();
+}
+
+// List runs that closed or discarded tabs, newest first
+async function renderJanitorRuns () {
+	const runs = await janitorRunLog.getRuns();
+	const activeRuns = runs.filter((run) => { return run.tabs.length > 0 || run.discarded > 0; });
+	const table = document.getElementById("janitorRunsTable");
+	const summary = document.getElementById("janitorRunsSummary");
+
+	table.textContent = "";
+	summary.textContent = runs.length === 0
+		? "No Auto-close runs yet"
+		: `${activeRuns.length} of ${runs.length} recent run(s) closed or discarded tabs`;
+	table.classList.toggle("hidden", activeRuns.length === 0);
+	if (activeRuns.length === 0) return;
+
+	const headerRow = document.createElement("tr");
+	["Time", "Threshold", "Closed", "Discarded", ""].forEach((headerText) => {
+		const th = document.createElement("th");
+		th.textContent = headerText;
+		headerRow.appendChild(th);
+	});
+	table.appendChild(headerRow);
+
+	for (const run of activeRuns) {
+		const row = document.createElement("tr");
+
+		const timeCell = document.createElement("td");
+		timeCell.textContent = new Date(run.time).toLocaleString();
+		row.appendChild(timeCell);
+
+		const thresholdCell = document.createElement("td");
+		thresholdCell.className = "cell-muted";
+		thresholdCell.textContent = `${run.days} days` + (run.ruleCount > 0 ? ` + ${run.ruleCount} site rule(s)` : "");
+		row.appendChild(thresholdCell);
+
+		const closedCell = document.createElement("td");
+		closedCell.textContent = run.tabs.length > 0
+			? `${run.tabs.length}: ${run.tabs.map((tab) => { return tab.title; }).join(", ")}`
+			: "0";
+		closedCell.title = run.tabs.map((tab) => { return `${tab.title}\n${tab.url}`; }).join("\n\n");
+		row.appendChild(closedCell);
+
+		const discardedCell = document.createElement("td");
+		discardedCell.className = "cell-muted";
+		discardedCell.textContent = run.discarded;
+		row.appendChild(discardedCell);
+
+		const actionCell = document.createElement("td");
+		if (run.restoredAt) {
+			actionCell.className = "cell-muted";
+			actionCell.textContent = `Restored ${new Date(run.restoredAt).toLocaleString()}`;
+		} else if (run.tabs.length > 0) {
+			const restoreButton = document.createElement("button");
+			restoreButton.type = "button";
+			restoreButton.className = "btn-secondary-classic focus-classic";
+			restoreButton.textContent = "Restore";
+			restoreButton.addEventListener("click", async () => {
+				restoreButton.disabled = true;
+				const results = await janitorRunLog.restoreRun(run.id);
+				showToast(
+					`Restored ${results.success.length} tab(s)` + (results.missing > 0 ? `, ${results.missing} no longer archived` : ""),
+					results.failed.length > 0 ? "error" : "success"
+				);
+				await renderJanitorRuns();
+			});
+			actionCell.appendChild(restoreButton);
+		}
+		row.appendChild(actionCell);
+
+		table.appendChild(row);
+	}
+}
+
+// ===== ARCHIVED TABS =====
+
+// Wire up search and bulk actions for the Archived Tabs section
+function initializeArchivedTabs () {
+	const searchInput = document.getElementById("archiveSearchInput");
+	searchInput.addEventListener("input", () => { return renderArchivedTabs(); });
+
+	document.getElementById("restoreArchivedButton").addEventListener("click", async () => {
+		const ids = getCheckedArchiveIds();
+		if (ids.length === 0) return;
+
+		const results = await tabArchive.restoreEntries(ids);
+		showToast(`Restored ${results.success.length} tab(s)`, results.failed.length > 0 ? "error" : "success");
+		await renderArchivedTabs();
+	});
+
+	document.getElementById("purgeArchivedButton").addEventListener("click", async () => {
+		const ids = getCheckedArchiveIds();
+		if (ids.length === 0) return;
+
+		await tabArchive.removeEntries(ids);
+		showToast(`Purged ${ids.length} archived tab(s)`, "info");
+		await renderArchivedTabs();
+	});
+
+	document.getElementById("purgeAllArchivedButton").addEventListener("click", async () => {
+		if (!confirm("Permanently delete every archived tab?")) return;
+
+		await tabArchive.purgeAll();
+		showToast("Archive cleared", "info");
+		await renderArchivedTabs();
+	});
+
+	// Janitor runs in the background - keep the list current while the page is open
+	chrome.storage.onChanged.addListener((changes, namespace) => {
+		if (namespace === "local" && TAB_ARCHIVE_KEY in changes) {
+			renderArchivedTabs();
+		}
+	});
+
+	renderArchivedTabs();
+}
+
+function getCheckedArchiveIds () {
+	const table = document.getElementById("archivedTabsTable");
+	return Array.from(table.querySelectorAll("input[type='checkbox']:checked")).map((checkbox) => { return checkbox.value; });
+}
+
+// Render archived tabs matching the search box
+async function renderArchivedTabs () {
+	const term = document.getElementById("archiveSearchInput").value;
+	const entries = await tabArchive.search(term);
+	const table = document.getElementById("archivedTabsTable");
+	const summary = document.getElementById("archiveSummary");
+
+	table.textContent = "";
+	summary.textContent = entries.length === 0
+		? (term ? "No archived tabs match your search" : "No archived tabs")
+		: `${entries.length} archived tab(s)`;
+	table.classList.toggle("hidden", entries.length === 0);
+	if (entries.length === 0) return;
+
+	const headerRow = document.createElement("tr");
+	["", "", "Title", "Window", "Last Active", "Archived", "Action"].forEach((headerText) => {
+		const th = document.createElement("th");
+		th.textContent = headerText;
+		headerRow.appendChild(th);
+	});
+	table.appendChild(headerRow);
+
+	for (const entry of entries) {
+		const row = document.createElement("tr");
+		row.title = entry.url;
+
+		const checkboxCell = document.createElement("td");
+		const checkbox = document.createElement("input");
+		checkbox.type = "checkbox";
+		checkbox.value = entry.id;
+		checkboxCell.appendChild(checkbox);
+		row.appendChild(checkboxCell);
+
+		const faviconCell = document.createElement("td");
+		faviconCell.appendChild(createFaviconImage(entry.favIconUrl));
+		row.appendChild(faviconCell);
+
+		const titleCell = document.createElement("td");
+		titleCell.textContent = entry.title;
+		row.appendChild(titleCell);
+
+		const windowCell = document.createElement("td");
+		windowCell.className = "cell-muted";
+		windowCell.textContent = entry.windowId ?? "-";
+		row.appendChild(windowCell);
+
+		const lastActiveCell = document.createElement("td");
+		lastActiveCell.className = "cell-muted";
+		lastActiveCell.textContent = entry.lastActivated ? new Date(entry.lastActivated).toLocaleString() : "-";
+		row.appendChild(lastActiveCell);
+
+		const archivedCell = document.createElement("td");
+		archivedCell.className = "cell-muted";
+		archivedCell.textContent = new Date(entry.archivedAt).toLocaleString();
+		row.appendChild(archivedCell);
+
+		const actionCell = document.createElement("td");
+		const restoreButton = document.createElement("button");
+		restoreButton.className = "btn-secondary-classic";
+		restoreButton.textContent = "Restore";
+		restoreButton.addEventListener("click", async () => {
+			const results = await tabArchive.restoreEntries([entry.id]);
+			if (results.success.length > 0) {
+				row.remove();
+			} else {
+				showToast("Failed to restore tab", "error");
+			}
+		});
+		actionCell.appendChild(restoreButton);
+		row.appendChild(actionCell);
+
+		table.appendChild(row);
+	}
+}
+
+// SECURITY: Use centralized favicon validator for consistency with TabRenderer
+function createFaviconImage (favIconUrl) {
+	const favicon = document.createElement("img");
+	favicon.setAttribute("alt", "favicon");
+	if (window.isSafeFaviconUrlGlobal && window.isSafeFaviconUrlGlobal(favIconUrl)) {
+		favicon.src = favIconUrl;
+	} else if (window.getDefaultFaviconUrlGlobal) {
+		favicon.src = window.getDefaultFaviconUrlGlobal();
+	}
+	favicon.addEventListener("error", function () {
+		this.style.visibility = "hidden";
+	});
+	return favicon;
+}
 
 // Populate feedback template with system information
 async function populateFeedbackTemplate() {
@@ -420,35 +1263,23 @@ function showToast(message, type = 'success') {
 
 // Enhanced Badge Preview Updates - FIXED: Use real current window count instead of bogus estimation
 async function updateBadgePreviews() {
-  const currentWindow = document.getElementById('currentWindowBadgePreview');
-  const allWindows = document.getElementById('allWindowsBadgePreview');
-  const windowsCount = document.getElementById('windowsCountBadgePreview');
+  // Every mode has a preview element named after it
+  const previews = Object.fromEntries(BADGE_DISPLAY_MODES.map((mode) => [mode, document.getElementById(`${mode}BadgePreview`)]));
 
   try {
-    // Get data from header counters for total counts
-    const headerTabsCount = document.getElementById('headerTabsCount').textContent;
-    const headerWindowsCount = document.getElementById('headerWindowsCount').textContent;
-
-    if (headerTabsCount !== '-') {
-      allWindows.textContent = headerTabsCount;
-    }
-
-    if (headerWindowsCount !== '-') {
-      windowsCount.textContent = headerWindowsCount;
-    }
-
-    // FIXED: Get real current window tab count (same logic as background.js badge)
-    if (window.ChromeAPI) {
-      const currentWindowTabs = await window.ChromeAPI.queryTabs({ "currentWindow": true });
-      currentWindow.textContent = currentWindowTabs.length;
-    } else {
-      // Fallback to header data if ChromeAPI not available
-      currentWindow.textContent = headerTabsCount !== '-' ? headerTabsCount : '-';
+    // SHARED: Same counts, colors and tooltips as the real badge (same logic as background.js)
+    const data = await ChromeAPI.getStorage([...BADGE_COUNT_KEYS, ...BADGE_THRESHOLD_SETTINGS_KEYS]);
+    for (const [mode, preview] of Object.entries(previews)) {
+      const badge = await getStoredBadgeState(data, mode);
+      preview.textContent = badge.text;
+      preview.title = badge.title;
+      preview.style.backgroundColor = badge.color;
+      preview.classList.add('badge-colored');
     }
   } catch (error) {
     console.error('Failed to update badge previews:', error);
     // Fallback values on error
-    currentWindow.textContent = '-';
+    previews.currentWindow.textContent = '-';
   }
 }
 
@@ -1,12 +1,18 @@
 // Import all service modules - Service-Oriented Architecture
 import ChromeAPI from './src/utils/ChromeAPI.js';
-import TabManager from './src/core/TabManager.js';
+import BackgroundTabManager from './src/core/BackgroundTabManager.js';
 import StateManager from './src/core/StateManager.js';
 import SearchEngine from './src/components/SearchEngine.js';
 import KeyboardNavigation from './src/components/KeyboardNavigation.js';
 import TabRenderer from './src/components/TabRenderer.js';
+import ArchiveRenderer from './src/components/ArchiveRenderer.js';
+import TabArchive from './src/core/TabArchive.js';
 import FocusManager from './src/utils/FocusManager.js';
 import AccessibilityHelpers from './src/utils/AccessibilityHelpers.js';
+import { normalizeWindowCap, isWindowAtCap, countCappedTabs, WINDOW_CAP_SETTINGS_KEYS } from './src/core/WindowTabCap.js';
+import { normalizeUrlRules, URL_RULE_SETTINGS_KEYS } from './src/core/UrlCanonicalizer.js';
+import { normalizeDedupePolicy, DEDUPE_POLICY_SETTINGS_KEYS } from './src/core/DedupePolicy.js';
+import { readTabSnapshot, isSameTabList, TAB_MODEL_SNAPSHOT_KEY } from './src/core/TabModel.js';
 
 const tabs = document.querySelectorAll(".tab-button");
 const tabContents = document.querySelectorAll(".tab-content");
@@ -16,11 +22,13 @@ const searchInput = document.getElementById("searchInput");
 class TabDukeApp {
 	constructor() {
 		// Initialize all services
-		this.tabManager = new TabManager();
+		// Tab operations run in the service worker, so closing the popup never cuts them off
+		this.tabManager = new BackgroundTabManager();
 		this.focusManager = new FocusManager();
 		this.accessibilityHelpers = new AccessibilityHelpers();
 		this.searchEngine = new SearchEngine();
 		this.tabRenderer = new TabRenderer();
+		this.archiveRenderer = new ArchiveRenderer(new TabArchive(this.tabManager));
 
 		// StateManager needs access to other services
 		this.stateManager = new StateManager(
@@ -53,40 +61,112 @@ class TabDukeApp {
 		this.stateManager.initialize(this.searchInput, this.tabs);
 		this.keyboardNavigation.initialize(this.searchInput, this.tabs);
 		this.tabRenderer.initialize((e) => this.handleTabClick(e));
+		this.archiveRenderer.initialize(document.getElementById("archivedList"), () => this.refreshSearch());
 
 		// Setup main tab content
 		await this.initializeTabContent();
+		await this.initializeArchivedContent();
 
 		// Setup UI event handlers
 		this.setupTabClickHandlers();
 		this.setupShortcutBanner();
+		this.setupArchiveToolbar();
 
 		// Check and show shortcut banner if needed
 		await this.checkKeyboardShortcut();
 	}
 
 	async initializeTabContent() {
-		const tabs = await this.tabManager.getAllTabs();
 		const currentWindow = await this.tabManager.getCurrentWindow();
+		if (!currentWindow) return;
+
+		const [capData, duplicateRuleData, snapshotData] = await Promise.all([
+			ChromeAPI.getStorage(WINDOW_CAP_SETTINGS_KEYS),
+			ChromeAPI.getStorage([...URL_RULE_SETTINGS_KEYS, ...DEDUPE_POLICY_SETTINGS_KEYS]),
+			ChromeAPI.hasSessionStorage() ? ChromeAPI.getSessionStorage([TAB_MODEL_SNAPSHOT_KEY]) : {}
+		]);
+
+		// Flag windows that have reached the tabs-per-window cap
+		const capSettings = normalizeWindowCap(capData);
+		this.tabRenderer.setWindowCap(capSettings);
+
+		// Flag duplicates with the same URL rules and ignore list as duplicate detection
+		this.tabRenderer.setUrlRules(normalizeUrlRules(duplicateRuleData));
+		this.tabRenderer.setDedupePolicy(normalizeDedupePolicy(duplicateRuleData));
+
+		// Paint at once from the tab model the background keeps, then reconcile with a fresh query
+		const snapshotTabs = readTabSnapshot(snapshotData[TAB_MODEL_SNAPSHOT_KEY]);
+		if (snapshotTabs.length > 0) {
+			this.renderTabContent(snapshotTabs, currentWindow.id, capSettings);
+		}
+
+		const tabs = await this.tabManager.getAllTabs();
+		if (tabs.length > 0 && !isSameTabList(snapshotTabs, tabs)) {
+			this.renderTabContent(tabs, currentWindow.id, capSettings);
+		}
+	}
+
+	// Render both views and focus the active tab of the current window
+	renderTabContent(tabs, currentWindowId, capSettings) {
+		this.updateWindowCapBanner(tabs.filter(tab => tab.windowId === currentWindowId), capSettings);
 
-		if (currentWindow && tabs.length > 0) {
-			const currentWindowId = currentWindow.id;
+		// Render tabs using TabRenderer service
+		this.tabRenderer.renderTabs(tabs, currentWindowId);
+		this.updateCounterText();
 
-			// Render tabs using TabRenderer service
-			this.tabRenderer.renderTabs(tabs, currentWindowId);
+		// Initialize focus system after DOM is ready
+		setTimeout(() => {
+			// CRITICAL FIX: Find the active tab from the CURRENT window, not just any active tab
+			const activeTab = tabs.find(tab => tab.active && tab.windowId === currentWindowId);
+
+			if (activeTab) {
+				// CRITICAL: Set currentItemIndex to active tab position FIRST
+				this.focusManager.setCurrentItemIndexToActiveTab(activeTab.id, currentWindowId);
+				this.focusManager.initializeFocusToCurrentTab(activeTab.id);
+			}
+		}, 0);
+	}
+
+	async initializeArchivedContent() {
+		await this.archiveRenderer.render();
+		this.refreshSearch();
+	}
+
+	// Re-apply the current search filter (also refreshes counters)
+	refreshSearch() {
+		if (this.searchInput.value) {
+			this.searchEngine.performSearch(this.searchInput.value);
+		} else {
 			this.updateCounterText();
+		}
+	}
 
-			// Initialize focus system after DOM is ready
-			setTimeout(() => {
-				// CRITICAL FIX: Find the active tab from the CURRENT window, not just any active tab
-				const activeTab = tabs.find(tab => tab.active && tab.windowId === currentWindowId);
+	setupArchiveToolbar() {
+		const restoreBtn = document.getElementById('restoreArchivedBtn');
+		const purgeBtn = document.getElementById('purgeArchivedBtn');
+
+		// Bulk actions apply to the selection, or to every archived tab the search currently shows
+		const getTargetIds = () => {
+			const selectedIds = this.archiveRenderer.getSelectedIds();
+			return selectedIds.length > 0 ? selectedIds : this.archiveRenderer.getVisibleIds();
+		};
+
+		if (restoreBtn) {
+			restoreBtn.addEventListener('click', async () => {
+				const results = await this.archiveRenderer.restore(getTargetIds());
+				this.accessibilityHelpers.announceToScreenReader(`Restored ${results.success.length} archived tabs`);
+			});
+		}
 
-				if (activeTab) {
-					// CRITICAL: Set currentItemIndex to active tab position FIRST
-					this.focusManager.setCurrentItemIndexToActiveTab(activeTab.id, currentWindowId);
-					this.focusManager.initializeFocusToCurrentTab(activeTab.id);
+		if (purgeBtn) {
+			purgeBtn.addEventListener('click', async () => {
+				const ids = getTargetIds();
+				if (ids.length === 0 || !confirm(`Permanently delete ${ids.length} archived tab(s)?`)) {
+					return;
 				}
-			}, 0);
+				await this.archiveRenderer.purge(ids);
+				this.accessibilityHelpers.announceToScreenReader(`Purged ${ids.length} archived tabs`);
+			});
 		}
 	}
 
@@ -121,7 +201,8 @@ class TabDukeApp {
 
 		// Update accessibility states
 		this.accessibilityHelpers.updateTabAriaStates(index);
-		const tabName = tab.textContent.includes('Current') ? 'Current Window' : 'All Windows';
+		const tabName = tab.textContent.includes('Current') ? 'Current Window'
+			: tab.textContent.includes('Archived') ? 'Archived Tabs' : 'All Windows';
 		this.accessibilityHelpers.announceToScreenReader(`Switched to ${tabName} view`);
 	}
 
@@ -217,29 +298,35 @@ class TabDukeApp {
 	updateCounterText() {
 		const currentWindowContent = document.getElementById("currentWindow");
 		const allWindowContent = document.getElementById("allWindow");
+		const archivedContent = document.getElementById("archivedTabs");
 		const isSearching = this.searchInput.value.trim() !== "";
 		const searchIcon = isSearching ? "🔎 " : "";
 
-		let currentVisibleCount, allVisibleCount;
+		let currentVisibleCount, allVisibleCount, archivedVisibleCount;
 
 		if (isSearching) {
 			currentVisibleCount = this.searchEngine.getVisibleItemsCount(currentWindowContent);
 			allVisibleCount = this.searchEngine.getVisibleItemsCount(allWindowContent);
+			archivedVisibleCount = this.searchEngine.getVisibleItemsCount(archivedContent);
 		} else {
 			currentVisibleCount = currentWindowContent.querySelectorAll(".list-item").length;
 			allVisibleCount = allWindowContent.querySelectorAll(".list-item").length;
+			archivedVisibleCount = archivedContent.querySelectorAll(".list-item").length;
 		}
 
 		// Update search placeholder
 		const activeTabContent = document.querySelector(".tab-content.active");
-		const activeCount = activeTabContent === currentWindowContent ? currentVisibleCount : allVisibleCount;
+		const activeCount = activeTabContent === currentWindowContent ? currentVisibleCount
+			: activeTabContent === archivedContent ? archivedVisibleCount : allVisibleCount;
 		this.searchInput.placeholder = `Search... (${activeCount} items)`;
 
 		// Update tab titles
 		const tabTitleCurrent = document.getElementById("tabTitleCurrent");
 		const tabTitleAll = document.getElementById("tabTitleAll");
+		const tabTitleArchived = document.getElementById("tabTitleArchived");
 
 		tabTitleCurrent.textContent = `${searchIcon}Current (${currentVisibleCount})`;
+		tabTitleArchived.textContent = `${searchIcon}Archived (${archivedVisibleCount})`;
 
 		// Count windows asynchronously
 		this.tabManager.getCurrentWindow().then(async () => {
@@ -253,6 +340,23 @@ class TabDukeApp {
 		});
 	}
 
+	// Tells the user new tabs in this window will evict the least recently used ones
+	updateWindowCapBanner(windowTabs, capSettings) {
+		const banner = document.getElementById('windowCapBanner');
+		if (!banner) return;
+
+		if (!isWindowAtCap(windowTabs, capSettings)) {
+			banner.classList.add('hidden');
+			return;
+		}
+
+		const count = countCappedTabs(windowTabs, capSettings.action);
+		const counted = capSettings.action === 'discard' ? 'loaded tabs' : 'tabs';
+		const evicted = capSettings.action === 'discard' ? 'discard' : 'archive and close';
+		banner.textContent = `⚠️ This window is at its cap (${count}/${capSettings.cap} ${counted}). New tabs will ${evicted} the least recently used ones.`;
+		banner.classList.remove('hidden');
+	}
+
 	// Keyboard shortcut banner functionality
 	async checkKeyboardShortcut() {
 		const { shortcutBannerDismissed } = await ChromeAPI.getStorage(['shortcutBannerDismissed']);
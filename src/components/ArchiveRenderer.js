@@ -0,0 +1,262 @@
+/**
+ * Rendering and interaction service for the popup's Archived view.
+ * Lists tabs archived by the Tab Janitor and restores or purges them.
+ */
+
+import { isSafeFaviconUrl, getDefaultFaviconUrl } from '../utils/FaviconValidator.js';
+
+/**
+ * Archived view renderer.
+ * Archived items reuse the `.list-item` markup so search, selection and focus
+ * handling work unchanged; Enter and Delete are intercepted to restore and purge.
+ */
+class ArchiveRenderer {
+	/**
+	 * @param {TabArchive} tabArchive - Archive storage service
+	 */
+	constructor(tabArchive) {
+		this.tabArchive = tabArchive;
+		/** @private */
+		this.container = null;
+		/** @private */
+		this.onChange = null;
+	}
+
+	/**
+	 * Initialize the renderer with its container and wire up delegated handlers.
+	 * @param {HTMLElement} container - Archived view list container
+	 * @param {Function} onChange - Called after the archived list changes (counters, search)
+	 */
+	initialize(container, onChange) {
+		this.container = container;
+		this.onChange = onChange;
+
+		if (!this.container) {
+			console.error('ArchiveRenderer: Archived view container not found');
+			return;
+		}
+
+		this.container.addEventListener('click', (e) => this.handleClick(e));
+		this.container.addEventListener('keydown', (e) => this.handleKeyDown(e));
+	}
+
+	/**
+	 * Loads archived entries and renders them, newest first.
+	 * @returns {Promise<number>} Number of rendered entries
+	 */
+	async render() {
+		if (!this.container) {
+			return 0;
+		}
+
+		const entries = await this.tabArchive.getEntries();
+		const now = Date.now();
+
+		this.container.textContent = '';
+		entries.forEach((entry) => {
+			this.container.appendChild(this.buildListItem(entry, now));
+		});
+
+		return entries.length;
+	}
+
+	/**
+	 * Builds a list item for one archived tab.
+	 * @param {ArchivedTab} entry - Archive entry
+	 * @param {number} now - Reference timestamp for the "archived ago" label
+	 * @returns {HTMLElement} List item element
+	 */
+	buildListItem(entry, now) {
+		const listItem = document.createElement("div");
+		listItem.classList.add("flex", "items-center", "p-2", "rounded", "list-item", "archived-item");
+		listItem.tabIndex = -1;
+		listItem.dataset.archiveid = entry.id;
+		listItem.setAttribute('role', 'option');
+		listItem.setAttribute('aria-selected', 'false');
+		listItem.setAttribute('id', `archive-option-${entry.id}`);
+
+		const favicon = document.createElement("img");
+		favicon.classList.add("mr-2");
+		favicon.setAttribute("width", "16");
+		favicon.setAttribute("height", "16");
+		favicon.setAttribute("alt", "favicon");
+		if (entry.favIconUrl && isSafeFaviconUrl(entry.favIconUrl)) {
+			favicon.src = entry.favIconUrl;
+		} else {
+			favicon.src = getDefaultFaviconUrl();
+			favicon.classList.add("favicon-broken");
+		}
+		favicon.addEventListener('error', function() {
+			this.classList.add('favicon-broken');
+		});
+		listItem.appendChild(favicon);
+
+		const titleDiv = document.createElement("div");
+		titleDiv.classList.add("truncated");
+		const titleSpan = document.createElement("span");
+		titleSpan.setAttribute("title", entry.url);
+		titleSpan.textContent = entry.title || "Untitled";
+		titleDiv.appendChild(titleSpan);
+
+		const meta = document.createElement("div");
+		meta.classList.add("archived-meta");
+		meta.textContent = `Archived ${this.formatAge(entry.archivedAt, now)} · ${entry.url}`;
+		titleDiv.appendChild(meta);
+		listItem.appendChild(titleDiv);
+
+		const restoreBtn = document.createElement("span");
+		restoreBtn.classList.add("restore-btn");
+		restoreBtn.setAttribute("title", "Restore tab");
+		restoreBtn.textContent = "↩";
+		listItem.appendChild(restoreBtn);
+
+		const purgeBtn = document.createElement("span");
+		purgeBtn.classList.add("purge-btn", "text-red-500");
+		purgeBtn.setAttribute("title", "Delete from archive");
+		purgeBtn.textContent = "❌";
+		listItem.appendChild(purgeBtn);
+
+		return listItem;
+	}
+
+	/**
+	 * Formats a timestamp as a short relative age ("5m ago", "3d ago").
+	 * @param {number} timestamp - Past timestamp
+	 * @param {number} now - Reference timestamp
+	 * @returns {string} Relative age label
+	 */
+	formatAge(timestamp, now) {
+		const minutes = Math.max(0, Math.floor((now - timestamp) / 60000));
+		if (minutes < 60) {
+			return `${minutes}m ago`;
+		}
+		const hours = Math.floor(minutes / 60);
+		if (hours < 24) {
+			return `${hours}h ago`;
+		}
+		return `${Math.floor(hours / 24)}d ago`;
+	}
+
+	/**
+	 * Delegated click handling: buttons restore/purge, Ctrl+click selects, plain click restores.
+	 * @param {MouseEvent} e - Click event
+	 */
+	async handleClick(e) {
+		const listItem = e.target.closest('.archived-item');
+		if (!listItem) return;
+
+		const id = listItem.dataset.archiveid;
+		if (e.target.classList.contains('purge-btn')) {
+			e.stopPropagation();
+			await this.purge([id]);
+		} else if (e.ctrlKey || e.metaKey) {
+			e.preventDefault();
+			listItem.classList.toggle("selected");
+			listItem.classList.toggle("bg-blue-100");
+		} else {
+			await this.restore([id]);
+		}
+	}
+
+	/**
+	 * Enter restores and Delete purges the selected items (or the focused one).
+	 * Stops propagation so the tab-oriented KeyboardNavigation does not act on archive items.
+	 * @param {KeyboardEvent} e - Keydown event from a focused archived item
+	 */
+	async handleKeyDown(e) {
+		if (e.key !== 'Enter' && e.key !== 'Delete') return;
+
+		const listItem = e.target.closest('.archived-item');
+		if (!listItem) return;
+
+		e.preventDefault();
+		e.stopPropagation();
+
+		const ids = this.getSelectedIds();
+		const targetIds = ids.length > 0 ? ids : [listItem.dataset.archiveid];
+
+		if (e.key === 'Enter') {
+			await this.restore(targetIds);
+		} else {
+			await this.purge(targetIds);
+		}
+	}
+
+	/**
+	 * Gets IDs of selected archived items.
+	 * @returns {string[]} Archive entry IDs
+	 */
+	getSelectedIds() {
+		if (!this.container) return [];
+		return [...this.container.querySelectorAll('.archived-item.selected')].map((item) => item.dataset.archiveid);
+	}
+
+	/**
+	 * Gets IDs of archived items not hidden by the current search.
+	 * @returns {string[]} Archive entry IDs
+	 */
+	getVisibleIds() {
+		if (!this.container) return [];
+		return [...this.container.querySelectorAll('.archived-item')]
+			.filter((item) => item.style.display !== 'none')
+			.map((item) => item.dataset.archiveid);
+	}
+
+	/**
+	 * Restores archived tabs and drops the restored ones from the list.
+	 * @param {string[]} ids - Archive entry IDs
+	 * @returns {Promise<{success: ArchivedTab[], failed: ArchivedTab[]}>} Restore results
+	 */
+	async restore(ids) {
+		if (ids.length === 0) {
+			return { success: [], failed: [] };
+		}
+
+		const results = await this.tabArchive.restoreEntries(ids);
+		this.removeItems(results.success.map((entry) => entry.id));
+
+		if (results.failed.length > 0) {
+			console.warn('TabDuke: Failed to restore', results.failed.length, 'archived tabs');
+		}
+		return results;
+	}
+
+	/**
+	 * Permanently deletes archived tabs and drops them from the list.
+	 * @param {string[]} ids - Archive entry IDs
+	 * @returns {Promise<boolean>} Success status
+	 */
+	async purge(ids) {
+		if (ids.length === 0) {
+			return true;
+		}
+
+		const success = await this.tabArchive.removeEntries(ids);
+		if (success) {
+			this.removeItems(ids);
+		} else {
+			console.error('TabDuke: Failed to purge archived tabs');
+		}
+		return success;
+	}
+
+	/**
+	 * Removes archived items from the DOM and notifies listeners.
+	 * @private
+	 * @param {string[]} ids - Archive entry IDs
+	 */
+	removeItems(ids) {
+		const doomed = new Set(ids);
+		this.container.querySelectorAll('.archived-item').forEach((item) => {
+			if (doomed.has(item.dataset.archiveid)) {
+				item.remove();
+			}
+		});
+
+		if (this.onChange) {
+			this.onChange();
+		}
+	}
+}
+
+export default ArchiveRenderer;
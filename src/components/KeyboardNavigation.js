@@ -112,6 +112,7 @@ class KeyboardNavigation {
 	 * // Enter: Navigation and warnings
 	 * // Escape: Context-aware state clearing
 	 * // Ctrl+A: Select all
+	 * // Ctrl+D: Select duplicates
 	 * // Ctrl+G: Active tab jumping
 	 */
 	handleKeyDown(e) {
@@ -166,6 +167,16 @@ class KeyboardNavigation {
 					this.handleDefault(e);
 				}
 				break;
+			case 'd':
+			case 'D':
+				// Only handle Ctrl+D / Meta+D for selecting duplicates (also stops the bookmark shortcut)
+				// Regular 'd' should fall through to default for auto-focus search
+				if (e.ctrlKey || e.metaKey) {
+					this.handleSelectDuplicates(e, context);
+				} else {
+					this.handleDefault(e);
+				}
+				break;
 			case 'g':
 			case 'G':
 				// Only handle Ctrl+G / Meta+G for active tab jumping
@@ -367,6 +378,21 @@ class KeyboardNavigation {
 		this.stateManager.selectAllVisible(context.items);
 	}
 
+	/**
+	 * Handle Ctrl+D for selecting duplicate tabs
+	 *
+	 * Selects every visible duplicate except one per URL, so Delete
+	 * closes the extra copies through the regular bulk delete.
+	 *
+	 * @param {KeyboardEvent} e - Ctrl+D key event
+	 * @param {NavigationContext} context - Current navigation context
+	 * @since 1.3.0
+	 */
+	handleSelectDuplicates(e, context) {
+		e.preventDefault();
+		this.stateManager.selectDuplicates(context.items);
+	}
+
 	/**
 	 * Handle Ctrl+G and Ctrl+Shift+G for active tab jumping
 	 *
@@ -9,6 +9,10 @@
  */
 
 import { isSafeFaviconUrl as validateFaviconUrl, getDefaultFaviconUrl } from '../utils/FaviconValidator.js';
+import { isWindowAtCap, countCappedTabs } from '../core/WindowTabCap.js';
+import { normalizeUrlRules } from '../core/UrlCanonicalizer.js';
+import { getDuplicateKey, normalizeDedupePolicy } from '../core/DedupePolicy.js';
+import { findDuplicateGroups } from '../core/DuplicateScanner.js';
 
 class TabRenderer {
 	/**
@@ -20,6 +24,38 @@ class TabRenderer {
 		this.eventDelegationSetup = false;
 		/** @private */
 		this.clickHandler = null;
+		/** @private */
+		this.windowCap = { cap: null, action: 'close' };
+		/** @private */
+		this.urlRules = normalizeUrlRules();
+		/** @private */
+		this.dedupePolicy = normalizeDedupePolicy();
+		/** @private Canonical URL -> number of open tabs, refreshed by renderTabs */
+		this.duplicateCounts = new Map();
+	}
+
+	/**
+	 * Sets the tabs-per-window cap used to flag windows that have reached it.
+	 * @param {WindowCapSettings} capSettings - Validated cap settings from normalizeWindowCap
+	 */
+	setWindowCap(capSettings) {
+		this.windowCap = capSettings;
+	}
+
+	/**
+	 * Sets the URL rules used to decide which tabs are duplicates.
+	 * @param {UrlRules} urlRules - Normalized rules from normalizeUrlRules
+	 */
+	setUrlRules(urlRules) {
+		this.urlRules = urlRules;
+	}
+
+	/**
+	 * Sets the dedupe policy whose ignore list exempts sites from duplicate flags.
+	 * @param {DedupePolicy} dedupePolicy - Normalized policy from normalizeDedupePolicy
+	 */
+	setDedupePolicy(dedupePolicy) {
+		this.dedupePolicy = dedupePolicy;
 	}
 
 	/**
@@ -49,6 +85,10 @@ class TabRenderer {
 		// Group items by window (preserve original structure)
 		const windowMap = this.groupTabsByWindow(items);
 
+		// SHARED: Same duplicate groups as the badge count, across all windows
+		this.duplicateCounts = new Map(findDuplicateGroups({ "tabs": items, "urlRules": this.urlRules, "dedupePolicy": this.dedupePolicy })
+			.map((group) => [group.key, group.tabs.length]));
+
 		// Render using optimized approach - better performance at all scales
 		this.renderOptimized(windowMap, currentWindowId, tabContentCurrent, tabContentAll);
 
@@ -133,7 +173,7 @@ class TabRenderer {
 	 */
 	renderAllWindowsTab(windowMap, container) {
 		windowMap.forEach((windowTabs, windowID) => {
-			const windowDiv = this.createWindowContainer(windowID);
+			const windowDiv = this.createWindowContainer(windowID, windowTabs);
 
 			windowTabs.forEach((item, tabIndex) => {
 				const listItem = this.buildListItem(item, tabIndex);
@@ -147,15 +187,24 @@ class TabRenderer {
 	/**
 	 * Creates a window container div with header for All Windows view.
 	 * @param {number} windowID - Window ID
+	 * @param {chrome.tabs.Tab[]} [windowTabs] - Tabs of the window, used to flag a window at its cap
 	 * @returns {HTMLElement} Window container div
 	 */
-	createWindowContainer(windowID) {
+	createWindowContainer(windowID, windowTabs = []) {
 		const windowDiv = document.createElement("div");
 		windowDiv.windowId = windowID;
 		windowDiv.classList.add("window");
 
 		const windowHeader = document.createElement("h2");
 		windowHeader.textContent = `Window ${windowID}`;
+		if (isWindowAtCap(windowTabs, this.windowCap)) {
+			const capIndicator = document.createElement("span");
+			capIndicator.classList.add("window-cap-indicator");
+			capIndicator.textContent = `At cap (${countCappedTabs(windowTabs, this.windowCap.action)}/${this.windowCap.cap})`;
+			capIndicator.title = 'New tabs in this window will evict the least recently used tabs';
+			windowHeader.appendChild(capIndicator);
+			windowDiv.classList.add("window-at-cap");
+		}
 		windowDiv.appendChild(windowHeader);
 
 		return windowDiv;
@@ -176,10 +225,19 @@ class TabRenderer {
 		if (data.active) {
 			listItem.classList.add("tab-active");
 		}
+		if (data.discarded) {
+			listItem.classList.add("tab-discarded");
+		}
 		listItem.tabIndex = -1; // Roving tabindex: only focused item has tabIndex="0"
 		// Use data-* attributes for web standards compliance
 		listItem.dataset.tabid = tabID;
 		listItem.dataset.windowid = data.windowId;
+		// Empty for blank tabs and ignored sites, which are never duplicates
+		listItem.dataset.canonicalUrl = getDuplicateKey(data.url, this.urlRules, this.dedupePolicy) || '';
+		const duplicateCount = this.duplicateCounts.get(listItem.dataset.canonicalUrl) || 0;
+		if (duplicateCount > 1) {
+			listItem.classList.add("tab-duplicate");
+		}
 
 		// ARIA attributes for accessibility
 		this.addAccessibilityAttributes(listItem, data, tabID);
@@ -192,12 +250,22 @@ class TabRenderer {
 		const titleDiv = this.createTitle(data, tabID);
 		listItem.appendChild(titleDiv);
 
+		// Mark tabs discarded by the browser or the Tab Janitor
+		if (data.discarded) {
+			listItem.appendChild(this.createDiscardedIndicator());
+		}
+
+		// Mark tabs that share their canonical URL with other open tabs
+		if (duplicateCount > 1) {
+			listItem.appendChild(this.createDuplicateIndicator(duplicateCount));
+		}
+
 		// Add remove button
 		const removeBtn = this.createRemoveButton();
 		listItem.appendChild(removeBtn);
 
 		// Add hidden description for screen readers
-		const description = this.createAccessibilityDescription(data, tabID);
+		const description = this.createAccessibilityDescription(data, tabID, duplicateCount);
 		listItem.appendChild(description);
 
 		return listItem;
@@ -268,6 +336,33 @@ class TabRenderer {
 		return titleDiv;
 	}
 
+	/**
+	 * Creates the indicator shown on discarded tabs.
+	 * @returns {HTMLElement} Discarded indicator element
+	 */
+	createDiscardedIndicator() {
+		const indicator = document.createElement("span");
+		indicator.classList.add("discarded-indicator");
+		indicator.setAttribute("title", "Discarded to save memory - reloads when opened");
+		indicator.setAttribute("aria-hidden", "true");
+		indicator.textContent = "💤";
+		return indicator;
+	}
+
+	/**
+	 * Creates the indicator shown on duplicate tabs.
+	 * @param {number} count - Number of open tabs sharing the canonical URL
+	 * @returns {HTMLElement} Duplicate indicator element
+	 */
+	createDuplicateIndicator(count) {
+		const indicator = document.createElement("span");
+		indicator.classList.add("duplicate-indicator");
+		indicator.setAttribute("title", `${count} open tabs share this URL`);
+		indicator.setAttribute("aria-hidden", "true");
+		indicator.textContent = `×${count}`;
+		return indicator;
+	}
+
 	/**
 	 * Creates remove button element.
 	 * @returns {HTMLElement} Remove button element
@@ -283,13 +378,15 @@ class TabRenderer {
 	 * Creates accessibility description for screen readers.
 	 * @param {chrome.tabs.Tab} data - Tab data
 	 * @param {number} tabID - Tab ID
+	 * @param {number} [duplicateCount] - Number of open tabs sharing the canonical URL
 	 * @returns {HTMLElement} Description element
 	 */
-	createAccessibilityDescription(data, tabID) {
+	createAccessibilityDescription(data, tabID, duplicateCount = 0) {
 		const description = document.createElement('div');
 		description.id = `tab-${tabID}-description`;
 		description.className = 'sr-only';
-		description.textContent = `Tab in window ${data.windowId}. ${data.url || ''}`;
+		const duplicate = duplicateCount > 1 ? ` Duplicate, ${duplicateCount} open.` : '';
+		description.textContent = `Tab in window ${data.windowId}.${data.discarded ? ' Discarded.' : ''}${duplicate} ${data.url || ''}`;
 		return description;
 	}
 
@@ -0,0 +1,178 @@
+/**
+ * Active browsing time clock for the Tab Janitor.
+ *
+ * The clock only advances while the machine is in use (chrome.idle reports
+ * "active") and a browser window has focus, so a week away from the computer
+ * does not count as a week of tab inactivity. Each tab's clock reading at its
+ * last activation is stored next to tab_activation_history.
+ *
+ * @fileoverview Persistent active-time clock (chrome.storage.local)
+ * @since 1.3.0
+ */
+
+import ChromeAPI from '../utils/ChromeAPI.js';
+
+export const ACTIVE_TIME_CLOCK_KEY = 'tab_active_time_clock';
+
+// tabId -> clock reading at the tab's last activation
+export const TAB_ACTIVE_TIME_HISTORY_KEY = 'tab_activation_active_time';
+
+// Seconds without input before chrome.idle reports the machine as idle
+export const IDLE_DETECTION_SECONDS = 300;
+
+// Checkpoints happen at least hourly (janitor alarm, focus and idle events);
+// a longer silent gap means the machine slept or the browser was closed
+export const MAX_UNOBSERVED_GAP_MS = 2 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} ActiveTimeClockState
+ * @property {number} activeMs - Active time accumulated up to the last checkpoint
+ * @property {number|null} runningSince - Timestamp of the last checkpoint while running, null while paused
+ * @property {'active'|'idle'|'locked'} idleState - Last known chrome.idle state
+ * @property {boolean} focused - Whether a browser window had focus
+ */
+
+/**
+ * Creates a fresh clock state (paused until the first event says otherwise).
+ * @returns {ActiveTimeClockState} Initial state
+ */
+export function createClockState() {
+	return { activeMs: 0, runningSince: null, idleState: 'active', focused: false };
+}
+
+/**
+ * Validates a stored clock state.
+ * @param {*} stored - Value read from storage
+ * @returns {ActiveTimeClockState} Valid state
+ */
+export function normalizeClockState(stored) {
+	const initial = createClockState();
+	if (!stored || typeof stored !== 'object') {
+		return initial;
+	}
+
+	return {
+		activeMs: Number.isFinite(stored.activeMs) && stored.activeMs >= 0 ? stored.activeMs : initial.activeMs,
+		runningSince: Number.isFinite(stored.runningSince) ? stored.runningSince : null,
+		idleState: ['active', 'idle', 'locked'].includes(stored.idleState) ? stored.idleState : initial.idleState,
+		focused: typeof stored.focused === 'boolean' ? stored.focused : initial.focused
+	};
+}
+
+/**
+ * Active time elapsed since the last checkpoint. Gaps longer than
+ * MAX_UNOBSERVED_GAP_MS are treated as time away and never counted.
+ * @private
+ * @param {ActiveTimeClockState} state - Clock state
+ * @param {number} now - Current timestamp
+ * @returns {number} Milliseconds to credit
+ */
+function pendingActiveMs(state, now) {
+	if (state.runningSince === null) {
+		return 0;
+	}
+	const gap = now - state.runningSince;
+	return gap > 0 && gap <= MAX_UNOBSERVED_GAP_MS ? gap : 0;
+}
+
+/**
+ * Reads the clock without changing it.
+ * @param {ActiveTimeClockState} state - Clock state
+ * @param {number} [now] - Current timestamp
+ * @returns {number} Total active time in milliseconds
+ */
+export function readActiveTime(state, now = Date.now()) {
+	return state.activeMs + pendingActiveMs(state, now);
+}
+
+/**
+ * Checkpoints the clock and applies an idle or focus change.
+ * The clock runs only while the machine is active and the browser has focus.
+ * @param {ActiveTimeClockState} state - Clock state
+ * @param {{idleState?: string, focused?: boolean}} [change] - New idle and/or focus state
+ * @param {number} [now] - Current timestamp
+ * @returns {ActiveTimeClockState} New state
+ */
+export function applyClockEvent(state, change = {}, now = Date.now()) {
+	const idleState = change.idleState ?? state.idleState;
+	const focused = change.focused ?? state.focused;
+	const running = idleState === 'active' && focused;
+
+	return {
+		activeMs: readActiveTime(state, now),
+		runningSince: running ? now : null,
+		idleState,
+		focused
+	};
+}
+
+/**
+ * Estimates the clock reading at a past activation the clock did not see,
+ * such as a tab restored after a browser restart with a new ID. The time
+ * since then is counted as active, so the tab never looks fresher than it is.
+ * @param {number} lastActivated - Timestamp of the activation
+ * @param {number} activeNow - Current clock reading
+ * @param {number} [now] - Current timestamp
+ * @returns {number} Clock reading, never below 0
+ */
+export function estimateActiveTimeAt(lastActivated, activeNow, now = Date.now()) {
+	return Math.max(0, activeNow - Math.max(0, now - lastActivated));
+}
+
+/**
+ * ActiveTimeClock class - Storage-backed active browsing time clock
+ *
+ * Survives service worker restarts; updates are serialized so idle and focus
+ * events arriving together never lose time.
+ *
+ * @class ActiveTimeClock
+ * @since 1.3.0
+ *
+ * @example
+ * const clock = new ActiveTimeClock();
+ * chrome.idle.onStateChanged.addListener((idleState) => clock.update({ idleState }));
+ * const reading = await clock.read();
+ */
+class ActiveTimeClock {
+	constructor() {
+		/** @private */
+		this.writeQueue = Promise.resolve();
+	}
+
+	/**
+	 * Gets the stored clock state.
+	 * @returns {Promise<ActiveTimeClockState>} Clock state
+	 */
+	async getState() {
+		const stored = await ChromeAPI.getStorage([ACTIVE_TIME_CLOCK_KEY]);
+		return normalizeClockState(stored[ACTIVE_TIME_CLOCK_KEY]);
+	}
+
+	/**
+	 * Reads the total active browsing time.
+	 * @param {number} [now] - Current timestamp
+	 * @returns {Promise<number>} Active time in milliseconds
+	 */
+	async read(now = Date.now()) {
+		return readActiveTime(await this.getState(), now);
+	}
+
+	/**
+	 * Checkpoints the clock, optionally applying an idle or focus change.
+	 * @param {{idleState?: string, focused?: boolean}} [change] - New idle and/or focus state
+	 * @returns {Promise<number>} Active time in milliseconds after the checkpoint
+	 */
+	update(change = {}) {
+		const run = this.writeQueue.then(async () => {
+			const state = applyClockEvent(await this.getState(), change, Date.now());
+			await ChromeAPI.setStorage({ [ACTIVE_TIME_CLOCK_KEY]: state });
+			return state.activeMs;
+		});
+
+		// Keep the queue alive even if one write fails
+		this.writeQueue = run.catch(() => 0);
+		return run;
+	}
+}
+
+export default ActiveTimeClock;
@@ -0,0 +1,156 @@
+/**
+ * TabManager for extension pages whose operations run in the service worker.
+ *
+ * Chrome kills the popup as soon as focus moves to another window; an operation
+ * sent to the service worker keeps running after that. Reads (tab queries,
+ * protection checks) stay in the page. If the service worker cannot be
+ * reached, the operation runs in the page as before. Once sent, it is never run
+ * again in the page - the service worker may already have done part of it.
+ *
+ * @fileoverview Tab operations sent to the service worker as tab commands
+ * @since 1.3.0
+ */
+
+import ChromeAPI from '../utils/ChromeAPI.js';
+import TabManager from './TabManager.js';
+import { TAB_COMMAND_PORT, TAB_COMMAND_MESSAGE_TYPES, createTabCommandRequest, validateTabCommand } from './TabCommands.js';
+
+/**
+ * Sends a tab command to the service worker and waits for its result.
+ * @param {string} command - One of TAB_COMMAND_NAMES
+ * @param {Object} [params] - Command parameters
+ * @param {Object} [options] - Send options
+ * @param {function({done: number, total: number}): void} [options.onProgress] - Called after each chunk of a bulk command
+ * @returns {Promise<TabCommandResult|null>} Result message (ok: false if the port closed before the result),
+ *   or null if the request was invalid or could not be sent
+ *
+ * @example
+ * const response = await sendTabCommand('close', { tabIds }, {
+ *   onProgress: ({ done, total }) => console.log(`Closed ${done}/${total}`)
+ * });
+ */
+export function sendTabCommand(command, params = {}, { onProgress } = {}) {
+	const request = createTabCommandRequest(command, params);
+	if (validateTabCommand(request)) {
+		return Promise.resolve(null);
+	}
+	const port = ChromeAPI.connect(TAB_COMMAND_PORT);
+	if (!port) {
+		return Promise.resolve(null);
+	}
+
+	return new Promise((resolve) => {
+		port.onMessage.addListener((message) => {
+			if (message?.requestId !== request.requestId) return;
+			if (message.type === TAB_COMMAND_MESSAGE_TYPES.progress) {
+				onProgress?.({ "done": message.done, "total": message.total });
+			} else if (message.type === TAB_COMMAND_MESSAGE_TYPES.result) {
+				resolve(message);
+				port.disconnect();
+			}
+		});
+		// The service worker went away before answering - it may have run part of the command
+		// (a later resolve is a no-op)
+		port.onDisconnect.addListener(() => {
+			const error = chrome.runtime.lastError?.message || 'The service worker stopped before answering';
+			resolve({ "type": TAB_COMMAND_MESSAGE_TYPES.result, "requestId": request.requestId, command, "ok": false, error });
+		});
+		try {
+			port.postMessage(request);
+		} catch (error) {
+			console.warn('BackgroundTabManager: Could not send tab command:', error.message);
+			resolve(null);
+		}
+	});
+}
+
+/**
+ * Result of a bulk operation in which every item failed.
+ * @private
+ * @param {Array} items - Items of the operation
+ * @returns {{success: Array, failed: Array}} Bulk results
+ */
+function failAll(items) {
+	return { "success": [], "failed": Array.isArray(items) ? [...items] : [] };
+}
+
+/**
+ * BackgroundTabManager class - TabManager whose operations run in the service worker
+ *
+ * Same methods and return values as TabManager; bulk methods also take an
+ * optional { onProgress } argument.
+ *
+ * @class BackgroundTabManager
+ * @extends TabManager
+ * @since 1.3.0
+ *
+ * @example
+ * const tabManager = new BackgroundTabManager();
+ * const results = await tabManager.closeTabs(tabIds, {
+ *   onProgress: ({ done, total }) => showToast(`Closing tabs... ${done}/${total}`)
+ * });
+ */
+class BackgroundTabManager extends TabManager {
+	/** @inheritdoc */
+	async switchToTab(tabID, windowID) {
+		return await this.runInBackground('switch', { "tabId": tabID, "windowId": windowID }, () => super.switchToTab(tabID, windowID), false);
+	}
+
+	/** @inheritdoc */
+	async closeTab(tabID) {
+		const results = await this.runInBackground('close', { "tabIds": [tabID] }, async () => ({ "success": await super.closeTab(tabID) ? [tabID] : [] }), { "success": [] });
+		return results.success.length > 0;
+	}
+
+	/** @inheritdoc */
+	async closeTabs(tabIDs, options) {
+		return await this.runInBackground('close', { "tabIds": tabIDs }, () => super.closeTabs(tabIDs), failAll(tabIDs), options);
+	}
+
+	/** @inheritdoc */
+	async moveTabs(tabIDs, windowID, index = -1, options) {
+		return await this.runInBackground('move', { "tabIds": tabIDs, "windowId": windowID, index }, () => super.moveTabs(tabIDs, windowID, index), failAll(tabIDs), options);
+	}
+
+	/** @inheritdoc */
+	async discardTabs(tabIDs, options) {
+		return await this.runInBackground('discard', { "tabIds": tabIDs }, () => super.discardTabs(tabIDs), failAll(tabIDs), options);
+	}
+
+	/** @inheritdoc */
+	async groupTabs(tabIDs, title) {
+		return await this.runInBackground('group', { "tabIds": tabIDs, title }, () => super.groupTabs(tabIDs, title), null);
+	}
+
+	/** @inheritdoc */
+	async restoreTabs(entries, options) {
+		return await this.runInBackground('restore', { entries }, () => super.restoreTabs(entries), failAll(entries), options);
+	}
+
+	/**
+	 * Runs a command in the service worker, or in this page if it could not be sent.
+	 * Invalid requests are never sent, so they fail the way TabManager reports them.
+	 * @private
+	 * @param {string} command - Tab command
+	 * @param {Object} params - Command parameters
+	 * @param {function(): Promise<*>} runHere - Same operation through TabManager in this page
+	 * @param {*} failed - What the TabManager method returns when the operation fails
+	 * @param {Object} [options] - Send options (see sendTabCommand)
+	 * @returns {Promise<*>} Result of the operation
+	 */
+	async runInBackground(command, params, runHere, failed, options) {
+		const response = await sendTabCommand(command, params, options);
+		if (response === null) {
+			console.warn(`BackgroundTabManager: ${command} could not be sent to the service worker, running it here`);
+			return await runHere();
+		}
+		if (!response.ok) {
+			// Running it again here could repeat what the service worker already did
+			console.error(`BackgroundTabManager: ${command} failed in the service worker:`, response.error);
+			return failed;
+		}
+		return response.result;
+	}
+}
+
+export default BackgroundTabManager;
@@ -0,0 +1,257 @@
+/**
+ * Badge status: the count shown for the selected badge mode, its color and tooltip.
+ *
+ * The count is compared with two thresholds - under the warning level the
+ * badge is green, under the alert level amber, above it red. Tab modes and
+ * the window count mode have their own thresholds, since 10 windows are a
+ * lot more than 10 tabs.
+ *
+ * Besides plain tab and window counts the badge can show the tabs inactive
+ * for more than N days, the duplicate tabs, the discarded tabs and the tabs
+ * opened today.
+ *
+ * @fileoverview Pure badge status functions (no Chrome API calls)
+ * @since 1.3.0
+ */
+
+import { normalizeUrlRules } from './UrlCanonicalizer.js';
+import { normalizeDedupePolicy } from './DedupePolicy.js';
+import { findDuplicateGroups } from './DuplicateScanner.js';
+import { DAY_MS } from './TabJanitor.js';
+
+/**
+ * Storage keys holding the badge color thresholds, stored next to badgeDisplayOption.
+ * @type {string[]}
+ */
+export const BADGE_THRESHOLD_SETTINGS_KEYS = ['badgeTabWarnAt', 'badgeTabAlertAt', 'badgeWindowWarnAt', 'badgeWindowAlertAt'];
+
+export const BADGE_THRESHOLD_DEFAULTS = {
+	"tabs": { "warnAt": 50, "alertAt": 200 },
+	"windows": { "warnAt": 5, "alertAt": 10 }
+};
+
+export const BADGE_THRESHOLD_MAX = 10000;
+
+// Inactive tabs mode: days without activation before a tab counts
+export const BADGE_INACTIVE_DAYS_KEY = 'badgeInactiveDays';
+export const BADGE_INACTIVE_DAYS_DEFAULT = 7;
+export const BADGE_INACTIVE_DAYS_MAX = 365;
+
+// Tabs opened today mode: { date: 'YYYY-MM-DD' (local), count }
+export const TABS_OPENED_TODAY_KEY = 'tabsOpenedToday';
+
+export const BADGE_LEVEL_COLORS = {
+	"ok": '#1E8E3E',
+	"warn": '#F29900',
+	"alert": '#D93025'
+};
+
+/**
+ * @typedef {Object} BadgeThresholdPair
+ * @property {number} warnAt - Counts from here on are amber
+ * @property {number} alertAt - Counts from here on are red
+ */
+
+/**
+ * @typedef {Object} BadgeThresholds
+ * @property {BadgeThresholdPair} tabs - Thresholds for the tab count modes
+ * @property {BadgeThresholdPair} windows - Thresholds for the window count mode
+ */
+
+/**
+ * @typedef {Object} BadgeCounts
+ * @property {number} allWindowsTabs - Tabs in all windows
+ * @property {number} currentWindowTabs - Tabs in the focused window
+ * @property {number} windows - Open windows
+ * @property {number} [discarded] - Discarded tabs in all windows
+ * @property {number} [inactive] - Tabs inactive for more than inactiveDays
+ * @property {number} [inactiveDays] - Inactivity threshold of the inactive count
+ * @property {number} [duplicates] - Tabs beyond the first of each canonical URL
+ * @property {number} [openedToday] - Tabs opened since local midnight
+ */
+
+// What each badge mode counts, and which thresholds apply to it
+const BADGE_MODES = {
+	"allWindows": { "count": (counts) => counts.allWindowsTabs, "scale": 'tabs', "describe": (count) => `${count} open tab(s) across all windows` },
+	"currentWindow": { "count": (counts) => counts.currentWindowTabs, "scale": 'tabs', "describe": (count) => `${count} open tab(s) in this window` },
+	"windowsCount": { "count": (counts) => counts.windows, "scale": 'windows', "describe": (count) => `${count} open window(s)` },
+	"inactiveTabs": {
+		"count": (counts) => counts.inactive,
+		"scale": 'tabs',
+		"describe": (count, counts) => `${count} tab(s) inactive for more than ${counts.inactiveDays ?? BADGE_INACTIVE_DAYS_DEFAULT} day(s)`
+	},
+	"duplicateTabs": { "count": (counts) => counts.duplicates, "scale": 'tabs', "describe": (count) => `${count} duplicate tab(s) that could be closed` },
+	"discardedTabs": { "count": (counts) => counts.discarded, "scale": 'tabs', "describe": (count) => `${count} discarded tab(s)` },
+	"openedToday": { "count": (counts) => counts.openedToday, "scale": 'tabs', "describe": (count) => `${count} tab(s) opened today` }
+};
+
+/**
+ * Badge modes that can be stored in badgeDisplayOption.
+ * @type {string[]}
+ */
+export const BADGE_DISPLAY_MODES = Object.keys(BADGE_MODES);
+
+// Modes whose count changes with time alone, without any tab event
+export const TIME_BASED_BADGE_MODES = ['inactiveTabs', 'openedToday'];
+
+/**
+ * Validates one threshold value.
+ * @private
+ * @param {*} value - Stored value
+ * @returns {number|null} Whole number between 1 and BADGE_THRESHOLD_MAX, or null
+ */
+function parseThreshold(value) {
+	const number = Number(value);
+	return Number.isInteger(number) && number >= 1 && number <= BADGE_THRESHOLD_MAX ? number : null;
+}
+
+/**
+ * Builds one threshold pair, falling back to its defaults if the values are invalid
+ * or the alert level does not lie above the warning level.
+ * @private
+ * @param {*} warnAt - Stored warning level
+ * @param {*} alertAt - Stored alert level
+ * @param {BadgeThresholdPair} defaults - Default pair
+ * @returns {BadgeThresholdPair} Valid pair
+ */
+function normalizePair(warnAt, alertAt, defaults) {
+	const pair = {
+		"warnAt": parseThreshold(warnAt) ?? defaults.warnAt,
+		"alertAt": parseThreshold(alertAt) ?? defaults.alertAt
+	};
+	return pair.alertAt > pair.warnAt ? pair : { ...defaults };
+}
+
+/**
+ * Builds the badge thresholds from stored settings.
+ * @param {Object} [settings] - Stored values for BADGE_THRESHOLD_SETTINGS_KEYS
+ * @returns {BadgeThresholds} Normalized thresholds
+ */
+export function normalizeBadgeThresholds(settings = {}) {
+	return {
+		"tabs": normalizePair(settings.badgeTabWarnAt, settings.badgeTabAlertAt, BADGE_THRESHOLD_DEFAULTS.tabs),
+		"windows": normalizePair(settings.badgeWindowWarnAt, settings.badgeWindowAlertAt, BADGE_THRESHOLD_DEFAULTS.windows)
+	};
+}
+
+/**
+ * Gets the warning level of a count.
+ * @param {number} count - Badge count
+ * @param {BadgeThresholdPair} pair - Thresholds for the count
+ * @returns {'ok'|'warn'|'alert'} Level
+ */
+export function getBadgeLevel(count, pair) {
+	if (count >= pair.alertAt) return 'alert';
+	if (count >= pair.warnAt) return 'warn';
+	return 'ok';
+}
+
+/**
+ * Builds what the badge shows for a mode.
+ * @param {Object} params - Badge inputs
+ * @param {string} [params.mode] - badgeDisplayOption (unknown modes show all windows)
+ * @param {BadgeCounts} params.counts - Current counts
+ * @param {BadgeThresholds} [params.thresholds] - Normalized thresholds
+ * @returns {{text: string, color: string, title: string, level: string}} Badge text, background color and tooltip
+ *
+ * @example
+ * getBadgeState({ mode: 'currentWindow', counts: { allWindowsTabs: 80, currentWindowTabs: 60, windows: 2 } });
+ * // { text: '60', color: '#F29900', level: 'warn', title: 'TabDuke: 60 open tab(s) in this window - at or above the warning level of 50 tabs.' }
+ */
+export function getBadgeState({ mode, counts, thresholds = normalizeBadgeThresholds() }) {
+	const badgeMode = BADGE_MODES[mode] ?? BADGE_MODES.allWindows;
+	const count = badgeMode.count(counts) ?? 0;
+	const pair = thresholds[badgeMode.scale];
+	const level = getBadgeLevel(count, pair);
+
+	let title = `TabDuke: ${badgeMode.describe(count, counts)}`;
+	if (level === 'alert') {
+		title += ` - at or above the alert level of ${pair.alertAt} ${badgeMode.scale}.`;
+	} else if (level === 'warn') {
+		title += ` - at or above the warning level of ${pair.warnAt} ${badgeMode.scale}.`;
+	} else {
+		title += '.';
+	}
+	if (counts.discarded > 0 && mode !== 'discardedTabs') {
+		title += ` ${counts.discarded} discarded to save memory.`;
+	}
+
+	return { "text": String(count), "color": BADGE_LEVEL_COLORS[level], title, level };
+}
+
+/**
+ * Validates the inactivity threshold of the inactive tabs mode.
+ * @param {*} value - Stored value
+ * @returns {number} Whole number of days between 1 and BADGE_INACTIVE_DAYS_MAX
+ */
+export function normalizeInactiveDays(value) {
+	const days = Number(value);
+	return Number.isInteger(days) && days >= 1 && days <= BADGE_INACTIVE_DAYS_MAX ? days : BADGE_INACTIVE_DAYS_DEFAULT;
+}
+
+/**
+ * Counts tabs not activated for more than a number of days.
+ * Active tabs never count; tabs missing from the history fall back to tab.lastAccessed.
+ * @param {Object} params - Count inputs
+ * @param {chrome.tabs.Tab[]} params.tabs - All open tabs
+ * @param {Object<string, number>} [params.history] - tab_activation_history (tabId -> timestamp)
+ * @param {number} [params.days] - Inactivity threshold in days
+ * @param {number} [params.now] - Reference timestamp
+ * @returns {number} Inactive tab count
+ */
+export function countInactiveTabs({ tabs, history = {}, days = BADGE_INACTIVE_DAYS_DEFAULT, now = Date.now() }) {
+	const cutoff = now - days * DAY_MS;
+	return tabs.filter((tab) => {
+		if (tab.active) return false;
+		const lastActivated = history?.[tab.id] ?? tab.lastAccessed;
+		return Number.isFinite(lastActivated) && lastActivated < cutoff;
+	}).length;
+}
+
+/**
+ * Counts the tabs that duplicate another open tab - every copy beyond the first
+ * of each duplicate group, i.e. what closing the duplicates would remove.
+ * @param {chrome.tabs.Tab[]} tabs - All open tabs
+ * @param {UrlRules} [urlRules] - Normalized URL rules
+ * @param {DedupePolicy} [dedupePolicy] - Normalized dedupe policy (its ignore list is honoured)
+ * @returns {number} Duplicate tab count
+ */
+export function countDuplicateTabs(tabs, urlRules = normalizeUrlRules(), dedupePolicy = normalizeDedupePolicy()) {
+	return findDuplicateGroups({ tabs, urlRules, dedupePolicy })
+		.reduce((duplicates, group) => duplicates + group.tabs.length - 1, 0);
+}
+
+/**
+ * Gets the local calendar day of a timestamp.
+ * @private
+ * @param {number} now - Timestamp
+ * @returns {string} Local date as YYYY-MM-DD
+ */
+function getLocalDateKey(now) {
+	const date = new Date(now);
+	const pad = (value) => String(value).padStart(2, '0');
+	return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Reads today's opened tab count; a count from an earlier day is zero.
+ * @param {*} stored - Stored TABS_OPENED_TODAY_KEY value
+ * @param {number} [now] - Reference timestamp
+ * @returns {number} Tabs opened today
+ */
+export function getOpenedTodayCount(stored, now = Date.now()) {
+	if (!stored || stored.date !== getLocalDateKey(now) || !Number.isInteger(stored.count)) {
+		return 0;
+	}
+	return stored.count;
+}
+
+/**
+ * Counts one more tab opened today, starting over on a new day.
+ * @param {*} stored - Stored TABS_OPENED_TODAY_KEY value
+ * @param {number} [now] - Reference timestamp
+ * @returns {{date: string, count: number}} New value to store
+ */
+export function recordTabOpened(stored, now = Date.now()) {
+	return { "date": getLocalDateKey(now), "count": getOpenedTodayCount(stored, now) + 1 };
+}
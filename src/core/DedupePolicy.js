@@ -0,0 +1,211 @@
+/**
+ * Duplicate tab policy: which tabs count as duplicates and which one is kept.
+ *
+ * - Scope: duplicates anywhere, or only within the window of the new tab
+ * - Winner: the oldest tab, the tab that was just opened, or the one in the focused window
+ * - Auto-resolve: switch and close without asking, except for sites on the
+ *   "prompt always" list (same pattern syntax as the protection allow-list)
+ * - Ignore list: sites where duplicates are normal (dashboards, mail) are never deduplicated
+ *
+ * @fileoverview Pure dedupe policy functions (no Chrome API calls)
+ * @since 1.3.0
+ */
+
+import { validateAllowListPattern, matchesAllowListPattern, MAX_ALLOW_LIST_PATTERNS } from './TabProtection.js';
+import { canonicalizeUrl } from './UrlCanonicalizer.js';
+
+/**
+ * Storage keys holding the dedupe policy, stored next to tabDedupe.
+ * @type {string[]}
+ */
+export const DEDUPE_POLICY_SETTINGS_KEYS = ['dedupeScope', 'dedupeWinner', 'dedupeAutoResolve', 'dedupePromptAlwaysList', 'dedupeIgnoreList'];
+
+// Opt-in: catch duplicates in webNavigation.onBeforeNavigate, before the new tab loads anything
+export const DEDUPE_EARLY_REDIRECT_KEY = 'dedupeEarlyRedirect';
+
+// URLs of a tab that has not shown a page yet - closing it loses nothing
+export const BLANK_TAB_URLS = ['', 'about:blank', 'chrome://newtab/', 'chrome://new-tab-page/', 'chrome-search://local-ntp/local-ntp.html'];
+
+export const DEDUPE_SCOPES = ['all', 'window'];
+export const DEDUPE_WINNERS = ['oldest', 'newest', 'focused'];
+
+/**
+ * @typedef {Object} DedupePolicy
+ * @property {'all'|'window'} scope - Where duplicates are looked for
+ * @property {'oldest'|'newest'|'focused'} winner - Which duplicate is kept
+ * @property {boolean} autoResolve - Resolve without a notification
+ * @property {string[]} promptAlways - Validated URL or domain patterns that always ask
+ * @property {string[]} ignore - Validated URL or domain patterns where duplicates are allowed
+ */
+
+/**
+ * Builds the dedupe policy from stored settings. Defaults keep today's
+ * behaviour: all windows, keep the existing tab, always ask.
+ * @param {Object} [settings] - Stored values for DEDUPE_POLICY_SETTINGS_KEYS
+ * @returns {DedupePolicy} Normalized policy
+ */
+export function normalizeDedupePolicy(settings = {}) {
+	return {
+		scope: DEDUPE_SCOPES.includes(settings.dedupeScope) ? settings.dedupeScope : 'all',
+		winner: DEDUPE_WINNERS.includes(settings.dedupeWinner) ? settings.dedupeWinner : 'oldest',
+		autoResolve: settings.dedupeAutoResolve === true,
+		promptAlways: normalizePatternList(settings.dedupePromptAlwaysList),
+		ignore: normalizePatternList(settings.dedupeIgnoreList)
+	};
+}
+
+/**
+ * Keeps the valid patterns of a stored pattern list.
+ * @private
+ * @param {*} storedList - Value read from storage
+ * @returns {string[]} Validated patterns
+ */
+function normalizePatternList(storedList) {
+	return (Array.isArray(storedList) ? storedList : [])
+		.filter((pattern) => typeof pattern === 'string')
+		.map((pattern) => validateAllowListPattern(pattern))
+		.filter((result) => result.valid)
+		.map((result) => result.pattern)
+		.slice(0, MAX_ALLOW_LIST_PATTERNS);
+}
+
+/**
+ * Checks whether duplicates of a URL are allowed by the ignore list.
+ * @param {string} url - Duplicate URL
+ * @param {DedupePolicy} policy - Normalized dedupe policy
+ * @returns {boolean} True if the URL must never be deduplicated
+ */
+export function isDuplicateIgnored(url, policy) {
+	return policy.ignore.some((pattern) => matchesAllowListPattern(url, pattern));
+}
+
+/**
+ * Gets the key tabs are compared on when counting duplicates. Blank tabs and
+ * sites on the ignore list never count as duplicates of anything.
+ * @param {string} url - Tab URL
+ * @param {UrlRules} urlRules - Normalized URL rules
+ * @param {DedupePolicy} [policy] - Normalized dedupe policy
+ * @returns {string|null} Canonical URL, or null if the tab is never a duplicate
+ */
+export function getDuplicateKey(url, urlRules, policy = normalizeDedupePolicy()) {
+	if (BLANK_TAB_URLS.includes(url || '') || isDuplicateIgnored(url, policy)) {
+		return null;
+	}
+	return canonicalizeUrl(url, urlRules) || null;
+}
+
+/**
+ * Builds the ignore-list pattern for "Always allow duplicates for this site":
+ * the web page's host without a leading "www.", which also covers subdomains.
+ * @param {string} url - Page URL
+ * @returns {string|null} Domain pattern, or null for pages without a web host
+ */
+export function getSitePattern(url) {
+	let parsed;
+	try {
+		parsed = new URL(url);
+	} catch {
+		return null;
+	}
+	if (!['http:', 'https:'].includes(parsed.protocol) || !parsed.hostname) {
+		return null;
+	}
+	const result = validateAllowListPattern(parsed.hostname.replace(/^www\./, ''));
+	return result.valid ? result.pattern : null;
+}
+
+/**
+ * Adds a pattern to a stored pattern list, keeping it valid and bounded.
+ * @param {*} storedList - Value read from storage
+ * @param {string} pattern - Validated pattern to add
+ * @returns {string[]} New list (unchanged if the pattern is already present or the list is full)
+ */
+export function addPatternToList(storedList, pattern) {
+	const patterns = normalizePatternList(storedList);
+	if (patterns.includes(pattern) || patterns.length >= MAX_ALLOW_LIST_PATTERNS) {
+		return patterns;
+	}
+	return [...patterns, pattern];
+}
+
+/**
+ * Finds the open tabs that duplicate a tab's URL within the policy's scope.
+ * @param {Object} params - Lookup inputs
+ * @param {chrome.tabs.Tab} params.tab - Tab that just navigated
+ * @param {string} params.url - Its new URL
+ * @param {chrome.tabs.Tab[]} params.tabs - All open tabs
+ * @param {UrlRules} params.urlRules - Normalized URL rules
+ * @param {DedupePolicy} params.policy - Normalized dedupe policy
+ * @returns {chrome.tabs.Tab[]} Other tabs with the same canonical URL
+ */
+export function findDuplicateTabs({ tab, url, tabs, urlRules, policy }) {
+	const canonicalUrl = canonicalizeUrl(url, urlRules);
+
+	return tabs.filter((candidate) => {
+		if (candidate.id === tab.id) return false;
+		if (policy.scope === 'window' && candidate.windowId !== tab.windowId) return false;
+		return canonicalizeUrl(candidate.url, urlRules) === canonicalUrl;
+	});
+}
+
+/**
+ * Picks the tab to keep among a tab and its duplicates.
+ * Tab IDs grow with creation order, so the lowest ID is the oldest tab.
+ * @param {Object} params - Resolution inputs
+ * @param {chrome.tabs.Tab} params.tab - Tab that just navigated
+ * @param {chrome.tabs.Tab[]} params.duplicates - Its duplicates (see findDuplicateTabs)
+ * @param {DedupePolicy} params.policy - Normalized dedupe policy
+ * @param {number|null} [params.focusedWindowId] - Currently focused window
+ * @returns {{winner: chrome.tabs.Tab, losers: chrome.tabs.Tab[]}} Tab to keep and tabs to close
+ */
+export function resolveDuplicates({ tab, duplicates, policy, focusedWindowId = null }) {
+	const group = [tab, ...duplicates];
+	const oldestOf = (tabs) => tabs.reduce((oldest, candidate) => (candidate.id < oldest.id ? candidate : oldest));
+
+	let winner = oldestOf(group);
+	if (policy.winner === 'newest') {
+		winner = tab;
+	} else if (policy.winner === 'focused') {
+		const inFocusedWindow = group.filter((candidate) => candidate.windowId === focusedWindowId);
+		if (inFocusedWindow.length > 0) {
+			winner = oldestOf(inFocusedWindow);
+		}
+	}
+
+	return { winner, losers: group.filter((candidate) => candidate.id !== winner.id) };
+}
+
+/**
+ * Checks whether a duplicate must be confirmed by the user.
+ * @param {string} url - Duplicate URL
+ * @param {DedupePolicy} policy - Normalized dedupe policy
+ * @returns {boolean} True to show a notification, false to resolve automatically
+ */
+export function shouldPromptForDuplicate(url, policy) {
+	return !policy.autoResolve || policy.promptAlways.some((pattern) => matchesAllowListPattern(url, pattern));
+}
+
+/**
+ * Checks whether a navigation may be redirected to an existing tab before it loads.
+ *
+ * Only blank tabs qualify: later hops of a redirect chain start from a page the
+ * tab already committed, so they are left to the regular check on the final URL,
+ * and a reload never counts because it targets the page the tab already shows.
+ *
+ * @param {Object} params - Navigation inputs
+ * @param {chrome.tabs.Tab} params.tab - Navigating tab (its url is the last committed URL)
+ * @param {string} params.url - Navigation target
+ * @param {UrlRules} params.urlRules - Normalized URL rules
+ * @returns {boolean} True if the tab can be closed in favour of an existing duplicate
+ */
+export function isEarlyRedirectCandidate({ tab, url, urlRules }) {
+	if (!/^https?:/i.test(url)) {
+		return false;
+	}
+	const currentUrl = tab.url ?? '';
+	// A reload of the same page is never a duplicate being opened
+	if (canonicalizeUrl(currentUrl, urlRules) === canonicalizeUrl(url, urlRules)) {
+		return false;
+	}
+	return BLANK_TAB_URLS.includes(currentUrl);
+}
@@ -0,0 +1,152 @@
+/**
+ * Duplicate scanner for the options page: groups open tabs into duplicate
+ * sets and picks which tab of each set to keep.
+ *
+ * - Exact mode: tabs with the same canonical URL (same rules as background detection)
+ * - Near mode: tabs with the same title and page whose query strings differ
+ *   (search results, paginated or filtered views of one page)
+ *
+ * @fileoverview Pure duplicate scan functions (no Chrome API calls)
+ * @since 1.3.0
+ */
+
+import { normalizeUrlRules } from './UrlCanonicalizer.js';
+import { getDuplicateKey, normalizeDedupePolicy } from './DedupePolicy.js';
+
+export const DUPLICATE_SCAN_MODES = ['exact', 'near'];
+export const DUPLICATE_KEEP_STRATEGIES = ['first', 'recent', 'largestWindow'];
+
+/**
+ * @typedef {Object} DuplicateGroup
+ * @property {string} key - Canonical URL (exact mode) or title and URL without query (near mode)
+ * @property {string} url - URL shown for the group
+ * @property {string} title - Title of the first tab
+ * @property {chrome.tabs.Tab[]} tabs - Tabs of the group, in tab order
+ * @property {number[]} windowIds - Windows holding the tabs, in order of first appearance
+ */
+
+/**
+ * Removes the query string of a canonical URL, keeping any fragment.
+ * @private
+ * @param {string} canonicalUrl - Canonical URL
+ * @returns {string} URL without its query string
+ */
+function stripQuery(canonicalUrl) {
+	const hashIndex = canonicalUrl.indexOf('#');
+	const base = hashIndex === -1 ? canonicalUrl : canonicalUrl.slice(0, hashIndex);
+	const hash = hashIndex === -1 ? '' : canonicalUrl.slice(hashIndex);
+	const queryIndex = base.indexOf('?');
+	return (queryIndex === -1 ? base : base.slice(0, queryIndex)) + hash;
+}
+
+/**
+ * Finds groups of duplicate tabs. Blank tabs and sites on the dedupe ignore
+ * list are left out (see getDuplicateKey), so every view counts the same groups.
+ * @param {Object} params - Scan inputs
+ * @param {chrome.tabs.Tab[]} params.tabs - All open tabs
+ * @param {UrlRules} [params.urlRules] - Normalized URL rules
+ * @param {DedupePolicy} [params.dedupePolicy] - Normalized dedupe policy
+ * @param {'exact'|'near'} [params.mode] - Exact duplicates or same title with different query strings
+ * @returns {DuplicateGroup[]} Groups of two or more tabs, largest first
+ */
+export function findDuplicateGroups({ tabs, urlRules = normalizeUrlRules(), dedupePolicy = normalizeDedupePolicy(), mode = 'exact' }) {
+	const groups = new Map();
+
+	for (const tab of tabs) {
+		const canonicalUrl = getDuplicateKey(tab.url, urlRules, dedupePolicy);
+		if (!canonicalUrl) continue;
+
+		let key = canonicalUrl;
+		let url = canonicalUrl;
+		if (mode === 'near') {
+			const title = (tab.title || '').trim();
+			if (!title) continue;
+			url = stripQuery(canonicalUrl);
+			key = `${title}\n${url}`;
+		}
+
+		if (!groups.has(key)) {
+			groups.set(key, { key, url, "title": tab.title || '', "tabs": [], "canonicalUrls": new Set() });
+		}
+		const group = groups.get(key);
+		group.tabs.push(tab);
+		group.canonicalUrls.add(canonicalUrl);
+	}
+
+	return [...groups.values()]
+		// Near mode reports pages that differ by query only - identical URLs are exact duplicates
+		.filter((group) => group.tabs.length > 1 && (mode !== 'near' || group.canonicalUrls.size > 1))
+		.map(({ key, url, title, tabs: groupTabs }) => ({
+			key,
+			url,
+			title,
+			"tabs": groupTabs,
+			"windowIds": [...new Set(groupTabs.map((tab) => tab.windowId))]
+		}))
+		.sort((a, b) => b.tabs.length - a.tabs.length);
+}
+
+/**
+ * Gets when a tab was last activated.
+ * @param {chrome.tabs.Tab} tab - Tab
+ * @param {Object<string, number>} [history] - tab_activation_history (tabId -> timestamp)
+ * @returns {number|null} Timestamp, falling back to Chrome's tab.lastAccessed
+ */
+export function getLastActivated(tab, history = {}) {
+	return history?.[tab.id] ?? tab.lastAccessed ?? null;
+}
+
+/**
+ * Counts open tabs per window.
+ * @param {chrome.tabs.Tab[]} tabs - All open tabs
+ * @returns {Map<number, number>} Window ID -> tab count
+ */
+export function countTabsByWindow(tabs) {
+	const counts = new Map();
+	for (const tab of tabs) {
+		counts.set(tab.windowId, (counts.get(tab.windowId) || 0) + 1);
+	}
+	return counts;
+}
+
+/**
+ * Picks the tab to keep in a duplicate group.
+ * Ties fall back to the most recently used tab, then to the first one listed.
+ * @param {chrome.tabs.Tab[]} tabs - Tabs of one group
+ * @param {'first'|'recent'|'largestWindow'} strategy - Keep the first tab, the most recently used
+ *   or the one in the window with the most tabs
+ * @param {Object} [context] - Strategy inputs
+ * @param {Object<string, number>} [context.history] - tab_activation_history (tabId -> timestamp)
+ * @param {Map<number, number>} [context.windowTabCounts] - Window ID -> tab count (see countTabsByWindow)
+ * @returns {chrome.tabs.Tab} Tab to keep
+ */
+export function pickTabToKeep(tabs, strategy, { history = {}, windowTabCounts = new Map() } = {}) {
+	if (!DUPLICATE_KEEP_STRATEGIES.includes(strategy) || strategy === 'first') {
+		return tabs[0];
+	}
+
+	const score = (tab) => [
+		strategy === 'largestWindow' ? (windowTabCounts.get(tab.windowId) || 0) : 0,
+		getLastActivated(tab, history) ?? 0
+	];
+	const isBetter = (candidate, kept) => {
+		const [a, b] = [score(candidate), score(kept)];
+		return a[0] !== b[0] ? a[0] > b[0] : a[1] > b[1];
+	};
+
+	return tabs.reduce((kept, candidate) => (isBetter(candidate, kept) ? candidate : kept));
+}
+
+/**
+ * Lists the tabs to select for closing: every tab of each group except the one kept.
+ * @param {DuplicateGroup[]} groups - Duplicate groups (see findDuplicateGroups)
+ * @param {'first'|'recent'|'largestWindow'} strategy - Selection strategy (see pickTabToKeep)
+ * @param {Object} [context] - Strategy inputs (see pickTabToKeep)
+ * @returns {number[]} Tab IDs to close
+ */
+export function selectDuplicatesToClose(groups, strategy, context = {}) {
+	return groups.flatMap((group) => {
+		const kept = pickTabToKeep(group.tabs, strategy, context);
+		return group.tabs.filter((tab) => tab.id !== kept.id).map((tab) => tab.id);
+	});
+}
@@ -0,0 +1,379 @@
+/**
+ * Messaging API for other extensions (chrome.runtime.onMessageExternal).
+ *
+ * Extensions on the allow-list in options can list, search, switch to and
+ * close tabs with the same rules TabDuke applies itself: protected tabs are
+ * never closed, and duplicates are found with the duplicate URL rules and
+ * the dedupe ignore list.
+ *
+ * Requests and responses are versioned so callers keep working when later
+ * versions add actions or fields:
+ * - request  { version: 1, action, params, requestId? }
+ * - response { version: 1, requestId, ok: true, data } or { version: 1, requestId, ok: false, error: { code, message } }
+ *
+ * @fileoverview External messaging API built on TabManager and ChromeAPI
+ * @since 1.3.0
+ */
+
+import ChromeAPI from '../utils/ChromeAPI.js';
+import TabManager from './TabManager.js';
+import { PROTECTION_SETTINGS_KEYS, normalizeProtectionRules, getProtectionReason } from './TabProtection.js';
+import { normalizeUrlRules, URL_RULE_SETTINGS_KEYS } from './UrlCanonicalizer.js';
+import { normalizeDedupePolicy, getDuplicateKey, DEDUPE_POLICY_SETTINGS_KEYS } from './DedupePolicy.js';
+import { findDuplicateGroups, selectDuplicatesToClose, countTabsByWindow, DUPLICATE_KEEP_STRATEGIES } from './DuplicateScanner.js';
+import { TAB_ACTIVATION_HISTORY_KEY } from './TabJanitor.js';
+
+export const EXTERNAL_API_ENABLED_KEY = 'externalApiEnabled';
+export const EXTERNAL_API_ALLOW_LIST_KEY = 'externalApiAllowList';
+export const EXTERNAL_API_SETTINGS_KEYS = [EXTERNAL_API_ENABLED_KEY, EXTERNAL_API_ALLOW_LIST_KEY];
+
+export const EXTERNAL_API_VERSION = 1;
+export const EXTERNAL_API_SUPPORTED_VERSIONS = [1];
+export const EXTERNAL_API_ACTIONS = ['list', 'search', 'switch', 'close'];
+
+export const MAX_EXTERNAL_API_EXTENSIONS = 50;
+export const EXTERNAL_API_SEARCH_LIMIT = 50;
+export const EXTERNAL_API_MAX_SEARCH_LIMIT = 500;
+
+export const EXTERNAL_API_ERRORS = {
+	"forbidden": 'forbidden',
+	"unsupportedVersion": 'unsupported_version',
+	"unknownAction": 'unknown_action',
+	"invalidParams": 'invalid_params',
+	"notFound": 'not_found',
+	"internal": 'internal_error'
+};
+
+// Chrome extension IDs: 32 letters from a to p
+const EXTENSION_ID_PATTERN = /^[a-p]{32}$/;
+
+/**
+ * @typedef {Object} ExternalApiTab
+ * @property {number} id - Tab ID
+ * @property {number} windowId - Window ID
+ * @property {number} index - Position in its window
+ * @property {string} title - Tab title
+ * @property {string} url - Tab URL
+ * @property {boolean} active - Active tab of its window
+ * @property {boolean} pinned - Pinned
+ * @property {boolean} audible - Playing sound
+ * @property {boolean} discarded - Unloaded from memory
+ * @property {number} groupId - Tab group, -1 if none
+ * @property {string|null} protected - Why close requests skip the tab (see getProtectionReason), null if they do not
+ * @property {string|null} canonicalUrl - URL duplicates are compared by, null for pages never deduplicated
+ * @property {number} duplicates - Other open tabs with the same canonical URL
+ */
+
+/**
+ * Parses the allow-list textarea: one extension ID per line.
+ * @param {string} text - Textarea contents
+ * @returns {{ids: string[], errors: {line: number, pattern: string, error: string}[]}} Valid IDs and per-line errors
+ */
+export function parseExtensionIdList(text) {
+	const ids = [];
+	const errors = [];
+
+	String(text ?? '').split(/\r?\n/).forEach((line, index) => {
+		const id = line.trim();
+		if (!id) return;
+
+		if (!EXTENSION_ID_PATTERN.test(id)) {
+			errors.push({ "line": index + 1, "pattern": id, "error": 'Not an extension ID (32 letters a-p, see chrome://extensions)' });
+		} else if (!ids.includes(id)) {
+			ids.push(id);
+		}
+	});
+
+	if (ids.length > MAX_EXTERNAL_API_EXTENSIONS) {
+		errors.push({ "line": 0, "pattern": '', "error": `At most ${MAX_EXTERNAL_API_EXTENSIONS} extensions are allowed` });
+	}
+
+	return { ids, errors };
+}
+
+/**
+ * Builds the external API settings; stored IDs are re-validated defensively.
+ * @param {Object} [settings] - Stored values for EXTERNAL_API_SETTINGS_KEYS
+ * @returns {{enabled: boolean, allowList: string[]}} Normalized settings
+ */
+export function normalizeExternalApiSettings(settings = {}) {
+	const storedList = Array.isArray(settings[EXTERNAL_API_ALLOW_LIST_KEY]) ? settings[EXTERNAL_API_ALLOW_LIST_KEY] : [];
+	return {
+		"enabled": settings[EXTERNAL_API_ENABLED_KEY] === true,
+		"allowList": storedList.filter((id) => EXTENSION_ID_PATTERN.test(id)).slice(0, MAX_EXTERNAL_API_EXTENSIONS)
+	};
+}
+
+/**
+ * Checks whether a message sender may use the API.
+ * @param {chrome.runtime.MessageSender} sender - Message sender
+ * @param {{enabled: boolean, allowList: string[]}} settings - Normalized settings
+ * @returns {boolean} True if the API is on and the sender extension is allow-listed
+ */
+export function isExternalSenderAllowed(sender, settings) {
+	return settings.enabled && typeof sender?.id === 'string' && settings.allowList.includes(sender.id);
+}
+
+/**
+ * Gets the version and request ID a response to a message carries.
+ * @private
+ * @param {*} message - Request sent by the other extension
+ * @returns {{version: number, requestId: (string|number|null)}} Response envelope
+ */
+function getResponseEnvelope(message) {
+	return {
+		"version": EXTERNAL_API_SUPPORTED_VERSIONS.includes(message?.version) ? message.version : EXTERNAL_API_VERSION,
+		"requestId": typeof message?.requestId === 'string' || Number.isFinite(message?.requestId) ? message.requestId : null
+	};
+}
+
+/**
+ * Builds the versioned error response to a message.
+ * @param {*} message - Request sent by the other extension
+ * @param {string} code - One of EXTERNAL_API_ERRORS
+ * @param {string} errorMessage - Human-readable reason
+ * @returns {Object} Error response
+ */
+export function createErrorResponse(message, code, errorMessage) {
+	return { ...getResponseEnvelope(message), "ok": false, "error": { code, "message": errorMessage } };
+}
+
+/**
+ * Builds the version 1 view of each tab.
+ * @param {chrome.tabs.Tab[]} tabs - All open tabs
+ * @param {Object} rules - Rules the tabs are described with
+ * @param {ProtectionRules} rules.protectionRules - Normalized protection rules
+ * @param {UrlRules} rules.urlRules - Normalized URL rules
+ * @param {DedupePolicy} rules.dedupePolicy - Normalized dedupe policy
+ * @returns {ExternalApiTab[]} Tabs as returned to callers
+ */
+export function describeTabs(tabs, { protectionRules, urlRules, dedupePolicy }) {
+	const canonicalUrls = tabs.map((tab) => getDuplicateKey(tab.url, urlRules, dedupePolicy));
+	const counts = new Map();
+	canonicalUrls.forEach((canonicalUrl) => {
+		if (canonicalUrl) counts.set(canonicalUrl, (counts.get(canonicalUrl) || 0) + 1);
+	});
+
+	return tabs.map((tab, index) => ({
+		"id": tab.id,
+		"windowId": tab.windowId,
+		"index": tab.index,
+		"title": tab.title || '',
+		"url": tab.url || tab.pendingUrl || '',
+		"active": Boolean(tab.active),
+		"pinned": Boolean(tab.pinned),
+		"audible": Boolean(tab.audible),
+		"discarded": Boolean(tab.discarded),
+		"groupId": tab.groupId ?? -1,
+		"protected": getProtectionReason(tab, protectionRules),
+		"canonicalUrl": canonicalUrls[index],
+		"duplicates": canonicalUrls[index] ? counts.get(canonicalUrls[index]) - 1 : 0
+	}));
+}
+
+/**
+ * Finds tabs whose title or URL contains every word of a query, ignoring case.
+ * @param {ExternalApiTab[]} tabs - Described tabs
+ * @param {string} query - Search words
+ * @returns {ExternalApiTab[]} Matching tabs
+ */
+export function searchTabs(tabs, query) {
+	const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+	return tabs.filter((tab) => {
+		const text = `${tab.title} ${tab.url}`.toLowerCase();
+		return words.every((word) => text.includes(word));
+	});
+}
+
+/**
+ * Error raised by an action handler; becomes the error of the response.
+ * @private
+ */
+class ExternalApiError extends Error {
+	constructor(code, message) {
+		super(message);
+		this.code = code;
+	}
+}
+
+const isTabId = (value) => Number.isInteger(value) && value >= 0;
+
+/**
+ * ExternalApi class - Answers allow-listed extensions
+ *
+ * @class ExternalApi
+ * @since 1.3.0
+ *
+ * @example
+ * const externalApi = new ExternalApi(new TabManager());
+ * chrome.runtime.onMessageExternal.addListener((message, sender, sendResponse) => {
+ *   externalApi.handleMessage(message, sender).then(sendResponse);
+ *   return true;
+ * });
+ *
+ * // From an allow-listed extension
+ * chrome.runtime.sendMessage(TABDUKE_ID, { version: 1, action: 'search', params: { query: 'jira' } });
+ * // { version: 1, requestId: null, ok: true, data: { tabs: [...], total: 3 } }
+ */
+class ExternalApi {
+	/**
+	 * @param {TabManager} [tabManager] - Tab operations service
+	 */
+	constructor(tabManager = new TabManager()) {
+		this.tabManager = tabManager;
+	}
+
+	/**
+	 * Answers one external message.
+	 * @param {*} message - Request sent by the other extension
+	 * @param {chrome.runtime.MessageSender} sender - Its sender
+	 * @returns {Promise<Object>} Versioned response
+	 */
+	async handleMessage(message, sender) {
+		const { version, requestId } = getResponseEnvelope(message);
+		const fail = (code, errorMessage) => createErrorResponse(message, code, errorMessage);
+
+		// Checked first, so extensions that are not allow-listed learn nothing about the API
+		const settings = normalizeExternalApiSettings(await ChromeAPI.getStorage(EXTERNAL_API_SETTINGS_KEYS));
+		if (!isExternalSenderAllowed(sender, settings)) {
+			return fail(EXTERNAL_API_ERRORS.forbidden, 'This extension is not allowed to use the TabDuke API');
+		}
+		if (!EXTERNAL_API_SUPPORTED_VERSIONS.includes(message?.version)) {
+			return fail(EXTERNAL_API_ERRORS.unsupportedVersion, `Supported versions: ${EXTERNAL_API_SUPPORTED_VERSIONS.join(', ')}`);
+		}
+		if (!EXTERNAL_API_ACTIONS.includes(message.action)) {
+			return fail(EXTERNAL_API_ERRORS.unknownAction, `Supported actions: ${EXTERNAL_API_ACTIONS.join(', ')}`);
+		}
+
+		try {
+			const data = await this.runAction(message.action, message.params ?? {});
+			return { version, requestId, "ok": true, data };
+		} catch (error) {
+			if (error instanceof ExternalApiError) {
+				return fail(error.code, error.message);
+			}
+			console.error(`ExternalApi: ${message.action} failed:`, error.message);
+			return fail(EXTERNAL_API_ERRORS.internal, 'The request could not be completed');
+		}
+	}
+
+	/**
+	 * Runs an action for an allowed sender.
+	 * @param {string} action - One of EXTERNAL_API_ACTIONS
+	 * @param {Object} params - Action parameters
+	 * @returns {Promise<Object>} Response data
+	 * @throws {ExternalApiError} If the parameters are invalid or the tab does not exist
+	 */
+	async runAction(action, params) {
+		if (!params || typeof params !== 'object') {
+			throw new ExternalApiError(EXTERNAL_API_ERRORS.invalidParams, 'params must be an object');
+		}
+
+		switch (action) {
+			case 'list': {
+				if (params.windowId !== undefined && !Number.isInteger(params.windowId)) {
+					throw new ExternalApiError(EXTERNAL_API_ERRORS.invalidParams, 'windowId must be a window ID');
+				}
+				let tabs = await this.getDescribedTabs();
+				if (params.windowId !== undefined) {
+					tabs = tabs.filter((tab) => tab.windowId === params.windowId);
+				}
+				if (params.duplicatesOnly === true) {
+					tabs = tabs.filter((tab) => tab.duplicates > 0);
+				}
+				return { tabs };
+			}
+
+			case 'search': {
+				if (typeof params.query !== 'string' || !params.query.trim()) {
+					throw new ExternalApiError(EXTERNAL_API_ERRORS.invalidParams, 'query must be a non-empty string');
+				}
+				const limit = params.limit ?? EXTERNAL_API_SEARCH_LIMIT;
+				if (!Number.isInteger(limit) || limit < 1 || limit > EXTERNAL_API_MAX_SEARCH_LIMIT) {
+					throw new ExternalApiError(EXTERNAL_API_ERRORS.invalidParams, `limit must be between 1 and ${EXTERNAL_API_MAX_SEARCH_LIMIT}`);
+				}
+				const matches = searchTabs(await this.getDescribedTabs(), params.query);
+				return { "tabs": matches.slice(0, limit), "total": matches.length };
+			}
+
+			case 'switch': {
+				if (!isTabId(params.tabId)) {
+					throw new ExternalApiError(EXTERNAL_API_ERRORS.invalidParams, 'tabId must be a tab ID');
+				}
+				const tab = await ChromeAPI.getTab(params.tabId);
+				if (!tab) {
+					throw new ExternalApiError(EXTERNAL_API_ERRORS.notFound, `No open tab with ID ${params.tabId}`);
+				}
+				return { "switched": await this.tabManager.switchToTab(tab.id, tab.windowId) };
+			}
+
+			case 'close':
+				return await this.closeTabs(params);
+
+			default:
+				throw new ExternalApiError(EXTERNAL_API_ERRORS.unknownAction, `Unknown action: ${action}`);
+		}
+	}
+
+	/**
+	 * Closes the given tabs, or every duplicate but one per canonical URL.
+	 * Protected tabs are skipped either way.
+	 * @private
+	 * @param {{tabIds?: number[], duplicates?: boolean, keep?: string}} params - Tabs to close, or duplicates with the tab to keep
+	 * @returns {Promise<{closed: number[], failed: number[], protected: number[]}>} What happened to each tab
+	 */
+	async closeTabs(params) {
+		let tabIds;
+		if (params.duplicates === true) {
+			const keep = params.keep ?? 'first';
+			if (!DUPLICATE_KEEP_STRATEGIES.includes(keep)) {
+				throw new ExternalApiError(EXTERNAL_API_ERRORS.invalidParams, `keep must be one of: ${DUPLICATE_KEEP_STRATEGIES.join(', ')}`);
+			}
+			tabIds = await this.findDuplicatesToClose(keep);
+		} else if (Array.isArray(params.tabIds) && params.tabIds.length > 0 && params.tabIds.every(isTabId)) {
+			tabIds = [...new Set(params.tabIds)];
+		} else {
+			throw new ExternalApiError(EXTERNAL_API_ERRORS.invalidParams, 'Pass a non-empty tabIds array, or duplicates: true');
+		}
+
+		const { allowed, protectedIds } = await this.tabManager.filterProtectedTabs(tabIds);
+		const results = allowed.length > 0 ? await this.tabManager.closeTabs(allowed) : { "success": [], "failed": [] };
+		return { "closed": results.success, "failed": results.failed, "protected": protectedIds };
+	}
+
+	/**
+	 * Lists duplicate tabs to close, leaving out pages on the dedupe ignore list.
+	 * @private
+	 * @param {string} keep - Which tab of each group to keep (see pickTabToKeep)
+	 * @returns {Promise<number[]>} Tab IDs to close
+	 */
+	async findDuplicatesToClose(keep) {
+		const [tabs, settings] = await Promise.all([
+			this.tabManager.getAllTabs(),
+			ChromeAPI.getStorage([...URL_RULE_SETTINGS_KEYS, ...DEDUPE_POLICY_SETTINGS_KEYS, TAB_ACTIVATION_HISTORY_KEY])
+		]);
+		const groups = findDuplicateGroups({ tabs, "urlRules": normalizeUrlRules(settings), "dedupePolicy": normalizeDedupePolicy(settings) });
+		return selectDuplicatesToClose(groups, keep, {
+			"history": settings[TAB_ACTIVATION_HISTORY_KEY] || {},
+			"windowTabCounts": countTabsByWindow(tabs)
+		});
+	}
+
+	/**
+	 * @private
+	 * @returns {Promise<ExternalApiTab[]>} All open tabs, described with the current rules
+	 */
+	async getDescribedTabs() {
+		const [tabs, settings] = await Promise.all([
+			this.tabManager.getAllTabs(),
+			ChromeAPI.getStorage([...PROTECTION_SETTINGS_KEYS, ...URL_RULE_SETTINGS_KEYS, ...DEDUPE_POLICY_SETTINGS_KEYS])
+		]);
+		return describeTabs(tabs, {
+			"protectionRules": normalizeProtectionRules(settings),
+			"urlRules": normalizeUrlRules(settings),
+			"dedupePolicy": normalizeDedupePolicy(settings)
+		});
+	}
+}
+
+export default ExternalApi;
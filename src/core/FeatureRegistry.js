@@ -0,0 +1,247 @@
+/**
+ * Feature registry for the background service worker.
+ *
+ * Each feature (duplicate detection, Tab Janitor, badge, ...) declares the
+ * settings it follows, the event listeners it needs while enabled and the
+ * alarms it owns. The registry activates a feature when its settings enable
+ * it and deactivates it when they no longer do - listeners are removed and
+ * alarms cleared, so a disabled feature leaves nothing running behind it.
+ *
+ * @fileoverview Feature lifecycle driven by chrome.storage.local settings
+ * @since 1.3.0
+ */
+
+import ChromeAPI from '../utils/ChromeAPI.js';
+
+/**
+ * @typedef {Object} FeatureAlarm
+ * @property {string} name - Alarm name
+ * @property {function(chrome.alarms.Alarm): Promise<void>} handler - Runs when the alarm fires while the feature is active
+ * @property {function(Object): chrome.alarms.AlarmCreateInfo} [schedule] - Alarm kept scheduled while the feature
+ *   is active; omit it for alarms the feature schedules itself (they are still cleared on deactivation)
+ */
+
+/**
+ * @typedef {Object} Feature
+ * @property {string} name - Unique feature name
+ * @property {string[]} settings - Storage keys the feature follows; a change to any of them re-evaluates it
+ * @property {function(Object): boolean} [isEnabled] - Whether the settings enable the feature (always on if omitted)
+ * @property {Array<[chrome.events.Event|undefined, Function]>} [listeners] - Events and their listeners;
+ *   events of unavailable APIs are skipped
+ * @property {FeatureAlarm[]} [alarms] - Alarms the feature owns
+ * @property {function(Object): (Promise<void>|void)} [activate] - Called with the settings before listeners are added
+ * @property {function(): (Promise<void>|void)} [deactivate] - Called after listeners are removed
+ * @property {function(Object, Object): (Promise<void>|void)} [update] - Called with the settings and the
+ *   storage changes when settings change while the feature stays active
+ */
+
+/**
+ * FeatureRegistry class - Activates and deactivates background features from their settings
+ *
+ * Lifecycle changes run one at a time, in the order settings changed, so a
+ * quick off/on toggle can never leave a listener registered twice.
+ *
+ * @class FeatureRegistry
+ * @since 1.3.0
+ *
+ * @example
+ * const registry = new FeatureRegistry();
+ * registry.register({
+ *   name: 'dedupe',
+ *   settings: ['tabDedupe'],
+ *   isEnabled: (settings) => Boolean(settings.tabDedupe),
+ *   listeners: [[chrome.tabs.onUpdated, handleTabUpdate]]
+ * });
+ * chrome.storage.onChanged.addListener((changes, area) => registry.handleStorageChange(changes, area));
+ * await registry.start();
+ */
+class FeatureRegistry {
+	constructor() {
+		/** @private */
+		this.features = new Map();
+		/** @private */
+		this.activeFeatures = new Set();
+		/** @private */
+		this.queue = Promise.resolve();
+	}
+
+	/**
+	 * Registers a feature. Features start inactive until start() evaluates their settings.
+	 * @param {Feature} feature - Feature declaration
+	 * @returns {FeatureRegistry} This registry, for chaining
+	 * @throws {Error} If a feature with the same name is already registered
+	 */
+	register(feature) {
+		if (this.features.has(feature.name)) {
+			throw new Error(`FeatureRegistry: Feature "${feature.name}" is already registered`);
+		}
+		this.features.set(feature.name, feature);
+		return this;
+	}
+
+	/**
+	 * @param {string} name - Feature name
+	 * @returns {boolean} True if the feature is currently active
+	 */
+	isActive(name) {
+		return this.activeFeatures.has(name);
+	}
+
+	/**
+	 * Evaluates every registered feature against the stored settings.
+	 * Alarms of disabled features left over from an earlier session are cleared.
+	 * @returns {Promise<void>} Resolves once every feature has been evaluated
+	 */
+	start() {
+		return this.enqueue([...this.features.values()], null);
+	}
+
+	/**
+	 * Re-evaluates the features that follow any of the changed settings.
+	 * @param {Object<string, chrome.storage.StorageChange>} changes - Changes from chrome.storage.onChanged
+	 * @param {string} areaName - Storage area of the changes
+	 * @returns {Promise<void>} Resolves once the affected features have been updated
+	 */
+	handleStorageChange(changes, areaName) {
+		if (areaName !== 'local') {
+			return Promise.resolve();
+		}
+		const affected = [...this.features.values()].filter((feature) => feature.settings.some((key) => key in changes));
+		return affected.length > 0 ? this.enqueue(affected, changes) : Promise.resolve();
+	}
+
+	/**
+	 * Routes a fired alarm to the feature that owns it.
+	 * An alarm of an inactive feature is stale and gets cleared.
+	 * @param {chrome.alarms.Alarm} alarm - Alarm from chrome.alarms.onAlarm
+	 * @returns {Promise<boolean>} True if a registered feature owns the alarm
+	 */
+	async handleAlarm(alarm) {
+		// An alarm can wake the service worker - let start() finish before routing it
+		await this.queue;
+
+		for (const feature of this.features.values()) {
+			const owned = (feature.alarms || []).find((entry) => entry.name === alarm.name);
+			if (!owned) continue;
+
+			if (this.activeFeatures.has(feature.name)) {
+				await owned.handler(alarm);
+			} else {
+				await ChromeAPI.clearAlarm(alarm.name);
+				console.log(`FeatureRegistry: Cleared stale alarm "${alarm.name}" of inactive feature "${feature.name}"`);
+			}
+			return true;
+		}
+		return false;
+	}
+
+	/**
+	 * Queues lifecycle updates so they never interleave.
+	 * @private
+	 * @param {Feature[]} features - Features to evaluate
+	 * @param {Object|null} changes - Storage changes, or null at start
+	 * @returns {Promise<void>} Resolves when the update has run
+	 */
+	enqueue(features, changes) {
+		const run = this.queue.then(async () => {
+			for (const feature of features) {
+				try {
+					const settings = await ChromeAPI.getStorage(feature.settings);
+					await this.sync(feature, settings, changes);
+				} catch (error) {
+					console.error(`FeatureRegistry: Failed to update feature "${feature.name}":`, error);
+				}
+			}
+		});
+
+		// Keep the queue alive even if one update fails
+		this.queue = run.catch(() => {});
+		return run;
+	}
+
+	/**
+	 * Brings one feature in line with its settings.
+	 * @private
+	 * @param {Feature} feature - Feature to update
+	 * @param {Object} settings - Current values of feature.settings
+	 * @param {Object|null} changes - Storage changes, or null at start
+	 */
+	async sync(feature, settings, changes) {
+		const enabled = feature.isEnabled ? feature.isEnabled(settings) : true;
+		const active = this.activeFeatures.has(feature.name);
+
+		if (enabled && !active) {
+			await this.activate(feature, settings);
+		} else if (!enabled && active) {
+			await this.deactivate(feature);
+		} else if (enabled) {
+			await this.scheduleAlarms(feature, settings);
+			await feature.update?.(settings, changes);
+		} else if (changes === null) {
+			await this.clearAlarms(feature);
+		}
+	}
+
+	/**
+	 * @private
+	 * @param {Feature} feature - Feature to activate
+	 * @param {Object} settings - Current values of feature.settings
+	 */
+	async activate(feature, settings) {
+		await feature.activate?.(settings);
+		for (const [event, listener] of feature.listeners || []) {
+			if (event && !event.hasListener?.(listener)) {
+				event.addListener(listener);
+			}
+		}
+		await this.scheduleAlarms(feature, settings);
+		this.activeFeatures.add(feature.name);
+		console.log(`FeatureRegistry: Activated "${feature.name}"`);
+	}
+
+	/**
+	 * @private
+	 * @param {Feature} feature - Feature to deactivate
+	 */
+	async deactivate(feature) {
+		this.activeFeatures.delete(feature.name);
+		for (const [event, listener] of feature.listeners || []) {
+			event?.removeListener(listener);
+		}
+		await this.clearAlarms(feature);
+		await feature.deactivate?.();
+		console.log(`FeatureRegistry: Deactivated "${feature.name}"`);
+	}
+
+	/**
+	 * Creates the feature's scheduled alarms. An alarm that already runs with the
+	 * same period is kept, so service worker restarts never push it back.
+	 * @private
+	 * @param {Feature} feature - Active feature
+	 * @param {Object} settings - Current values of feature.settings
+	 */
+	async scheduleAlarms(feature, settings) {
+		for (const { name, schedule } of feature.alarms || []) {
+			if (!schedule) continue;
+
+			const alarmInfo = schedule(settings);
+			const existing = await ChromeAPI.getAlarm(name);
+			if (existing && alarmInfo.periodInMinutes !== undefined && existing.periodInMinutes === alarmInfo.periodInMinutes) {
+				continue;
+			}
+			await ChromeAPI.createAlarm(name, alarmInfo);
+		}
+	}
+
+	/**
+	 * @private
+	 * @param {Feature} feature - Feature whose alarms are cleared
+	 */
+	async clearAlarms(feature) {
+		for (const { name } of feature.alarms || []) {
+			await ChromeAPI.clearAlarm(name);
+		}
+	}
+}
+
+export default FeatureRegistry;
@@ -0,0 +1,277 @@
+/**
+ * Pending Tab Janitor batches with pre-close warnings and snooze.
+ *
+ * The janitor never closes a tab the first time it finds it inactive: it
+ * groups new candidates into a batch, warns "N tabs will be closed in 1 hour"
+ * and only closes the tabs that are still candidates when the batch is due.
+ * Snoozing a batch holds its tabs back for a day. Batches live in storage so a
+ * service worker restart never loses them.
+ *
+ * @fileoverview Pending janitor batches, pre-close warnings and snooze
+ * @since 1.3.0
+ */
+
+import ChromeAPI from '../utils/ChromeAPI.js';
+import { HOUR_MS, DAY_MS } from './TabJanitor.js';
+
+export const JANITOR_PENDING_KEY = 'tab_janitor_pending';
+
+// How long after the warning the batch is closed
+export const JANITOR_WARNING_LEAD_MS = HOUR_MS;
+
+// How long "Snooze 1 day" holds a batch back
+export const JANITOR_SNOOZE_MS = DAY_MS;
+
+// Notification IDs for warnings are `${prefix}${batchId}`
+export const JANITOR_WARNING_NOTIFICATION_PREFIX = 'janitor-warning-';
+
+// One-shot alarm that wakes the janitor when the next batch is due
+export const JANITOR_BATCH_ALARM = 'tabJanitorBatch';
+
+/**
+ * @typedef {Object} PendingTab
+ * @property {number} tabId - Tab ID
+ * @property {string} url - URL when the tab was warned about (tab IDs are reused after a browser restart)
+ */
+
+/**
+ * @typedef {Object} PendingBatch
+ * @property {string} id - Unique batch identifier
+ * @property {number} createdAt - When the warning was shown
+ * @property {number} closeAt - When the batch is closed
+ * @property {PendingTab[]} tabs - Tabs the warning covered
+ */
+
+/**
+ * @typedef {Object} PendingState
+ * @property {PendingBatch[]} batches - Batches waiting to close, oldest first
+ * @property {{tabId: number, url: string, until: number}[]} snoozed - Tabs held back by a snooze
+ */
+
+/**
+ * Validates the stored pending state.
+ * @param {*} stored - Value read from storage
+ * @returns {PendingState} Valid state
+ */
+export function normalizePendingState(stored) {
+	const isPendingTab = (entry) => entry && Number.isInteger(entry.tabId) && typeof entry.url === 'string';
+
+	return {
+		batches: (Array.isArray(stored?.batches) ? stored.batches : [])
+			.filter((batch) => batch && typeof batch.id === 'string' && Number.isFinite(batch.closeAt) && Array.isArray(batch.tabs))
+			.map((batch) => ({ ...batch, tabs: batch.tabs.filter(isPendingTab) })),
+		snoozed: (Array.isArray(stored?.snoozed) ? stored.snoozed : [])
+			.filter((entry) => isPendingTab(entry) && Number.isFinite(entry.until))
+	};
+}
+
+/**
+ * @private
+ * @param {{tabId: number, url: string}|chrome.tabs.Tab} entry - Pending entry or tab
+ * @returns {string} Identity of a tab across pending batches and snoozes
+ */
+function tabKey(entry) {
+	return `${entry.tabId ?? entry.id}|${entry.url}`;
+}
+
+/**
+ * Matches the janitor's candidates against the pending batches.
+ *
+ * - Candidates in a batch that is due are returned to be closed; the batch is dropped
+ * - Candidates in no batch and not snoozed form a new batch (and need a warning)
+ * - Tabs that stopped being candidates (used again, closed) leave their batch
+ *
+ * @param {Object} params - Scheduling inputs
+ * @param {PendingState} params.state - Current pending state
+ * @param {{tab: chrome.tabs.Tab}[]} params.candidates - Candidates from planJanitorRun
+ * @param {number} [params.now] - Reference timestamp
+ * @returns {{state: PendingState, due: Object[], batch: PendingBatch|null, snoozed: Object[]}} New state,
+ *   candidates to close now, the new batch to warn about and candidates held back by a snooze
+ */
+export function schedulePendingCloses({ state, candidates, now = Date.now() }) {
+	const snoozedEntries = state.snoozed.filter((entry) => entry.until > now);
+	const snoozedKeys = new Set(snoozedEntries.map(tabKey));
+	const byKey = new Map(candidates.map((candidate) => [tabKey(candidate.tab), candidate]));
+
+	const due = [];
+	const held = [];
+	const scheduled = new Set();
+	const batches = [];
+
+	for (const batch of state.batches) {
+		const tabs = batch.tabs.filter((entry) => byKey.has(tabKey(entry)) && !snoozedKeys.has(tabKey(entry)));
+		if (tabs.length === 0) {
+			continue;
+		}
+		tabs.forEach((entry) => scheduled.add(tabKey(entry)));
+
+		if (batch.closeAt <= now) {
+			due.push(...tabs.map((entry) => byKey.get(tabKey(entry))));
+		} else {
+			batches.push({ ...batch, tabs });
+		}
+	}
+
+	const fresh = [];
+	for (const [key, candidate] of byKey) {
+		if (snoozedKeys.has(key)) {
+			held.push(candidate);
+		} else if (!scheduled.has(key)) {
+			fresh.push(candidate);
+		}
+	}
+
+	let batch = null;
+	if (fresh.length > 0) {
+		batch = {
+			id: `batch-${now}`,
+			createdAt: now,
+			closeAt: now + JANITOR_WARNING_LEAD_MS,
+			tabs: fresh.map(({ tab }) => ({ tabId: tab.id, url: tab.url }))
+		};
+		batches.push(batch);
+	}
+
+	return { state: { batches, snoozed: snoozedEntries }, due, batch, snoozed: held };
+}
+
+/**
+ * Holds a batch's tabs back for JANITOR_SNOOZE_MS and drops the batch.
+ * @param {PendingState} state - Current pending state
+ * @param {string} batchId - Batch identifier
+ * @param {number} [now] - Reference timestamp
+ * @returns {{state: PendingState, count: number}} New state and number of tabs snoozed
+ */
+export function snoozeBatch(state, batchId, now = Date.now()) {
+	const batch = state.batches.find((entry) => entry.id === batchId);
+	if (!batch) {
+		return { state, count: 0 };
+	}
+
+	const until = now + JANITOR_SNOOZE_MS;
+	const keys = new Set(batch.tabs.map(tabKey));
+	return {
+		state: {
+			batches: state.batches.filter((entry) => entry.id !== batchId),
+			snoozed: [
+				...state.snoozed.filter((entry) => !keys.has(tabKey(entry))),
+				...batch.tabs.map((entry) => ({ ...entry, until }))
+			]
+		},
+		count: batch.tabs.length
+	};
+}
+
+/**
+ * When the next batch is due.
+ * @param {PendingState} state - Current pending state
+ * @returns {number|null} Earliest closeAt, or null if nothing is pending
+ */
+export function getNextCloseTime(state) {
+	return state.batches.length > 0 ? Math.min(...state.batches.map((batch) => batch.closeAt)) : null;
+}
+
+/**
+ * Describes a tab's pending state for the preview.
+ * @param {PendingState} state - Current pending state
+ * @param {chrome.tabs.Tab} tab - Tab to look up
+ * @param {number} [now] - Reference timestamp
+ * @returns {{closeAt: number}|{snoozedUntil: number}|null} Scheduled close, active snooze, or null
+ */
+export function getPendingStatus(state, tab, now = Date.now()) {
+	const key = tabKey(tab);
+	const snoozed = state.snoozed.find((entry) => entry.until > now && tabKey(entry) === key);
+	if (snoozed) {
+		return { snoozedUntil: snoozed.until };
+	}
+	const batch = state.batches.find((entry) => entry.tabs.some((pending) => tabKey(pending) === key));
+	return batch ? { closeAt: batch.closeAt } : null;
+}
+
+/**
+ * JanitorPendingBatches class - Storage-backed pending batches and snoozes
+ *
+ * @class JanitorPendingBatches
+ * @since 1.3.0
+ *
+ * @example
+ * const pending = new JanitorPendingBatches();
+ * const { due, batch } = await pending.schedule(plan.candidates);
+ */
+class JanitorPendingBatches {
+	constructor() {
+		/** @private */
+		this.writeQueue = Promise.resolve();
+	}
+
+	/**
+	 * Gets the stored pending state.
+	 * @returns {Promise<PendingState>} Pending state
+	 */
+	async getState() {
+		const stored = await ChromeAPI.getStorage([JANITOR_PENDING_KEY]);
+		return normalizePendingState(stored[JANITOR_PENDING_KEY]);
+	}
+
+	/**
+	 * Schedules the janitor's candidates and persists the result (see schedulePendingCloses).
+	 * @param {{tab: chrome.tabs.Tab}[]} candidates - Candidates from planJanitorRun
+	 * @returns {Promise<{state: PendingState, due: Object[], batch: PendingBatch|null, snoozed: Object[]}|null>}
+	 *   Schedule, or null if it could not be saved (nothing must be closed then)
+	 */
+	async schedule(candidates) {
+		let result = null;
+		const saved = await this.update((state) => {
+			result = schedulePendingCloses({ state, candidates, now: Date.now() });
+			return result.state;
+		});
+		return saved ? result : null;
+	}
+
+	/**
+	 * Snoozes a batch for a day.
+	 * @param {string} batchId - Batch identifier
+	 * @returns {Promise<number>} Number of tabs snoozed
+	 */
+	async snooze(batchId) {
+		let count = 0;
+		await this.update((state) => {
+			const result = snoozeBatch(state, batchId, Date.now());
+			count = result.count;
+			return result.state;
+		});
+		return count;
+	}
+
+	/**
+	 * Drops every pending batch and snooze, so nothing closes without a fresh warning.
+	 * @returns {Promise<string[]>} IDs of the dropped batches (their warnings are stale)
+	 */
+	async clear() {
+		let batchIds = [];
+		const saved = await this.update((state) => {
+			batchIds = state.batches.map((batch) => batch.id);
+			return normalizePendingState(null);
+		});
+		return saved ? batchIds : [];
+	}
+
+	/**
+	 * Applies a read-modify-write to the stored state, one at a time.
+	 * @private
+	 * @param {function(PendingState): PendingState} mutate - Returns the new state
+	 * @returns {Promise<boolean>} Success status
+	 */
+	update(mutate) {
+		const run = this.writeQueue.then(async () => {
+			const state = await this.getState();
+			return await ChromeAPI.setStorage({ [JANITOR_PENDING_KEY]: mutate(state) });
+		});
+
+		// Keep the queue alive even if one write fails
+		this.writeQueue = run.catch(() => false);
+		return run;
+	}
+}
+
+export default JanitorPendingBatches;
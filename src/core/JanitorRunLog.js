@@ -0,0 +1,166 @@
+/**
+ * Bounded log of Tab Janitor runs with undo.
+ * Each run records when it ran, the thresholds it used and the tabs it closed,
+ * so a whole run can be restored from its notification or the options page.
+ */
+
+import ChromeAPI from '../utils/ChromeAPI.js';
+import TabArchive from './TabArchive.js';
+import { DAY_MS } from './TabJanitor.js';
+
+export const JANITOR_RUN_LOG_KEY = 'tab_janitor_runs';
+
+// Runs can fire every 15 minutes - keep roughly a day of them
+export const MAX_JANITOR_RUNS = 100;
+
+// Notification IDs for "Restore" buttons are `${prefix}${runId}`
+export const JANITOR_RUN_NOTIFICATION_PREFIX = 'janitor-run-';
+
+/**
+ * @typedef {Object} JanitorRunTab
+ * @property {string} archiveId - Archive entry holding the closed tab
+ * @property {string} url - URL of the closed tab
+ * @property {string} title - Title of the closed tab
+ * @property {string} favIconUrl - Favicon URL (may be empty)
+ * @property {number} windowId - Window the tab was in
+ * @property {number} thresholdMs - Inactivity threshold that closed it
+ */
+
+/**
+ * @typedef {Object} JanitorRun
+ * @property {string} id - Unique run identifier
+ * @property {number} time - Timestamp of the run
+ * @property {number} days - Default threshold in days
+ * @property {number} ruleCount - Number of per-site threshold rules in effect
+ * @property {'close'|'discard'} mode - Janitor action mode
+ * @property {JanitorRunTab[]} tabs - Tabs the run archived and closed
+ * @property {number} discarded - Number of tabs the run discarded
+ * @property {number|null} restoredAt - When the run was undone, if it was
+ */
+
+/**
+ * JanitorRunLog class - Storage-backed, newest-first log of janitor runs
+ *
+ * Closed tabs live in the TabArchive; restoring a run reopens the archive
+ * entries it still has, so a tab restored or purged elsewhere is never
+ * reopened twice.
+ *
+ * @class JanitorRunLog
+ * @since 1.3.0
+ *
+ * @example
+ * const runLog = new JanitorRunLog(tabArchive);
+ * const run = await runLog.addRun({ plan, archived, discarded: 0 });
+ * await runLog.restoreRun(run.id);
+ */
+class JanitorRunLog {
+	/**
+	 * @param {TabArchive} [tabArchive] - Archive holding the closed tabs
+	 */
+	constructor(tabArchive = new TabArchive()) {
+		this.tabArchive = tabArchive;
+		/** @private */
+		this.writeQueue = Promise.resolve();
+	}
+
+	/**
+	 * Builds a run record.
+	 * @param {Object} params - Run details
+	 * @param {JanitorPlan} params.plan - Plan the run executed
+	 * @param {ArchivedTab[]} params.archived - Archive entries of the tabs that were closed
+	 * @param {number} params.discarded - Number of tabs discarded
+	 * @param {number} [params.now] - Run timestamp
+	 * @returns {JanitorRun} Run record
+	 */
+	createRun({ plan, archived, discarded, now = Date.now() }) {
+		const thresholds = new Map(plan.candidates.map(({ tab, thresholdMs }) => [tab.id, thresholdMs]));
+
+		return {
+			"id": `run-${now}`,
+			"time": now,
+			"days": plan.days,
+			"ruleCount": plan.rules.length,
+			"mode": plan.mode,
+			"tabs": archived.map((entry) => ({
+				"archiveId": entry.id,
+				"url": entry.url,
+				"title": entry.title,
+				"favIconUrl": entry.favIconUrl,
+				"windowId": entry.windowId,
+				"thresholdMs": thresholds.get(entry.tabId) ?? plan.days * DAY_MS
+			})),
+			"discarded": discarded,
+			"restoredAt": null
+		};
+	}
+
+	/**
+	 * Gets all runs, newest first.
+	 * @returns {Promise<JanitorRun[]>} Runs (empty on error)
+	 */
+	async getRuns() {
+		const stored = await ChromeAPI.getStorage([JANITOR_RUN_LOG_KEY]);
+		const runs = stored[JANITOR_RUN_LOG_KEY];
+		return Array.isArray(runs) ? runs : [];
+	}
+
+	/**
+	 * Appends a run to the log, dropping the oldest runs past MAX_JANITOR_RUNS.
+	 * Runs that neither closed nor discarded a tab are not logged - the janitor
+	 * runs every few minutes and they would push restorable runs out of the log.
+	 * @param {Object} params - Run details (see createRun)
+	 * @returns {Promise<JanitorRun|null>} Logged run, or null if the run did nothing or the log could not be saved
+	 */
+	async addRun(params) {
+		const run = this.createRun(params);
+		if (run.tabs.length === 0 && run.discarded === 0) {
+			return null;
+		}
+		const saved = await this.update((runs) => [run, ...runs].slice(0, MAX_JANITOR_RUNS));
+		return saved ? run : null;
+	}
+
+	/**
+	 * Reopens the tabs a run closed, in their original windows where those still exist.
+	 * Tabs already restored or purged from the archive are reported as missing.
+	 * @param {string} runId - Run identifier
+	 * @returns {Promise<{success: ArchivedTab[], failed: ArchivedTab[], missing: number}>} Restore results
+	 */
+	async restoreRun(runId) {
+		const run = (await this.getRuns()).find((entry) => entry.id === runId);
+		if (!run) {
+			console.warn('JanitorRunLog.restoreRun: Unknown run', runId);
+			return { success: [], failed: [], missing: 0 };
+		}
+
+		const archiveIds = run.tabs.map((tab) => tab.archiveId);
+		const results = await this.tabArchive.restoreEntries(archiveIds);
+		const missing = archiveIds.length - results.success.length - results.failed.length;
+
+		if (results.failed.length === 0) {
+			const restoredAt = Date.now();
+			await this.update((runs) => runs.map((entry) => (entry.id === runId ? { ...entry, restoredAt } : entry)));
+		}
+
+		return { ...results, missing };
+	}
+
+	/**
+	 * Applies a read-modify-write to the stored log, one at a time.
+	 * @private
+	 * @param {function(JanitorRun[]): JanitorRun[]} mutate - Returns the new run list
+	 * @returns {Promise<boolean>} Success status
+	 */
+	update(mutate) {
+		const run = this.writeQueue.then(async () => {
+			const runs = await this.getRuns();
+			return await ChromeAPI.setStorage({ [JANITOR_RUN_LOG_KEY]: mutate(runs) });
+		});
+
+		// Keep the queue alive even if one write fails
+		this.writeQueue = run.catch(() => false);
+		return run;
+	}
+}
+
+export default JanitorRunLog;
@@ -0,0 +1,253 @@
+/**
+ * Native messaging bridge for command-line tab control.
+ *
+ * When the bridge is on in options, the service worker connects to the
+ * native host (native-host/tabduke-host.js), which relays commands typed in
+ * a terminal. Every command runs through TabManager with TabDuke's own rules:
+ * protected tabs are never closed and URLs are compared canonically.
+ *
+ * Messages on the native port:
+ * - command  { version: 1, id, command, params }
+ * - response { version: 1, id, ok: true, result } or { version: 1, id, ok: false, error: { code, message } }
+ *
+ * @fileoverview Native messaging command bridge built on TabManager
+ * @since 1.3.0
+ */
+
+import ChromeAPI from '../utils/ChromeAPI.js';
+import TabManager from './TabManager.js';
+import ExternalApi, { EXTERNAL_API_ERRORS } from './ExternalApi.js';
+import { validateAllowListPattern, matchesAllowListPattern } from './TabProtection.js';
+import { canonicalizeUrl, normalizeUrlRules, URL_RULE_SETTINGS_KEYS } from './UrlCanonicalizer.js';
+import { pickTabToKeep } from './DuplicateScanner.js';
+import { TAB_ACTIVATION_HISTORY_KEY } from './TabJanitor.js';
+
+// Host name in the host manifest (native-host/com.tabduke.bridge.json)
+export const NATIVE_HOST_NAME = 'com.tabduke.bridge';
+export const NATIVE_BRIDGE_ENABLED_KEY = 'nativeBridgeEnabled';
+
+export const NATIVE_BRIDGE_VERSION = 1;
+export const NATIVE_BRIDGE_COMMANDS = ['list', 'search', 'close', 'focus'];
+
+// Disconnect errors that reconnecting cannot fix until the host is installed (or its manifest fixed)
+const HOST_UNAVAILABLE_ERRORS = ['Specified native messaging host not found.', 'Access to the specified native messaging host is forbidden.'];
+
+// URLs the focus command may open in a new tab
+const OPENABLE_PROTOCOLS = ['http:', 'https:'];
+
+/**
+ * Error raised by a command; becomes the error of the response.
+ * @private
+ */
+class NativeBridgeError extends Error {
+	constructor(code, message) {
+		super(message);
+		this.code = code;
+	}
+}
+
+/**
+ * NativeBridge class - Runs commands sent by the native host
+ *
+ * @class NativeBridge
+ * @since 1.3.0
+ *
+ * @example
+ * const bridge = new NativeBridge(new TabManager());
+ * bridge.start(); // Connects to the host; Chrome starts it if needed
+ * // Host sends { version: 1, id: 1, command: 'close', params: { pattern: 'news.example.com' } }
+ * // Bridge answers { version: 1, id: 1, ok: true, result: { closed: [12, 14], failed: [], protected: [] } }
+ */
+class NativeBridge {
+	/**
+	 * @param {TabManager} [tabManager] - Tab operations service
+	 * @param {Object} [options] - Bridge options
+	 * @param {function(): (chrome.runtime.Port|null)} [options.connect] - Opens the host port (a fake host in tests)
+	 */
+	constructor(tabManager = new TabManager(), { connect = () => ChromeAPI.connectNative(NATIVE_HOST_NAME) } = {}) {
+		this.tabManager = tabManager;
+		/** @private */
+		this.externalApi = new ExternalApi(tabManager);
+		/** @private */
+		this.connect = connect;
+		/** @private */
+		this.port = null;
+		/** @private Set when Chrome reports the host missing - no reconnects until stop() */
+		this.hostUnavailable = false;
+	}
+
+	/**
+	 * Connects to the host unless already connected, or known not to be installed.
+	 * @returns {boolean} True if connected
+	 */
+	start() {
+		if (this.port) {
+			return true;
+		}
+		if (this.hostUnavailable) {
+			return false;
+		}
+
+		const port = this.connect();
+		if (!port) {
+			return false;
+		}
+		this.port = port;
+		port.onMessage.addListener(async (message) => {
+			const response = await this.handleMessage(message);
+			// The host may have exited while the command ran
+			if (this.port === port) {
+				port.postMessage(response);
+			}
+		});
+		port.onDisconnect.addListener(() => {
+			// Set when the host is not installed or exited - the reconnect alarm tries again later,
+			// unless the host is missing: then only turning the bridge off and on tries again
+			const error = chrome.runtime.lastError?.message;
+			if (this.port !== port) {
+				return;
+			}
+			this.port = null;
+			if (HOST_UNAVAILABLE_ERRORS.includes(error)) {
+				this.hostUnavailable = true;
+				console.warn(`NativeBridge: ${error} Install the host (see "Command-line Bridge" in the README), then turn the bridge off and on`);
+			} else {
+				console.warn(`NativeBridge: Host disconnected${error ? `: ${error}` : ''}`);
+			}
+		});
+		return true;
+	}
+
+	/**
+	 * Disconnects from the host, which then exits. The next start() tries again even after the host was missing.
+	 */
+	stop() {
+		const port = this.port;
+		this.port = null;
+		this.hostUnavailable = false;
+		port?.disconnect();
+	}
+
+	/**
+	 * @returns {boolean} True while connected to the host
+	 */
+	isConnected() {
+		return this.port !== null;
+	}
+
+	/**
+	 * Answers one host message.
+	 * @param {*} message - Command sent by the host
+	 * @returns {Promise<Object>} Versioned response
+	 */
+	async handleMessage(message) {
+		const id = message?.id ?? null;
+		const fail = (code, errorMessage) => ({ "version": NATIVE_BRIDGE_VERSION, id, "ok": false, "error": { code, "message": errorMessage } });
+
+		if (message?.version !== NATIVE_BRIDGE_VERSION) {
+			return fail(EXTERNAL_API_ERRORS.unsupportedVersion, `Supported version: ${NATIVE_BRIDGE_VERSION}`);
+		}
+		if (!NATIVE_BRIDGE_COMMANDS.includes(message.command)) {
+			return fail(EXTERNAL_API_ERRORS.unknownAction, `Supported commands: ${NATIVE_BRIDGE_COMMANDS.join(', ')}`);
+		}
+
+		try {
+			const result = await this.runCommand(message.command, message.params ?? {});
+			return { "version": NATIVE_BRIDGE_VERSION, id, "ok": true, result };
+		} catch (error) {
+			if (error.code) {
+				return fail(error.code, error.message);
+			}
+			console.error(`NativeBridge: ${message.command} failed:`, error.message);
+			return fail(EXTERNAL_API_ERRORS.internal, 'The command could not be completed');
+		}
+	}
+
+	/**
+	 * Runs a command.
+	 * @param {string} command - One of NATIVE_BRIDGE_COMMANDS
+	 * @param {Object} params - Command parameters
+	 * @returns {Promise<Object>} Command result
+	 * @throws {Error} With a code from EXTERNAL_API_ERRORS if the parameters are invalid or nothing matches
+	 */
+	async runCommand(command, params) {
+		switch (command) {
+			// Same tab shape and filters as the extension API
+			case 'list':
+			case 'search':
+				return await this.externalApi.runAction(command, params);
+			case 'close':
+				return await this.closeByPattern(params);
+			case 'focus':
+				return await this.focusUrl(params);
+			default:
+				throw new NativeBridgeError(EXTERNAL_API_ERRORS.unknownAction, `Unknown command: ${command}`);
+		}
+	}
+
+	/**
+	 * Closes the tabs matching a URL pattern, skipping protected tabs.
+	 * @private
+	 * @param {{pattern: string, dryRun?: boolean}} params - Allow-list style pattern (example.com, docs.*, github.com/org/*)
+	 * @returns {Promise<{matched: number[], closed: number[], failed: number[], protected: number[]}>} What happened to each tab
+	 */
+	async closeByPattern({ pattern, dryRun = false }) {
+		const validation = validateAllowListPattern(pattern);
+		if (!validation.valid) {
+			throw new NativeBridgeError(EXTERNAL_API_ERRORS.invalidParams, `Invalid pattern: ${validation.error}`);
+		}
+
+		const tabs = await this.tabManager.getAllTabs();
+		const matched = tabs.filter((tab) => tab.url && matchesAllowListPattern(tab.url, validation.pattern)).map((tab) => tab.id);
+		const { allowed, protectedIds } = await this.tabManager.filterProtectedTabs(matched);
+		if (dryRun === true || allowed.length === 0) {
+			return { matched, "closed": [], "failed": [], "protected": protectedIds };
+		}
+
+		const results = await this.tabManager.closeTabs(allowed);
+		return { matched, "closed": results.success, "failed": results.failed, "protected": protectedIds };
+	}
+
+	/**
+	 * Switches to the most recently used tab showing a URL, optionally opening it if no tab does.
+	 * @private
+	 * @param {{url: string, open?: boolean}} params - URL, compared with the duplicate URL rules
+	 * @returns {Promise<{tabId: number, windowId: number, opened: boolean, focused: boolean}>} Focused tab
+	 */
+	async focusUrl({ url, open = false }) {
+		let parsed = null;
+		try {
+			parsed = new URL(url);
+		} catch {
+			throw new NativeBridgeError(EXTERNAL_API_ERRORS.invalidParams, 'url must be an absolute URL');
+		}
+
+		const [tabs, settings] = await Promise.all([
+			this.tabManager.getAllTabs(),
+			ChromeAPI.getStorage([...URL_RULE_SETTINGS_KEYS, TAB_ACTIVATION_HISTORY_KEY])
+		]);
+		const urlRules = normalizeUrlRules(settings);
+		const canonicalUrl = canonicalizeUrl(parsed.href, urlRules);
+		const matches = tabs.filter((tab) => canonicalizeUrl(tab.url, urlRules) === canonicalUrl);
+
+		if (matches.length > 0) {
+			const tab = pickTabToKeep(matches, 'recent', { "history": settings[TAB_ACTIVATION_HISTORY_KEY] || {} });
+			const focused = await this.tabManager.switchToTab(tab.id, tab.windowId);
+			return { "tabId": tab.id, "windowId": tab.windowId, "opened": false, focused };
+		}
+
+		if (open !== true) {
+			throw new NativeBridgeError(EXTERNAL_API_ERRORS.notFound, `No open tab shows ${parsed.href}`);
+		}
+		if (!OPENABLE_PROTOCOLS.includes(parsed.protocol)) {
+			throw new NativeBridgeError(EXTERNAL_API_ERRORS.invalidParams, 'Only http and https URLs can be opened');
+		}
+		const tab = await this.tabManager.openTab(parsed.href);
+		if (!tab) {
+			throw new NativeBridgeError(EXTERNAL_API_ERRORS.internal, `Could not open ${parsed.href}`);
+		}
+		return { "tabId": tab.id, "windowId": tab.windowId, "opened": true, "focused": true };
+	}
+}
+
+export default NativeBridge;
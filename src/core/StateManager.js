@@ -23,6 +23,7 @@ class StateManager {
 
 		// State variables
 		this.lastClickedIndex = -1; // For shift+click range selection
+		this.bulkStatusTimer = null; // Hides the bulk status banner
 
 		// DOM references
 		this.searchInput = null;
@@ -217,6 +218,55 @@ class StateManager {
 		this.accessibilityHelpers.announceToScreenReader(`Selected all ${visibleItems.length} visible tabs`);
 	}
 
+	/**
+	 * Select every duplicate except one per canonical URL
+	 *
+	 * Replaces the selection in the current view so a following Delete closes
+	 * exactly the extra copies. Per URL, the active tab is kept if it is among
+	 * the visible copies, otherwise the first one in the list.
+	 *
+	 * @param {HTMLElement[]} items - Array of all list items in current view
+	 * @returns {number} Number of tabs selected
+	 * @since 1.3.0
+	 *
+	 * @example
+	 * // Ctrl+D, then Delete closes the duplicates
+	 * stateManager.selectDuplicates(currentViewItems);
+	 */
+	selectDuplicates(items) {
+		const visibleItems = this.focusManager.findVisibleItems(items);
+		const groups = new Map();
+		visibleItems.forEach(item => {
+			const canonicalUrl = item.dataset.canonicalUrl;
+			// Blank tabs and ignored sites carry no canonical URL
+			if (!canonicalUrl) return;
+			if (!groups.has(canonicalUrl)) {
+				groups.set(canonicalUrl, []);
+			}
+			groups.get(canonicalUrl).push(item);
+		});
+
+		this.clearSelections(items.filter(item => item.classList.contains("selected")));
+
+		let selectedCount = 0;
+		groups.forEach(group => {
+			if (group.length < 2) return;
+			const keep = group.find(item => item.classList.contains("tab-active")) || group[0];
+			group.forEach(item => {
+				if (item !== keep) {
+					item.classList.add("selected", "bg-blue-100");
+					selectedCount++;
+				}
+			});
+		});
+
+		this.accessibilityHelpers.updateAriaSelected();
+		this.accessibilityHelpers.announceToScreenReader(selectedCount > 0
+			? `Selected ${selectedCount} duplicate tabs, press Delete to close them`
+			: 'No duplicate tabs in this view');
+		return selectedCount;
+	}
+
 	/**
 	 * Handles bulk delete operation for multiple selected tabs with parallel closure.
 	 * Coordinates with TabManager for tab closure and SearchEngine for counter updates.
@@ -229,8 +279,19 @@ class StateManager {
 
 		const tabIDs = Array.from(selectedItems).map(item => Number(item.dataset.tabid));
 
-		// Close tabs via TabManager
-		const results = await this.tabManager.closeTabs(tabIDs);
+		// The user picked these tabs themselves - only the allow-list keeps any of them open
+		const { allowed, protectedIds } = await this.tabManager.filterProtectedTabs(tabIDs, { "allowListOnly": true });
+		const kept = protectedIds.length > 0 ? `kept ${protectedIds.length} allow-listed tab(s) open` : '';
+		if (allowed.length === 0) {
+			this.showBulkStatus(`Kept ${protectedIds.length} allow-listed tab(s) open`);
+			return;
+		}
+
+		// Close tabs via TabManager - large selections close in chunks and report progress
+		const results = await this.tabManager.closeTabs(allowed, {
+			"onProgress": ({ done, total }) => this.showBulkStatus(`Closing tabs... ${done}/${total}`, { "announce": false })
+		});
+		this.showBulkStatus([`Closed ${results.success.length} of ${allowed.length} tab(s)`, kept].filter(Boolean).join(', '));
 
 		// Remove only successfully closed tabs from DOM
 		const successfulTabIds = new Set(results.success);
@@ -249,6 +310,25 @@ class StateManager {
 		this.searchEngine?.performSearch(this.searchInput.value);
 	}
 
+	/**
+	 * Shows the progress or outcome of a bulk operation in the popup status banner.
+	 * @param {string} message - Status text
+	 * @param {Object} [options] - Display options
+	 * @param {boolean} [options.announce=true] - Also announce to screen readers (off for progress steps)
+	 */
+	showBulkStatus(message, { announce = true } = {}) {
+		if (announce) {
+			this.accessibilityHelpers.announceToScreenReader(message);
+		}
+
+		const banner = document.getElementById('bulkStatus');
+		if (!banner) return;
+		banner.textContent = message;
+		banner.classList.remove('hidden');
+		clearTimeout(this.bulkStatusTimer);
+		this.bulkStatusTimer = setTimeout(() => banner.classList.add('hidden'), 3000);
+	}
+
 	/**
 	 * Handle Enter navigation with multi-select confirmation
 	 *
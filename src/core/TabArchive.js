@@ -0,0 +1,178 @@
+/**
+ * Persistent archive of tabs closed by the Tab Janitor.
+ * Lets users search, restore or purge tabs instead of losing them for good.
+ */
+
+import ChromeAPI from '../utils/ChromeAPI.js';
+import TabManager from './TabManager.js';
+
+export const TAB_ARCHIVE_KEY = 'tab_archive';
+
+// Keep the archive well inside the ~10MB chrome.storage.local quota
+export const MAX_ARCHIVE_ENTRIES = 5000;
+
+/**
+ * @typedef {Object} ArchivedTab
+ * @property {string} id - Unique archive entry identifier
+ * @property {number} tabId - ID the tab had when it was archived
+ * @property {string} url - URL of the archived tab
+ * @property {string} title - Title of the archived tab
+ * @property {string} favIconUrl - Favicon URL (may be empty)
+ * @property {number} windowId - Window the tab was in when archived
+ * @property {number|null} lastActivated - Last activation timestamp from tab_activation_history
+ * @property {number} archivedAt - Timestamp when the tab was archived
+ */
+
+/**
+ * TabArchive class - Storage-backed archive of closed tabs
+ *
+ * Entries are kept newest first under a single storage key. Writes are
+ * serialized per instance so concurrent janitor runs cannot drop entries.
+ *
+ * @class TabArchive
+ * @since 1.3.0
+ *
+ * @example
+ * const archive = new TabArchive();
+ * await archive.addTabs([{ tab, lastActivated }]);
+ * const results = await archive.restoreEntries([entryId]);
+ */
+class TabArchive {
+	/**
+	 * @param {TabManager} [tabManager] - Tab operations service used for restores
+	 */
+	constructor(tabManager = new TabManager()) {
+		this.tabManager = tabManager;
+		/** @private */
+		this.writeQueue = Promise.resolve();
+	}
+
+	/**
+	 * Builds an archive entry from a Chrome tab.
+	 * @param {chrome.tabs.Tab} tab - Tab about to be closed
+	 * @param {number|null} lastActivated - Last activation timestamp
+	 * @param {number} [now] - Archive timestamp
+	 * @returns {ArchivedTab} Archive entry
+	 */
+	createEntry(tab, lastActivated, now = Date.now()) {
+		return {
+			"id": `${now}-${tab.id}`,
+			"tabId": tab.id,
+			"url": tab.url || '',
+			"title": tab.title || tab.url || 'Untitled',
+			"favIconUrl": tab.favIconUrl || '',
+			"windowId": tab.windowId,
+			"lastActivated": Number.isFinite(lastActivated) ? lastActivated : null,
+			"archivedAt": now
+		};
+	}
+
+	/**
+	 * Gets all archived tabs, newest first.
+	 * @returns {Promise<ArchivedTab[]>} Archived entries (empty on error)
+	 */
+	async getEntries() {
+		const stored = await ChromeAPI.getStorage([TAB_ARCHIVE_KEY]);
+		const entries = stored[TAB_ARCHIVE_KEY];
+		return Array.isArray(entries) ? entries : [];
+	}
+
+	/**
+	 * Case-insensitive search over archived titles and URLs.
+	 * @param {string} term - Search term (empty returns everything)
+	 * @returns {Promise<ArchivedTab[]>} Matching entries
+	 */
+	async search(term) {
+		const entries = await this.getEntries();
+		const needle = (term || '').trim().toLowerCase();
+		if (!needle) {
+			return entries;
+		}
+
+		return entries.filter((entry) => {
+			return entry.title.toLowerCase().includes(needle) || entry.url.toLowerCase().includes(needle);
+		});
+	}
+
+	/**
+	 * Archives tabs before they are closed.
+	 * @param {{tab: chrome.tabs.Tab, lastActivated: number}[]} records - Tabs with their last activation time
+	 * @returns {Promise<ArchivedTab[]|null>} Entries written, or null if the archive could not be saved
+	 */
+	async addTabs(records) {
+		const now = Date.now();
+		const newEntries = records
+			.filter(({ tab }) => tab && tab.url)
+			.map(({ tab, lastActivated }) => this.createEntry(tab, lastActivated, now));
+
+		if (newEntries.length === 0) {
+			return [];
+		}
+
+		const saved = await this.update((entries) => {
+			return [...newEntries, ...entries].slice(0, MAX_ARCHIVE_ENTRIES);
+		});
+
+		return saved ? newEntries : null;
+	}
+
+	/**
+	 * Reopens archived tabs and removes the ones that reopened from the archive.
+	 * @param {string[]} ids - Archive entry IDs to restore
+	 * @returns {Promise<{success: ArchivedTab[], failed: ArchivedTab[]}>} Restore results
+	 */
+	async restoreEntries(ids) {
+		const wanted = new Set(ids);
+		const entries = (await this.getEntries()).filter((entry) => wanted.has(entry.id));
+		if (entries.length === 0) {
+			return { success: [], failed: [] };
+		}
+
+		// Restore oldest first so reopened tabs keep their original relative order
+		const results = await this.tabManager.restoreTabs([...entries].reverse());
+		if (results.success.length > 0) {
+			await this.removeEntries(results.success.map((entry) => entry.id));
+		}
+
+		return results;
+	}
+
+	/**
+	 * Permanently deletes archived tabs.
+	 * @param {string[]} ids - Archive entry IDs to purge
+	 * @returns {Promise<boolean>} Success status
+	 */
+	async removeEntries(ids) {
+		const doomed = new Set(ids);
+		return await this.update((entries) => {
+			return entries.filter((entry) => !doomed.has(entry.id));
+		});
+	}
+
+	/**
+	 * Permanently deletes every archived tab.
+	 * @returns {Promise<boolean>} Success status
+	 */
+	async purgeAll() {
+		return await this.update(() => []);
+	}
+
+	/**
+	 * Applies a read-modify-write to the stored archive, one at a time.
+	 * @private
+	 * @param {function(ArchivedTab[]): ArchivedTab[]} mutate - Returns the new entry list
+	 * @returns {Promise<boolean>} Success status
+	 */
+	update(mutate) {
+		const run = this.writeQueue.then(async () => {
+			const entries = await this.getEntries();
+			return await ChromeAPI.setStorage({ [TAB_ARCHIVE_KEY]: mutate(entries) });
+		});
+
+		// Keep the queue alive even if one write fails
+		this.writeQueue = run.catch(() => false);
+		return run;
+	}
+}
+
+export default TabArchive;
@@ -0,0 +1,238 @@
+/**
+ * Tab command protocol between the extension pages and the service worker.
+ *
+ * The popup is closed by Chrome as soon as focus moves to another window, so
+ * a bulk close running in the popup can be cut off halfway. Pages instead send
+ * a command over a chrome.runtime port; the service worker runs it through
+ * TabManager to completion, in chunks, posting progress after each chunk and
+ * the result at the end.
+ *
+ * Messages on the port:
+ * - request  { type: 'tabCommand', requestId, command, params }
+ * - progress { type: 'tabCommandProgress', requestId, command, done, total }
+ * - result   { type: 'tabCommandResult', requestId, command, ok, result } or { ..., ok: false, error }
+ *
+ * The result of each command is what the matching TabManager method returns.
+ *
+ * @fileoverview Tab command protocol and runner (Chrome calls go through the given TabManager)
+ * @since 1.3.0
+ */
+
+// chrome.runtime port name the service worker listens on
+export const TAB_COMMAND_PORT = 'tabduke-tab-commands';
+
+export const TAB_COMMAND_MESSAGE_TYPES = {
+	"request": 'tabCommand',
+	"progress": 'tabCommandProgress',
+	"result": 'tabCommandResult'
+};
+
+// Bulk commands run this many tabs at a time and report progress after each chunk
+export const TAB_COMMAND_CHUNK_SIZE = 25;
+
+/**
+ * @typedef {Object} TabCommandRequest
+ * @property {string} type - TAB_COMMAND_MESSAGE_TYPES.request
+ * @property {string} requestId - Matches progress and result messages to the request
+ * @property {string} command - One of TAB_COMMAND_NAMES
+ * @property {Object} params - Command parameters
+ */
+
+/**
+ * @typedef {Object} TabCommandResult
+ * @property {string} type - TAB_COMMAND_MESSAGE_TYPES.result
+ * @property {string} requestId - ID of the request
+ * @property {string} command - Command that ran
+ * @property {boolean} ok - False if the request was invalid or the command threw
+ * @property {*} [result] - Return value of the TabManager method
+ * @property {string} [error] - Why the command did not run
+ */
+
+const isTabId = (value) => Number.isInteger(value) && value >= 0;
+const isTabIdList = (value) => Array.isArray(value) && value.length > 0 && value.every(isTabId);
+const isWindowId = (value) => Number.isInteger(value) && value >= 0;
+
+/**
+ * Where each chunk of a move goes, so the moved tabs end up together and in order
+ * with the first one at params.index.
+ *
+ * Chrome places a moved chunk at the index it is given, counted once the chunk's
+ * tabs are taken out. Tabs of later chunks that still sit before the target push
+ * the target right until they are moved, so each chunk's index is the target plus
+ * the tabs already moved plus those later tabs.
+ *
+ * @param {chrome.tabs.Tab[]} tabs - Open tabs before the move
+ * @param {{tabIds: number[], windowId: number, index?: number}} params - Move parameters
+ * @param {number} [chunkSize] - Tabs per chunk
+ * @returns {number[]} Index for each chunk (-1 to append at the end of the window)
+ *
+ * @example
+ * // Tabs 1-30 are the first 30 of 60 tabs in window 4; they go to the end of the others
+ * getMoveChunkIndexes(tabs, { tabIds: range(30), windowId: 4, index: 30 });
+ * // [35, 55]
+ */
+export function getMoveChunkIndexes(tabs, { tabIds, windowId, index }, chunkSize = TAB_COMMAND_CHUNK_SIZE) {
+	const chunkCount = Math.ceil(tabIds.length / chunkSize);
+	if (index === undefined || index === -1) {
+		return Array(chunkCount).fill(-1);
+	}
+
+	const moving = new Set(tabIds);
+	const windowTabs = tabs.filter((tab) => tab.windowId === windowId).sort((a, b) => a.index - b.index);
+	const staying = windowTabs.filter((tab) => !moving.has(tab.id));
+	// Original position of the tab the moved tabs end up in front of (Chrome clamps indexes past the end)
+	const boundary = staying[index]?.index ?? Infinity;
+	const isBeforeTarget = new Set(windowTabs.filter((tab) => moving.has(tab.id) && tab.index < boundary).map((tab) => tab.id));
+
+	return Array.from({ length: chunkCount }, (_, chunk) => {
+		const offset = chunk * chunkSize;
+		const laterBefore = tabIds.slice(offset + chunkSize).filter((tabId) => isBeforeTarget.has(tabId)).length;
+		return index + offset + laterBefore;
+	});
+}
+
+/**
+ * What each command accepts and which TabManager method runs it. Bulk commands name the
+ * parameter holding their items ("chunked"); run() then receives one chunk, its offset and
+ * whatever prepare() worked out before the first chunk.
+ */
+const TAB_COMMANDS = {
+	"switch": {
+		"validate": (params) => (isTabId(params.tabId) && isWindowId(params.windowId) ? null : 'switch needs a tabId and a windowId'),
+		"run": (tabManager, params) => tabManager.switchToTab(params.tabId, params.windowId)
+	},
+	"close": {
+		"validate": (params) => (isTabIdList(params.tabIds) ? null : 'close needs a non-empty tabIds array'),
+		"chunked": 'tabIds',
+		"run": (tabManager, params, tabIds) => tabManager.closeTabs(tabIds)
+	},
+	"move": {
+		"validate": (params) => {
+			if (!isTabIdList(params.tabIds) || !isWindowId(params.windowId)) {
+				return 'move needs a non-empty tabIds array and a windowId';
+			}
+			return params.index === undefined || (Number.isInteger(params.index) && params.index >= -1) ? null : 'move index must be -1 or a position';
+		},
+		"chunked": 'tabIds',
+		// Each chunk goes right after the previous one - earlier chunks shift the tabs still to move
+		"prepare": async (tabManager, params) => getMoveChunkIndexes(await tabManager.getAllTabs(), params),
+		"run": (tabManager, params, tabIds, offset, indexes) => tabManager.moveTabs(tabIds, params.windowId, indexes[offset / TAB_COMMAND_CHUNK_SIZE])
+	},
+	"discard": {
+		"validate": (params) => (isTabIdList(params.tabIds) ? null : 'discard needs a non-empty tabIds array'),
+		"chunked": 'tabIds',
+		"run": (tabManager, params, tabIds) => tabManager.discardTabs(tabIds)
+	},
+	"group": {
+		"validate": (params) => {
+			if (!isTabIdList(params.tabIds)) {
+				return 'group needs a non-empty tabIds array';
+			}
+			return params.title === undefined || typeof params.title === 'string' ? null : 'group title must be a string';
+		},
+		// One group for all tabs - not chunked
+		"run": (tabManager, params) => tabManager.groupTabs(params.tabIds, params.title)
+	},
+	"restore": {
+		"validate": (params) => (Array.isArray(params.entries) && params.entries.length > 0 ? null : 'restore needs a non-empty entries array'),
+		"chunked": 'entries',
+		"run": (tabManager, params, entries) => tabManager.restoreTabs(entries)
+	}
+};
+
+/**
+ * Commands the service worker runs.
+ * @type {string[]}
+ */
+export const TAB_COMMAND_NAMES = Object.keys(TAB_COMMANDS);
+
+let requestCount = 0;
+
+/**
+ * Builds a command request.
+ * @param {string} command - One of TAB_COMMAND_NAMES
+ * @param {Object} [params] - Command parameters
+ * @returns {TabCommandRequest} Request to post on the port
+ *
+ * @example
+ * createTabCommandRequest('close', { tabIds: [12, 34] });
+ * // { type: 'tabCommand', requestId: 'lx2k9c-1', command: 'close', params: { tabIds: [12, 34] } }
+ */
+export function createTabCommandRequest(command, params = {}) {
+	requestCount++;
+	return {
+		"type": TAB_COMMAND_MESSAGE_TYPES.request,
+		"requestId": `${Date.now().toString(36)}-${requestCount}`,
+		command,
+		params
+	};
+}
+
+/**
+ * Checks a command request.
+ * @param {*} request - Message received on the port
+ * @returns {string|null} Why the request is invalid, or null if it can run
+ */
+export function validateTabCommand(request) {
+	if (request?.type !== TAB_COMMAND_MESSAGE_TYPES.request || typeof request.requestId !== 'string') {
+		return 'Not a tab command request';
+	}
+	const spec = TAB_COMMANDS[request.command];
+	if (!spec) {
+		return `Unknown command: ${request.command}`;
+	}
+	if (!request.params || typeof request.params !== 'object') {
+		return `${request.command} needs params`;
+	}
+	return spec.validate(request.params);
+}
+
+/**
+ * Builds a progress message.
+ * @param {TabCommandRequest} request - Running request
+ * @param {{done: number, total: number}} progress - Items handled so far
+ * @returns {Object} Progress message to post on the port
+ */
+export function createTabCommandProgress(request, { done, total }) {
+	return { "type": TAB_COMMAND_MESSAGE_TYPES.progress, "requestId": request.requestId, "command": request.command, done, total };
+}
+
+/**
+ * Runs a command request to completion.
+ * Bulk commands run TAB_COMMAND_CHUNK_SIZE items at a time and merge the
+ * {success, failed} results of their chunks.
+ * @param {TabManager} tabManager - Runs the tab operations
+ * @param {TabCommandRequest} request - Command request
+ * @param {function({done: number, total: number}): void} [onProgress] - Called after each chunk
+ * @returns {Promise<TabCommandResult>} Result message to post on the port
+ */
+export async function runTabCommand(tabManager, request, onProgress = () => {}) {
+	const respond = (fields) => ({ "type": TAB_COMMAND_MESSAGE_TYPES.result, "requestId": request?.requestId, "command": request?.command, ...fields });
+
+	const error = validateTabCommand(request);
+	if (error) {
+		return respond({ "ok": false, error });
+	}
+
+	const spec = TAB_COMMANDS[request.command];
+	try {
+		if (!spec.chunked) {
+			return respond({ "ok": true, "result": await spec.run(tabManager, request.params) });
+		}
+
+		const items = request.params[spec.chunked];
+		const prepared = await spec.prepare?.(tabManager, request.params);
+		const result = { "success": [], "failed": [] };
+		for (let offset = 0; offset < items.length; offset += TAB_COMMAND_CHUNK_SIZE) {
+			const chunk = items.slice(offset, offset + TAB_COMMAND_CHUNK_SIZE);
+			const chunkResult = await spec.run(tabManager, request.params, chunk, offset, prepared);
+			result.success.push(...chunkResult.success);
+			result.failed.push(...chunkResult.failed);
+			onProgress({ "done": offset + chunk.length, "total": items.length });
+		}
+		return respond({ "ok": true, result });
+	} catch (runError) {
+		console.error(`TabCommands: ${request.command} failed:`, runError.message);
+		return respond({ "ok": false, "error": runError.message });
+	}
+}
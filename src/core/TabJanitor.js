@@ -0,0 +1,341 @@
+/**
+ * Shared Tab Janitor planning logic.
+ *
+ * The background alarm and the options page dry-run preview both call
+ * planJanitorRun(), so the preview can never disagree with what the janitor
+ * actually closes.
+ *
+ * @fileoverview Pure janitor planning functions (no Chrome API calls)
+ * @since 1.3.0
+ */
+
+import { PROTECTION_SETTINGS_KEYS, normalizeProtectionRules, getProtectionReason, validateAllowListPattern, matchesAllowListPattern } from './TabProtection.js';
+
+export const JANITOR_DEFAULT_DAYS = 5;
+export const JANITOR_MIN_DAYS = 1;
+export const JANITOR_MAX_DAYS = 30;
+
+export const HOUR_MS = 1000 * 60 * 60;
+export const DAY_MS = HOUR_MS * 24;
+
+// Per-domain threshold rules (tabJanitorRules) are measured in hours or days
+export const JANITOR_RULE_UNITS = ['hours', 'days'];
+export const MAX_JANITOR_RULES = 100;
+
+// Janitor action modes: close (archive first) or discard first and close later
+export const JANITOR_MODES = ['close', 'discard'];
+export const JANITOR_DEFAULT_DISCARD_HOURS = 12;
+export const JANITOR_MAX_DISCARD_HOURS = JANITOR_MAX_DAYS * 24;
+
+// Hour-based rules and discard mode need a finer alarm than the hourly default
+export const JANITOR_ALARM_PERIOD_MINUTES = 60;
+export const JANITOR_HOURLY_ALARM_PERIOD_MINUTES = 15;
+
+// Persistent tabId -> last activation timestamp map maintained by background.js
+export const TAB_ACTIVATION_HISTORY_KEY = 'tab_activation_history';
+
+/**
+ * Storage keys the janitor reads for each run.
+ * @type {string[]}
+ */
+export const JANITOR_SETTINGS_KEYS = [
+	'tabJanitor',
+	'tabJanitorDays',
+	'tabJanitorRules',
+	'tabJanitorMode',
+	'tabJanitorDiscardHours',
+	'tabJanitorExemptTabIds',
+	...PROTECTION_SETTINGS_KEYS
+];
+
+/**
+ * @typedef {Object} JanitorRule
+ * @property {string} pattern - URL or domain pattern (same syntax as the protection allow-list)
+ * @property {number} value - Inactivity threshold in `unit`s
+ * @property {'hours'|'days'} unit - Threshold unit
+ */
+
+/**
+ * @typedef {Object} JanitorCandidate
+ * @property {chrome.tabs.Tab} tab - Open tab the janitor would close
+ * @property {number} lastActivated - Last activation timestamp from tab_activation_history
+ * @property {number} inactiveMs - Time since last activation
+ * @property {number} thresholdMs - Inactivity threshold that applied to this tab
+ * @property {JanitorRule|null} rule - Matching per-domain rule, or null for the default threshold
+ * @property {string} [reason] - Protection reason (protected tabs only, see getProtectionReason)
+ */
+
+/**
+ * @typedef {Object} JanitorPlan
+ * @property {number} days - Validated default inactivity threshold in days
+ * @property {JanitorRule[]} rules - Validated per-domain threshold rules
+ * @property {string|null} warning - Why a stored threshold was replaced, if one was
+ * @property {'close'|'discard'} mode - Janitor action mode
+ * @property {number|null} discardHours - Discard threshold in hours (discard mode only)
+ * @property {JanitorCandidate[]} candidates - Tabs the next run will close
+ * @property {JanitorCandidate[]} discards - Tabs the next run will discard (discard mode only)
+ * @property {JanitorCandidate[]} exempted - Tabs past the threshold that the user exempted
+ * @property {JanitorCandidate[]} protected - Tabs past the threshold kept by the protection rules
+ * @property {string[]} orphanedTabIds - History entries for tabs that are no longer open
+ * @property {number[]} staleExemptTabIds - Exempted tab IDs that are no longer open
+ */
+
+/**
+ * Validates the inactivity threshold.
+ * SECURITY: Defensive validation - clamp days between 1-30 to prevent immediate tab closure
+ * @param {*} value - Stored tabJanitorDays value
+ * @returns {{days: number, warning: string|null}} Validated days and an optional warning
+ */
+export function normalizeJanitorDays(value) {
+	const days = Number(value);
+	if (value === undefined || value === null || value === '') {
+		return { days: JANITOR_DEFAULT_DAYS, warning: null };
+	}
+	if (isNaN(days) || days < JANITOR_MIN_DAYS) {
+		return { days: JANITOR_DEFAULT_DAYS, warning: `Invalid days value "${value}", using default ${JANITOR_DEFAULT_DAYS} days` };
+	}
+	if (days > JANITOR_MAX_DAYS) {
+		return { days: JANITOR_MAX_DAYS, warning: `Days value "${value}" too high, clamping to ${JANITOR_MAX_DAYS} days` };
+	}
+	return { days, warning: null };
+}
+
+/**
+ * Gets the longest discard threshold that still comes before the default close threshold.
+ * @param {number} days - Validated default inactivity threshold in days
+ * @returns {number} Highest discard threshold in hours
+ */
+export function getMaxDiscardHours(days) {
+	return Math.min(days * 24 - 1, JANITOR_MAX_DISCARD_HOURS);
+}
+
+/**
+ * Validates the janitor action mode and discard threshold.
+ * A discard threshold at or past the default close threshold would never discard
+ * anything, so it is clamped to just below it.
+ * @param {Object} settings - Stored janitor settings (see JANITOR_SETTINGS_KEYS)
+ * @returns {{mode: 'close'|'discard', discardHours: number|null, warning: string|null}} Validated mode, discard threshold and an optional warning
+ */
+export function normalizeJanitorMode(settings = {}) {
+	if (settings.tabJanitorMode !== 'discard') {
+		return { mode: 'close', discardHours: null, warning: null };
+	}
+
+	const { days } = normalizeJanitorDays(settings.tabJanitorDays);
+	const maxHours = getMaxDiscardHours(days);
+	const hours = Number(settings.tabJanitorDiscardHours);
+	if (!Number.isFinite(hours) || hours < 1) {
+		return { mode: 'discard', discardHours: Math.min(JANITOR_DEFAULT_DISCARD_HOURS, maxHours), warning: null };
+	}
+	if (hours > maxHours) {
+		return { mode: 'discard', discardHours: maxHours, warning: `Discard threshold "${settings.tabJanitorDiscardHours}" hours is not below the ${days} day close threshold, discarding after ${maxHours} hours` };
+	}
+	return { mode: 'discard', discardHours: hours, warning: null };
+}
+
+/**
+ * Validates one per-domain threshold rule.
+ * Thresholds share the 1-30 day bounds of tabJanitorDays; hour rules start at 1 hour.
+ * @param {*} rule - Rule as typed in the options page or read from storage
+ * @returns {{valid: boolean, rule: JanitorRule|null, error: string|null}} Normalized rule or error
+ */
+export function validateJanitorRule(rule) {
+	if (!rule || typeof rule !== 'object') {
+		return { valid: false, rule: null, error: 'Rule is empty' };
+	}
+
+	const patternResult = validateAllowListPattern(rule.pattern);
+	if (!patternResult.valid) {
+		return { valid: false, rule: null, error: patternResult.error };
+	}
+	if (!JANITOR_RULE_UNITS.includes(rule.unit)) {
+		return { valid: false, rule: null, error: `Unit must be one of ${JANITOR_RULE_UNITS.join(', ')}` };
+	}
+
+	const value = Number(rule.value);
+	const max = rule.unit === 'hours' ? JANITOR_MAX_DAYS * 24 : JANITOR_MAX_DAYS;
+	if (!Number.isFinite(value) || value < 1 || value > max) {
+		return { valid: false, rule: null, error: `Threshold must be between 1 and ${max} ${rule.unit}` };
+	}
+
+	return { valid: true, rule: { pattern: patternResult.pattern, value, unit: rule.unit }, error: null };
+}
+
+/**
+ * Drops invalid stored rules defensively.
+ * @param {*} rules - Stored tabJanitorRules value
+ * @returns {JanitorRule[]} Valid rules, in table order
+ */
+export function normalizeJanitorRules(rules) {
+	if (!Array.isArray(rules)) {
+		return [];
+	}
+	return rules
+		.map((rule) => validateJanitorRule(rule))
+		.filter((result) => result.valid)
+		.map((result) => result.rule)
+		.slice(0, MAX_JANITOR_RULES);
+}
+
+/**
+ * Finds the rule for a URL. Rules are checked top to bottom and the first match wins.
+ * @param {string} url - Tab URL
+ * @param {JanitorRule[]} rules - Validated rules
+ * @returns {JanitorRule|null} Matching rule or null for the default threshold
+ */
+export function findJanitorRule(url, rules) {
+	if (!url) {
+		return null;
+	}
+	return rules.find((rule) => matchesAllowListPattern(url, rule.pattern)) || null;
+}
+
+/**
+ * Converts a rule threshold to milliseconds.
+ * @param {JanitorRule} rule - Validated rule
+ * @returns {number} Threshold in milliseconds
+ */
+export function getRuleThresholdMs(rule) {
+	return rule.value * (rule.unit === 'hours' ? HOUR_MS : DAY_MS);
+}
+
+/**
+ * Formats a rule threshold for display ("4 hours", "30 days").
+ * @param {JanitorRule} rule - Validated rule
+ * @returns {string} Human-readable threshold
+ */
+export function formatJanitorThreshold(rule) {
+	const unit = rule.value === 1 ? rule.unit.slice(0, -1) : rule.unit;
+	return `${rule.value} ${unit}`;
+}
+
+/**
+ * Chooses how often the janitor alarm fires. Hour-based rules and discard mode need a finer period.
+ * @param {Object} settings - Stored janitor settings (see JANITOR_SETTINGS_KEYS)
+ * @returns {number} Alarm period in minutes
+ */
+export function getJanitorAlarmPeriodMinutes(settings = {}) {
+	const hasHourRule = normalizeJanitorRules(settings.tabJanitorRules).some((rule) => rule.unit === 'hours');
+	const discards = normalizeJanitorMode(settings).mode === 'discard';
+	return hasHourRule || discards ? JANITOR_HOURLY_ALARM_PERIOD_MINUTES : JANITOR_ALARM_PERIOD_MINUTES;
+}
+
+/**
+ * Reconciles tab_activation_history with the currently open tabs at startup.
+ *
+ * Tabs without history are seeded from Chrome's tab.lastAccessed (falling back
+ * to now), so service worker and browser restarts don't reset inactivity clocks.
+ * Tab IDs are reused after a browser restart, so an entry older than the tab's
+ * lastAccessed is corrected too. Entries for tabs that no longer exist are stale.
+ *
+ * @param {Object} params - Reconciliation inputs
+ * @param {chrome.tabs.Tab[]} params.tabs - All open tabs
+ * @param {Object<string, number>} params.history - tab_activation_history (tabId -> timestamp)
+ * @param {number} [params.now] - Reference timestamp
+ * @returns {{updates: Object<string, number>, staleTabIds: string[]}} Timestamps to write and entries to remove
+ */
+export function reconcileActivationHistory({ tabs, history, now = Date.now() }) {
+	const updates = {};
+	const openIds = new Set();
+
+	for (const tab of tabs) {
+		openIds.add(String(tab.id));
+
+		// lastAccessed is only available in Chrome 121+ and must not lie in the future
+		const lastAccessed = Number.isFinite(tab.lastAccessed) ? Math.min(tab.lastAccessed, now) : null;
+		const stored = history?.[tab.id];
+
+		if (!Number.isFinite(stored)) {
+			updates[tab.id] = lastAccessed ?? now;
+		} else if (lastAccessed !== null && lastAccessed > stored) {
+			updates[tab.id] = lastAccessed;
+		}
+	}
+
+	const staleTabIds = Object.keys(history || {}).filter((tabId) => !openIds.has(tabId));
+	return { updates, staleTabIds };
+}
+
+/**
+ * Decides which tabs the next janitor run closes.
+ *
+ * @param {Object} params - Planning inputs
+ * @param {chrome.tabs.Tab[]} params.tabs - All open tabs
+ * @param {Object<string, number>} params.history - tab_activation_history (tabId -> timestamp)
+ * @param {Object} params.settings - Stored janitor settings (see JANITOR_SETTINGS_KEYS)
+ * @param {number} [params.now] - Reference timestamp
+ * @param {{now: number, history: Object<string, number>}} [params.activeTime] - Active browsing clock
+ *   reading and each tab's reading at its last activation; tabs with a reading are measured in
+ *   active time only, others fall back to wall-clock time
+ * @returns {JanitorPlan} Janitor plan
+ *
+ * @example
+ * const plan = planJanitorRun({ tabs, history, settings });
+ * plan.candidates.forEach(({ tab }) => console.log(`Would close ${tab.title}`));
+ */
+export function planJanitorRun({ tabs, history, settings = {}, now = Date.now(), activeTime = null }) {
+	const { days, warning: daysWarning } = normalizeJanitorDays(settings.tabJanitorDays);
+	const defaultThresholdMs = days * DAY_MS;
+	const rules = normalizeJanitorRules(settings.tabJanitorRules);
+	const { mode, discardHours, warning: modeWarning } = normalizeJanitorMode(settings);
+	const discardThresholdMs = discardHours === null ? Infinity : discardHours * HOUR_MS;
+	const exemptIds = new Set(Array.isArray(settings.tabJanitorExemptTabIds) ? settings.tabJanitorExemptTabIds : []);
+	const protectionRules = normalizeProtectionRules(settings);
+	const openTabs = new Map(tabs.map((tab) => [tab.id, tab]));
+
+	const plan = {
+		days,
+		rules,
+		mode,
+		discardHours,
+		warning: daysWarning || modeWarning,
+		candidates: [],
+		discards: [],
+		exempted: [],
+		protected: [],
+		orphanedTabIds: [],
+		staleExemptTabIds: [...exemptIds].filter((tabId) => !openTabs.has(tabId))
+	};
+
+	for (const [tabId, lastActivated] of Object.entries(history || {})) {
+		const tab = openTabs.get(Number(tabId));
+		if (!tab) {
+			plan.orphanedTabIds.push(tabId);
+			continue;
+		}
+
+		// Per-domain rules override the default threshold
+		const rule = findJanitorRule(tab.url, rules);
+		const thresholdMs = rule ? getRuleThresholdMs(rule) : defaultThresholdMs;
+		// Time away (idle machine, unfocused browser) does not count towards inactivity
+		const activatedAt = activeTime?.history?.[tabId];
+		const inactiveMs = Number.isFinite(activatedAt) ? Math.max(0, activeTime.now - activatedAt) : now - lastActivated;
+
+		// DISCARD MODE: past the first threshold the tab is discarded, past the second it is closed
+		if (inactiveMs <= thresholdMs) {
+			const discardable = inactiveMs > discardThresholdMs && !tab.active && !tab.discarded && !tab.audible;
+			if (discardable && !exemptIds.has(tab.id) && !getProtectionReason(tab, protectionRules)) {
+				plan.discards.push({ tab, lastActivated, inactiveMs, thresholdMs: discardThresholdMs, rule: null });
+			}
+			continue;
+		}
+
+		const candidate = { tab, lastActivated, inactiveMs, thresholdMs, rule };
+		const reason = getProtectionReason(tab, protectionRules);
+		if (reason) {
+			plan.protected.push({ ...candidate, reason });
+		} else if (exemptIds.has(tab.id)) {
+			plan.exempted.push(candidate);
+		} else {
+			plan.candidates.push(candidate);
+		}
+	}
+
+	// Longest-inactive first - matches how the preview lists them
+	plan.candidates.sort((a, b) => b.inactiveMs - a.inactiveMs);
+	plan.discards.sort((a, b) => b.inactiveMs - a.inactiveMs);
+	plan.exempted.sort((a, b) => b.inactiveMs - a.inactiveMs);
+	plan.protected.sort((a, b) => b.inactiveMs - a.inactiveMs);
+
+	return plan;
+}
@@ -4,6 +4,7 @@
  */
 
 import ChromeAPI from '../utils/ChromeAPI.js';
+import { PROTECTION_SETTINGS_KEYS, normalizeProtectionRules, isTabProtected } from './TabProtection.js';
 
 /**
  * @example
@@ -131,6 +132,164 @@ class TabManager {
 		return results;
 	}
 
+	/**
+	 * Moves tabs to a window, keeping their relative order.
+	 * Chrome moves them in one call, so they either all move or none do.
+	 * @param {number[]} tabIDs - Array of tab IDs to move
+	 * @param {number} windowID - Target window ID
+	 * @param {number} [index=-1] - Position of the first moved tab (-1 for the end of the window)
+	 * @returns {Promise<{success: number[], failed: number[]}>} Results with success/failure arrays
+	 */
+	async moveTabs(tabIDs, windowID, index = -1) {
+		if (!Array.isArray(tabIDs) || tabIDs.length === 0 || !windowID) {
+			console.error('TabManager.moveTabs: Invalid tabIDs array or missing windowID');
+			return { success: [], failed: [] };
+		}
+
+		const moved = await ChromeAPI.moveTabs(tabIDs, { "windowId": windowID, index });
+		return moved ? { success: [...tabIDs], failed: [] } : { success: [], failed: [...tabIDs] };
+	}
+
+	/**
+	 * Discards multiple tabs in parallel to free their memory.
+	 * Active tabs cannot be discarded and are reported as failed.
+	 * @param {number[]} tabIDs - Array of tab IDs to discard
+	 * @returns {Promise<{success: number[], failed: number[]}>} Results with success/failure arrays
+	 */
+	async discardTabs(tabIDs) {
+		if (!Array.isArray(tabIDs) || tabIDs.length === 0) {
+			console.error('TabManager.discardTabs: Invalid tabIDs array');
+			return { success: [], failed: [] };
+		}
+
+		const results = { success: [], failed: [] };
+		await Promise.all(tabIDs.map(async (tabID) => {
+			const tab = await ChromeAPI.discardTab(tabID);
+			if (tab) {
+				results.success.push(tabID);
+			} else {
+				results.failed.push(tabID);
+			}
+		}));
+		return results;
+	}
+
+	/**
+	 * Puts tabs into a new tab group, optionally titled.
+	 * @param {number[]} tabIDs - Array of tab IDs to group
+	 * @param {string} [title] - Group title
+	 * @returns {Promise<number|null>} New group ID, null on error
+	 */
+	async groupTabs(tabIDs, title) {
+		if (!Array.isArray(tabIDs) || tabIDs.length === 0) {
+			console.error('TabManager.groupTabs: Invalid tabIDs array');
+			return null;
+		}
+
+		const groupId = await ChromeAPI.groupTabs({ "tabIds": tabIDs });
+		if (groupId !== null && title) {
+			// The tabs are grouped either way - an untitled group is still a group
+			await ChromeAPI.updateTabGroup(groupId, { title });
+		}
+		return groupId;
+	}
+
+	/**
+	 * Splits tab IDs into closable and protected ones using the stored protection rules.
+	 * Automatic closes apply every rule; a close the user asked for only honours the
+	 * allow-list, since pinned, audible and grouped tabs they selected are meant to go.
+	 * @param {number[]} tabIDs - Tab IDs about to be closed
+	 * @param {Object} [options] - Filter options
+	 * @param {boolean} [options.allowListOnly=false] - Ignore pinned, audible and grouped protection
+	 * @returns {Promise<{allowed: number[], protectedIds: number[]}>} Closable and protected tab IDs
+	 */
+	async filterProtectedTabs(tabIDs, { allowListOnly = false } = {}) {
+		if (!Array.isArray(tabIDs) || tabIDs.length === 0) {
+			return { allowed: [], protectedIds: [] };
+		}
+
+		const [tabs, settings] = await Promise.all([
+			ChromeAPI.queryTabs({}),
+			ChromeAPI.getStorage(PROTECTION_SETTINGS_KEYS)
+		]);
+		const rules = normalizeProtectionRules(settings);
+		if (allowListOnly) {
+			Object.assign(rules, { "protectPinned": false, "protectAudible": false, "protectGrouped": false });
+		}
+		const tabsById = new Map(tabs.map((tab) => [tab.id, tab]));
+
+		const results = { allowed: [], protectedIds: [] };
+		for (const tabID of tabIDs) {
+			if (isTabProtected(tabsById.get(tabID), rules)) {
+				results.protectedIds.push(tabID);
+			} else {
+				results.allowed.push(tabID);
+			}
+		}
+		return results;
+	}
+
+	/**
+	 * Reopens previously closed tabs, in their original windows where those still exist.
+	 * Tabs are opened sequentially in the background to preserve their relative order.
+	 * @param {{url: string, windowId?: number}[]} entries - Saved tab records to reopen
+	 * @returns {Promise<{success: Object[], failed: Object[]}>} Results with the entries that reopened or failed
+	 */
+	async restoreTabs(entries) {
+		if (!Array.isArray(entries) || entries.length === 0) {
+			console.error('TabManager.restoreTabs: Invalid entries array');
+			return { success: [], failed: [] };
+		}
+
+		const results = { success: [], failed: [] };
+		const windows = await ChromeAPI.getAllWindows({});
+		const openWindowIds = new Set(windows.map(win => win.id));
+
+		for (const entry of entries) {
+			if (!entry || !entry.url) {
+				results.failed.push(entry);
+				continue;
+			}
+
+			const createProperties = { "url": entry.url, "active": false };
+			if (openWindowIds.has(entry.windowId)) {
+				createProperties.windowId = entry.windowId;
+			}
+
+			const tab = await ChromeAPI.createTab(createProperties);
+			if (tab) {
+				results.success.push(entry);
+			} else {
+				results.failed.push(entry);
+			}
+		}
+
+		return results;
+	}
+
+	/**
+	 * Opens a URL in a new active tab and focuses its window.
+	 * @param {string} url - URL to open
+	 * @param {number} [windowID] - Window to open it in (the last focused one if omitted)
+	 * @returns {Promise<chrome.tabs.Tab|null>} New tab, null on error
+	 */
+	async openTab(url, windowID) {
+		if (!url) {
+			console.error('TabManager.openTab: Missing url');
+			return null;
+		}
+
+		const createProperties = { url, "active": true };
+		if (windowID) {
+			createProperties.windowId = windowID;
+		}
+		const tab = await ChromeAPI.createTab(createProperties);
+		if (tab) {
+			await this.focusWindow(tab.windowId);
+		}
+		return tab;
+	}
+
 	/**
 	 * Gets all tabs in the current window for "Current Window" view.
 	 * @returns {Promise<chrome.tabs.Tab[]>} Array of tab objects in current window
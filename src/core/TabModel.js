@@ -0,0 +1,353 @@
+/**
+ * In-memory model of the open windows and tabs, kept from event payloads.
+ *
+ * A full scan (windows.getAll with populate) seeds the model; after that,
+ * tab and window events update it one tab at a time, so a burst of new tabs
+ * never triggers a scan per tab. A periodic reconcile re-seeds it from a new
+ * scan to correct any drift (events missed while the service worker started).
+ *
+ * The background derives the badge counts from the model and mirrors it to
+ * chrome.storage.session, so the popup can paint before its own tab query returns.
+ *
+ * @fileoverview Incremental window and tab model (no Chrome API calls)
+ * @since 1.3.0
+ */
+
+// chrome.storage.session key of the mirrored snapshot
+export const TAB_MODEL_SNAPSHOT_KEY = 'tab_model_snapshot';
+
+// Data URL favicons can be large - the popup shows the default icon until its fresh query
+const MAX_SNAPSHOT_FAVICON_LENGTH = 2048;
+
+// Tab properties tabs.onUpdated can report that the model keeps
+const UPDATABLE_FIELDS = ['url', 'title', 'favIconUrl', 'discarded', 'pinned', 'audible', 'groupId'];
+
+/**
+ * @typedef {Object} ModelTab
+ * @property {number} id - Tab ID
+ * @property {number} windowId - Window holding the tab
+ * @property {number} index - Position in its window
+ * @property {string} url - Last known URL
+ * @property {string} title - Last known title
+ * @property {string} [favIconUrl] - Favicon, unless it is a large data URL
+ * @property {boolean} active - Active tab of its window
+ * @property {boolean} discarded - Unloaded from memory
+ * @property {boolean} pinned - Pinned
+ * @property {boolean} audible - Playing sound
+ * @property {number} groupId - Tab group, -1 if none
+ * @property {number} [lastAccessed] - Chrome's last access timestamp when the tab was modelled
+ */
+
+/**
+ * @typedef {Object} TabCounts
+ * @property {number} windows - Open windows
+ * @property {number} tabs - Open tabs in all windows
+ * @property {number} discarded - Discarded tabs in all windows
+ */
+
+/**
+ * @typedef {Object} TabModelSnapshot
+ * @property {number} savedAt - When the snapshot was written
+ * @property {ModelTab[]} tabs - Tabs ordered by window, then position
+ */
+
+/**
+ * Keeps the tab properties the badge counts and the popup need.
+ * @param {chrome.tabs.Tab} tab - Tab from an event, a scan or a query
+ * @returns {ModelTab} Model tab
+ */
+export function toModelTab(tab) {
+	const favIconUrl = tab.favIconUrl && tab.favIconUrl.length <= MAX_SNAPSHOT_FAVICON_LENGTH ? tab.favIconUrl : undefined;
+	return {
+		"id": tab.id,
+		"windowId": tab.windowId,
+		"index": tab.index,
+		"url": tab.url || tab.pendingUrl || '',
+		"title": tab.title || '',
+		favIconUrl,
+		"active": Boolean(tab.active),
+		"discarded": Boolean(tab.discarded),
+		"pinned": Boolean(tab.pinned),
+		"audible": Boolean(tab.audible),
+		"groupId": tab.groupId ?? -1,
+		"lastAccessed": tab.lastAccessed
+	};
+}
+
+/**
+ * Reads the tabs of a stored snapshot.
+ * @param {*} stored - Stored TAB_MODEL_SNAPSHOT_KEY value
+ * @returns {ModelTab[]} Snapshot tabs, empty if there is no usable snapshot
+ */
+export function readTabSnapshot(stored) {
+	return Array.isArray(stored?.tabs) ? stored.tabs : [];
+}
+
+/**
+ * Checks whether two tab lists would render the same.
+ * @param {Array<chrome.tabs.Tab|ModelTab>} a - First list
+ * @param {Array<chrome.tabs.Tab|ModelTab>} b - Second list
+ * @returns {boolean} True if both lists hold the same tabs, in the same order, with the same properties
+ */
+export function isSameTabList(a, b) {
+	if (a.length !== b.length) {
+		return false;
+	}
+	// lastAccessed changes on every activation without changing what is shown
+	const shown = (tab) => JSON.stringify({ ...toModelTab(tab), "lastAccessed": undefined });
+	return a.every((tab, index) => shown(tab) === shown(b[index]));
+}
+
+/**
+ * TabModel class - Windows and tabs updated from event payloads
+ *
+ * Every mutator returns whether the model changed, so callers only publish
+ * when there is something new.
+ *
+ * @class TabModel
+ * @since 1.3.0
+ *
+ * @example
+ * const model = new TabModel();
+ * model.reset(await ChromeAPI.getAllWindows({ populate: true }));
+ * chrome.tabs.onCreated.addListener((tab) => model.addTab(tab) && schedulePublish());
+ */
+class TabModel {
+	constructor() {
+		/** @private Window ID -> IDs of its tabs, in tab order */
+		this.windows = new Map();
+		/** @private Tab ID -> model tab */
+		this.tabs = new Map();
+	}
+
+	/**
+	 * Replaces the model with a full scan.
+	 * @param {chrome.windows.Window[]} windows - Windows with their tabs (populate: true)
+	 * @returns {TabCounts} Counts before the reset, to measure drift
+	 */
+	reset(windows) {
+		const previous = this.getCounts();
+		this.windows.clear();
+		this.tabs.clear();
+		for (const window of windows) {
+			this.addWindow(window.id);
+			for (const tab of window.tabs || []) {
+				this.addTab(tab);
+			}
+		}
+		return previous;
+	}
+
+	/**
+	 * @param {number} windowId - New window
+	 * @returns {boolean} True if the window was not modelled yet
+	 */
+	addWindow(windowId) {
+		if (this.windows.has(windowId)) {
+			return false;
+		}
+		this.windows.set(windowId, []);
+		return true;
+	}
+
+	/**
+	 * Removes a window and every tab still modelled in it.
+	 * @param {number} windowId - Closed window
+	 * @returns {boolean} True if the window was modelled
+	 */
+	removeWindow(windowId) {
+		const tabIds = this.windows.get(windowId);
+		if (!tabIds) {
+			return false;
+		}
+		tabIds.forEach((tabId) => this.tabs.delete(tabId));
+		this.windows.delete(windowId);
+		return true;
+	}
+
+	/**
+	 * Adds a new tab at its position; a tab opening a window nobody announced yet also adds the window.
+	 * @param {chrome.tabs.Tab} tab - Created tab
+	 * @returns {boolean} True if the tab was not modelled yet
+	 */
+	addTab(tab) {
+		if (this.tabs.has(tab.id)) {
+			return false;
+		}
+		const modelTab = toModelTab(tab);
+		if (modelTab.active) {
+			this.clearActive(modelTab.windowId);
+		}
+		this.tabs.set(tab.id, modelTab);
+		this.insert(tab.id, tab.windowId, tab.index);
+		return true;
+	}
+
+	/**
+	 * @param {number} tabId - Closed tab
+	 * @returns {boolean} True if the tab was modelled
+	 */
+	removeTab(tabId) {
+		const modelTab = this.tabs.get(tabId);
+		if (!modelTab) {
+			return false;
+		}
+		this.detach(tabId, modelTab.windowId);
+		this.tabs.delete(tabId);
+		return true;
+	}
+
+	/**
+	 * Moves a tab within its window (tabs.onMoved) or to another one (tabs.onAttached).
+	 * @param {number} tabId - Moved tab
+	 * @param {number} windowId - Window the tab is in now
+	 * @param {number} [index] - New position (end of the window if omitted)
+	 * @returns {boolean} True if a modelled tab changed place
+	 */
+	moveTab(tabId, windowId, index) {
+		const modelTab = this.tabs.get(tabId);
+		if (!modelTab) {
+			return false;
+		}
+		if (modelTab.windowId === windowId && (index === undefined || this.windows.get(windowId).indexOf(tabId) === index)) {
+			return false;
+		}
+		this.detach(tabId, modelTab.windowId);
+		modelTab.windowId = windowId;
+		this.insert(tabId, windowId, index);
+		return true;
+	}
+
+	/**
+	 * Carries a tab over to the ID Chrome replaced it with (tabs.onReplaced).
+	 * @param {number} addedTabId - New tab ID
+	 * @param {number} removedTabId - Old tab ID
+	 * @returns {boolean} True if a modelled tab was replaced
+	 */
+	replaceTab(addedTabId, removedTabId) {
+		const modelTab = this.tabs.get(removedTabId);
+		if (!modelTab) {
+			return false;
+		}
+		const tabIds = this.windows.get(modelTab.windowId);
+		tabIds[tabIds.indexOf(removedTabId)] = addedTabId;
+		this.tabs.delete(removedTabId);
+		this.tabs.set(addedTabId, { ...modelTab, "id": addedTabId });
+		return true;
+	}
+
+	/**
+	 * Applies a tabs.onUpdated change.
+	 * @param {number} tabId - Updated tab
+	 * @param {chrome.tabs.TabChangeInfo} changeInfo - Changed properties
+	 * @returns {boolean} True if a modelled property changed
+	 */
+	updateTab(tabId, changeInfo) {
+		const modelTab = this.tabs.get(tabId);
+		if (!modelTab) {
+			return false;
+		}
+		const changes = toModelTab({ ...modelTab, ...changeInfo });
+		let changed = false;
+		for (const field of UPDATABLE_FIELDS) {
+			if (field in changeInfo && modelTab[field] !== changes[field]) {
+				modelTab[field] = changes[field];
+				changed = true;
+			}
+		}
+		return changed;
+	}
+
+	/**
+	 * Marks the active tab of a window (tabs.onActivated).
+	 * @param {number} tabId - Activated tab
+	 * @param {number} windowId - Its window
+	 * @returns {boolean} True if the active tab changed
+	 */
+	activateTab(tabId, windowId) {
+		const modelTab = this.tabs.get(tabId);
+		if (!modelTab || modelTab.active) {
+			return false;
+		}
+		this.clearActive(windowId);
+		modelTab.active = true;
+		return true;
+	}
+
+	/**
+	 * @returns {ModelTab[]} Tabs ordered by window, then position
+	 */
+	getTabs() {
+		const tabs = [];
+		for (const tabIds of this.windows.values()) {
+			tabIds.forEach((tabId, index) => {
+				tabs.push({ ...this.tabs.get(tabId), index });
+			});
+		}
+		return tabs;
+	}
+
+	/**
+	 * @returns {TabModelSnapshot} Snapshot to mirror to session storage
+	 */
+	getSnapshot() {
+		return { "savedAt": Date.now(), "tabs": this.getTabs() };
+	}
+
+	/**
+	 * @param {number} windowId - Window
+	 * @returns {number} Tabs modelled in the window
+	 */
+	countWindowTabs(windowId) {
+		return this.windows.get(windowId)?.length ?? 0;
+	}
+
+	/**
+	 * @returns {TabCounts} Current counts
+	 */
+	getCounts() {
+		let discarded = 0;
+		for (const modelTab of this.tabs.values()) {
+			if (modelTab.discarded) discarded++;
+		}
+		return { "windows": this.windows.size, "tabs": this.tabs.size, discarded };
+	}
+
+	/**
+	 * @private
+	 * @param {number} tabId - Tab to place
+	 * @param {number} windowId - Its window
+	 * @param {number} [index] - Position (end of the window if omitted or out of range)
+	 */
+	insert(tabId, windowId, index) {
+		this.addWindow(windowId);
+		const tabIds = this.windows.get(windowId);
+		const position = Number.isInteger(index) && index >= 0 && index <= tabIds.length ? index : tabIds.length;
+		tabIds.splice(position, 0, tabId);
+	}
+
+	/**
+	 * @private
+	 * @param {number} tabId - Tab to take out of its window
+	 * @param {number} windowId - Its window
+	 */
+	detach(tabId, windowId) {
+		const tabIds = this.windows.get(windowId);
+		const position = tabIds ? tabIds.indexOf(tabId) : -1;
+		if (position !== -1) {
+			tabIds.splice(position, 1);
+		}
+	}
+
+	/**
+	 * @private
+	 * @param {number} windowId - Window whose active tab changes
+	 */
+	clearActive(windowId) {
+		for (const tabId of this.windows.get(windowId) || []) {
+			this.tabs.get(tabId).active = false;
+		}
+	}
+}
+
+export default TabModel;
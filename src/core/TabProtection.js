@@ -0,0 +1,204 @@
+/**
+ * Tab protection rules shared by the Tab Janitor, Tab Dedupe and bulk close.
+ *
+ * Protected tabs are never closed automatically: pinned, audible and grouped
+ * tabs (each configurable) plus an allow-list of URL or domain patterns.
+ *
+ * @fileoverview Pure protection rule functions (no Chrome API calls)
+ * @since 1.3.0
+ */
+
+/**
+ * Storage keys holding the protection rules, stored next to tabJanitor/tabJanitorDays.
+ * @type {string[]}
+ */
+export const PROTECTION_SETTINGS_KEYS = [
+	'tabJanitorProtectPinned',
+	'tabJanitorProtectAudible',
+	'tabJanitorProtectGrouped',
+	'tabJanitorAllowList'
+];
+
+export const MAX_ALLOW_LIST_PATTERNS = 200;
+export const MAX_PATTERN_LENGTH = 500;
+
+// chrome.tabGroups.TAB_GROUP_ID_NONE - not available outside the extension runtime
+const TAB_GROUP_ID_NONE = -1;
+
+// Letters, digits and the URL punctuation a pattern may reasonably contain
+const PATTERN_CHARACTERS = /^[a-z0-9.*:/\-_~%?&=+#@[\]!$,;]+$/;
+
+/**
+ * @typedef {Object} ProtectionRules
+ * @property {boolean} protectPinned - Never close pinned tabs
+ * @property {boolean} protectAudible - Never close tabs playing audio
+ * @property {boolean} protectGrouped - Never close tabs that belong to a tab group
+ * @property {string[]} allowList - Validated URL or domain patterns that are always exempt
+ */
+
+/**
+ * Validates and normalizes one allow-list pattern.
+ *
+ * Supported forms:
+ * - `example.com` - the domain and all of its subdomains
+ * - `*.example.com`, `docs.*` - host wildcards
+ * - `github.com/org/*` - host and path prefix
+ * - `https://example.com/app` - full URL prefix (`*` wildcards allowed)
+ *
+ * @param {string} pattern - Raw pattern typed by the user
+ * @returns {{valid: boolean, pattern: string, error: string|null}} Normalized pattern or error
+ */
+export function validateAllowListPattern(pattern) {
+	const normalized = String(pattern ?? '').trim().toLowerCase();
+
+	if (!normalized) {
+		return { valid: false, pattern: normalized, error: 'Pattern is empty' };
+	}
+	if (normalized.length > MAX_PATTERN_LENGTH) {
+		return { valid: false, pattern: normalized, error: `Pattern is longer than ${MAX_PATTERN_LENGTH} characters` };
+	}
+	if (!PATTERN_CHARACTERS.test(normalized)) {
+		return { valid: false, pattern: normalized, error: 'Pattern contains characters that cannot appear in a URL' };
+	}
+	if (/^\**$/.test(normalized.replace(/[.:/]/g, ''))) {
+		// SECURITY: "*" alone would silently protect every tab and disable the janitor
+		return { valid: false, pattern: normalized, error: 'Pattern must name a site, not only wildcards' };
+	}
+	if (normalized.includes('://') && !/^[a-z*][a-z0-9+.\-*]*:\/\/./.test(normalized)) {
+		return { valid: false, pattern: normalized, error: 'URL pattern must look like scheme://host/path' };
+	}
+
+	return { valid: true, pattern: normalized, error: null };
+}
+
+/**
+ * Parses the options page allow-list textarea (one pattern per line).
+ * Blank lines are ignored and duplicates dropped.
+ * @param {string} text - Textarea contents
+ * @returns {{patterns: string[], errors: {line: number, pattern: string, error: string}[]}} Valid patterns and per-line errors
+ */
+export function parseAllowList(text) {
+	const patterns = [];
+	const errors = [];
+
+	String(text ?? '').split(/\r?\n/).forEach((line, index) => {
+		if (!line.trim()) return;
+
+		const result = validateAllowListPattern(line);
+		if (!result.valid) {
+			errors.push({ line: index + 1, pattern: line.trim(), error: result.error });
+		} else if (!patterns.includes(result.pattern)) {
+			patterns.push(result.pattern);
+		}
+	});
+
+	if (patterns.length > MAX_ALLOW_LIST_PATTERNS) {
+		errors.push({ line: 0, pattern: '', error: `At most ${MAX_ALLOW_LIST_PATTERNS} patterns are allowed` });
+	}
+
+	return { patterns, errors };
+}
+
+/**
+ * Builds protection rules from stored settings. Pinned, audible and grouped
+ * protection default to on; stored patterns are re-validated defensively.
+ * @param {Object} [settings] - Stored values for PROTECTION_SETTINGS_KEYS
+ * @returns {ProtectionRules} Normalized rules
+ */
+export function normalizeProtectionRules(settings = {}) {
+	const storedList = Array.isArray(settings.tabJanitorAllowList) ? settings.tabJanitorAllowList : [];
+
+	return {
+		protectPinned: settings.tabJanitorProtectPinned !== false,
+		protectAudible: settings.tabJanitorProtectAudible !== false,
+		protectGrouped: settings.tabJanitorProtectGrouped !== false,
+		allowList: storedList
+			.filter((pattern) => typeof pattern === 'string')
+			.map((pattern) => validateAllowListPattern(pattern))
+			.filter((result) => result.valid)
+			.map((result) => result.pattern)
+			.slice(0, MAX_ALLOW_LIST_PATTERNS)
+	};
+}
+
+/**
+ * Converts a pattern with `*` wildcards into an anchored regular expression.
+ * @private
+ * @param {string} pattern - Normalized pattern
+ * @param {boolean} exact - Anchor the end as well (host patterns)
+ * @returns {RegExp} Compiled pattern
+ */
+function wildcardToRegExp(pattern, exact) {
+	const escaped = pattern.split('*').map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+	return new RegExp(`^${escaped}${exact ? '$' : ''}`);
+}
+
+/**
+ * Checks whether a URL matches an allow-list pattern.
+ * @param {string} url - Tab URL
+ * @param {string} pattern - Normalized allow-list pattern
+ * @returns {boolean} True if the URL matches
+ */
+export function matchesAllowListPattern(url, pattern) {
+	let parsed;
+	try {
+		parsed = new URL(url);
+	} catch {
+		return false;
+	}
+
+	const host = parsed.hostname.toLowerCase();
+
+	// Full URL prefix
+	if (pattern.includes('://')) {
+		return wildcardToRegExp(pattern, false).test(parsed.href.toLowerCase());
+	}
+
+	// Host and path prefix
+	if (pattern.includes('/')) {
+		return wildcardToRegExp(pattern, false).test(`${host}${parsed.pathname}${parsed.search}`.toLowerCase());
+	}
+
+	// Host wildcard
+	if (pattern.includes('*')) {
+		return wildcardToRegExp(pattern, true).test(host);
+	}
+
+	// Plain domain covers its subdomains
+	return host === pattern || host.endsWith(`.${pattern}`);
+}
+
+/**
+ * Explains why a tab is protected.
+ * @param {chrome.tabs.Tab} tab - Tab to check
+ * @param {ProtectionRules} rules - Normalized protection rules
+ * @returns {'pinned'|'audible'|'grouped'|'allowList'|null} Protection reason, or null if unprotected
+ */
+export function getProtectionReason(tab, rules) {
+	if (!tab) {
+		return null;
+	}
+	if (rules.protectPinned && tab.pinned) {
+		return 'pinned';
+	}
+	if (rules.protectAudible && tab.audible) {
+		return 'audible';
+	}
+	if (rules.protectGrouped && typeof tab.groupId === 'number' && tab.groupId !== TAB_GROUP_ID_NONE) {
+		return 'grouped';
+	}
+	if (tab.url && rules.allowList.some((pattern) => matchesAllowListPattern(tab.url, pattern))) {
+		return 'allowList';
+	}
+	return null;
+}
+
+/**
+ * Checks whether a tab must never be closed automatically.
+ * @param {chrome.tabs.Tab} tab - Tab to check
+ * @param {ProtectionRules} rules - Normalized protection rules
+ * @returns {boolean} True if protected
+ */
+export function isTabProtected(tab, rules) {
+	return getProtectionReason(tab, rules) !== null;
+}
@@ -0,0 +1,182 @@
+/**
+ * Keyed store for short-lived state whose entries expire on their own.
+ *
+ * Entries of one store live under a single chrome.storage.session key, so
+ * they survive service worker restarts, disappear when the browser closes and
+ * can be purged without reading the rest of storage. Without session storage
+ * (Chrome before 102) the store falls back to memory.
+ *
+ * @fileoverview TTL-aware keyed store (chrome.storage.session)
+ * @since 1.3.0
+ */
+
+import ChromeAPI from '../utils/ChromeAPI.js';
+
+// Session storage key of a store is `${prefix}${namespace}`
+export const TTL_STORE_KEY_PREFIX = 'ttl_';
+
+/**
+ * @typedef {Object} TtlEntry
+ * @property {*} value - Stored value
+ * @property {number} expiresAt - Timestamp after which the entry is gone
+ */
+
+/**
+ * Drops expired and malformed entries.
+ * @param {*} stored - Value read from storage
+ * @param {number} [now] - Reference timestamp
+ * @returns {{entries: Object<string, TtlEntry>, expired: number}} Live entries and how many were dropped
+ */
+export function pruneExpired(stored, now = Date.now()) {
+	const entries = {};
+	let expired = 0;
+
+	if (stored && typeof stored === 'object') {
+		for (const [key, entry] of Object.entries(stored)) {
+			if (entry && Number.isFinite(entry.expiresAt) && entry.expiresAt > now) {
+				entries[key] = entry;
+			} else {
+				expired++;
+			}
+		}
+	}
+	return { entries, expired };
+}
+
+/**
+ * TtlStore class - Short-lived keyed state with per-entry expiry
+ *
+ * Writes are serialized per instance, so add() can act as a lock: of two
+ * concurrent add() calls for the same key, only one succeeds.
+ *
+ * @class TtlStore
+ * @since 1.3.0
+ *
+ * @example
+ * const locks = new TtlStore('dedupe_pending_urls', { defaultTtlMs: 10 * 60 * 1000 });
+ * if (await locks.add(url, { notificationId })) {
+ *   // first notification for this URL
+ * }
+ */
+class TtlStore {
+	/**
+	 * @param {string} namespace - Store name, unique per kind of state
+	 * @param {Object} [options] - Store options
+	 * @param {number} [options.defaultTtlMs] - Lifetime of entries set without an explicit TTL
+	 */
+	constructor(namespace, { defaultTtlMs = 10 * 60 * 1000 } = {}) {
+		/** @private */
+		this.storageKey = `${TTL_STORE_KEY_PREFIX}${namespace}`;
+		/** @private */
+		this.defaultTtlMs = defaultTtlMs;
+		/** @private Fallback when chrome.storage.session is unavailable */
+		this.memory = {};
+		/** @private */
+		this.writeQueue = Promise.resolve();
+	}
+
+	/**
+	 * Gets a live entry's value.
+	 * @param {string} key - Entry key
+	 * @returns {Promise<*|null>} Value, or null if missing or expired
+	 */
+	async get(key) {
+		const { entries } = pruneExpired(await this.read());
+		return Object.hasOwn(entries, key) ? entries[key].value : null;
+	}
+
+	/**
+	 * Sets an entry, replacing any existing one.
+	 * @param {string} key - Entry key
+	 * @param {*} value - JSON-serializable value
+	 * @param {number} [ttlMs] - Lifetime in milliseconds
+	 * @returns {Promise<boolean>} Success status
+	 */
+	async set(key, value, ttlMs = this.defaultTtlMs) {
+		return await this.update((entries, now) => {
+			entries[key] = { value, "expiresAt": now + ttlMs };
+		});
+	}
+
+	/**
+	 * Sets an entry only if no live entry exists for the key.
+	 * @param {string} key - Entry key
+	 * @param {*} value - JSON-serializable value
+	 * @param {number} [ttlMs] - Lifetime in milliseconds
+	 * @returns {Promise<boolean>} True if the entry was added
+	 */
+	async add(key, value, ttlMs = this.defaultTtlMs) {
+		let added = false;
+		const saved = await this.update((entries, now) => {
+			if (Object.hasOwn(entries, key)) {
+				return;
+			}
+			entries[key] = { value, "expiresAt": now + ttlMs };
+			added = true;
+		});
+		return saved && added;
+	}
+
+	/**
+	 * Removes entries.
+	 * @param {...string} keys - Entry keys
+	 * @returns {Promise<boolean>} Success status
+	 */
+	async delete(...keys) {
+		return await this.update((entries) => {
+			keys.forEach((key) => delete entries[key]);
+		});
+	}
+
+	/**
+	 * Removes expired entries. Reads only this store's key.
+	 * @returns {Promise<number>} Number of entries removed
+	 */
+	async purgeExpired() {
+		let expired = 0;
+		await this.update((entries, now, dropped) => {
+			expired = dropped;
+		});
+		return expired;
+	}
+
+	/**
+	 * @private
+	 * @returns {Promise<*>} Raw stored entries
+	 */
+	async read() {
+		if (!ChromeAPI.hasSessionStorage()) {
+			return this.memory;
+		}
+		const stored = await ChromeAPI.getSessionStorage([this.storageKey]);
+		return stored[this.storageKey];
+	}
+
+	/**
+	 * Applies a read-modify-write to the live entries, one at a time.
+	 * Expired entries are dropped on every write.
+	 * @private
+	 * @param {function(Object<string, TtlEntry>, number, number): void} mutate - Mutates the live entries in place
+	 *   (receives them, the current time and the number of expired entries dropped)
+	 * @returns {Promise<boolean>} Success status
+	 */
+	update(mutate) {
+		const run = this.writeQueue.then(async () => {
+			const now = Date.now();
+			const { entries, expired } = pruneExpired(await this.read(), now);
+			mutate(entries, now, expired);
+
+			if (!ChromeAPI.hasSessionStorage()) {
+				this.memory = entries;
+				return true;
+			}
+			return await ChromeAPI.setSessionStorage({ [this.storageKey]: entries });
+		});
+
+		// Keep the queue alive even if one write fails
+		this.writeQueue = run.catch(() => false);
+		return run;
+	}
+}
+
+export default TtlStore;
@@ -0,0 +1,175 @@
+/**
+ * URL canonicalization shared by duplicate detection and the options duplicate scanner.
+ *
+ * Two tabs are duplicates when their canonical URLs are equal. Each rule can be
+ * switched off in options: drop the #fragment, strip tracking parameters,
+ * ignore a trailing slash, lowercase the host and ignore a leading "www.".
+ *
+ * @fileoverview Pure URL canonicalization functions (no Chrome API calls)
+ * @since 1.3.0
+ */
+
+/**
+ * Storage keys holding the URL rules, stored next to tabDedupe.
+ * @type {string[]}
+ */
+export const URL_RULE_SETTINGS_KEYS = [
+	'dedupeIgnoreFragment',
+	'dedupeStripTracking',
+	'dedupeIgnoreTrailingSlash',
+	'dedupeLowercaseHost',
+	'dedupeIgnoreWww'
+];
+
+// Query parameters that only track where a click came from; `*` matches any suffix
+export const TRACKING_PARAMETERS = [
+	'utm_*',
+	'fbclid',
+	'gclid',
+	'dclid',
+	'gbraid',
+	'wbraid',
+	'msclkid',
+	'yclid',
+	'mc_cid',
+	'mc_eid',
+	'igshid',
+	'_ga',
+	'_gl',
+	'_hsenc',
+	'_hsmi',
+	'mkt_tok',
+	'ref_src'
+];
+
+// Only web URLs have hosts and query strings worth normalizing
+const WEB_PROTOCOLS = ['http:', 'https:'];
+
+/**
+ * @typedef {Object} UrlRules
+ * @property {boolean} ignoreFragment - Drop the #fragment
+ * @property {boolean} stripTracking - Remove TRACKING_PARAMETERS from the query string
+ * @property {boolean} ignoreTrailingSlash - Treat `/page/` and `/page` as the same
+ * @property {boolean} lowercaseHost - Compare hosts case-insensitively
+ * @property {boolean} ignoreWww - Treat `www.example.com` and `example.com` as the same
+ */
+
+/**
+ * Builds URL rules from stored settings. Every rule defaults to on.
+ * @param {Object} [settings] - Stored values for URL_RULE_SETTINGS_KEYS
+ * @returns {UrlRules} Normalized rules
+ */
+export function normalizeUrlRules(settings = {}) {
+	return {
+		ignoreFragment: settings.dedupeIgnoreFragment !== false,
+		stripTracking: settings.dedupeStripTracking !== false,
+		ignoreTrailingSlash: settings.dedupeIgnoreTrailingSlash !== false,
+		lowercaseHost: settings.dedupeLowercaseHost !== false,
+		ignoreWww: settings.dedupeIgnoreWww !== false
+	};
+}
+
+/**
+ * Checks whether a query parameter is a tracking parameter.
+ * @param {string} name - Parameter name
+ * @returns {boolean} True if the parameter only tracks the click source
+ */
+export function isTrackingParameter(name) {
+	const lower = name.toLowerCase();
+	return TRACKING_PARAMETERS.some((pattern) => {
+		return pattern.endsWith('*') ? lower.startsWith(pattern.slice(0, -1)) : lower === pattern;
+	});
+}
+
+/**
+ * Host exactly as typed - the URL parser always lowercases it.
+ * @private
+ * @param {string} url - Raw URL
+ * @returns {string|null} Host with its original letter case
+ */
+function getRawHost(url) {
+	const match = /^[a-z][a-z0-9+.-]*:\/\/(?:[^@/?#]*@)?([^/?#:]+)/i.exec(url);
+	return match ? match[1] : null;
+}
+
+/**
+ * Canonicalizes a URL for duplicate comparison.
+ * Unparseable URLs are returned unchanged, so they only match themselves.
+ *
+ * @param {string} url - Tab URL
+ * @param {UrlRules} [rules] - Normalized URL rules (all on by default)
+ * @returns {string} Canonical URL
+ *
+ * @example
+ * canonicalizeUrl('https://WWW.Example.com/page/?utm_source=x#intro');
+ * // 'https://example.com/page'
+ */
+export function canonicalizeUrl(url, rules = normalizeUrlRules()) {
+	if (typeof url !== 'string' || url === '') {
+		return '';
+	}
+
+	let parsed;
+	try {
+		parsed = new URL(url);
+	} catch {
+		return url;
+	}
+
+	if (rules.ignoreFragment) {
+		parsed.hash = '';
+	}
+
+	if (!WEB_PROTOCOLS.includes(parsed.protocol)) {
+		return parsed.href;
+	}
+
+	if (rules.stripTracking && parsed.search) {
+		const kept = [...parsed.searchParams].filter(([name]) => !isTrackingParameter(name));
+		parsed.search = new URLSearchParams(kept).toString();
+	}
+
+	if (rules.ignoreTrailingSlash && parsed.pathname.length > 1 && parsed.pathname.endsWith('/')) {
+		parsed.pathname = parsed.pathname.replace(/\/+$/, '') || '/';
+	}
+
+	let host = rules.lowercaseHost ? parsed.hostname : (getRawHost(url) ?? parsed.hostname);
+	if (rules.ignoreWww && /^www\./i.test(host)) {
+		host = host.slice(4);
+	}
+	const port = parsed.port ? `:${parsed.port}` : '';
+	const auth = parsed.username ? `${parsed.username}${parsed.password ? `:${parsed.password}` : ''}@` : '';
+
+	// A bare origin has no path to keep
+	const path = rules.ignoreTrailingSlash && parsed.pathname === '/' ? '' : parsed.pathname;
+	return `${parsed.protocol}//${auth}${host}${port}${path}${parsed.search}${parsed.hash}`;
+}
+
+/**
+ * Checks whether two URLs are duplicates under the given rules.
+ * @param {string} a - First URL
+ * @param {string} b - Second URL
+ * @param {UrlRules} [rules] - Normalized URL rules
+ * @returns {boolean} True if both URLs canonicalize to the same string
+ */
+export function isSameCanonicalUrl(a, b, rules = normalizeUrlRules()) {
+	return canonicalizeUrl(a, rules) === canonicalizeUrl(b, rules);
+}
+
+/**
+ * Groups tabs by canonical URL, preserving tab order within each group.
+ * @param {chrome.tabs.Tab[]} tabs - Tabs to group
+ * @param {UrlRules} [rules] - Normalized URL rules
+ * @returns {Map<string, chrome.tabs.Tab[]>} Canonical URL -> tabs
+ */
+export function groupTabsByCanonicalUrl(tabs, rules = normalizeUrlRules()) {
+	const groups = new Map();
+	for (const tab of tabs) {
+		const key = canonicalizeUrl(tab.url, rules);
+		if (!groups.has(key)) {
+			groups.set(key, []);
+		}
+		groups.get(key).push(tab);
+	}
+	return groups;
+}
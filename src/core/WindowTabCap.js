@@ -0,0 +1,119 @@
+/**
+ * Max-tabs-per-window cap with least-recently-used eviction.
+ *
+ * When a window goes over its cap, the least recently activated tabs (per
+ * tab_activation_history) are closed or discarded. Pinned, audible and active
+ * tabs are never evicted, and neither are tabs kept by the protection rules.
+ *
+ * @fileoverview Pure window cap planning functions (no Chrome API calls)
+ * @since 1.3.0
+ */
+
+import { PROTECTION_SETTINGS_KEYS, normalizeProtectionRules, isTabProtected } from './TabProtection.js';
+
+export const WINDOW_CAP_DEFAULT = 50;
+export const WINDOW_CAP_MIN = 2;
+export const WINDOW_CAP_MAX = 500;
+
+// Eviction actions: close (archive first) or discard
+export const WINDOW_CAP_ACTIONS = ['close', 'discard'];
+
+/**
+ * Storage keys the cap reads, including the protection rules it honours.
+ * @type {string[]}
+ */
+export const WINDOW_CAP_SETTINGS_KEYS = ['tabWindowCapEnabled', 'tabWindowCap', 'tabWindowCapAction', ...PROTECTION_SETTINGS_KEYS];
+
+/**
+ * @typedef {Object} WindowCapSettings
+ * @property {number|null} cap - Max tabs per window, or null when the cap is off
+ * @property {'close'|'discard'} action - What happens to evicted tabs
+ */
+
+/**
+ * Validates the stored cap settings.
+ * SECURITY: Clamp the cap so a bad value can never evict almost every tab
+ * @param {Object} [settings] - Stored values for WINDOW_CAP_SETTINGS_KEYS
+ * @returns {WindowCapSettings} Validated cap settings
+ */
+export function normalizeWindowCap(settings = {}) {
+	const action = WINDOW_CAP_ACTIONS.includes(settings.tabWindowCapAction) ? settings.tabWindowCapAction : 'close';
+	if (!settings.tabWindowCapEnabled) {
+		return { cap: null, action };
+	}
+
+	const value = Number(settings.tabWindowCap);
+	if (!Number.isFinite(value)) {
+		return { cap: WINDOW_CAP_DEFAULT, action };
+	}
+	return { cap: Math.min(WINDOW_CAP_MAX, Math.max(WINDOW_CAP_MIN, Math.floor(value))), action };
+}
+
+/**
+ * Counts the tabs that count towards the cap. In discard mode the cap limits
+ * loaded tabs, so already discarded tabs don't count.
+ * @param {chrome.tabs.Tab[]} tabs - Tabs of one window
+ * @param {'close'|'discard'} action - Eviction action
+ * @returns {number} Tabs counted against the cap
+ */
+export function countCappedTabs(tabs, action) {
+	return action === 'discard' ? tabs.filter((tab) => !tab.discarded).length : tabs.length;
+}
+
+/**
+ * Checks whether a window has reached its cap.
+ * @param {chrome.tabs.Tab[]} tabs - Tabs of one window
+ * @param {WindowCapSettings} capSettings - Validated cap settings
+ * @returns {boolean} True if the window is at (or over) its cap
+ */
+export function isWindowAtCap(tabs, capSettings) {
+	return capSettings.cap !== null && countCappedTabs(tabs, capSettings.action) >= capSettings.cap;
+}
+
+/**
+ * Picks the least recently activated tabs to evict from a window over its cap.
+ *
+ * @param {Object} params - Planning inputs
+ * @param {chrome.tabs.Tab[]} params.tabs - Tabs of one window
+ * @param {Object<string, number>} params.history - tab_activation_history (tabId -> timestamp)
+ * @param {Object} params.settings - Stored values for WINDOW_CAP_SETTINGS_KEYS
+ * @param {number[]} [params.keepTabIds] - Tabs that must stay (e.g. the tab just opened)
+ * @returns {{cap: number|null, action: string, excess: number, evictions: {tab: chrome.tabs.Tab, lastActivated: number}[]}} Eviction plan
+ *
+ * @example
+ * const plan = planWindowCapEviction({ tabs, history, settings, keepTabIds: [newTab.id] });
+ * plan.evictions.forEach(({ tab }) => console.log(`Would evict ${tab.title}`));
+ */
+export function planWindowCapEviction({ tabs, history, settings = {}, keepTabIds = [] }) {
+	const { cap, action } = normalizeWindowCap(settings);
+	const plan = { cap, action, excess: 0, evictions: [] };
+	if (cap === null) {
+		return plan;
+	}
+
+	plan.excess = Math.max(0, countCappedTabs(tabs, action) - cap);
+	if (plan.excess === 0) {
+		return plan;
+	}
+
+	const rules = normalizeProtectionRules(settings);
+	const keep = new Set(keepTabIds);
+
+	plan.evictions = tabs
+		.filter((tab) => {
+			// Never evict pinned, audible or active tabs, whatever the protection settings say
+			if (tab.pinned || tab.audible || tab.active || keep.has(tab.id)) return false;
+			if (action === 'discard' && tab.discarded) return false;
+			return !isTabProtected(tab, rules);
+		})
+		.map((tab) => {
+			const stored = history?.[tab.id];
+			const lastActivated = Number.isFinite(stored) ? stored : (Number.isFinite(tab.lastAccessed) ? tab.lastAccessed : 0);
+			return { tab, lastActivated };
+		})
+		// LRU: least recently activated first
+		.sort((a, b) => a.lastActivated - b.lastActivated)
+		.slice(0, plan.excess);
+
+	return plan;
+}
@@ -32,6 +32,24 @@ export default class ChromeAPI {
 		});
 	}
 
+	/**
+	 * Get a single tab by ID
+	 * @param {number} tabId - Tab ID
+	 * @returns {Promise<chrome.tabs.Tab|null>} Tab or null if it does not exist
+	 */
+	static async getTab(tabId) {
+		return new Promise((resolve) => {
+			chrome.tabs.get(tabId, (tab) => {
+				if (chrome.runtime.lastError) {
+					console.error('ChromeAPI.getTab: Failed to get tab:', chrome.runtime.lastError.message);
+					resolve(null);
+					return;
+				}
+				resolve(tab || null);
+			});
+		});
+	}
+
 	/**
 	 * Remove tabs by ID with detailed error reporting
 	 * @param {number|number[]} tabIds - Single tab ID or array of tab IDs
@@ -69,6 +87,83 @@ export default class ChromeAPI {
 		});
 	}
 
+	/**
+	 * Discard a tab to free its memory; it reloads when activated again
+	 * @param {number} tabId - Tab ID to discard
+	 * @returns {Promise<chrome.tabs.Tab|null>} Discarded tab or null on error
+	 */
+	static async discardTab(tabId) {
+		return new Promise((resolve) => {
+			chrome.tabs.discard(tabId, (tab) => {
+				if (chrome.runtime.lastError) {
+					console.error('ChromeAPI.discardTab: Failed to discard tab:', chrome.runtime.lastError.message);
+					resolve(null);
+					return;
+				}
+				// Chrome resolves undefined when the tab could not be discarded (e.g. active tab)
+				resolve(tab || null);
+			});
+		});
+	}
+
+	/**
+	 * Move tabs within their window or to another one
+	 * @param {number|number[]} tabIds - Single tab ID or array of tab IDs
+	 * @param {{windowId?: number, index: number}} moveProperties - Target window and position (-1 for the end)
+	 * @returns {Promise<chrome.tabs.Tab[]|null>} Moved tabs or null on error
+	 */
+	static async moveTabs(tabIds, moveProperties) {
+		return new Promise((resolve) => {
+			chrome.tabs.move(tabIds, moveProperties, (tabs) => {
+				if (chrome.runtime.lastError) {
+					console.error('ChromeAPI.moveTabs: Failed to move tabs:', chrome.runtime.lastError.message);
+					resolve(null);
+					return;
+				}
+				resolve(Array.isArray(tabs) ? tabs : [tabs]);
+			});
+		});
+	}
+
+	/**
+	 * Add tabs to a new or existing tab group
+	 * @param {{tabIds: number|number[], groupId?: number}} options - Tabs to group and optional existing group
+	 * @returns {Promise<number|null>} Group ID or null on error
+	 */
+	static async groupTabs(options) {
+		return new Promise((resolve) => {
+			chrome.tabs.group(options, (groupId) => {
+				if (chrome.runtime.lastError) {
+					console.error('ChromeAPI.groupTabs: Failed to group tabs:', chrome.runtime.lastError.message);
+					resolve(null);
+					return;
+				}
+				resolve(groupId ?? null);
+			});
+		});
+	}
+
+	// === Tab Groups API ===
+
+	/**
+	 * Update tab group properties such as its title or color
+	 * @param {number} groupId - Group ID to update
+	 * @param {Object} updateProperties - Properties to update
+	 * @returns {Promise<chrome.tabGroups.TabGroup|null>} Updated group or null on error
+	 */
+	static async updateTabGroup(groupId, updateProperties) {
+		return new Promise((resolve) => {
+			chrome.tabGroups.update(groupId, updateProperties, (group) => {
+				if (chrome.runtime.lastError) {
+					console.error('ChromeAPI.updateTabGroup: Failed to update tab group:', chrome.runtime.lastError.message);
+					resolve(null);
+					return;
+				}
+				resolve(group || null);
+			});
+		});
+	}
+
 	// === Windows API ===
 
 	/**
@@ -88,6 +183,23 @@ export default class ChromeAPI {
 		});
 	}
 
+	/**
+	 * Get the window that was most recently focused
+	 * @returns {Promise<chrome.windows.Window|null>} Last focused window or null on error
+	 */
+	static async getLastFocusedWindow() {
+		return new Promise((resolve) => {
+			chrome.windows.getLastFocused((window) => {
+				if (chrome.runtime.lastError) {
+					console.error('ChromeAPI.getLastFocusedWindow: Failed to get last focused window:', chrome.runtime.lastError.message);
+					resolve(null);
+					return;
+				}
+				resolve(window || null);
+			});
+		});
+	}
+
 	/**
 	 * Focus a window
 	 * @param {number} windowId - Window ID to focus
@@ -180,6 +292,50 @@ export default class ChromeAPI {
 		});
 	}
 
+	/**
+	 * Whether chrome.storage.session is available (Chrome 102+)
+	 * @returns {boolean} True if session storage can be used
+	 */
+	static hasSessionStorage() {
+		return Boolean(chrome.storage?.session);
+	}
+
+	/**
+	 * Get items from chrome.storage.session
+	 * @param {string|string[]|Object} keys - Keys to retrieve
+	 * @returns {Promise<Object>} Retrieved data (empty object on error)
+	 */
+	static async getSessionStorage(keys) {
+		return new Promise((resolve) => {
+			chrome.storage.session.get(keys, (data) => {
+				if (chrome.runtime.lastError) {
+					console.error('ChromeAPI.getSessionStorage: Failed to get session storage:', chrome.runtime.lastError.message);
+					resolve({});
+					return;
+				}
+				resolve(data || {});
+			});
+		});
+	}
+
+	/**
+	 * Set items in chrome.storage.session
+	 * @param {Object} items - Key-value pairs to store
+	 * @returns {Promise<boolean>} Success status
+	 */
+	static async setSessionStorage(items) {
+		return new Promise((resolve) => {
+			chrome.storage.session.set(items, () => {
+				if (chrome.runtime.lastError) {
+					console.error('ChromeAPI.setSessionStorage: Failed to set session storage:', chrome.runtime.lastError.message);
+					resolve(false);
+					return;
+				}
+				resolve(true);
+			});
+		});
+	}
+
 	// === Action API ===
 
 	/**
@@ -200,6 +356,24 @@ export default class ChromeAPI {
 		});
 	}
 
+	/**
+	 * Set badge background color
+	 * @param {string} color - CSS color of the badge background
+	 * @returns {Promise<boolean>} Success status
+	 */
+	static async setBadgeBackgroundColor(color) {
+		return new Promise((resolve) => {
+			chrome.action.setBadgeBackgroundColor({ color }, () => {
+				if (chrome.runtime.lastError) {
+					console.error('ChromeAPI.setBadgeBackgroundColor: Failed to set badge color:', chrome.runtime.lastError.message);
+					resolve(false);
+					return;
+				}
+				resolve(true);
+			});
+		});
+	}
+
 	/**
 	 * Set badge title (tooltip)
 	 * @param {string} title - Title to display on badge hover
@@ -219,6 +393,72 @@ export default class ChromeAPI {
 	}
 
 
+	// === Alarms API ===
+
+	/**
+	 * Get an alarm by name
+	 * @param {string} name - Alarm name
+	 * @returns {Promise<chrome.alarms.Alarm|null>} Alarm or null if none is scheduled
+	 */
+	static async getAlarm(name) {
+		try {
+			return (await chrome.alarms.get(name)) || null;
+		} catch (error) {
+			console.error('ChromeAPI.getAlarm: Failed to get alarm:', error.message);
+			return null;
+		}
+	}
+
+	/**
+	 * Create or replace an alarm
+	 * @param {string} name - Alarm name
+	 * @param {chrome.alarms.AlarmCreateInfo} alarmInfo - When the alarm fires
+	 * @returns {Promise<boolean>} Success status
+	 */
+	static async createAlarm(name, alarmInfo) {
+		try {
+			await chrome.alarms.create(name, alarmInfo);
+			return true;
+		} catch (error) {
+			console.error('ChromeAPI.createAlarm: Failed to create alarm:', error.message);
+			return false;
+		}
+	}
+
+	/**
+	 * Clear an alarm
+	 * @param {string} name - Alarm name
+	 * @returns {Promise<boolean>} True if an alarm was cleared
+	 */
+	static async clearAlarm(name) {
+		try {
+			return Boolean(await chrome.alarms.clear(name));
+		} catch (error) {
+			console.error('ChromeAPI.clearAlarm: Failed to clear alarm:', error.message);
+			return false;
+		}
+	}
+
+	// === Idle API ===
+
+	/**
+	 * Query whether the machine is active, idle or locked
+	 * @param {number} detectionIntervalInSeconds - Seconds without input before the machine counts as idle
+	 * @returns {Promise<'active'|'idle'|'locked'>} Idle state ('active' on error)
+	 */
+	static async queryIdleState(detectionIntervalInSeconds) {
+		return new Promise((resolve) => {
+			chrome.idle.queryState(detectionIntervalInSeconds, (state) => {
+				if (chrome.runtime.lastError) {
+					console.error('ChromeAPI.queryIdleState: Failed to query idle state:', chrome.runtime.lastError.message);
+					resolve('active');
+					return;
+				}
+				resolve(state || 'active');
+			});
+		});
+	}
+
 	// === Runtime API ===
 
 	/**
@@ -229,6 +469,56 @@ export default class ChromeAPI {
 		return chrome.runtime.getManifest();
 	}
 
+	/**
+	 * Open a long-lived connection to the service worker
+	 * @param {string} name - Port name the receiving listener checks
+	 * @returns {chrome.runtime.Port|null} Port or null if the extension context is gone
+	 */
+	static connect(name) {
+		try {
+			return chrome.runtime.connect({ name });
+		} catch (error) {
+			console.error('ChromeAPI.connect: Failed to connect:', error.message);
+			return null;
+		}
+	}
+
+	/**
+	 * Open a connection to a native messaging host
+	 * @param {string} application - Host name from its host manifest
+	 * @returns {chrome.runtime.Port|null} Port or null if native messaging is unavailable
+	 */
+	static connectNative(application) {
+		if (!chrome.runtime.connectNative) {
+			console.error('ChromeAPI.connectNative: Native messaging permission not granted');
+			return null;
+		}
+		try {
+			return chrome.runtime.connectNative(application);
+		} catch (error) {
+			console.error('ChromeAPI.connectNative: Failed to connect:', error.message);
+			return null;
+		}
+	}
+
+	/**
+	 * Ask the user for optional permissions (must be called from a user gesture)
+	 * @param {string[]} permissions - Permissions listed under optional_permissions
+	 * @returns {Promise<boolean>} True if granted
+	 */
+	static async requestPermissions(permissions) {
+		return new Promise((resolve) => {
+			chrome.permissions.request({ permissions }, (granted) => {
+				if (chrome.runtime.lastError) {
+					console.error('ChromeAPI.requestPermissions: Failed to request permissions:', chrome.runtime.lastError.message);
+					resolve(false);
+					return;
+				}
+				resolve(Boolean(granted));
+			});
+		});
+	}
+
 	/**
 	 * Get all extension commands (keyboard shortcuts)
 	 * @returns {Promise<chrome.commands.Command[]>} Array of commands
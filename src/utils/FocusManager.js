@@ -29,7 +29,12 @@ class FocusManager {
 				relativePosition: 0,
 				currentIndex: 0 // Current focused index for this tab
 			},
-			activeTabName: 'currentTab' // 'currentTab' or 'allTab'
+			archivedTab: {
+				lastFocusedIndex: -1, // -1 means no previous focus data
+				relativePosition: 0,
+				currentIndex: 0 // Current focused index for this tab
+			},
+			activeTabName: 'currentTab' // 'currentTab', 'allTab' or 'archivedTab'
 		};
 	}
 
@@ -37,7 +42,8 @@ class FocusManager {
 	 * @typedef {Object} FocusRestoreData
 	 * @property {TabFocusData} currentTab - Focus data for Current Window view
 	 * @property {TabFocusData} allTab - Focus data for All Windows view
-	 * @property {string} activeTabName - Currently active tab ('currentTab' or 'allTab')
+	 * @property {TabFocusData} archivedTab - Focus data for Archived view
+	 * @property {string} activeTabName - Currently active tab ('currentTab', 'allTab' or 'archivedTab')
 	 */
 
 	/**
@@ -437,7 +443,8 @@ class FocusManager {
 	updateActiveTabName() {
 		const tabs = document.querySelectorAll(".tab-button");
 		const currentTabIndex = [...tabs].findIndex(tab => tab.classList.contains("active"));
-		this.focusRestoreData.activeTabName = (currentTabIndex === 0) ? 'currentTab' : 'allTab';
+		const tabNames = ['currentTab', 'allTab', 'archivedTab'];
+		this.focusRestoreData.activeTabName = tabNames[currentTabIndex] || 'allTab';
 	}
 
 	/**
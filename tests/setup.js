@@ -84,9 +84,13 @@ global.chrome = {
 	// TABS API - supports both callback and Promise patterns
 	tabs: {
 		query: createDualPatternMock(mockTabs),
+		get: createDualPatternMock(mockTabs[0]),
 		remove: createVoidDualMock(),
 		update: createDualPatternMock({ id: 1, active: true }),
 		create: createDualPatternMock({ id: 999, windowId: 1 }),
+		discard: createDualPatternMock({ id: 2, windowId: 1, discarded: true }),
+		move: jest.fn((tabIds, moveProperties, callback) => setTimeout(() => callback([].concat(tabIds).map((id) => ({ id, ...moveProperties }))), 0)),
+		group: createDualPatternMock(7),
 		onActivated: { addListener: jest.fn() },
 		onCreated: { addListener: jest.fn() },
 		onRemoved: { addListener: jest.fn() },
@@ -98,6 +102,7 @@ global.chrome = {
 		getCurrent: createDualPatternMock(mockWindows[0]),
 		update: createDualPatternMock(mockWindows[0]),
 		getAll: createDualPatternMock(mockWindows),
+		getLastFocused: createDualPatternMock(mockWindows[0]),
 		onCreated: { addListener: jest.fn() },
 		onRemoved: { addListener: jest.fn() },
 		onFocusChanged: { addListener: jest.fn() }
@@ -106,9 +111,15 @@ global.chrome = {
 	// ACTION API - supports both callback and Promise patterns
 	action: {
 		setBadgeText: createVoidDualMock(),
+		setBadgeBackgroundColor: createVoidDualMock(),
 		setTitle: createVoidDualMock()
 	},
 
+	// TAB GROUPS API
+	tabGroups: {
+		update: jest.fn((groupId, updateProperties, callback) => setTimeout(() => callback({ id: groupId, ...updateProperties }), 0))
+	},
+
 	// RUNTIME API
 	runtime: {
 		getManifest: jest.fn().mockReturnValue({
@@ -116,7 +127,9 @@ global.chrome = {
 			name: 'TabDuke Tabs management Chrome extension'
 		}),
 		lastError: null, // Critical for error handling tests
-		onStartup: { addListener: jest.fn() }
+		onStartup: { addListener: jest.fn() },
+		connect: jest.fn(),
+		onConnect: { addListener: jest.fn() }
 	},
 
 	// STORAGE API - supports both callback and Promise patterns
@@ -125,6 +138,11 @@ global.chrome = {
 			get: createDualPatternMock({}),
 			set: createVoidDualMock(),
 			remove: createVoidDualMock()
+		},
+		session: {
+			get: createDualPatternMock({}),
+			set: createVoidDualMock(),
+			remove: createVoidDualMock()
 		}
 	},
 
@@ -133,9 +151,18 @@ global.chrome = {
 		getAll: createDualPatternMock([])
 	},
 
+	// IDLE API
+	idle: {
+		queryState: createDualPatternMock('active'),
+		setDetectionInterval: jest.fn(),
+		onStateChanged: { addListener: jest.fn() }
+	},
+
 	// ALARMS API
 	alarms: {
 		create: createVoidDualMock(),
+		get: createDualPatternMock(null),
+		clear: createDualPatternMock(true),
 		onAlarm: { addListener: jest.fn() }
 	},
 
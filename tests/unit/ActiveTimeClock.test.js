@@ -0,0 +1,132 @@
+/**
+ * ActiveTimeClock Unit Tests - Active browsing time for the Tab Janitor
+ *
+ * Tests the actual clock from src/core/ActiveTimeClock.js:
+ * - Running only while the machine is active and the browser focused
+ * - Ignoring long unobserved gaps (sleep, browser closed)
+ * - Persisting the clock across service worker restarts
+ */
+
+import ActiveTimeClock, {
+    ACTIVE_TIME_CLOCK_KEY,
+    MAX_UNOBSERVED_GAP_MS,
+    createClockState,
+    normalizeClockState,
+    readActiveTime,
+    applyClockEvent,
+    estimateActiveTimeAt
+} from '../../src/core/ActiveTimeClock.js';
+
+describe('ActiveTimeClock Unit Tests - Real Implementation', () => {
+    const MINUTE_MS = 60 * 1000;
+
+    describe('Clock state', () => {
+        test('should start paused until the browser has focus', () => {
+            const state = createClockState();
+
+            expect(state.runningSince).toBeNull();
+            expect(readActiveTime(state, 10 * MINUTE_MS)).toBe(0);
+        });
+
+        test('should only run while active and focused', () => {
+            let state = applyClockEvent(createClockState(), { focused: true }, 0);
+            expect(state.runningSince).toBe(0);
+
+            state = applyClockEvent(state, { idleState: 'idle' }, 10 * MINUTE_MS);
+            expect(state).toEqual({ activeMs: 10 * MINUTE_MS, runningSince: null, idleState: 'idle', focused: true });
+
+            // Idle time is not counted
+            state = applyClockEvent(state, { idleState: 'active' }, 60 * MINUTE_MS);
+            state = applyClockEvent(state, { focused: false }, 65 * MINUTE_MS);
+            expect(state.activeMs).toBe(15 * MINUTE_MS);
+            expect(readActiveTime(state, 200 * MINUTE_MS)).toBe(15 * MINUTE_MS);
+        });
+
+        test('should treat long unobserved gaps as time away', () => {
+            const state = applyClockEvent(createClockState(), { focused: true }, 0);
+
+            expect(readActiveTime(state, MAX_UNOBSERVED_GAP_MS)).toBe(MAX_UNOBSERVED_GAP_MS);
+            expect(readActiveTime(state, 7 * 24 * 60 * MINUTE_MS)).toBe(0);
+            expect(applyClockEvent(state, {}, 7 * 24 * 60 * MINUTE_MS).activeMs).toBe(0);
+        });
+
+        test('should never count time backwards', () => {
+            const state = applyClockEvent(createClockState(), { focused: true }, 10 * MINUTE_MS);
+
+            expect(readActiveTime(state, 0)).toBe(0);
+        });
+
+        test('should estimate readings for activations the clock did not see', () => {
+            const now = 1000 * MINUTE_MS;
+
+            // A tab last used 30 minutes ago keeps those 30 minutes of inactivity after a restart
+            expect(estimateActiveTimeAt(now - 30 * MINUTE_MS, 90 * MINUTE_MS, now)).toBe(60 * MINUTE_MS);
+            expect(estimateActiveTimeAt(now - 500 * MINUTE_MS, 90 * MINUTE_MS, now)).toBe(0);
+            expect(estimateActiveTimeAt(now + MINUTE_MS, 90 * MINUTE_MS, now)).toBe(90 * MINUTE_MS);
+        });
+
+        test('should repair invalid stored state', () => {
+            expect(normalizeClockState(null)).toEqual(createClockState());
+            expect(normalizeClockState({ activeMs: -5, runningSince: 'x', idleState: 'asleep', focused: 1 })).toEqual(createClockState());
+            expect(normalizeClockState({ activeMs: 42, runningSince: 7, idleState: 'locked', focused: true }))
+                .toEqual({ activeMs: 42, runningSince: 7, idleState: 'locked', focused: true });
+        });
+    });
+
+    describe('Persistent clock', () => {
+        let store;
+        let originalGet;
+        let originalSet;
+
+        beforeEach(() => {
+            store = {};
+            originalGet = chrome.storage.local.get;
+            originalSet = chrome.storage.local.set;
+
+            // In-memory chrome.storage.local so read-modify-write cycles are observable
+            chrome.storage.local.get = jest.fn((keys, callback) => {
+                const result = {};
+                [].concat(keys).forEach((key) => {
+                    if (key in store) result[key] = store[key];
+                });
+                callback(result);
+            });
+            chrome.storage.local.set = jest.fn((items, callback) => {
+                Object.assign(store, items);
+                callback();
+            });
+            chrome.runtime.lastError = null;
+        });
+
+        afterEach(() => {
+            chrome.storage.local.get = originalGet;
+            chrome.storage.local.set = originalSet;
+            jest.restoreAllMocks();
+        });
+
+        test('should persist checkpoints so a new instance continues the clock', async () => {
+            const nowSpy = jest.spyOn(Date, 'now').mockReturnValue(0);
+            await new ActiveTimeClock().update({ focused: true });
+
+            nowSpy.mockReturnValue(30 * MINUTE_MS);
+            const clock = new ActiveTimeClock();
+            expect(await clock.read()).toBe(30 * MINUTE_MS);
+
+            expect(await clock.update({ idleState: 'locked' })).toBe(30 * MINUTE_MS);
+            expect(store[ACTIVE_TIME_CLOCK_KEY].runningSince).toBeNull();
+        });
+
+        test('should apply concurrent events in order', async () => {
+            const nowSpy = jest.spyOn(Date, 'now').mockReturnValue(0);
+            const clock = new ActiveTimeClock();
+
+            await Promise.all([
+                clock.update({ focused: true }),
+                clock.update({ idleState: 'active' })
+            ]);
+            nowSpy.mockReturnValue(5 * MINUTE_MS);
+
+            expect(await clock.update({ focused: false })).toBe(5 * MINUTE_MS);
+        });
+    });
+});
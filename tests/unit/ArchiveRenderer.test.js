@@ -0,0 +1,95 @@
+/**
+ * ArchiveRenderer Unit Tests - Popup Archived view
+ *
+ * Tests the actual ArchiveRenderer class from src/components/ArchiveRenderer.js:
+ * - Rendering archived entries as searchable list items
+ * - Restore and purge via buttons, clicks and keyboard
+ */
+
+import ArchiveRenderer from '../../src/components/ArchiveRenderer.js';
+
+describe('ArchiveRenderer Unit Tests - Real Implementation', () => {
+    let renderer;
+    let tabArchive;
+    let container;
+    let onChange;
+
+    const entries = [
+        { id: 'a', url: 'https://a.example', title: 'Alpha', favIconUrl: '', windowId: 1, lastActivated: 1, archivedAt: Date.now() - 2 * 60 * 60 * 1000 },
+        { id: 'b', url: 'https://b.example', title: 'Beta', favIconUrl: '', windowId: 1, lastActivated: 1, archivedAt: Date.now() - 3 * 24 * 60 * 60 * 1000 }
+    ];
+
+    beforeEach(async () => {
+        document.body.innerHTML = '<div id="archivedList"></div>';
+        container = document.getElementById('archivedList');
+        onChange = jest.fn();
+
+        tabArchive = {
+            getEntries: jest.fn().mockResolvedValue(entries),
+            restoreEntries: jest.fn(async (ids) => ({ success: entries.filter((e) => ids.includes(e.id)), failed: [] })),
+            removeEntries: jest.fn().mockResolvedValue(true)
+        };
+
+        renderer = new ArchiveRenderer(tabArchive);
+        renderer.initialize(container, onChange);
+        await renderer.render();
+    });
+
+    test('should render one list item per archived entry', () => {
+        const items = container.querySelectorAll('.list-item.archived-item');
+
+        expect(items).toHaveLength(2);
+        expect(items[0].dataset.archiveid).toBe('a');
+        expect(items[0].textContent).toContain('Alpha');
+        expect(items[0].textContent).toContain('https://a.example');
+        expect(items[0].textContent).toContain('2h ago');
+        expect(items[1].textContent).toContain('3d ago');
+    });
+
+    test('should purge an entry from its purge button', async () => {
+        await renderer.handleClick({ target: container.querySelector('[data-archiveid="b"] .purge-btn'), stopPropagation: jest.fn() });
+
+        expect(tabArchive.removeEntries).toHaveBeenCalledWith(['b']);
+        expect(container.querySelectorAll('.archived-item')).toHaveLength(1);
+        expect(onChange).toHaveBeenCalled();
+    });
+
+    test('should restore an entry on plain click', async () => {
+        await renderer.handleClick({ target: container.querySelector('[data-archiveid="a"] span') });
+
+        expect(tabArchive.restoreEntries).toHaveBeenCalledWith(['a']);
+        expect(container.querySelector('[data-archiveid="a"]')).toBeNull();
+    });
+
+    test('should restore selected entries on Enter and stop tab navigation', async () => {
+        container.querySelectorAll('.archived-item').forEach((item) => item.classList.add('selected'));
+        const event = {
+            key: 'Enter',
+            target: container.querySelector('[data-archiveid="a"]'),
+            preventDefault: jest.fn(),
+            stopPropagation: jest.fn()
+        };
+
+        await renderer.handleKeyDown(event);
+
+        expect(event.stopPropagation).toHaveBeenCalled();
+        expect(tabArchive.restoreEntries).toHaveBeenCalledWith(['a', 'b']);
+    });
+
+    test('should purge the focused entry on Delete', async () => {
+        await renderer.handleKeyDown({
+            key: 'Delete',
+            target: container.querySelector('[data-archiveid="b"]'),
+            preventDefault: jest.fn(),
+            stopPropagation: jest.fn()
+        });
+
+        expect(tabArchive.removeEntries).toHaveBeenCalledWith(['b']);
+    });
+
+    test('should only report visible entries for bulk actions', () => {
+        container.querySelector('[data-archiveid="a"]').style.display = 'none';
+
+        expect(renderer.getVisibleIds()).toEqual(['b']);
+    });
+});
@@ -0,0 +1,149 @@
+/**
+ * BadgeStatus Unit Tests - Badge count, color thresholds and tooltip
+ *
+ * Tests the actual badge functions from src/core/BadgeStatus.js:
+ * - Threshold validation and defaults
+ * - Green, amber and red levels
+ * - The count, color and tooltip of each badge mode
+ * - Inactive, duplicate and opened-today counts
+ */
+
+import {
+    normalizeBadgeThresholds,
+    getBadgeLevel,
+    getBadgeState,
+    normalizeInactiveDays,
+    countInactiveTabs,
+    countDuplicateTabs,
+    getOpenedTodayCount,
+    recordTabOpened,
+    BADGE_THRESHOLD_DEFAULTS,
+    BADGE_LEVEL_COLORS
+} from '../../src/core/BadgeStatus.js';
+import { normalizeUrlRules } from '../../src/core/UrlCanonicalizer.js';
+import { normalizeDedupePolicy } from '../../src/core/DedupePolicy.js';
+
+describe('BadgeStatus Unit Tests - Real Implementation', () => {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const counts = { allWindowsTabs: 240, currentWindowTabs: 60, windows: 3, discarded: 0 };
+
+    describe('Thresholds', () => {
+        test('should default to 50/200 tabs and 5/10 windows', () => {
+            expect(normalizeBadgeThresholds()).toEqual(BADGE_THRESHOLD_DEFAULTS);
+            expect(BADGE_THRESHOLD_DEFAULTS.tabs).toEqual({ warnAt: 50, alertAt: 200 });
+        });
+
+        test('should keep valid stored thresholds', () => {
+            expect(normalizeBadgeThresholds({ badgeTabWarnAt: 20, badgeTabAlertAt: 40, badgeWindowWarnAt: 2, badgeWindowAlertAt: 3 }))
+                .toEqual({ tabs: { warnAt: 20, alertAt: 40 }, windows: { warnAt: 2, alertAt: 3 } });
+        });
+
+        test('should reset a pair whose red level is not above amber', () => {
+            const thresholds = normalizeBadgeThresholds({ badgeTabWarnAt: 100, badgeTabAlertAt: 100, badgeWindowWarnAt: 'x', badgeWindowAlertAt: 8 });
+
+            expect(thresholds.tabs).toEqual(BADGE_THRESHOLD_DEFAULTS.tabs);
+            expect(thresholds.windows).toEqual({ warnAt: 5, alertAt: 8 });
+        });
+
+        test('should switch levels at the thresholds', () => {
+            const pair = { warnAt: 50, alertAt: 200 };
+
+            expect(getBadgeLevel(49, pair)).toBe('ok');
+            expect(getBadgeLevel(50, pair)).toBe('warn');
+            expect(getBadgeLevel(199, pair)).toBe('warn');
+            expect(getBadgeLevel(200, pair)).toBe('alert');
+        });
+    });
+
+    describe('Badge state', () => {
+        test('should color the count of the selected mode', () => {
+            expect(getBadgeState({ mode: 'allWindows', counts })).toMatchObject({ text: '240', level: 'alert', color: BADGE_LEVEL_COLORS.alert });
+            expect(getBadgeState({ mode: 'currentWindow', counts })).toMatchObject({ text: '60', level: 'warn', color: BADGE_LEVEL_COLORS.warn });
+            expect(getBadgeState({ mode: 'windowsCount', counts })).toMatchObject({ text: '3', level: 'ok', color: BADGE_LEVEL_COLORS.ok });
+        });
+
+        test('should show all windows for a missing or unknown mode', () => {
+            expect(getBadgeState({ mode: undefined, counts }).text).toBe('240');
+            expect(getBadgeState({ mode: 'galaxy', counts }).text).toBe('240');
+        });
+
+        test('should describe the count and the level reached in the tooltip', () => {
+            expect(getBadgeState({ mode: 'currentWindow', counts }).title)
+                .toBe('TabDuke: 60 open tab(s) in this window - at or above the warning level of 50 tabs.');
+            expect(getBadgeState({ mode: 'windowsCount', counts: { ...counts, discarded: 4 } }).title)
+                .toBe('TabDuke: 3 open window(s). 4 discarded to save memory.');
+        });
+    });
+
+    describe('Additional modes', () => {
+        const now = new Date(2024, 4, 10, 12, 0).getTime();
+
+        test('should count tabs inactive for more than N days, never the active ones', () => {
+            const tabs = [
+                { id: 1, active: false, lastAccessed: now - 8 * DAY_MS },
+                { id: 2, active: false, lastAccessed: now - 8 * DAY_MS },
+                { id: 3, active: true, lastAccessed: now - 30 * DAY_MS },
+                { id: 4, active: false, lastAccessed: now - DAY_MS },
+                { id: 5, active: false }
+            ];
+
+            expect(countInactiveTabs({ tabs, now })).toBe(2);
+            expect(countInactiveTabs({ tabs, history: { 2: now }, now })).toBe(1);
+            expect(countInactiveTabs({ tabs, days: 10, now })).toBe(0);
+        });
+
+        test('should validate the inactivity threshold', () => {
+            expect(normalizeInactiveDays(14)).toBe(14);
+            expect(normalizeInactiveDays(0)).toBe(7);
+            expect(normalizeInactiveDays('x')).toBe(7);
+        });
+
+        test('should count copies beyond the first of each canonical URL', () => {
+            const tabs = [
+                { id: 1, url: 'https://example.com/page' },
+                { id: 2, url: 'https://example.com/page#top' },
+                { id: 3, url: 'https://www.example.com/page/' },
+                { id: 4, url: 'https://example.com/other' },
+                { id: 5, url: '' },
+                { id: 6, url: '' }
+            ];
+
+            expect(countDuplicateTabs(tabs)).toBe(2);
+        });
+
+        test('should not count blank new tabs or sites on the dedupe ignore list', () => {
+            const tabs = [
+                { id: 1, url: 'chrome://newtab/' },
+                { id: 2, url: 'chrome://newtab/' },
+                { id: 3, url: 'https://mail.example.com/inbox' },
+                { id: 4, url: 'https://mail.example.com/inbox' },
+                { id: 5, url: 'https://example.com/page' },
+                { id: 6, url: 'https://example.com/page' }
+            ];
+            const dedupePolicy = normalizeDedupePolicy({ dedupeIgnoreList: ['mail.example.com'] });
+
+            expect(countDuplicateTabs(tabs)).toBe(2);
+            expect(countDuplicateTabs(tabs, normalizeUrlRules(), dedupePolicy)).toBe(1);
+        });
+
+        test('should count tabs opened today and start over on a new day', () => {
+            const first = recordTabOpened(undefined, now);
+            const second = recordTabOpened(first, now + 60 * 1000);
+
+            expect(second).toEqual({ date: '2024-05-10', count: 2 });
+            expect(getOpenedTodayCount(second, now)).toBe(2);
+            expect(getOpenedTodayCount(second, now + DAY_MS)).toBe(0);
+            expect(recordTabOpened(second, now + DAY_MS)).toEqual({ date: '2024-05-11', count: 1 });
+        });
+
+        test('should describe the new modes in the tooltip', () => {
+            const moreCounts = { ...counts, discarded: 4, inactive: 12, inactiveDays: 14, duplicates: 3, openedToday: 9 };
+
+            expect(getBadgeState({ mode: 'inactiveTabs', counts: moreCounts }).title)
+                .toBe('TabDuke: 12 tab(s) inactive for more than 14 day(s). 4 discarded to save memory.');
+            expect(getBadgeState({ mode: 'duplicateTabs', counts: moreCounts }).text).toBe('3');
+            expect(getBadgeState({ mode: 'discardedTabs', counts: moreCounts }).title).toBe('TabDuke: 4 discarded tab(s).');
+            expect(getBadgeState({ mode: 'openedToday', counts: moreCounts }).text).toBe('9');
+        });
+    });
+});
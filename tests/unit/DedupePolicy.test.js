@@ -0,0 +1,153 @@
+/**
+ * DedupePolicy Unit Tests - Duplicate scope, winner and auto-resolve policy
+ *
+ * Tests the actual policy functions from src/core/DedupePolicy.js:
+ * - Policy validation and defaults
+ * - Finding duplicates in all windows or the same window
+ * - Choosing the oldest, newest or focused-window tab
+ * - Auto-resolve and the prompt-always list
+ */
+
+import {
+    normalizeDedupePolicy,
+    findDuplicateTabs,
+    resolveDuplicates,
+    shouldPromptForDuplicate,
+    isEarlyRedirectCandidate,
+    isDuplicateIgnored,
+    getDuplicateKey,
+    getSitePattern,
+    addPatternToList
+} from '../../src/core/DedupePolicy.js';
+import { normalizeUrlRules } from '../../src/core/UrlCanonicalizer.js';
+
+describe('DedupePolicy Unit Tests - Real Implementation', () => {
+    const urlRules = normalizeUrlRules();
+    const tabs = [
+        { id: 3, windowId: 1, url: 'https://example.com/page', title: 'Page' },
+        { id: 5, windowId: 2, url: 'https://example.com/page#top', title: 'Page' },
+        { id: 7, windowId: 1, url: 'https://example.com/other', title: 'Other' },
+        { id: 9, windowId: 2, url: 'https://example.com/page?utm_source=feed', title: 'Page' }
+    ];
+    const newTab = tabs[3];
+
+    describe('Policy settings', () => {
+        test('should default to asking and keeping the oldest tab in any window', () => {
+            expect(normalizeDedupePolicy()).toEqual({ scope: 'all', winner: 'oldest', autoResolve: false, promptAlways: [], ignore: [] });
+        });
+
+        test('should reject unknown values and invalid patterns', () => {
+            const policy = normalizeDedupePolicy({
+                dedupeScope: 'galaxy',
+                dedupeWinner: 'random',
+                dedupeAutoResolve: 'yes',
+                dedupePromptAlwaysList: ['Mail.Example.com', '*', 12]
+            });
+
+            expect(policy).toEqual({ scope: 'all', winner: 'oldest', autoResolve: false, promptAlways: ['mail.example.com'], ignore: [] });
+        });
+    });
+
+    describe('Finding duplicates', () => {
+        test('should find canonical duplicates in all windows', () => {
+            const duplicates = findDuplicateTabs({ tab: newTab, url: newTab.url, tabs, urlRules, policy: normalizeDedupePolicy() });
+
+            expect(duplicates.map(({ id }) => id)).toEqual([3, 5]);
+        });
+
+        test('should limit duplicates to the same window when scoped', () => {
+            const policy = normalizeDedupePolicy({ dedupeScope: 'window' });
+            const duplicates = findDuplicateTabs({ tab: newTab, url: newTab.url, tabs, urlRules, policy });
+
+            expect(duplicates.map(({ id }) => id)).toEqual([5]);
+        });
+    });
+
+    describe('Choosing the winner', () => {
+        const duplicates = [tabs[0], tabs[1]];
+
+        test('should keep the oldest tab', () => {
+            const { winner, losers } = resolveDuplicates({ tab: newTab, duplicates, policy: normalizeDedupePolicy() });
+
+            expect(winner.id).toBe(3);
+            expect(losers.map(({ id }) => id)).toEqual([9, 5]);
+        });
+
+        test('should keep the tab that was just opened', () => {
+            const { winner, losers } = resolveDuplicates({ tab: newTab, duplicates, policy: normalizeDedupePolicy({ dedupeWinner: 'newest' }) });
+
+            expect(winner.id).toBe(9);
+            expect(losers.map(({ id }) => id)).toEqual([3, 5]);
+        });
+
+        test('should keep the oldest tab in the focused window, or the oldest overall', () => {
+            const policy = normalizeDedupePolicy({ dedupeWinner: 'focused' });
+
+            expect(resolveDuplicates({ tab: newTab, duplicates, policy, focusedWindowId: 2 }).winner.id).toBe(5);
+            expect(resolveDuplicates({ tab: newTab, duplicates, policy, focusedWindowId: 42 }).winner.id).toBe(3);
+        });
+    });
+
+    describe('Prompting', () => {
+        test('should always prompt unless auto-resolve is on', () => {
+            expect(shouldPromptForDuplicate('https://example.com/', normalizeDedupePolicy())).toBe(true);
+            expect(shouldPromptForDuplicate('https://example.com/', normalizeDedupePolicy({ dedupeAutoResolve: true }))).toBe(false);
+        });
+
+        test('should still prompt for sites on the prompt-always list', () => {
+            const policy = normalizeDedupePolicy({ dedupeAutoResolve: true, dedupePromptAlwaysList: ['mail.example.com'] });
+
+            expect(shouldPromptForDuplicate('https://mail.example.com/inbox', policy)).toBe(true);
+            expect(shouldPromptForDuplicate('https://docs.example.com/', policy)).toBe(false);
+        });
+    });
+
+    describe('Early redirect', () => {
+        const urlRules = normalizeUrlRules();
+
+        test('should redirect only fresh tabs opening a web page', () => {
+            expect(isEarlyRedirectCandidate({ tab: { url: 'chrome://newtab/' }, url: 'https://example.com/', urlRules })).toBe(true);
+            expect(isEarlyRedirectCandidate({ tab: { url: '' }, url: 'https://example.com/', urlRules })).toBe(true);
+            expect(isEarlyRedirectCandidate({ tab: {}, url: 'https://example.com/', urlRules })).toBe(true);
+            expect(isEarlyRedirectCandidate({ tab: { url: '' }, url: 'chrome://settings/', urlRules })).toBe(false);
+        });
+
+        test('should never redirect a reload', () => {
+            expect(isEarlyRedirectCandidate({ tab: { url: 'https://example.com/a#top' }, url: 'https://example.com/a', urlRules })).toBe(false);
+        });
+
+        test('should leave navigations from a loaded page, like redirect hops, to the regular check', () => {
+            expect(isEarlyRedirectCandidate({ tab: { url: 'https://short.example/x' }, url: 'https://example.com/a', urlRules })).toBe(false);
+        });
+    });
+
+    describe('Ignore list', () => {
+        test('should never deduplicate sites on the ignore list', () => {
+            const policy = normalizeDedupePolicy({ dedupeIgnoreList: ['mail.example.com', '*'] });
+
+            expect(policy.ignore).toEqual(['mail.example.com']);
+            expect(isDuplicateIgnored('https://mail.example.com/inbox', policy)).toBe(true);
+            expect(isDuplicateIgnored('https://docs.example.com/', policy)).toBe(false);
+        });
+
+        test('should give blank tabs and ignored sites no duplicate key', () => {
+            const policy = normalizeDedupePolicy({ dedupeIgnoreList: ['mail.example.com'] });
+
+            expect(getDuplicateKey('https://example.com/page#top', urlRules, policy)).toBe('https://example.com/page');
+            expect(getDuplicateKey('https://mail.example.com/inbox', urlRules, policy)).toBeNull();
+            expect(getDuplicateKey('chrome://newtab/', urlRules, policy)).toBeNull();
+            expect(getDuplicateKey('', urlRules)).toBeNull();
+        });
+
+        test('should derive the site pattern from web pages only', () => {
+            expect(getSitePattern('https://www.Example.com/dashboard?x=1')).toBe('example.com');
+            expect(getSitePattern('chrome://settings/')).toBeNull();
+            expect(getSitePattern('not a url')).toBeNull();
+        });
+
+        test('should add a site once', () => {
+            expect(addPatternToList(undefined, 'example.com')).toEqual(['example.com']);
+            expect(addPatternToList(['example.com'], 'example.com')).toEqual(['example.com']);
+        });
+    });
+});
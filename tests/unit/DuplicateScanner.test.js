@@ -0,0 +1,109 @@
+/**
+ * DuplicateScanner Unit Tests - Options page duplicate groups and auto-select
+ *
+ * Tests the actual scan functions from src/core/DuplicateScanner.js:
+ * - Grouping exact duplicates by canonical URL
+ * - Near-duplicates with the same title and different query strings
+ * - Keeping the first, most recently used or largest-window tab
+ */
+
+import {
+    findDuplicateGroups,
+    pickTabToKeep,
+    selectDuplicatesToClose,
+    countTabsByWindow,
+    getLastActivated
+} from '../../src/core/DuplicateScanner.js';
+
+describe('DuplicateScanner Unit Tests - Real Implementation', () => {
+    const tabs = [
+        { id: 1, windowId: 1, url: 'https://example.com/page', title: 'Page', lastAccessed: 100 },
+        { id: 2, windowId: 2, url: 'https://example.com/page#top', title: 'Page', lastAccessed: 300 },
+        { id: 3, windowId: 2, url: 'https://example.com/search?q=cats', title: 'Search', lastAccessed: 200 },
+        { id: 4, windowId: 2, url: 'https://example.com/search?q=dogs', title: 'Search', lastAccessed: 50 },
+        { id: 5, windowId: 1, url: 'https://example.com/search?q=fish', title: 'Other title' },
+        { id: 6, windowId: 2, url: 'https://example.com/other', title: 'Other' }
+    ];
+
+    describe('Grouping', () => {
+        test('should group exact duplicates by canonical URL with their windows', () => {
+            const groups = findDuplicateGroups({ tabs });
+
+            expect(groups).toHaveLength(1);
+            expect(groups[0]).toMatchObject({ url: 'https://example.com/page', title: 'Page', windowIds: [1, 2] });
+            expect(groups[0].tabs.map((tab) => tab.id)).toEqual([1, 2]);
+        });
+
+        test('should find near-duplicates with the same title and different query strings', () => {
+            const groups = findDuplicateGroups({ tabs, mode: 'near' });
+
+            expect(groups).toHaveLength(1);
+            expect(groups[0]).toMatchObject({ url: 'https://example.com/search', title: 'Search', windowIds: [2] });
+            expect(groups[0].tabs.map((tab) => tab.id)).toEqual([3, 4]);
+        });
+
+        test('should leave exact duplicates out of near-duplicate results', () => {
+            const identical = [
+                { id: 1, windowId: 1, url: 'https://example.com/search?q=cats', title: 'Search' },
+                { id: 2, windowId: 1, url: 'https://example.com/search?q=cats', title: 'Search' }
+            ];
+
+            expect(findDuplicateGroups({ tabs: identical, mode: 'near' })).toEqual([]);
+            expect(findDuplicateGroups({ tabs: identical })).toHaveLength(1);
+        });
+
+        test('should list the largest groups first', () => {
+            const groups = findDuplicateGroups({
+                tabs: [
+                    ...tabs,
+                    { id: 7, windowId: 1, url: 'https://example.com/other', title: 'Other' },
+                    { id: 8, windowId: 1, url: 'https://example.com/other/', title: 'Other' }
+                ]
+            });
+
+            expect(groups.map((group) => group.tabs.length)).toEqual([3, 2]);
+        });
+    });
+
+    describe('Selection strategies', () => {
+        const group = [tabs[0], tabs[1], { id: 9, windowId: 3, url: 'https://example.com/page', title: 'Page' }];
+        const windowTabCounts = new Map([[1, 5], [2, 2], [3, 1]]);
+
+        test('should keep the first tab by default and for unknown strategies', () => {
+            expect(pickTabToKeep(group, 'first').id).toBe(1);
+            expect(pickTabToKeep(group, 'galaxy').id).toBe(1);
+        });
+
+        test('should keep the most recently used tab, preferring activation history', () => {
+            expect(pickTabToKeep(group, 'recent').id).toBe(2);
+            expect(pickTabToKeep(group, 'recent', { history: { 9: 500 } }).id).toBe(9);
+        });
+
+        test('should keep the tab in the largest window, breaking ties by recent use', () => {
+            expect(pickTabToKeep(group, 'largestWindow', { windowTabCounts }).id).toBe(1);
+            expect(pickTabToKeep(group, 'largestWindow', { windowTabCounts: new Map([[1, 2], [2, 2]]) }).id).toBe(2);
+        });
+
+        test('should select every tab but the kept one in each group', () => {
+            const groups = [
+                ...findDuplicateGroups({ tabs }),
+                ...findDuplicateGroups({ tabs, mode: 'near' })
+            ];
+
+            expect(selectDuplicatesToClose(groups, 'first')).toEqual([2, 4]);
+            expect(selectDuplicatesToClose(groups, 'recent')).toEqual([1, 4]);
+        });
+    });
+
+    describe('Helpers', () => {
+        test('should count tabs per window', () => {
+            expect(countTabsByWindow(tabs)).toEqual(new Map([[1, 2], [2, 4]]));
+        });
+
+        test('should fall back to lastAccessed without activation history', () => {
+            expect(getLastActivated(tabs[0], { 1: 999 })).toBe(999);
+            expect(getLastActivated(tabs[0])).toBe(100);
+            expect(getLastActivated(tabs[4])).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,160 @@
+/**
+ * ExternalApi Unit Tests - Messaging API for allow-listed extensions
+ *
+ * Tests the actual API from src/core/ExternalApi.js:
+ * - Allow-list parsing and sender checks
+ * - Versioned requests and error responses
+ * - Listing, searching, switching and closing with protection and dedupe rules
+ */
+
+import ExternalApi, {
+    parseExtensionIdList,
+    normalizeExternalApiSettings,
+    isExternalSenderAllowed,
+    createErrorResponse,
+    EXTERNAL_API_ERRORS
+} from '../../src/core/ExternalApi.js';
+import TabManager from '../../src/core/TabManager.js';
+
+describe('ExternalApi Unit Tests - Real Implementation', () => {
+    const ALLOWED_ID = 'abcdefghijklmnopabcdefghijklmnop';
+    const OTHER_ID = 'ponmlkjihgfedcbaponmlkjihgfedcba';
+    const sender = { id: ALLOWED_ID };
+
+    const tabs = [
+        { id: 1, windowId: 1, index: 0, title: 'Team board - Jira', url: 'https://jira.example.com/board', active: true },
+        { id: 2, windowId: 1, index: 1, title: 'Team board - Jira', url: 'https://jira.example.com/board#backlog' },
+        { id: 3, windowId: 2, index: 0, title: 'Pinned docs', url: 'https://docs.example.com/', pinned: true },
+        { id: 4, windowId: 2, index: 1, title: 'Pinned docs', url: 'https://docs.example.com/' },
+        { id: 5, windowId: 2, index: 2, title: 'Feed', url: 'https://news.example.com/' },
+        { id: 6, windowId: 2, index: 3, title: 'Feed', url: 'https://news.example.com/' }
+    ];
+
+    let storage;
+    let tabManager;
+    let api;
+
+    beforeEach(() => {
+        chrome.runtime.lastError = null;
+        storage = { externalApiEnabled: true, externalApiAllowList: [ALLOWED_ID], dedupeIgnoreList: ['news.example.com'] };
+        chrome.storage.local.get.mockImplementation((keys, callback) => {
+            setTimeout(() => callback(Object.fromEntries([].concat(keys).filter((key) => key in storage).map((key) => [key, storage[key]]))), 0);
+        });
+        chrome.tabs.query.mockImplementation((queryInfo, callback) => setTimeout(() => callback(tabs), 0));
+        chrome.tabs.get.mockImplementation((tabId, callback) => setTimeout(() => callback(tabs.find((tab) => tab.id === tabId)), 0));
+        tabManager = new TabManager();
+        api = new ExternalApi(tabManager);
+    });
+
+    afterEach(() => {
+        chrome.storage.local.get.mockReset();
+        chrome.tabs.query.mockReset();
+        chrome.tabs.get.mockReset();
+    });
+
+    describe('Allow-list', () => {
+        test('should parse extension IDs and report invalid lines', () => {
+            const { ids, errors } = parseExtensionIdList(`${ALLOWED_ID}\n\n  ${ALLOWED_ID}  \nnot-an-id`);
+
+            expect(ids).toEqual([ALLOWED_ID]);
+            expect(errors).toEqual([expect.objectContaining({ line: 4, pattern: 'not-an-id' })]);
+        });
+
+        test('should only allow listed extensions while the API is on', () => {
+            const settings = normalizeExternalApiSettings({ externalApiEnabled: true, externalApiAllowList: [ALLOWED_ID, 'bogus'] });
+
+            expect(settings.allowList).toEqual([ALLOWED_ID]);
+            expect(isExternalSenderAllowed(sender, settings)).toBe(true);
+            expect(isExternalSenderAllowed({ id: OTHER_ID }, settings)).toBe(false);
+            expect(isExternalSenderAllowed(sender, { ...settings, enabled: false })).toBe(false);
+        });
+
+        test('should refuse senders that are not allowed before looking at the request', async () => {
+            const response = await api.handleMessage({ version: 99, action: 'list' }, { id: OTHER_ID });
+
+            expect(response).toEqual({
+                version: 1,
+                requestId: null,
+                ok: false,
+                error: { code: EXTERNAL_API_ERRORS.forbidden, message: expect.any(String) }
+            });
+        });
+    });
+
+    describe('Versioned requests', () => {
+        test('should reject unsupported versions and unknown actions', async () => {
+            expect((await api.handleMessage({ version: 2, action: 'list' }, sender)).error.code).toBe('unsupported_version');
+            expect((await api.handleMessage({ action: 'list' }, sender)).error.code).toBe('unsupported_version');
+            expect((await api.handleMessage({ version: 1, action: 'explode' }, sender)).error.code).toBe('unknown_action');
+        });
+
+        test('should echo the request ID and reject invalid params', async () => {
+            const response = await api.handleMessage({ version: 1, requestId: 'r-7', action: 'search', params: { query: ' ' } }, sender);
+
+            expect(response).toMatchObject({ version: 1, requestId: 'r-7', ok: false, error: { code: 'invalid_params' } });
+        });
+
+        test('should build versioned error responses for any message', () => {
+            expect(createErrorResponse({ version: 1, requestId: 3 }, EXTERNAL_API_ERRORS.internal, 'Failed')).toEqual({
+                version: 1,
+                requestId: 3,
+                ok: false,
+                error: { code: 'internal_error', message: 'Failed' }
+            });
+            expect(createErrorResponse(undefined, EXTERNAL_API_ERRORS.internal, 'Failed')).toMatchObject({ version: 1, requestId: null, ok: false });
+        });
+    });
+
+    describe('Actions', () => {
+        test('should list tabs with their protection and duplicates', async () => {
+            const response = await api.handleMessage({ version: 1, action: 'list', params: { windowId: 1 } }, sender);
+
+            expect(response.ok).toBe(true);
+            expect(response.data.tabs).toHaveLength(2);
+            expect(response.data.tabs[0]).toMatchObject({ id: 1, protected: null, canonicalUrl: 'https://jira.example.com/board', duplicates: 1 });
+        });
+
+        test('should leave ignored sites out of the duplicates', async () => {
+            const response = await api.handleMessage({ version: 1, action: 'list', params: { duplicatesOnly: true } }, sender);
+
+            expect(response.data.tabs.map((tab) => tab.id)).toEqual([1, 2, 3, 4]);
+            expect(response.data.tabs[2].protected).toBe('pinned');
+        });
+
+        test('should search titles and URLs for every word', async () => {
+            const response = await api.handleMessage({ version: 1, action: 'search', params: { query: 'JIRA backlog', limit: 5 } }, sender);
+
+            expect(response.data).toEqual({ tabs: [expect.objectContaining({ id: 2 })], total: 1 });
+        });
+
+        test('should switch to an open tab in its window', async () => {
+            const switchSpy = jest.spyOn(tabManager, 'switchToTab').mockResolvedValue(true);
+
+            const switched = await api.handleMessage({ version: 1, action: 'switch', params: { tabId: 4 } }, sender);
+            const missing = await api.handleMessage({ version: 1, action: 'switch', params: { tabId: 42 } }, sender);
+
+            expect(switched.data).toEqual({ switched: true });
+            expect(switchSpy).toHaveBeenCalledWith(4, 2);
+            expect(missing.error.code).toBe('not_found');
+        });
+
+        test('should never close protected tabs', async () => {
+            const response = await api.handleMessage({ version: 1, action: 'close', params: { tabIds: [3, 5, 5] } }, sender);
+
+            expect(response.data).toEqual({ closed: [5], failed: [], protected: [3] });
+            expect(chrome.tabs.remove).toHaveBeenCalledWith(5, expect.any(Function));
+        });
+
+        test('should close duplicates with the chosen keep strategy', async () => {
+            const closeSpy = jest.spyOn(tabManager, 'closeTabs');
+
+            const response = await api.handleMessage({ version: 1, action: 'close', params: { duplicates: true } }, sender);
+            const invalid = await api.handleMessage({ version: 1, action: 'close', params: { duplicates: true, keep: 'newest' } }, sender);
+
+            // Tab 2 duplicates tab 1, tab 4 duplicates the pinned tab 3; news.example.com is ignored
+            expect(closeSpy).toHaveBeenCalledWith([2, 4]);
+            expect(response.data).toEqual({ closed: [2, 4], failed: [], protected: [] });
+            expect(invalid.error.code).toBe('invalid_params');
+        });
+    });
+});
@@ -0,0 +1,181 @@
+/**
+ * FeatureRegistry Unit Tests - Background feature lifecycle
+ *
+ * Tests the actual registry from src/core/FeatureRegistry.js:
+ * - Activating features from stored settings, adding listeners and alarms
+ * - Deactivating them on settings changes without leaving listeners or alarms behind
+ * - Keeping running alarms across service worker restarts
+ * - Routing alarms to active features and clearing stale ones
+ */
+
+import { jest } from '@jest/globals';
+import FeatureRegistry from '../../src/core/FeatureRegistry.js';
+
+describe('FeatureRegistry Unit Tests - Real Implementation', () => {
+    let store;
+    let originalGet;
+
+    // Minimal chrome.events.Event stand-in that tracks its listeners
+    const createEvent = () => {
+        const listeners = new Set();
+        return {
+            listeners,
+            addListener: jest.fn((listener) => listeners.add(listener)),
+            removeListener: jest.fn((listener) => listeners.delete(listener)),
+            hasListener: (listener) => listeners.has(listener)
+        };
+    };
+
+    const change = (key, oldValue, newValue) => ({ [key]: { oldValue, newValue } });
+
+    beforeEach(() => {
+        store = {};
+        originalGet = chrome.storage.local.get;
+
+        // In-memory chrome.storage.local so settings changes are observable
+        chrome.storage.local.get = jest.fn((keys, callback) => {
+            const result = {};
+            [].concat(keys).forEach((key) => {
+                if (key in store) result[key] = store[key];
+            });
+            callback(result);
+        });
+        chrome.runtime.lastError = null;
+        chrome.alarms.get.mockClear();
+        chrome.alarms.create.mockClear();
+        chrome.alarms.clear.mockClear();
+    });
+
+    afterEach(() => {
+        chrome.storage.local.get = originalGet;
+    });
+
+    const createFeature = (overrides = {}) => ({
+        name: 'dedupe',
+        settings: ['tabDedupe'],
+        isEnabled: (settings) => Boolean(settings.tabDedupe),
+        listeners: [[createEvent(), jest.fn()]],
+        alarms: [{ name: 'cleanup', schedule: () => ({ periodInMinutes: 30 }), handler: jest.fn() }],
+        activate: jest.fn(),
+        deactivate: jest.fn(),
+        update: jest.fn(),
+        ...overrides
+    });
+
+    describe('Registration', () => {
+        test('should reject a feature registered twice', () => {
+            const registry = new FeatureRegistry().register(createFeature());
+
+            expect(() => registry.register(createFeature())).toThrow('already registered');
+        });
+    });
+
+    describe('Lifecycle', () => {
+        test('should activate enabled features at start and leave disabled ones inactive', async () => {
+            store.tabDedupe = true;
+            const dedupe = createFeature();
+            const janitor = createFeature({
+                name: 'janitor',
+                settings: ['tabJanitor'],
+                isEnabled: (settings) => Boolean(settings.tabJanitor),
+                alarms: [{ name: 'tabJanitor', schedule: () => ({ periodInMinutes: 60 }), handler: jest.fn() }]
+            });
+            const registry = new FeatureRegistry().register(dedupe).register(janitor);
+
+            await registry.start();
+
+            expect(registry.isActive('dedupe')).toBe(true);
+            expect(dedupe.activate).toHaveBeenCalledWith({ tabDedupe: true });
+            expect(dedupe.listeners[0][0].listeners.size).toBe(1);
+            expect(chrome.alarms.create).toHaveBeenCalledWith('cleanup', { periodInMinutes: 30 });
+
+            // Alarms a disabled feature left behind in an earlier session are cleared
+            expect(registry.isActive('janitor')).toBe(false);
+            expect(chrome.alarms.clear).toHaveBeenCalledWith('tabJanitor');
+            expect(chrome.alarms.create).not.toHaveBeenCalledWith('tabJanitor', expect.anything());
+            expect(janitor.activate).not.toHaveBeenCalled();
+            expect(janitor.listeners[0][0].listeners.size).toBe(0);
+        });
+
+        test('should remove listeners and clear alarms when a feature is turned off', async () => {
+            store.tabDedupe = true;
+            const dedupe = createFeature();
+            const registry = new FeatureRegistry().register(dedupe);
+            await registry.start();
+
+            store.tabDedupe = false;
+            await registry.handleStorageChange(change('tabDedupe', true, false), 'local');
+
+            expect(registry.isActive('dedupe')).toBe(false);
+            expect(dedupe.listeners[0][0].listeners.size).toBe(0);
+            expect(chrome.alarms.clear).toHaveBeenCalledWith('cleanup');
+            expect(dedupe.deactivate).toHaveBeenCalled();
+        });
+
+        test('should never register a listener twice on quick toggles', async () => {
+            const dedupe = createFeature();
+            const registry = new FeatureRegistry().register(dedupe);
+            await registry.start();
+
+            store.tabDedupe = true;
+            registry.handleStorageChange(change('tabDedupe', false, true), 'local');
+            registry.handleStorageChange(change('tabDedupe', false, true), 'local');
+            await registry.handleStorageChange(change('tabDedupe', false, true), 'local');
+
+            expect(dedupe.listeners[0][0].addListener).toHaveBeenCalledTimes(1);
+            expect(dedupe.update).toHaveBeenCalledTimes(2);
+        });
+
+        test('should ignore other storage areas and unrelated keys', async () => {
+            const dedupe = createFeature();
+            const registry = new FeatureRegistry().register(dedupe);
+            await registry.start();
+            store.tabDedupe = true;
+
+            await registry.handleStorageChange(change('tabDedupe', false, true), 'session');
+            await registry.handleStorageChange(change('tabJanitor', false, true), 'local');
+
+            expect(registry.isActive('dedupe')).toBe(false);
+        });
+
+        test('should skip listeners of unavailable APIs', async () => {
+            store.tabDedupe = true;
+            const registry = new FeatureRegistry().register(createFeature({ listeners: [[undefined, jest.fn()]] }));
+
+            await registry.start();
+
+            expect(registry.isActive('dedupe')).toBe(true);
+        });
+    });
+
+    describe('Alarms', () => {
+        test('should keep an alarm that already runs with the same period', async () => {
+            store.tabDedupe = true;
+            chrome.alarms.get.mockResolvedValueOnce({ name: 'cleanup', periodInMinutes: 30 });
+            const registry = new FeatureRegistry().register(createFeature());
+
+            await registry.start();
+
+            expect(chrome.alarms.create).not.toHaveBeenCalled();
+        });
+
+        test('should route alarms to active features and clear stale ones', async () => {
+            store.tabDedupe = true;
+            const dedupe = createFeature();
+            const registry = new FeatureRegistry().register(dedupe);
+            await registry.start();
+
+            expect(await registry.handleAlarm({ name: 'cleanup' })).toBe(true);
+            expect(dedupe.alarms[0].handler).toHaveBeenCalledWith({ name: 'cleanup' });
+            expect(await registry.handleAlarm({ name: 'unknown' })).toBe(false);
+
+            store.tabDedupe = false;
+            await registry.handleStorageChange(change('tabDedupe', true, false), 'local');
+            chrome.alarms.clear.mockClear();
+
+            expect(await registry.handleAlarm({ name: 'cleanup' })).toBe(true);
+            expect(dedupe.alarms[0].handler).toHaveBeenCalledTimes(1);
+            expect(chrome.alarms.clear).toHaveBeenCalledWith('cleanup');
+        });
+    });
+});
@@ -0,0 +1,171 @@
+/**
+ * JanitorPendingBatches Unit Tests - Pre-close warnings and snooze
+ *
+ * Tests the actual scheduling functions from src/core/JanitorPendingBatches.js:
+ * - Warning about new candidates and closing them once their batch is due
+ * - Dropping tabs that were used again
+ * - Snoozing a batch for a day
+ * - Persisting batches across service worker restarts
+ */
+
+import JanitorPendingBatches, {
+    JANITOR_PENDING_KEY,
+    JANITOR_WARNING_LEAD_MS,
+    JANITOR_SNOOZE_MS,
+    normalizePendingState,
+    schedulePendingCloses,
+    snoozeBatch,
+    getNextCloseTime,
+    getPendingStatus
+} from '../../src/core/JanitorPendingBatches.js';
+
+describe('JanitorPendingBatches Unit Tests - Real Implementation', () => {
+    const now = 1_000_000_000;
+    const makeCandidate = (id, url = `https://example.com/${id}`) => ({ tab: { id, url }, thresholdMs: 1 });
+    const empty = normalizePendingState(undefined);
+
+    describe('Scheduling', () => {
+        test('should warn about new candidates instead of closing them', () => {
+            const { state, due, batch } = schedulePendingCloses({ state: empty, candidates: [makeCandidate(1), makeCandidate(2)], now });
+
+            expect(due).toEqual([]);
+            expect(batch).toEqual({
+                id: `batch-${now}`,
+                createdAt: now,
+                closeAt: now + JANITOR_WARNING_LEAD_MS,
+                tabs: [{ tabId: 1, url: 'https://example.com/1' }, { tabId: 2, url: 'https://example.com/2' }]
+            });
+            expect(getNextCloseTime(state)).toBe(now + JANITOR_WARNING_LEAD_MS);
+        });
+
+        test('should close only candidates that are still inactive once the batch is due', () => {
+            const first = schedulePendingCloses({ state: empty, candidates: [makeCandidate(1), makeCandidate(2)], now });
+            const later = now + JANITOR_WARNING_LEAD_MS;
+
+            // Tab 2 was used again in the meantime; tab 3 is newly inactive
+            const { state, due, batch } = schedulePendingCloses({ state: first.state, candidates: [makeCandidate(1), makeCandidate(3)], now: later });
+
+            expect(due.map(({ tab }) => tab.id)).toEqual([1]);
+            expect(batch.tabs.map(({ tabId }) => tabId)).toEqual([3]);
+            expect(state.batches).toEqual([batch]);
+        });
+
+        test('should not warn twice about a batch that is not due yet', () => {
+            const first = schedulePendingCloses({ state: empty, candidates: [makeCandidate(1)], now });
+            const { due, batch } = schedulePendingCloses({ state: first.state, candidates: [makeCandidate(1)], now: now + 1000 });
+
+            expect(due).toEqual([]);
+            expect(batch).toBeNull();
+        });
+
+        test('should treat a reused tab ID with another URL as a different tab', () => {
+            const first = schedulePendingCloses({ state: empty, candidates: [makeCandidate(1)], now });
+            const { due, batch } = schedulePendingCloses({
+                state: first.state,
+                candidates: [makeCandidate(1, 'https://other.example/')],
+                now: now + JANITOR_WARNING_LEAD_MS
+            });
+
+            expect(due).toEqual([]);
+            expect(batch.tabs).toEqual([{ tabId: 1, url: 'https://other.example/' }]);
+        });
+    });
+
+    describe('Snooze', () => {
+        test('should hold a batch back for a day, then warn again', () => {
+            const first = schedulePendingCloses({ state: empty, candidates: [makeCandidate(1)], now });
+            const { state, count } = snoozeBatch(first.state, first.batch.id, now + 60_000);
+
+            expect(count).toBe(1);
+            expect(state.batches).toEqual([]);
+            expect(getPendingStatus(state, { id: 1, url: 'https://example.com/1' }, now + 60_000))
+                .toEqual({ snoozedUntil: now + 60_000 + JANITOR_SNOOZE_MS });
+
+            const held = schedulePendingCloses({ state, candidates: [makeCandidate(1)], now: now + JANITOR_WARNING_LEAD_MS });
+            expect(held.due).toEqual([]);
+            expect(held.batch).toBeNull();
+            expect(held.snoozed.map(({ tab }) => tab.id)).toEqual([1]);
+
+            const expired = schedulePendingCloses({ state: held.state, candidates: [makeCandidate(1)], now: now + 60_000 + JANITOR_SNOOZE_MS });
+            expect(expired.batch.tabs).toEqual([{ tabId: 1, url: 'https://example.com/1' }]);
+            expect(expired.state.snoozed).toEqual([]);
+        });
+
+        test('should ignore unknown batches', () => {
+            expect(snoozeBatch(empty, 'batch-404', now)).toEqual({ state: empty, count: 0 });
+        });
+    });
+
+    describe('Stored state', () => {
+        let store;
+        let originalGet;
+        let originalSet;
+
+        beforeEach(() => {
+            store = {};
+            originalGet = chrome.storage.local.get;
+            originalSet = chrome.storage.local.set;
+
+            // In-memory chrome.storage.local so read-modify-write cycles are observable
+            chrome.storage.local.get = jest.fn((keys, callback) => {
+                const result = {};
+                [].concat(keys).forEach((key) => {
+                    if (key in store) result[key] = store[key];
+                });
+                callback(result);
+            });
+            chrome.storage.local.set = jest.fn((items, callback) => {
+                Object.assign(store, items);
+                callback();
+            });
+            chrome.runtime.lastError = null;
+        });
+
+        afterEach(() => {
+            chrome.storage.local.get = originalGet;
+            chrome.storage.local.set = originalSet;
+        });
+
+        test('should drop malformed stored batches', () => {
+            expect(normalizePendingState({ batches: [null, { id: 'b', closeAt: 'soon', tabs: [] }], snoozed: [{ tabId: 'x' }] }))
+                .toEqual({ batches: [], snoozed: [] });
+        });
+
+        test('should keep batches across instances and snooze them', async () => {
+            const { batch } = await new JanitorPendingBatches().schedule([makeCandidate(1)]);
+            expect(store[JANITOR_PENDING_KEY].batches).toHaveLength(1);
+
+            // A fresh instance (service worker restart) still knows the batch
+            const pending = new JanitorPendingBatches();
+            expect(await pending.snooze(batch.id)).toBe(1);
+            expect((await pending.getState()).snoozed.map(({ tabId }) => tabId)).toEqual([1]);
+        });
+
+        test('should warn again instead of closing old batches when the janitor is turned back on', async () => {
+            const dateSpy = jest.spyOn(Date, 'now').mockReturnValue(now);
+            const pending = new JanitorPendingBatches();
+            const { batch } = await pending.schedule([makeCandidate(1)]);
+
+            // Turned off, then back on a week later
+            expect(await pending.clear()).toEqual([batch.id]);
+            dateSpy.mockReturnValue(now + 7 * JANITOR_SNOOZE_MS);
+            const schedule = await pending.schedule([makeCandidate(1)]);
+
+            expect(schedule.due).toEqual([]);
+            expect(schedule.batch.closeAt).toBe(now + 7 * JANITOR_SNOOZE_MS + JANITOR_WARNING_LEAD_MS);
+            dateSpy.mockRestore();
+        });
+
+        test('should report a failed save so nothing is closed', async () => {
+            chrome.storage.local.set = jest.fn((items, callback) => {
+                chrome.runtime.lastError = { message: 'QUOTA_BYTES quota exceeded' };
+                callback();
+                chrome.runtime.lastError = null;
+            });
+            const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+            expect(await new JanitorPendingBatches().schedule([makeCandidate(1)])).toBeNull();
+            consoleSpy.mockRestore();
+        });
+    });
+});
@@ -0,0 +1,135 @@
+/**
+ * JanitorRunLog Unit Tests - Tab Janitor run log with undo
+ *
+ * Tests the actual JanitorRunLog class from src/core/JanitorRunLog.js:
+ * - Recording run time, thresholds and closed tabs
+ * - Bounded log size
+ * - Restoring a whole run through the archive
+ */
+
+import JanitorRunLog, { JANITOR_RUN_LOG_KEY, MAX_JANITOR_RUNS } from '../../src/core/JanitorRunLog.js';
+import { DAY_MS } from '../../src/core/TabJanitor.js';
+
+describe('JanitorRunLog Unit Tests - Real Implementation', () => {
+    let runLog;
+    let store;
+    let tabArchive;
+    let originalGet;
+    let originalSet;
+
+    const plan = {
+        days: 5,
+        rules: [{ pattern: 'ci.example', value: 4, unit: 'hours' }],
+        mode: 'close',
+        candidates: [
+            { tab: { id: 1 }, thresholdMs: 5 * DAY_MS },
+            { tab: { id: 2 }, thresholdMs: 4 * 60 * 60 * 1000 }
+        ]
+    };
+    const archived = [
+        { id: 'a1', tabId: 1, url: 'https://a.example', title: 'Alpha', favIconUrl: '', windowId: 3 },
+        { id: 'a2', tabId: 2, url: 'https://ci.example', title: 'CI', favIconUrl: '', windowId: 3 }
+    ];
+
+    beforeEach(() => {
+        store = {};
+        originalGet = chrome.storage.local.get;
+        originalSet = chrome.storage.local.set;
+
+        // In-memory chrome.storage.local so read-modify-write cycles are observable
+        chrome.storage.local.get = jest.fn((keys, callback) => {
+            const result = {};
+            [].concat(keys).forEach((key) => {
+                if (key in store) result[key] = store[key];
+            });
+            callback(result);
+        });
+        chrome.storage.local.set = jest.fn((items, callback) => {
+            Object.assign(store, items);
+            callback();
+        });
+        chrome.runtime.lastError = null;
+
+        tabArchive = {
+            restoreEntries: jest.fn(async (ids) => ({ success: archived.filter((e) => ids.includes(e.id)), failed: [] }))
+        };
+        runLog = new JanitorRunLog(tabArchive);
+    });
+
+    afterEach(() => {
+        chrome.storage.local.get = originalGet;
+        chrome.storage.local.set = originalSet;
+    });
+
+    test('should record time, thresholds and closed tabs', async () => {
+        const run = await runLog.addRun({ plan, archived, discarded: 2, now: 1000 });
+
+        expect(run).toEqual(expect.objectContaining({
+            id: 'run-1000',
+            time: 1000,
+            days: 5,
+            ruleCount: 1,
+            mode: 'close',
+            discarded: 2,
+            restoredAt: null
+        }));
+        expect(run.tabs).toEqual([
+            { archiveId: 'a1', url: 'https://a.example', title: 'Alpha', favIconUrl: '', windowId: 3, thresholdMs: 5 * DAY_MS },
+            { archiveId: 'a2', url: 'https://ci.example', title: 'CI', favIconUrl: '', windowId: 3, thresholdMs: 4 * 60 * 60 * 1000 }
+        ]);
+        expect(store[JANITOR_RUN_LOG_KEY]).toEqual([run]);
+    });
+
+    test('should keep newest runs first and bound the log', async () => {
+        store[JANITOR_RUN_LOG_KEY] = Array.from({ length: MAX_JANITOR_RUNS }, (_, i) => ({ id: `old-${i}`, tabs: [] }));
+
+        await runLog.addRun({ plan, archived: [], discarded: 1, now: 5 });
+
+        expect(store[JANITOR_RUN_LOG_KEY]).toHaveLength(MAX_JANITOR_RUNS);
+        expect(store[JANITOR_RUN_LOG_KEY][0].id).toBe('run-5');
+    });
+
+    test('should not log runs that closed and discarded nothing', async () => {
+        store[JANITOR_RUN_LOG_KEY] = [{ id: 'run-1', tabs: archived, discarded: 0 }];
+
+        expect(await runLog.addRun({ plan, archived: [], discarded: 0, now: 5 })).toBeNull();
+        expect(store[JANITOR_RUN_LOG_KEY].map((run) => run.id)).toEqual(['run-1']);
+    });
+
+    test('should restore a run through the archive and mark it restored', async () => {
+        const run = await runLog.addRun({ plan, archived, discarded: 0, now: 1000 });
+
+        const results = await runLog.restoreRun(run.id);
+
+        expect(tabArchive.restoreEntries).toHaveBeenCalledWith(['a1', 'a2']);
+        expect(results.success).toHaveLength(2);
+        expect(results.missing).toBe(0);
+        expect((await runLog.getRuns())[0].restoredAt).toEqual(expect.any(Number));
+    });
+
+    test('should report tabs no longer in the archive as missing', async () => {
+        const run = await runLog.addRun({ plan, archived, discarded: 0, now: 1000 });
+        tabArchive.restoreEntries.mockResolvedValueOnce({ success: [archived[0]], failed: [] });
+
+        const results = await runLog.restoreRun(run.id);
+
+        expect(results.missing).toBe(1);
+    });
+
+    test('should leave a run restorable when some tabs failed to reopen', async () => {
+        const run = await runLog.addRun({ plan, archived, discarded: 0, now: 1000 });
+        tabArchive.restoreEntries.mockResolvedValueOnce({ success: [archived[0]], failed: [archived[1]] });
+
+        await runLog.restoreRun(run.id);
+
+        expect((await runLog.getRuns())[0].restoredAt).toBeNull();
+    });
+
+    test('should ignore unknown runs', async () => {
+        const consoleWarnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        expect(await runLog.restoreRun('run-missing')).toEqual({ success: [], failed: [], missing: 0 });
+        expect(tabArchive.restoreEntries).not.toHaveBeenCalled();
+        consoleWarnSpy.mockRestore();
+    });
+});
@@ -70,6 +70,7 @@ describe('KeyboardNavigation Unit Tests - Real Implementation', () => {
                 handleEnterNavigation: jest.fn(),
                 handleEscapeSequence: jest.fn(),
                 selectAllVisible: jest.fn(),
+                selectDuplicates: jest.fn(),
                 jumpToCurrentlyActiveTab: jest.fn(),
                 jumpToCurrentlyActiveTabReverse: jest.fn(),
                 getCurrentItemIndex: jest.fn(() => 0)
@@ -607,6 +608,20 @@ describe('KeyboardNavigation Unit Tests - Real Implementation', () => {
         });
     });
 
+    describe('Duplicate Selection (Ctrl+D)', () => {
+        test('should route Ctrl+D to duplicate selection and plain d to search', () => {
+            const ctrlDEvent = { key: 'd', ctrlKey: true, metaKey: false, preventDefault: jest.fn() };
+            keyboardNav.handleKeyDown(ctrlDEvent);
+
+            expect(ctrlDEvent.preventDefault).toHaveBeenCalled();
+            expect(mockStateManager.selectDuplicates).toHaveBeenCalledWith(keyboardNav.getNavigationContext().items);
+
+            mockStateManager.selectDuplicates.mockClear();
+            keyboardNav.handleKeyDown({ key: 'd', ctrlKey: false, metaKey: false });
+            expect(mockStateManager.selectDuplicates).not.toHaveBeenCalled();
+        });
+    });
+
     describe('Auto-focus Search Input', () => {
         test('should auto-focus search input on single character keys', () => {
             const charEvent = { key: 'a' };
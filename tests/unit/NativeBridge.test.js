@@ -0,0 +1,192 @@
+/**
+ * NativeBridge Unit Tests - Command-line tab control over native messaging
+ *
+ * Tests the actual bridge from src/core/NativeBridge.js and the framing
+ * helpers from native-host/native-messaging.js:
+ * - Connecting to the host and reconnecting after it exits
+ * - Versioned commands and error responses
+ * - Closing by pattern without touching protected tabs, and focusing URLs
+ */
+
+import NativeBridge from '../../src/core/NativeBridge.js';
+import TabManager from '../../src/core/TabManager.js';
+import { TAB_ACTIVATION_HISTORY_KEY } from '../../src/core/TabJanitor.js';
+import { encodeNativeMessage, NativeMessageReader, parseCommandLine } from '../../native-host/native-messaging.js';
+
+describe('NativeBridge Unit Tests - Real Implementation', () => {
+    const tabs = [
+        { id: 1, windowId: 1, index: 0, title: 'Team board', url: 'https://jira.example.com/board', active: true },
+        { id: 2, windowId: 1, index: 1, title: 'Feed', url: 'https://news.example.com/' },
+        { id: 3, windowId: 2, index: 0, title: 'Feed', url: 'https://news.example.com/world', pinned: true },
+        { id: 4, windowId: 2, index: 1, title: 'Feed', url: 'https://news.example.com/world#top' }
+    ];
+
+    let storage;
+    let tabManager;
+
+    // Stands in for the native host port; send() delivers a message as the host would
+    const createFakeHost = () => {
+        const listeners = { message: [], disconnect: [] };
+        return {
+            posted: [],
+            onMessage: { addListener: (listener) => listeners.message.push(listener) },
+            onDisconnect: { addListener: (listener) => listeners.disconnect.push(listener) },
+            postMessage(message) {
+                this.posted.push(message);
+            },
+            disconnect: jest.fn(),
+            send: (message) => Promise.all(listeners.message.map((listener) => listener(message))),
+            exit: () => listeners.disconnect.forEach((listener) => listener())
+        };
+    };
+
+    beforeEach(() => {
+        chrome.runtime.lastError = null;
+        storage = { [TAB_ACTIVATION_HISTORY_KEY]: { 3: 100, 4: 200 } };
+        chrome.storage.local.get.mockImplementation((keys, callback) => {
+            setTimeout(() => callback(Object.fromEntries([].concat(keys).filter((key) => key in storage).map((key) => [key, storage[key]]))), 0);
+        });
+        chrome.tabs.query.mockImplementation((queryInfo, callback) => setTimeout(() => callback(tabs), 0));
+        tabManager = new TabManager();
+    });
+
+    afterEach(() => {
+        chrome.storage.local.get.mockReset();
+        chrome.tabs.query.mockReset();
+    });
+
+    describe('Connection', () => {
+        test('should connect once and answer commands on the host port', async () => {
+            const host = createFakeHost();
+            const connect = jest.fn(() => host);
+            const bridge = new NativeBridge(tabManager, { connect });
+
+            expect(bridge.start()).toBe(true);
+            expect(bridge.start()).toBe(true);
+            await host.send({ version: 1, id: 5, command: 'search', params: { query: 'jira' } });
+
+            expect(connect).toHaveBeenCalledTimes(1);
+            expect(host.posted).toEqual([{ version: 1, id: 5, ok: true, result: { tabs: [expect.objectContaining({ id: 1 })], total: 1 } }]);
+        });
+
+        test('should reconnect after the host exits', () => {
+            const consoleWarnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+            const hosts = [createFakeHost(), createFakeHost()];
+            const bridge = new NativeBridge(tabManager, { connect: () => hosts.shift() ?? null });
+
+            const [first] = hosts;
+            bridge.start();
+            first.exit();
+
+            expect(bridge.isConnected()).toBe(false);
+            expect(bridge.start()).toBe(true);
+            expect(bridge.isConnected()).toBe(true);
+            expect(hosts).toHaveLength(0);
+            consoleWarnSpy.mockRestore();
+        });
+
+        test('should stop reconnecting while the host is not installed', () => {
+            const consoleWarnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+            const host = createFakeHost();
+            const connect = jest.fn(() => host);
+            const bridge = new NativeBridge(tabManager, { connect });
+
+            bridge.start();
+            chrome.runtime.lastError = { message: 'Specified native messaging host not found.' };
+            host.exit();
+            chrome.runtime.lastError = null;
+
+            expect(bridge.start()).toBe(false);
+            expect(connect).toHaveBeenCalledTimes(1);
+
+            // Turning the bridge off and on tries again
+            bridge.stop();
+            expect(bridge.start()).toBe(true);
+            expect(connect).toHaveBeenCalledTimes(2);
+            consoleWarnSpy.mockRestore();
+        });
+
+        test('should stay off when the host cannot be started', () => {
+            const bridge = new NativeBridge(tabManager, { connect: () => null });
+
+            expect(bridge.start()).toBe(false);
+            expect(bridge.isConnected()).toBe(false);
+        });
+    });
+
+    describe('Commands', () => {
+        let bridge;
+
+        beforeEach(() => {
+            bridge = new NativeBridge(tabManager, { connect: () => null });
+        });
+
+        test('should reject unsupported versions and unknown commands', async () => {
+            expect((await bridge.handleMessage({ id: 1, command: 'list' })).error.code).toBe('unsupported_version');
+            expect(await bridge.handleMessage({ version: 1, id: 2, command: 'explode' })).toEqual({
+                version: 1,
+                id: 2,
+                ok: false,
+                error: { code: 'unknown_action', message: expect.any(String) }
+            });
+        });
+
+        test('should close tabs matching a pattern but never protected ones', async () => {
+            const response = await bridge.handleMessage({ version: 1, id: 3, command: 'close', params: { pattern: 'news.example.com' } });
+
+            expect(response.result).toEqual({ matched: [2, 3, 4], closed: [2, 4], failed: [], protected: [3] });
+            expect(chrome.tabs.remove).not.toHaveBeenCalledWith(3, expect.any(Function));
+        });
+
+        test('should only report matches on a dry run and reject catch-all patterns', async () => {
+            const closeSpy = jest.spyOn(tabManager, 'closeTabs');
+
+            const dryRun = await bridge.handleMessage({ version: 1, id: 4, command: 'close', params: { pattern: 'news.example.com/world', dryRun: true } });
+            const invalid = await bridge.handleMessage({ version: 1, id: 5, command: 'close', params: { pattern: '*' } });
+
+            expect(dryRun.result).toEqual({ matched: [3, 4], closed: [], failed: [], protected: [3] });
+            expect(invalid.error.code).toBe('invalid_params');
+            expect(closeSpy).not.toHaveBeenCalled();
+        });
+
+        test('should focus the most recently used tab showing a URL', async () => {
+            const switchSpy = jest.spyOn(tabManager, 'switchToTab').mockResolvedValue(true);
+
+            const response = await bridge.handleMessage({ version: 1, id: 6, command: 'focus', params: { url: 'https://news.example.com/world' } });
+
+            expect(switchSpy).toHaveBeenCalledWith(4, 2);
+            expect(response.result).toEqual({ tabId: 4, windowId: 2, opened: false, focused: true });
+        });
+
+        test('should open a URL no tab shows only when asked to', async () => {
+            const openSpy = jest.spyOn(tabManager, 'openTab').mockResolvedValue({ id: 9, windowId: 1 });
+
+            const missing = await bridge.handleMessage({ version: 1, id: 7, command: 'focus', params: { url: 'https://mail.example.com/' } });
+            const opened = await bridge.handleMessage({ version: 1, id: 8, command: 'focus', params: { url: 'https://mail.example.com/', open: true } });
+            const unsafe = await bridge.handleMessage({ version: 1, id: 9, command: 'focus', params: { url: 'javascript:alert(1)', open: true } });
+
+            expect(missing.error.code).toBe('not_found');
+            expect(opened.result).toEqual({ tabId: 9, windowId: 1, opened: true, focused: true });
+            expect(openSpy).toHaveBeenCalledTimes(1);
+            expect(unsafe.error.code).toBe('invalid_params');
+        });
+    });
+
+    describe('Host protocol', () => {
+        test('should frame messages and reassemble them across chunks', () => {
+            const framed = Buffer.concat([encodeNativeMessage({ id: 1, command: 'list' }), encodeNativeMessage({ id: 2, text: 'Café' })]);
+            const reader = new NativeMessageReader();
+
+            expect(framed.readUInt32LE(0)).toBe(JSON.stringify({ id: 1, command: 'list' }).length);
+            expect(reader.push(framed.subarray(0, 10))).toEqual([]);
+            expect(reader.push(framed.subarray(10))).toEqual([{ id: 1, command: 'list' }, { id: 2, text: 'Café' }]);
+        });
+
+        test('should turn command-line arguments into commands', () => {
+            expect(parseCommandLine(['close', 'news.example.com', '--dry-run'])).toEqual({ command: 'close', params: { pattern: 'news.example.com', dryRun: true } });
+            expect(parseCommandLine(['search', 'team', 'board', '--limit', '5'])).toEqual({ command: 'search', params: { query: 'team board', limit: 5 } });
+            expect(parseCommandLine(['list', '--window', '2'])).toEqual({ command: 'list', params: { windowId: 2 } });
+            expect(() => parseCommandLine(['focus'])).toThrow('Usage');
+        });
+    });
+});
@@ -39,7 +39,8 @@ describe('StateManager Unit Tests - Real Implementation', () => {
 
         mockTabManager = {
             switchToTab: jest.fn().mockResolvedValue(true),
-            closeTabs: jest.fn().mockResolvedValue({ success: [], failed: [] })
+            closeTabs: jest.fn().mockResolvedValue({ success: [], failed: [] }),
+            filterProtectedTabs: jest.fn(async (tabIDs) => ({ allowed: tabIDs, protectedIds: [] }))
         };
 
         mockSearchEngine = {
@@ -303,6 +304,36 @@ describe('StateManager Unit Tests - Real Implementation', () => {
         });
     });
 
+    describe('Duplicate Selection', () => {
+        test('should select every duplicate except one per URL, keeping the active tab', () => {
+            const items = [...mockCurrentWindow.querySelectorAll('.list-item')];
+            items[0].dataset.canonicalUrl = 'https://example.com';
+            items[1].dataset.canonicalUrl = 'https://example.com';
+            items[1].classList.add('tab-active');
+            items[2].dataset.canonicalUrl = 'https://other.example';
+            items[2].classList.add('selected');
+            mockFocusManager.findVisibleItems.mockReturnValue(items);
+
+            expect(stateManager.selectDuplicates(items)).toBe(1);
+
+            expect(items[0].classList.contains('selected')).toBe(true);
+            expect(items[1].classList.contains('selected')).toBe(false);
+            expect(items[2].classList.contains('selected')).toBe(false);
+            expect(mockAccessibilityHelpers.announceToScreenReader).toHaveBeenCalledWith(
+                'Selected 1 duplicate tabs, press Delete to close them'
+            );
+        });
+
+        test('should never select tabs without a canonical URL, like blank new tabs', () => {
+            const items = [...mockCurrentWindow.querySelectorAll('.list-item')];
+            items.forEach((item) => { item.dataset.canonicalUrl = ''; });
+            mockFocusManager.findVisibleItems.mockReturnValue(items);
+
+            expect(stateManager.selectDuplicates(items)).toBe(0);
+            expect(items.some((item) => item.classList.contains('selected'))).toBe(false);
+        });
+    });
+
     describe('Bulk Delete Operations', () => {
         test('should handle bulk delete of selected items', async () => {
             // Setup selected items
@@ -320,10 +351,59 @@ describe('StateManager Unit Tests - Real Implementation', () => {
 
             await stateManager.handleBulkDelete(mockContext);
 
-            expect(mockTabManager.closeTabs).toHaveBeenCalledWith([1, 2]);
+            expect(mockTabManager.closeTabs).toHaveBeenCalledWith([1, 2], { onProgress: expect.any(Function) });
             expect(mockSearchEngine.performSearch).toHaveBeenCalledWith('test search');
         });
 
+        test('should show bulk delete progress and the number of closed tabs', async () => {
+            const banner = document.createElement('div');
+            banner.id = 'bulkStatus';
+            banner.className = 'hidden';
+            document.body.appendChild(banner);
+
+            const items = [...mockCurrentWindow.querySelectorAll('.list-item')];
+            items[0].classList.add('selected');
+            items[1].classList.add('selected');
+            items[0].dataset.tabid = 1;
+            items[1].dataset.tabid = 2;
+
+            const progressMessages = [];
+            mockTabManager.closeTabs.mockImplementation(async (tabIDs, { onProgress }) => {
+                onProgress({ done: 1, total: 2 });
+                progressMessages.push(banner.textContent);
+                return { success: [1], failed: [2] };
+            });
+
+            await stateManager.handleBulkDelete({ activeTabContent: mockCurrentWindow });
+
+            expect(progressMessages).toEqual(['Closing tabs... 1/2']);
+            expect(banner.textContent).toBe('Closed 1 of 2 tab(s)');
+            expect(banner.classList.contains('hidden')).toBe(false);
+            expect(mockAccessibilityHelpers.announceToScreenReader).toHaveBeenCalledTimes(1);
+            expect(mockAccessibilityHelpers.announceToScreenReader).toHaveBeenCalledWith('Closed 1 of 2 tab(s)');
+
+            clearTimeout(stateManager.bulkStatusTimer);
+            banner.remove();
+        });
+
+        test('should keep allow-listed tabs open during bulk delete', async () => {
+            const items = [...mockCurrentWindow.querySelectorAll('.list-item')];
+            items[0].classList.add('selected');
+            items[1].classList.add('selected');
+            items[0].dataset.tabid = 1;
+            items[1].dataset.tabid = 2;
+
+            mockTabManager.filterProtectedTabs.mockResolvedValue({ allowed: [2], protectedIds: [1] });
+            mockTabManager.closeTabs.mockResolvedValue({ success: [2], failed: [] });
+
+            await stateManager.handleBulkDelete({ activeTabContent: mockCurrentWindow });
+
+            expect(mockTabManager.filterProtectedTabs).toHaveBeenCalledWith([1, 2], { allowListOnly: true });
+            expect(mockTabManager.closeTabs).toHaveBeenCalledWith([2], { onProgress: expect.any(Function) });
+            expect(items[0].isConnected).toBe(true);
+            expect(mockAccessibilityHelpers.announceToScreenReader).toHaveBeenCalledWith('Closed 1 of 1 tab(s), kept 1 allow-listed tab(s) open');
+        });
+
         test('should return early if no items selected', async () => {
             const mockContext = { activeTabContent: mockCurrentWindow };
 
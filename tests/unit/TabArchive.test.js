@@ -0,0 +1,165 @@
+/**
+ * TabArchive Unit Tests - Archive-first Tab Janitor storage
+ *
+ * Tests the actual TabArchive class from src/core/TabArchive.js:
+ * - Archiving tabs with URL, title, favicon, window and last activation time
+ * - Searching, restoring and purging archived entries
+ * - Bounded archive size and storage failure handling
+ */
+
+import TabArchive, { TAB_ARCHIVE_KEY, MAX_ARCHIVE_ENTRIES } from '../../src/core/TabArchive.js';
+
+describe('TabArchive Unit Tests - Real Implementation', () => {
+    let archive;
+    let store;
+    let tabManager;
+    let originalGet;
+    let originalSet;
+
+    beforeEach(() => {
+        store = {};
+        originalGet = chrome.storage.local.get;
+        originalSet = chrome.storage.local.set;
+
+        // In-memory chrome.storage.local so read-modify-write cycles are observable
+        chrome.storage.local.get = jest.fn((keys, callback) => {
+            const result = {};
+            [].concat(keys).forEach((key) => {
+                if (key in store) result[key] = store[key];
+            });
+            callback(result);
+        });
+        chrome.storage.local.set = jest.fn((items, callback) => {
+            Object.assign(store, items);
+            callback();
+        });
+        chrome.runtime.lastError = null;
+
+        tabManager = {
+            restoreTabs: jest.fn(async (entries) => ({ success: entries, failed: [] }))
+        };
+        archive = new TabArchive(tabManager);
+    });
+
+    afterEach(() => {
+        chrome.storage.local.get = originalGet;
+        chrome.storage.local.set = originalSet;
+    });
+
+    const makeTab = (id, overrides = {}) => ({
+        id,
+        windowId: 7,
+        url: `https://example.com/${id}`,
+        title: `Page ${id}`,
+        favIconUrl: 'https://example.com/favicon.ico',
+        ...overrides
+    });
+
+    describe('Archiving', () => {
+        test('should store URL, title, favicon, window and last activation time', async () => {
+            const written = await archive.addTabs([{ tab: makeTab(1), lastActivated: 1000 }]);
+
+            expect(written).toHaveLength(1);
+            expect(store[TAB_ARCHIVE_KEY][0]).toEqual(expect.objectContaining({
+                url: 'https://example.com/1',
+                title: 'Page 1',
+                favIconUrl: 'https://example.com/favicon.ico',
+                windowId: 7,
+                lastActivated: 1000,
+                archivedAt: expect.any(Number)
+            }));
+        });
+
+        test('should keep newest entries first', async () => {
+            await archive.addTabs([{ tab: makeTab(1), lastActivated: 1 }]);
+            await archive.addTabs([{ tab: makeTab(2), lastActivated: 2 }]);
+
+            const entries = await archive.getEntries();
+            expect(entries.map((entry) => entry.title)).toEqual(['Page 2', 'Page 1']);
+        });
+
+        test('should skip tabs without a URL', async () => {
+            const written = await archive.addTabs([{ tab: makeTab(1, { url: '' }), lastActivated: 1 }]);
+
+            expect(written).toEqual([]);
+            expect(chrome.storage.local.set).not.toHaveBeenCalled();
+        });
+
+        test('should bound the archive size', async () => {
+            store[TAB_ARCHIVE_KEY] = Array.from({ length: MAX_ARCHIVE_ENTRIES }, (_, i) => ({ id: `old-${i}`, url: 'u', title: 't' }));
+
+            await archive.addTabs([{ tab: makeTab(1), lastActivated: 1 }]);
+
+            expect(store[TAB_ARCHIVE_KEY]).toHaveLength(MAX_ARCHIVE_ENTRIES);
+            expect(store[TAB_ARCHIVE_KEY][0].title).toBe('Page 1');
+        });
+
+        test('should return null when the archive cannot be written', async () => {
+            const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+            chrome.storage.local.set = jest.fn((items, callback) => {
+                chrome.runtime.lastError = { message: 'QUOTA_BYTES quota exceeded' };
+                callback();
+                chrome.runtime.lastError = null;
+            });
+
+            const written = await archive.addTabs([{ tab: makeTab(1), lastActivated: 1 }]);
+
+            expect(written).toBeNull();
+            consoleErrorSpy.mockRestore();
+        });
+
+        test('should not lose entries on concurrent writes', async () => {
+            await Promise.all([
+                archive.addTabs([{ tab: makeTab(1), lastActivated: 1 }]),
+                archive.addTabs([{ tab: makeTab(2), lastActivated: 2 }])
+            ]);
+
+            expect(store[TAB_ARCHIVE_KEY]).toHaveLength(2);
+        });
+    });
+
+    describe('Search, restore and purge', () => {
+        beforeEach(async () => {
+            await archive.addTabs([
+                { tab: makeTab(1, { title: 'React docs' }), lastActivated: 1 },
+                { tab: makeTab(2, { title: 'Mail', url: 'https://mail.example.org' }), lastActivated: 2 }
+            ]);
+        });
+
+        test('should search titles and URLs case-insensitively', async () => {
+            expect((await archive.search('react')).map((e) => e.title)).toEqual(['React docs']);
+            expect((await archive.search('MAIL.EXAMPLE')).map((e) => e.title)).toEqual(['Mail']);
+            expect(await archive.search('')).toHaveLength(2);
+        });
+
+        test('should restore entries and remove them from the archive', async () => {
+            const [entry] = await archive.search('react');
+
+            const results = await archive.restoreEntries([entry.id]);
+
+            expect(tabManager.restoreTabs).toHaveBeenCalledWith([entry]);
+            expect(results.success).toEqual([entry]);
+            expect(await archive.getEntries()).toHaveLength(1);
+        });
+
+        test('should keep entries that failed to restore', async () => {
+            const entries = await archive.getEntries();
+            tabManager.restoreTabs.mockResolvedValueOnce({ success: [], failed: entries });
+
+            const results = await archive.restoreEntries(entries.map((e) => e.id));
+
+            expect(results.failed).toHaveLength(2);
+            expect(await archive.getEntries()).toHaveLength(2);
+        });
+
+        test('should purge selected entries and everything', async () => {
+            const [entry] = await archive.search('mail');
+
+            await archive.removeEntries([entry.id]);
+            expect((await archive.getEntries()).map((e) => e.title)).toEqual(['React docs']);
+
+            await archive.purgeAll();
+            expect(await archive.getEntries()).toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,225 @@
+/**
+ * TabCommands Unit Tests - Popup and options commands run by the service worker
+ *
+ * Tests the actual protocol from src/core/TabCommands.js and the page side
+ * from src/core/BackgroundTabManager.js:
+ * - Request validation
+ * - Chunked bulk commands with progress, and chunked moves within a window
+ * - Round trip over a port, running in the page only when nothing was sent
+ */
+
+import {
+    createTabCommandRequest,
+    createTabCommandProgress,
+    validateTabCommand,
+    runTabCommand,
+    getMoveChunkIndexes,
+    TAB_COMMAND_CHUNK_SIZE,
+    TAB_COMMAND_PORT
+} from '../../src/core/TabCommands.js';
+import BackgroundTabManager from '../../src/core/BackgroundTabManager.js';
+
+describe('TabCommands Unit Tests - Real Implementation', () => {
+    const range = (count) => Array.from({ length: count }, (_, index) => index + 1);
+
+    // Stands in for TabManager in the service worker, failing odd tab IDs
+    const createFakeTabManager = () => ({
+        closeTabs: jest.fn(async (tabIds) => ({
+            success: tabIds.filter((id) => id % 2 === 0),
+            failed: tabIds.filter((id) => id % 2 === 1)
+        })),
+        moveTabs: jest.fn(async (tabIds) => ({ success: tabIds, failed: [] })),
+        getAllTabs: jest.fn(async () => []),
+        switchToTab: jest.fn(async () => true),
+        groupTabs: jest.fn(async () => 7)
+    });
+
+    describe('Validation', () => {
+        test('should accept well-formed requests', () => {
+            expect(validateTabCommand(createTabCommandRequest('close', { tabIds: [1, 2] }))).toBeNull();
+            expect(validateTabCommand(createTabCommandRequest('move', { tabIds: [1], windowId: 2, index: -1 }))).toBeNull();
+            expect(validateTabCommand(createTabCommandRequest('group', { tabIds: [1], title: 'Docs' }))).toBeNull();
+        });
+
+        test('should reject unknown commands and malformed params', () => {
+            expect(validateTabCommand({ type: 'other' })).toBe('Not a tab command request');
+            expect(validateTabCommand(createTabCommandRequest('explode', {}))).toBe('Unknown command: explode');
+            expect(validateTabCommand(createTabCommandRequest('close', { tabIds: [] }))).toBe('close needs a non-empty tabIds array');
+            expect(validateTabCommand(createTabCommandRequest('close', { tabIds: ['1'] }))).toBe('close needs a non-empty tabIds array');
+            expect(validateTabCommand(createTabCommandRequest('switch', { tabId: 1 }))).toBe('switch needs a tabId and a windowId');
+            expect(validateTabCommand(createTabCommandRequest('move', { tabIds: [1], windowId: 2, index: -3 }))).toBe('move index must be -1 or a position');
+        });
+
+        test('should give every request its own ID', () => {
+            const first = createTabCommandRequest('close', { tabIds: [1] });
+            const second = createTabCommandRequest('close', { tabIds: [1] });
+
+            expect(first.requestId).not.toBe(second.requestId);
+            expect(createTabCommandProgress(first, { done: 1, total: 2 })).toEqual({
+                type: 'tabCommandProgress', requestId: first.requestId, command: 'close', done: 1, total: 2
+            });
+        });
+    });
+
+    describe('Runner', () => {
+        test('should close in chunks, report progress and merge the results', async () => {
+            const tabManager = createFakeTabManager();
+            const tabIds = range(TAB_COMMAND_CHUNK_SIZE * 2 + 10);
+            const progress = [];
+
+            const response = await runTabCommand(tabManager, createTabCommandRequest('close', { tabIds }), (update) => progress.push(update));
+
+            expect(tabManager.closeTabs).toHaveBeenCalledTimes(3);
+            expect(progress).toEqual([
+                { done: 25, total: 60 },
+                { done: 50, total: 60 },
+                { done: 60, total: 60 }
+            ]);
+            expect(response.ok).toBe(true);
+            expect(response.result.success).toHaveLength(30);
+            expect(response.result.failed).toHaveLength(30);
+        });
+
+        test('should place each moved chunk after the previous one', async () => {
+            const tabManager = createFakeTabManager();
+
+            await runTabCommand(tabManager, createTabCommandRequest('move', { tabIds: range(30), windowId: 4, index: 2 }));
+
+            expect(tabManager.moveTabs.mock.calls.map(([tabIds, windowId, index]) => [tabIds.length, windowId, index]))
+                .toEqual([[25, 4, 2], [5, 4, 27]]);
+        });
+
+        test('should keep a same-window move of several chunks together and in order', async () => {
+            // Window 4 holds tabs 1-60; moving a chunk takes its tabs out and inserts them at the index
+            let strip = range(60);
+            const tabManager = {
+                getAllTabs: jest.fn(async () => strip.map((id, index) => ({ id, index, windowId: 4 }))),
+                moveTabs: jest.fn(async (tabIds, windowId, index) => {
+                    const rest = strip.filter((id) => !tabIds.includes(id));
+                    strip = [...rest.slice(0, index), ...tabIds, ...rest.slice(index)];
+                    return { success: tabIds, failed: [] };
+                })
+            };
+            const tabIds = range(30);
+
+            await runTabCommand(tabManager, createTabCommandRequest('move', { tabIds, windowId: 4, index: 10 }));
+
+            expect(tabManager.moveTabs).toHaveBeenCalledTimes(2);
+            expect(strip.slice(10, 40)).toEqual(tabIds);
+            expect(strip.slice(0, 10)).toEqual(range(10).map((id) => id + 30));
+        });
+
+        test('should only shift chunks for tabs of the target window before the target', () => {
+            const tabs = range(60).map((id) => ({ id, index: id - 1, windowId: 4 }));
+
+            expect(getMoveChunkIndexes(tabs, { tabIds: range(30), windowId: 4, index: 30 })).toEqual([35, 55]);
+            expect(getMoveChunkIndexes(tabs, { tabIds: range(30).map((id) => id + 30), windowId: 4, index: 0 })).toEqual([0, 25]);
+            expect(getMoveChunkIndexes(tabs, { tabIds: range(30), windowId: 9, index: 2 })).toEqual([2, 27]);
+            expect(getMoveChunkIndexes(tabs, { tabIds: range(30), windowId: 4, index: -1 })).toEqual([-1, -1]);
+        });
+
+        test('should run single commands once and answer invalid ones with an error', async () => {
+            const tabManager = createFakeTabManager();
+
+            const grouped = await runTabCommand(tabManager, createTabCommandRequest('group', { tabIds: range(40) }));
+            const invalid = await runTabCommand(tabManager, createTabCommandRequest('switch', {}));
+
+            expect(grouped).toMatchObject({ type: 'tabCommandResult', command: 'group', ok: true, result: 7 });
+            expect(tabManager.groupTabs).toHaveBeenCalledTimes(1);
+            expect(invalid).toMatchObject({ ok: false, error: 'switch needs a tabId and a windowId' });
+            expect(tabManager.switchToTab).not.toHaveBeenCalled();
+        });
+
+        test('should answer with an error when the operation throws', async () => {
+            const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+            const tabManager = { ...createFakeTabManager(), switchToTab: jest.fn(async () => { throw new Error('Window closed'); }) };
+
+            const response = await runTabCommand(tabManager, createTabCommandRequest('switch', { tabId: 1, windowId: 1 }));
+
+            expect(response).toMatchObject({ ok: false, error: 'Window closed' });
+            consoleErrorSpy.mockRestore();
+        });
+    });
+
+    describe('Background round trip', () => {
+        let consoleWarnSpy;
+
+        // Connects the page to a simulated service worker running the commands on tabManager
+        const connectToServiceWorker = (tabManager) => {
+            chrome.runtime.connect.mockImplementation(({ name }) => {
+                const listeners = { message: [], disconnect: [] };
+                return {
+                    name,
+                    onMessage: { addListener: (listener) => listeners.message.push(listener) },
+                    onDisconnect: { addListener: (listener) => listeners.disconnect.push(listener) },
+                    disconnect: jest.fn(),
+                    postMessage: async (request) => {
+                        const post = (message) => listeners.message.forEach((listener) => listener(message));
+                        post(await runTabCommand(tabManager, request, (progress) => post(createTabCommandProgress(request, progress))));
+                    }
+                };
+            });
+        };
+
+        beforeEach(() => {
+            consoleWarnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        });
+
+        afterEach(() => {
+            consoleWarnSpy.mockRestore();
+            chrome.runtime.connect.mockReset();
+        });
+
+        test('should run bulk closes in the service worker with progress', async () => {
+            const tabManager = createFakeTabManager();
+            connectToServiceWorker(tabManager);
+            const progress = [];
+
+            const results = await new BackgroundTabManager().closeTabs(range(30), { onProgress: (update) => progress.push(update) });
+
+            expect(chrome.runtime.connect).toHaveBeenCalledWith({ name: TAB_COMMAND_PORT });
+            expect(progress).toEqual([{ done: 25, total: 30 }, { done: 30, total: 30 }]);
+            expect(results.success).toHaveLength(15);
+        });
+
+        test('should report a single close from the service worker result', async () => {
+            connectToServiceWorker(createFakeTabManager());
+            const tabManager = new BackgroundTabManager();
+
+            expect(await tabManager.closeTab(2)).toBe(true);
+            expect(await tabManager.closeTab(3)).toBe(false);
+        });
+
+        test('should not run a command again in the page when the service worker stops mid-command', async () => {
+            const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+            const disconnectListeners = [];
+            chrome.runtime.connect.mockImplementation(({ name }) => ({
+                name,
+                onMessage: { addListener: () => {} },
+                onDisconnect: { addListener: (listener) => disconnectListeners.push(listener) },
+                disconnect: jest.fn(),
+                // The service worker restores some tabs, then goes away
+                postMessage: () => setTimeout(() => disconnectListeners.forEach((listener) => listener()), 0)
+            }));
+            const tabManager = new BackgroundTabManager();
+            const entries = [{ id: 'a1', url: 'https://example.com/' }];
+
+            const results = await tabManager.restoreTabs(entries);
+
+            expect(results).toEqual({ success: [], failed: entries });
+            expect(chrome.tabs.create).not.toHaveBeenCalled();
+            consoleErrorSpy.mockRestore();
+        });
+
+        test('should run in the page when the service worker cannot be reached', async () => {
+            const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+            chrome.runtime.connect.mockImplementation(() => { throw new Error('Extension context invalidated.'); });
+
+            const results = await new BackgroundTabManager().closeTabs([1, 2]);
+
+            expect(results).toEqual({ success: expect.arrayContaining([1, 2]), failed: [] });
+            expect(chrome.tabs.remove).toHaveBeenCalledWith(2, expect.any(Function));
+            consoleErrorSpy.mockRestore();
+        });
+    });
+});
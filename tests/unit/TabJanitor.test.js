@@ -0,0 +1,325 @@
+/**
+ * TabJanitor Unit Tests - Shared janitor planner
+ *
+ * Tests the actual planning functions from src/core/TabJanitor.js:
+ * - Threshold validation and clamping
+ * - Which tabs the next run would close, exempt or forget
+ */
+
+import {
+    planJanitorRun,
+    normalizeJanitorDays,
+    JANITOR_DEFAULT_DAYS,
+    JANITOR_MAX_DAYS,
+    JANITOR_ALARM_PERIOD_MINUTES,
+    JANITOR_DEFAULT_DISCARD_HOURS,
+    normalizeJanitorMode,
+    getMaxDiscardHours,
+    reconcileActivationHistory,
+    JANITOR_HOURLY_ALARM_PERIOD_MINUTES,
+    validateJanitorRule,
+    normalizeJanitorRules,
+    findJanitorRule,
+    formatJanitorThreshold,
+    getJanitorAlarmPeriodMinutes,
+    HOUR_MS,
+    DAY_MS
+} from '../../src/core/TabJanitor.js';
+
+describe('TabJanitor Unit Tests - Real Implementation', () => {
+    const now = 100 * DAY_MS;
+    const makeTab = (id) => ({ id, windowId: 1, url: `https://example.com/${id}`, title: `Page ${id}` });
+
+    describe('Threshold validation', () => {
+        test('should use the default when unset without warning', () => {
+            expect(normalizeJanitorDays(undefined)).toEqual({ days: JANITOR_DEFAULT_DAYS, warning: null });
+        });
+
+        test('should fall back to the default for invalid values', () => {
+            const result = normalizeJanitorDays('abc');
+
+            expect(result.days).toBe(JANITOR_DEFAULT_DAYS);
+            expect(result.warning).toContain('Invalid days value');
+            expect(normalizeJanitorDays(0).days).toBe(JANITOR_DEFAULT_DAYS);
+        });
+
+        test('should clamp values above the maximum', () => {
+            const result = normalizeJanitorDays(365);
+
+            expect(result.days).toBe(JANITOR_MAX_DAYS);
+            expect(result.warning).toContain('too high');
+        });
+
+        test('should accept numeric strings from storage', () => {
+            expect(normalizeJanitorDays('7')).toEqual({ days: 7, warning: null });
+        });
+    });
+
+    describe('Per-domain threshold rules', () => {
+        test('should validate and normalize rules', () => {
+            expect(validateJanitorRule({ pattern: 'CI-Dashboard.example', value: '4', unit: 'hours' })).toEqual({
+                valid: true,
+                rule: { pattern: 'ci-dashboard.example', value: 4, unit: 'hours' },
+                error: null
+            });
+            expect(validateJanitorRule({ pattern: 'docs.*', value: 31, unit: 'days' }).valid).toBe(false);
+            expect(validateJanitorRule({ pattern: 'docs.*', value: 0, unit: 'hours' }).valid).toBe(false);
+            expect(validateJanitorRule({ pattern: 'docs.*', value: 5, unit: 'weeks' }).valid).toBe(false);
+            expect(validateJanitorRule({ pattern: '*', value: 5, unit: 'days' }).valid).toBe(false);
+            expect(validateJanitorRule(null).valid).toBe(false);
+        });
+
+        test('should drop invalid stored rules', () => {
+            const rules = normalizeJanitorRules([{ pattern: 'docs.*', value: 30, unit: 'days' }, { pattern: '', value: 1, unit: 'days' }, 'junk']);
+
+            expect(rules).toEqual([{ pattern: 'docs.*', value: 30, unit: 'days' }]);
+            expect(normalizeJanitorRules(undefined)).toEqual([]);
+        });
+
+        test('should use the first matching rule', () => {
+            const rules = [
+                { pattern: 'docs.example.com', value: 2, unit: 'hours' },
+                { pattern: 'example.com', value: 30, unit: 'days' }
+            ];
+
+            expect(findJanitorRule('https://docs.example.com/a', rules)).toBe(rules[0]);
+            expect(findJanitorRule('https://www.example.com/', rules)).toBe(rules[1]);
+            expect(findJanitorRule('https://other.org/', rules)).toBeNull();
+        });
+
+        test('should format thresholds', () => {
+            expect(formatJanitorThreshold({ value: 4, unit: 'hours' })).toBe('4 hours');
+            expect(formatJanitorThreshold({ value: 1, unit: 'days' })).toBe('1 day');
+        });
+
+        test('should run the alarm more often when any rule is measured in hours', () => {
+            expect(getJanitorAlarmPeriodMinutes({})).toBe(JANITOR_ALARM_PERIOD_MINUTES);
+            expect(getJanitorAlarmPeriodMinutes({ tabJanitorRules: [{ pattern: 'docs.*', value: 30, unit: 'days' }] })).toBe(JANITOR_ALARM_PERIOD_MINUTES);
+            expect(getJanitorAlarmPeriodMinutes({ tabJanitorRules: [{ pattern: 'ci.example', value: 4, unit: 'hours' }] })).toBe(JANITOR_HOURLY_ALARM_PERIOD_MINUTES);
+        });
+
+        test('should apply rule thresholds instead of the default', () => {
+            const tabs = [
+                { ...makeTab(1), url: 'https://ci-dashboard.example/build' },
+                { ...makeTab(2), url: 'https://docs.python.org/3/' },
+                makeTab(3)
+            ];
+            const plan = planJanitorRun({
+                tabs,
+                history: { 1: now - 5 * HOUR_MS, 2: now - 20 * DAY_MS, 3: now - 6 * DAY_MS },
+                settings: {
+                    tabJanitorDays: 5,
+                    tabJanitorRules: [
+                        { pattern: 'ci-dashboard.example', value: 4, unit: 'hours' },
+                        { pattern: 'docs.*', value: 30, unit: 'days' }
+                    ]
+                },
+                now
+            });
+
+            expect(plan.candidates.map(({ tab }) => tab.id)).toEqual([3, 1]);
+            expect(plan.candidates[1].rule).toEqual({ pattern: 'ci-dashboard.example', value: 4, unit: 'hours' });
+            expect(plan.candidates[1].thresholdMs).toBe(4 * HOUR_MS);
+        });
+    });
+
+    describe('Discard mode', () => {
+        test('should default to close mode', () => {
+            expect(normalizeJanitorMode({})).toEqual({ mode: 'close', discardHours: null, warning: null });
+            expect(normalizeJanitorMode({ tabJanitorMode: 'bogus' }).mode).toBe('close');
+        });
+
+        test('should validate the discard threshold', () => {
+            expect(normalizeJanitorMode({ tabJanitorMode: 'discard', tabJanitorDiscardHours: 6 })).toEqual({ mode: 'discard', discardHours: 6, warning: null });
+            expect(normalizeJanitorMode({ tabJanitorMode: 'discard', tabJanitorDiscardHours: 'x' }).discardHours).toBe(JANITOR_DEFAULT_DISCARD_HOURS);
+            expect(normalizeJanitorMode({ tabJanitorMode: 'discard', tabJanitorDays: 30, tabJanitorDiscardHours: 10000 }).discardHours).toBe(30 * 24 - 1);
+        });
+
+        test('should keep the discard threshold below the close threshold', () => {
+            const result = normalizeJanitorMode({ tabJanitorMode: 'discard', tabJanitorDiscardHours: 120 });
+
+            // Default close threshold is 5 days (120 hours)
+            expect(result.discardHours).toBe(119);
+            expect(result.warning).toContain('not below the 5 day close threshold');
+            expect(normalizeJanitorMode({ tabJanitorMode: 'discard', tabJanitorDays: 1, tabJanitorDiscardHours: 'x' }).discardHours).toBe(JANITOR_DEFAULT_DISCARD_HOURS);
+            expect(getMaxDiscardHours(1)).toBe(23);
+        });
+
+        test('should still discard when the stored discard threshold is past the close threshold', () => {
+            const plan = planJanitorRun({
+                tabs: [makeTab(1), makeTab(2)],
+                history: { 1: now - 6 * DAY_MS, 2: now - 4 * DAY_MS - 23 * HOUR_MS - 30 * 60 * 1000 },
+                settings: { tabJanitorMode: 'discard', tabJanitorDiscardHours: 200 },
+                now
+            });
+
+            expect(plan.discardHours).toBe(119);
+            expect(plan.warning).not.toBeNull();
+            expect(plan.candidates.map(({ tab }) => tab.id)).toEqual([1]);
+            expect(plan.discards.map(({ tab }) => tab.id)).toEqual([2]);
+        });
+
+        test('should discard past the first threshold and close past the second', () => {
+            const plan = planJanitorRun({
+                tabs: [makeTab(1), makeTab(2), makeTab(3), { ...makeTab(4), discarded: true }, { ...makeTab(5), active: true }],
+                history: {
+                    1: now - 6 * DAY_MS,
+                    2: now - 13 * HOUR_MS,
+                    3: now - 11 * HOUR_MS,
+                    4: now - 2 * DAY_MS,
+                    5: now - 2 * DAY_MS
+                },
+                settings: { tabJanitorDays: 5, tabJanitorMode: 'discard', tabJanitorDiscardHours: 12 },
+                now
+            });
+
+            expect(plan.candidates.map(({ tab }) => tab.id)).toEqual([1]);
+            expect(plan.discards.map(({ tab }) => tab.id)).toEqual([2]);
+            expect(plan.discards[0].thresholdMs).toBe(12 * HOUR_MS);
+        });
+
+        test('should never discard exempted or protected tabs', () => {
+            const plan = planJanitorRun({
+                tabs: [makeTab(1), { ...makeTab(2), pinned: true }],
+                history: { 1: now - DAY_MS, 2: now - DAY_MS },
+                settings: { tabJanitorMode: 'discard', tabJanitorDiscardHours: 1, tabJanitorExemptTabIds: [1] },
+                now
+            });
+
+            expect(plan.discards).toEqual([]);
+        });
+
+        test('should not discard anything in close mode', () => {
+            const plan = planJanitorRun({ tabs: [makeTab(1)], history: { 1: now - 4 * DAY_MS }, now });
+
+            expect(plan.discards).toEqual([]);
+        });
+
+        test('should use the finer alarm period in discard mode', () => {
+            expect(getJanitorAlarmPeriodMinutes({ tabJanitorMode: 'discard' })).toBe(JANITOR_HOURLY_ALARM_PERIOD_MINUTES);
+        });
+    });
+
+    describe('History reconciliation', () => {
+        test('should seed missing history from lastAccessed, falling back to now', () => {
+            const { updates } = reconcileActivationHistory({
+                tabs: [{ ...makeTab(1), lastAccessed: now - 3 * DAY_MS }, makeTab(2)],
+                history: {},
+                now
+            });
+
+            expect(updates).toEqual({ 1: now - 3 * DAY_MS, 2: now });
+        });
+
+        test('should correct entries older than lastAccessed and keep newer ones', () => {
+            const { updates } = reconcileActivationHistory({
+                tabs: [{ ...makeTab(1), lastAccessed: now - DAY_MS }, { ...makeTab(2), lastAccessed: now - 9 * DAY_MS }],
+                history: { 1: now - 20 * DAY_MS, 2: now - 2 * DAY_MS },
+                now
+            });
+
+            expect(updates).toEqual({ 1: now - DAY_MS });
+        });
+
+        test('should never seed timestamps from the future', () => {
+            const { updates } = reconcileActivationHistory({ tabs: [{ ...makeTab(1), lastAccessed: now + DAY_MS }], history: {}, now });
+
+            expect(updates).toEqual({ 1: now });
+        });
+
+        test('should report entries for tabs that no longer exist', () => {
+            const { staleTabIds } = reconcileActivationHistory({ tabs: [makeTab(1)], history: { 1: now, 7: now, 8: now }, now });
+
+            expect(staleTabIds).toEqual(['7', '8']);
+        });
+    });
+
+    describe('Planning', () => {
+        test('should only close tabs inactive for longer than the threshold', () => {
+            const plan = planJanitorRun({
+                tabs: [makeTab(1), makeTab(2)],
+                history: { 1: now - 6 * DAY_MS, 2: now - 4 * DAY_MS },
+                settings: { tabJanitorDays: 5 },
+                now
+            });
+
+            expect(plan.days).toBe(5);
+            expect(plan.candidates.map(({ tab }) => tab.id)).toEqual([1]);
+            expect(plan.candidates[0]).toEqual({
+                tab: makeTab(1),
+                lastActivated: now - 6 * DAY_MS,
+                inactiveMs: 6 * DAY_MS,
+                thresholdMs: 5 * DAY_MS,
+                rule: null
+            });
+        });
+
+        test('should list exempted tabs separately and never close them', () => {
+            const plan = planJanitorRun({
+                tabs: [makeTab(1), makeTab(2)],
+                history: { 1: now - 10 * DAY_MS, 2: now - 10 * DAY_MS },
+                settings: { tabJanitorDays: 5, tabJanitorExemptTabIds: [2, 99] },
+                now
+            });
+
+            expect(plan.candidates.map(({ tab }) => tab.id)).toEqual([1]);
+            expect(plan.exempted.map(({ tab }) => tab.id)).toEqual([2]);
+            expect(plan.staleExemptTabIds).toEqual([99]);
+        });
+
+        test('should keep protected tabs out of the candidates', () => {
+            const plan = planJanitorRun({
+                tabs: [{ ...makeTab(1), pinned: true }, makeTab(2), { ...makeTab(3), url: 'https://docs.example.org/' }],
+                history: { 1: now - 10 * DAY_MS, 2: now - 10 * DAY_MS, 3: now - 10 * DAY_MS },
+                settings: { tabJanitorDays: 5, tabJanitorAllowList: ['docs.*'] },
+                now
+            });
+
+            expect(plan.candidates.map(({ tab }) => tab.id)).toEqual([2]);
+            expect(plan.protected.map(({ tab, reason }) => [tab.id, reason])).toEqual([[1, 'pinned'], [3, 'allowList']]);
+        });
+
+        test('should report history entries for tabs that are no longer open', () => {
+            const plan = planJanitorRun({
+                tabs: [makeTab(1)],
+                history: { 1: now, 42: now - 20 * DAY_MS },
+                now
+            });
+
+            expect(plan.orphanedTabIds).toEqual(['42']);
+            expect(plan.candidates).toEqual([]);
+        });
+
+        test('should order candidates longest-inactive first', () => {
+            const plan = planJanitorRun({
+                tabs: [makeTab(1), makeTab(2), makeTab(3)],
+                history: { 1: now - 6 * DAY_MS, 2: now - 12 * DAY_MS, 3: now - 9 * DAY_MS },
+                settings: { tabJanitorDays: 5 },
+                now
+            });
+
+            expect(plan.candidates.map(({ tab }) => tab.id)).toEqual([2, 3, 1]);
+        });
+
+        test('should pass through threshold warnings', () => {
+            const plan = planJanitorRun({ tabs: [], history: {}, settings: { tabJanitorDays: -3 }, now });
+
+            expect(plan.days).toBe(JANITOR_DEFAULT_DAYS);
+            expect(plan.warning).toContain('Invalid days value');
+        });
+
+        test('should measure inactivity in active browsing time when a clock reading exists', () => {
+            // Tab 1 was last used 8 wall-clock days ago, but only 2 days of that were spent browsing
+            const plan = planJanitorRun({
+                tabs: [makeTab(1), makeTab(2)],
+                history: { 1: now - 8 * DAY_MS, 2: now - 8 * DAY_MS },
+                settings: { tabJanitorDays: 5 },
+                now,
+                activeTime: { now: 50 * DAY_MS, history: { 1: 48 * DAY_MS } }
+            });
+
+            // Tab 2 has no reading and falls back to wall-clock time
+            expect(plan.candidates.map(({ tab }) => tab.id)).toEqual([2]);
+        });
+    });
+});
@@ -121,6 +121,108 @@ describe('TabManager Unit Tests - Real Implementation', () => {
         });
     });
 
+    describe('Protection Filtering', () => {
+        test('should split tab IDs into closable and protected ones', async () => {
+            chrome.tabs.query.mockImplementationOnce((queryInfo, callback) => callback([
+                { id: 1, url: 'https://github.com', pinned: true },
+                { id: 2, url: 'https://mail.example.com' },
+                { id: 3, url: 'https://news.example.org', groupId: -1 }
+            ]));
+            chrome.storage.local.get.mockImplementationOnce((keys, callback) => callback({
+                tabJanitorAllowList: ['example.com']
+            }));
+
+            const results = await tabManager.filterProtectedTabs([1, 2, 3]);
+
+            expect(results).toEqual({ allowed: [3], protectedIds: [1, 2] });
+        });
+
+        test('should only honour the allow-list for a close the user asked for', async () => {
+            chrome.tabs.query.mockImplementationOnce((queryInfo, callback) => callback([
+                { id: 1, url: 'https://github.com', pinned: true },
+                { id: 2, url: 'https://mail.example.com' },
+                { id: 3, url: 'https://news.example.org', audible: true, groupId: 4 }
+            ]));
+            chrome.storage.local.get.mockImplementationOnce((keys, callback) => callback({
+                tabJanitorAllowList: ['example.com']
+            }));
+
+            const results = await tabManager.filterProtectedTabs([1, 2, 3], { allowListOnly: true });
+
+            expect(results).toEqual({ allowed: [1, 3], protectedIds: [2] });
+        });
+
+        test('should return empty results for invalid input', async () => {
+            expect(await tabManager.filterProtectedTabs(null)).toEqual({ allowed: [], protectedIds: [] });
+        });
+    });
+
+    describe('Tab Restore Operations', () => {
+        test('should reopen tabs in their original window when it still exists', async () => {
+            const results = await tabManager.restoreTabs([
+                { url: 'https://a.example', windowId: 2 },
+                { url: 'https://b.example', windowId: 99 }
+            ]);
+
+            expect(results.success).toHaveLength(2);
+            expect(chrome.tabs.create).toHaveBeenCalledWith(
+                { url: 'https://a.example', active: false, windowId: 2 },
+                expect.any(Function)
+            );
+            // Window 99 is gone - fall back to Chrome's default window
+            expect(chrome.tabs.create).toHaveBeenCalledWith(
+                { url: 'https://b.example', active: false },
+                expect.any(Function)
+            );
+        });
+
+        test('should report entries that fail to reopen', async () => {
+            const results = await tabManager.restoreTabs([{ windowId: 1 }]);
+
+            expect(results.success).toEqual([]);
+            expect(results.failed).toEqual([{ windowId: 1 }]);
+        });
+
+        test('should reject invalid input for restore', async () => {
+            expect(await tabManager.restoreTabs(null)).toEqual({ success: [], failed: [] });
+            expect(consoleErrorSpy).toHaveBeenCalledWith('TabManager.restoreTabs: Invalid entries array');
+        });
+    });
+
+    describe('Move, Discard and Group Operations', () => {
+        test('should move tabs to a window in one call', async () => {
+            const results = await tabManager.moveTabs([2, 3], 2, 0);
+
+            expect(results).toEqual({ success: [2, 3], failed: [] });
+            expect(chrome.tabs.move).toHaveBeenCalledWith([2, 3], { windowId: 2, index: 0 }, expect.any(Function));
+        });
+
+        test('should report every tab as failed when the move fails', async () => {
+            chrome.runtime.lastError = { message: 'Tabs cannot be edited right now' };
+
+            expect(await tabManager.moveTabs([2, 3], 2)).toEqual({ success: [], failed: [2, 3] });
+            expect(await tabManager.moveTabs([], 2)).toEqual({ success: [], failed: [] });
+            expect(consoleErrorSpy).toHaveBeenCalledWith('TabManager.moveTabs: Invalid tabIDs array or missing windowID');
+        });
+
+        test('should discard tabs and report the ones Chrome kept loaded', async () => {
+            chrome.tabs.discard.mockImplementationOnce((tabId, callback) => setTimeout(() => callback({ id: tabId, discarded: true }), 0))
+                .mockImplementationOnce((tabId, callback) => setTimeout(() => callback(undefined), 0));
+
+            const results = await tabManager.discardTabs([2, 1]);
+
+            expect(results).toEqual({ success: [2], failed: [1] });
+        });
+
+        test('should group tabs and title the new group', async () => {
+            const groupId = await tabManager.groupTabs([1, 2], 'Research');
+
+            expect(groupId).toBe(7);
+            expect(chrome.tabs.group).toHaveBeenCalledWith({ tabIds: [1, 2] }, expect.any(Function));
+            expect(chrome.tabGroups.update).toHaveBeenCalledWith(7, { title: 'Research' }, expect.any(Function));
+        });
+    });
+
     describe('Tab Query Operations', () => {
         test('should get current window tabs', async () => {
             const tabs = await tabManager.getCurrentWindowTabs();
@@ -0,0 +1,149 @@
+/**
+ * TabModel Unit Tests - Incremental window and tab model
+ *
+ * Tests the actual model from src/core/TabModel.js:
+ * - Seeding from a full scan and reporting drift
+ * - Tab and window events updating the counts
+ * - Moves, replacements and active tab tracking
+ * - Tab order and the snapshot the popup paints from
+ */
+
+import TabModel, { toModelTab, readTabSnapshot, isSameTabList } from '../../src/core/TabModel.js';
+
+describe('TabModel Unit Tests - Real Implementation', () => {
+    let model;
+
+    const scan = () => [
+        {
+            id: 1,
+            tabs: [
+                { id: 10, windowId: 1, index: 0, url: 'https://example.com/a', title: 'A', active: true },
+                { id: 11, windowId: 1, index: 1, url: 'https://example.com/b', title: 'B', discarded: true }
+            ]
+        },
+        { id: 2, tabs: [{ id: 20, windowId: 2, index: 0, url: 'https://example.com/c', title: 'C', active: true }] }
+    ];
+
+    beforeEach(() => {
+        model = new TabModel();
+        model.reset(scan());
+    });
+
+    describe('Seeding', () => {
+        test('should count windows, tabs and discarded tabs from a full scan', () => {
+            expect(model.getCounts()).toEqual({ windows: 2, tabs: 3, discarded: 1 });
+            expect(model.countWindowTabs(1)).toBe(2);
+        });
+
+        test('should return the counts before a reset so drift can be measured', () => {
+            model.addTab({ id: 12, windowId: 1, url: 'https://example.com/d' });
+
+            expect(model.reset(scan())).toEqual({ windows: 2, tabs: 4, discarded: 1 });
+            expect(model.getCounts().tabs).toBe(3);
+        });
+    });
+
+    describe('Events', () => {
+        test('should count created and removed tabs once', () => {
+            expect(model.addTab({ id: 12, windowId: 1, url: 'about:blank' })).toBe(true);
+            expect(model.addTab({ id: 12, windowId: 1, url: 'about:blank' })).toBe(false);
+            expect(model.removeTab(10)).toBe(true);
+            expect(model.removeTab(10)).toBe(false);
+
+            expect(model.getCounts()).toEqual({ windows: 2, tabs: 3, discarded: 1 });
+        });
+
+        test('should drop the tabs of a closed window', () => {
+            expect(model.removeWindow(1)).toBe(true);
+
+            expect(model.getCounts()).toEqual({ windows: 1, tabs: 1, discarded: 0 });
+            expect(model.removeTab(10)).toBe(false);
+        });
+
+        test('should count the window of a tab created before its window event', () => {
+            model.addTab({ id: 30, windowId: 3, url: 'about:blank' });
+
+            expect(model.addWindow(3)).toBe(false);
+            expect(model.getCounts().windows).toBe(3);
+        });
+
+        test('should report only changes to counted fields', () => {
+            expect(model.updateTab(11, { discarded: false })).toBe(true);
+            expect(model.updateTab(11, { discarded: false })).toBe(false);
+            expect(model.updateTab(10, { status: 'loading' })).toBe(false);
+            expect(model.updateTab(10, { title: 'A2' })).toBe(true);
+            expect(model.updateTab(10, { url: 'https://example.com/z' })).toBe(true);
+            expect(model.updateTab(99, { discarded: true })).toBe(false);
+
+            expect(model.getCounts().discarded).toBe(0);
+            expect(model.getTabs().find((tab) => tab.id === 10).url).toBe('https://example.com/z');
+        });
+    });
+
+    describe('Moves and activation', () => {
+        test('should move tabs between windows', () => {
+            expect(model.moveTab(11, 2)).toBe(true);
+            expect(model.moveTab(11, 2)).toBe(false);
+
+            expect(model.countWindowTabs(1)).toBe(1);
+            expect(model.countWindowTabs(2)).toBe(2);
+        });
+
+        test('should carry a replaced tab over to its new ID', () => {
+            expect(model.replaceTab(15, 11)).toBe(true);
+
+            expect(model.getTabs().map((tab) => tab.id)).toEqual([10, 15, 20]);
+            expect(model.getCounts()).toEqual({ windows: 2, tabs: 3, discarded: 1 });
+        });
+
+        test('should take the state of the replacing tab from the full tab', () => {
+            model.replaceTab(15, 11);
+
+            expect(model.updateTab(15, { id: 15, windowId: 1, index: 1, url: 'https://example.com/d', title: 'D', discarded: false })).toBe(true);
+            expect(model.getTabs()[1]).toMatchObject({ id: 15, url: 'https://example.com/d', discarded: false });
+            expect(model.getCounts().discarded).toBe(0);
+        });
+
+        test('should keep one active tab per window', () => {
+            expect(model.activateTab(11, 1)).toBe(true);
+            expect(model.activateTab(11, 1)).toBe(false);
+
+            const active = model.getTabs().filter((tab) => tab.active).map((tab) => tab.id).sort();
+            expect(active).toEqual([11, 20]);
+        });
+    });
+
+    describe('Tab order and snapshot', () => {
+        test('should keep tabs in window order through creation and moves', () => {
+            model.addTab({ id: 12, windowId: 1, index: 1, url: 'about:blank' });
+            expect(model.getTabs().map((tab) => [tab.id, tab.index])).toEqual([[10, 0], [12, 1], [11, 2], [20, 0]]);
+
+            model.moveTab(10, 1, 2);
+            model.moveTab(20, 1, 0);
+            expect(model.getTabs().map((tab) => tab.id)).toEqual([20, 12, 11, 10]);
+            expect(model.moveTab(20, 1, 0)).toBe(false);
+        });
+
+        test('should leave large data URL favicons out of the model', () => {
+            const large = `data:image/png;base64,${'A'.repeat(5000)}`;
+
+            expect(toModelTab({ id: 1, windowId: 1, favIconUrl: large }).favIconUrl).toBeUndefined();
+            expect(toModelTab({ id: 1, windowId: 1, favIconUrl: 'https://example.com/favicon.ico' }).favIconUrl)
+                .toBe('https://example.com/favicon.ico');
+        });
+
+        test('should match a fresh query that renders the same', () => {
+            const snapshot = readTabSnapshot(JSON.parse(JSON.stringify(model.getSnapshot())));
+            const fresh = scan().flatMap((window) => window.tabs).map((tab) => ({ ...tab, lastAccessed: 123, status: 'complete' }));
+
+            expect(isSameTabList(snapshot, fresh)).toBe(true);
+            expect(isSameTabList(snapshot, [...fresh.slice(0, 2), { ...fresh[2], title: 'Changed' }])).toBe(false);
+            expect(isSameTabList(snapshot, fresh.slice(1))).toBe(false);
+        });
+
+        test('should read nothing from a missing or malformed snapshot', () => {
+            expect(readTabSnapshot(undefined)).toEqual([]);
+            expect(readTabSnapshot({ tabs: 'x' })).toEqual([]);
+        });
+    });
+});
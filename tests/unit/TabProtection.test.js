@@ -0,0 +1,107 @@
+/**
+ * TabProtection Unit Tests - Janitor, dedupe and bulk close protection rules
+ *
+ * Tests the actual protection functions from src/core/TabProtection.js:
+ * - Allow-list pattern validation and parsing
+ * - URL and domain pattern matching
+ * - Pinned, audible, grouped and allow-list protection
+ */
+
+import {
+    validateAllowListPattern,
+    parseAllowList,
+    normalizeProtectionRules,
+    matchesAllowListPattern,
+    getProtectionReason,
+    isTabProtected,
+    MAX_ALLOW_LIST_PATTERNS
+} from '../../src/core/TabProtection.js';
+
+describe('TabProtection Unit Tests - Real Implementation', () => {
+    describe('Pattern validation', () => {
+        test('should normalize valid patterns', () => {
+            expect(validateAllowListPattern('  Example.COM ')).toEqual({ valid: true, pattern: 'example.com', error: null });
+            expect(validateAllowListPattern('https://example.com/app/*').valid).toBe(true);
+            expect(validateAllowListPattern('docs.*').valid).toBe(true);
+        });
+
+        test('should reject empty, wildcard-only and malformed patterns', () => {
+            expect(validateAllowListPattern('').error).toBe('Pattern is empty');
+            expect(validateAllowListPattern('*').valid).toBe(false);
+            expect(validateAllowListPattern('*.*').valid).toBe(false);
+            expect(validateAllowListPattern('exa mple.com').valid).toBe(false);
+            expect(validateAllowListPattern('<script>').valid).toBe(false);
+            expect(validateAllowListPattern('://example.com').valid).toBe(false);
+        });
+
+        test('should parse one pattern per line and report bad lines', () => {
+            const { patterns, errors } = parseAllowList('example.com\n\nEXAMPLE.com\nbad pattern\ndocs.*');
+
+            expect(patterns).toEqual(['example.com', 'docs.*']);
+            expect(errors).toEqual([expect.objectContaining({ line: 4, pattern: 'bad pattern' })]);
+        });
+
+        test('should cap the number of patterns', () => {
+            const text = Array.from({ length: MAX_ALLOW_LIST_PATTERNS + 1 }, (_, i) => `site${i}.example`).join('\n');
+
+            expect(parseAllowList(text).errors).toHaveLength(1);
+        });
+    });
+
+    describe('Pattern matching', () => {
+        test('should match a plain domain and its subdomains only', () => {
+            expect(matchesAllowListPattern('https://example.com/a', 'example.com')).toBe(true);
+            expect(matchesAllowListPattern('https://mail.example.com/', 'example.com')).toBe(true);
+            expect(matchesAllowListPattern('https://notexample.com/', 'example.com')).toBe(false);
+        });
+
+        test('should match host wildcards', () => {
+            expect(matchesAllowListPattern('https://docs.python.org/3/', 'docs.*')).toBe(true);
+            expect(matchesAllowListPattern('https://api.docs.dev/', 'docs.*')).toBe(false);
+            expect(matchesAllowListPattern('https://ci.corp.example/', '*.corp.example')).toBe(true);
+        });
+
+        test('should match host/path and full URL prefixes', () => {
+            expect(matchesAllowListPattern('https://github.com/org/repo', 'github.com/org/*')).toBe(true);
+            expect(matchesAllowListPattern('https://github.com/other/repo', 'github.com/org/*')).toBe(false);
+            expect(matchesAllowListPattern('https://example.com/app/settings', 'https://example.com/app')).toBe(true);
+            expect(matchesAllowListPattern('http://example.com/app', 'https://example.com/app')).toBe(false);
+        });
+
+        test('should never match invalid URLs', () => {
+            expect(matchesAllowListPattern('not a url', 'example.com')).toBe(false);
+        });
+    });
+
+    describe('Protection rules', () => {
+        test('should protect pinned, audible and grouped tabs by default', () => {
+            const rules = normalizeProtectionRules({});
+
+            expect(getProtectionReason({ id: 1, pinned: true }, rules)).toBe('pinned');
+            expect(getProtectionReason({ id: 2, audible: true }, rules)).toBe('audible');
+            expect(getProtectionReason({ id: 3, groupId: 7 }, rules)).toBe('grouped');
+            expect(getProtectionReason({ id: 4, groupId: -1, url: 'https://a.example' }, rules)).toBeNull();
+        });
+
+        test('should honour disabled rules', () => {
+            const rules = normalizeProtectionRules({
+                tabJanitorProtectPinned: false,
+                tabJanitorProtectAudible: false,
+                tabJanitorProtectGrouped: false
+            });
+
+            expect(isTabProtected({ id: 1, pinned: true, audible: true, groupId: 7 }, rules)).toBe(false);
+        });
+
+        test('should protect allow-listed URLs and drop invalid stored patterns', () => {
+            const rules = normalizeProtectionRules({ tabJanitorAllowList: ['example.com', '*', 42] });
+
+            expect(rules.allowList).toEqual(['example.com']);
+            expect(getProtectionReason({ id: 1, url: 'https://www.example.com/' }, rules)).toBe('allowList');
+        });
+
+        test('should treat missing tabs as unprotected', () => {
+            expect(isTabProtected(undefined, normalizeProtectionRules())).toBe(false);
+        });
+    });
+});
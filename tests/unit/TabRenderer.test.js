@@ -14,6 +14,7 @@
 
 import { jest } from '@jest/globals';
 import TabRenderer from '../../src/components/TabRenderer.js';
+import { normalizeDedupePolicy } from '../../src/core/DedupePolicy.js';
 
 // Mock FaviconValidator module
 jest.mock('../../src/utils/FaviconValidator.js', () => ({
@@ -198,6 +199,18 @@ describe('TabRenderer Unit Tests - Real Implementation', () => {
 
             expect(windowMap.size).toBe(0);
         });
+
+        test('should flag windows at their tabs-per-window cap', () => {
+            renderer.setWindowCap({ cap: 2, action: 'close' });
+
+            const atCap = renderer.createWindowContainer(100, [mockTabData[0], mockTabData[1]]);
+            const underCap = renderer.createWindowContainer(200, [mockTabData[2]]);
+
+            expect(atCap.classList.contains('window-at-cap')).toBe(true);
+            expect(atCap.querySelector('.window-cap-indicator').textContent).toBe('At cap (2/2)');
+            expect(underCap.classList.contains('window-at-cap')).toBe(false);
+            expect(underCap.querySelector('.window-cap-indicator')).toBeNull();
+        });
     });
 
     describe('Individual Tab Item Creation', () => {
@@ -235,6 +248,47 @@ describe('TabRenderer Unit Tests - Real Implementation', () => {
             expect(inactiveItem.classList.contains('tab-active')).toBe(false);
         });
 
+        test('should mark discarded tabs with an indicator', () => {
+            const discardedItem = renderer.buildListItem({ ...mockTabData[1], discarded: true }, 1);
+            const loadedItem = renderer.buildListItem(mockTabData[1], 1);
+
+            expect(discardedItem.classList.contains('tab-discarded')).toBe(true);
+            expect(discardedItem.querySelector('.discarded-indicator')).toBeTruthy();
+            expect(discardedItem.querySelector('.sr-only').textContent).toContain('Discarded.');
+            expect(loadedItem.classList.contains('tab-discarded')).toBe(false);
+            expect(loadedItem.querySelector('.discarded-indicator')).toBeNull();
+        });
+
+        test('should mark duplicate tabs with the number of open copies', () => {
+            const copy = { ...mockTabData[1], id: 4, url: 'https://www.github.com/#readme', windowId: 200 };
+            renderer.renderTabs([...mockTabData, copy], 100);
+
+            const duplicateItem = renderer.buildListItem(copy, 3);
+            const uniqueItem = renderer.buildListItem(mockTabData[0], 0);
+
+            expect(duplicateItem.classList.contains('tab-duplicate')).toBe(true);
+            expect(duplicateItem.dataset.canonicalUrl).toBe('https://github.com');
+            expect(duplicateItem.querySelector('.duplicate-indicator').textContent).toBe('×2');
+            expect(duplicateItem.querySelector('.sr-only').textContent).toContain('Duplicate, 2 open.');
+            expect(uniqueItem.classList.contains('tab-duplicate')).toBe(false);
+            expect(uniqueItem.querySelector('.duplicate-indicator')).toBeNull();
+        });
+
+        test('should not flag blank new tabs or ignored sites as duplicates', () => {
+            const blankTabs = [{ ...mockTabData[0], id: 5, url: 'chrome://newtab/' }, { ...mockTabData[0], id: 6, url: 'chrome://newtab/' }];
+            const copy = { ...mockTabData[1], id: 4, windowId: 200 };
+            renderer.setDedupePolicy(normalizeDedupePolicy({ dedupeIgnoreList: ['github.com'] }));
+            renderer.renderTabs([...mockTabData, copy, ...blankTabs], 100);
+
+            const blankItem = renderer.buildListItem(blankTabs[0], 5);
+            const ignoredItem = renderer.buildListItem(copy, 3);
+
+            expect(blankItem.classList.contains('tab-duplicate')).toBe(false);
+            expect(blankItem.dataset.canonicalUrl).toBe('');
+            expect(ignoredItem.classList.contains('tab-duplicate')).toBe(false);
+            expect(ignoredItem.dataset.canonicalUrl).toBe('');
+        });
+
         test('should handle tabs without favicons', () => {
             const tabWithoutFavicon = { ...mockTabData[0], favIconUrl: null };
             const listItem = renderer.buildListItem(tabWithoutFavicon, 0);
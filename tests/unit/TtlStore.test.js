@@ -0,0 +1,99 @@
+/**
+ * TtlStore Unit Tests - Short-lived keyed state in session storage
+ *
+ * Tests the actual store from src/core/TtlStore.js:
+ * - Entries expiring on their own
+ * - add() acting as a lock for concurrent callers
+ * - Purging expired entries by reading only the store's own key
+ * - Falling back to memory without chrome.storage.session
+ */
+
+import { jest } from '@jest/globals';
+import TtlStore, { TTL_STORE_KEY_PREFIX, pruneExpired } from '../../src/core/TtlStore.js';
+
+describe('TtlStore Unit Tests - Real Implementation', () => {
+    let store;
+    let originalSession;
+    let nowSpy;
+    let now;
+
+    beforeEach(() => {
+        store = {};
+        now = 1_000_000;
+        nowSpy = jest.spyOn(Date, 'now').mockImplementation(() => now);
+        originalSession = chrome.storage.session;
+
+        // In-memory chrome.storage.session so read-modify-write cycles are observable
+        chrome.storage.session = {
+            get: jest.fn((keys, callback) => {
+                const result = {};
+                [].concat(keys).forEach((key) => {
+                    if (key in store) result[key] = JSON.parse(JSON.stringify(store[key]));
+                });
+                callback(result);
+            }),
+            set: jest.fn((items, callback) => {
+                Object.assign(store, JSON.parse(JSON.stringify(items)));
+                callback();
+            })
+        };
+        chrome.runtime.lastError = null;
+    });
+
+    afterEach(() => {
+        chrome.storage.session = originalSession;
+        nowSpy.mockRestore();
+    });
+
+    test('should drop expired and malformed entries', () => {
+        expect(pruneExpired({ a: { value: 1, expiresAt: 200 }, b: { value: 2, expiresAt: 100 }, c: null }, 100))
+            .toEqual({ entries: { a: { value: 1, expiresAt: 200 } }, expired: 2 });
+        expect(pruneExpired(undefined)).toEqual({ entries: {}, expired: 0 });
+    });
+
+    test('should keep entries in session storage until they expire', async () => {
+        const ttlStore = new TtlStore('contexts', { defaultTtlMs: 1000 });
+
+        await ttlStore.set('dedupe-1-2', { newTabId: 1 });
+        expect(Object.keys(store)).toEqual([`${TTL_STORE_KEY_PREFIX}contexts`]);
+        expect(await ttlStore.get('dedupe-1-2')).toEqual({ newTabId: 1 });
+
+        now += 1000;
+        expect(await ttlStore.get('dedupe-1-2')).toBeNull();
+    });
+
+    test('should add an entry only once while it is live', async () => {
+        const locks = new TtlStore('locks', { defaultTtlMs: 1000 });
+
+        const results = await Promise.all([locks.add('https://example.com', 'a'), locks.add('https://example.com', 'b')]);
+
+        expect(results).toEqual([true, false]);
+        expect(await locks.get('https://example.com')).toBe('a');
+
+        now += 1000;
+        expect(await locks.add('https://example.com', 'c')).toBe(true);
+    });
+
+    test('should delete entries and purge expired ones', async () => {
+        const ttlStore = new TtlStore('contexts', { defaultTtlMs: 1000 });
+        await ttlStore.set('a', 1);
+        await ttlStore.set('b', 2, 5000);
+        await ttlStore.set('c', 3);
+
+        await ttlStore.delete('c');
+        now += 1000;
+
+        expect(await ttlStore.purgeExpired()).toBe(1);
+        expect(store[`${TTL_STORE_KEY_PREFIX}contexts`]).toEqual({ b: { value: 2, expiresAt: 1_005_000 } });
+    });
+
+    test('should fall back to memory without session storage', async () => {
+        chrome.storage.session = undefined;
+        const ttlStore = new TtlStore('contexts', { defaultTtlMs: 1000 });
+
+        await ttlStore.set('a', 1);
+
+        expect(await ttlStore.get('a')).toBe(1);
+        expect(store).toEqual({});
+    });
+});
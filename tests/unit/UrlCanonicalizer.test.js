@@ -0,0 +1,94 @@
+/**
+ * UrlCanonicalizer Unit Tests - Shared duplicate URL canonicalization
+ *
+ * Tests the actual canonicalization functions from src/core/UrlCanonicalizer.js:
+ * - Fragment, tracking parameter, trailing slash, host case and www rules
+ * - Turning individual rules off
+ * - Grouping tabs by canonical URL
+ */
+
+import {
+    canonicalizeUrl,
+    normalizeUrlRules,
+    isTrackingParameter,
+    isSameCanonicalUrl,
+    groupTabsByCanonicalUrl
+} from '../../src/core/UrlCanonicalizer.js';
+
+describe('UrlCanonicalizer Unit Tests - Real Implementation', () => {
+    describe('Default rules', () => {
+        test('should treat fragment, tracking and trailing slash variants as the same page', () => {
+            const canonical = canonicalizeUrl('https://example.com/page');
+
+            expect(canonicalizeUrl('https://example.com/page#section')).toBe(canonical);
+            expect(canonicalizeUrl('https://example.com/page?utm_source=x&utm_medium=mail')).toBe(canonical);
+            expect(canonicalizeUrl('https://example.com/page/')).toBe(canonical);
+            expect(canonicalizeUrl('https://WWW.Example.COM/page/?fbclid=abc#top')).toBe(canonical);
+        });
+
+        test('should keep meaningful query parameters, the port and the path case', () => {
+            expect(canonicalizeUrl('https://example.com:8080/Docs?id=7&utm_campaign=z')).toBe('https://example.com:8080/Docs?id=7');
+            expect(isSameCanonicalUrl('https://example.com/?q=a', 'https://example.com/?q=b')).toBe(false);
+        });
+
+        test('should only touch the fragment of non-web URLs', () => {
+            expect(canonicalizeUrl('chrome://settings/#search')).toBe('chrome://settings/');
+            expect(canonicalizeUrl('file:///home/user/notes.txt')).toBe('file:///home/user/notes.txt');
+        });
+
+        test('should leave unparseable URLs as they are', () => {
+            expect(canonicalizeUrl('not a url')).toBe('not a url');
+            expect(canonicalizeUrl(undefined)).toBe('');
+        });
+    });
+
+    describe('Configurable rules', () => {
+        test('should default every rule to on', () => {
+            expect(normalizeUrlRules()).toEqual({
+                ignoreFragment: true,
+                stripTracking: true,
+                ignoreTrailingSlash: true,
+                lowercaseHost: true,
+                ignoreWww: true
+            });
+        });
+
+        test('should honour rules that are switched off', () => {
+            const rules = normalizeUrlRules({
+                dedupeIgnoreFragment: false,
+                dedupeStripTracking: false,
+                dedupeIgnoreTrailingSlash: false,
+                dedupeLowercaseHost: false,
+                dedupeIgnoreWww: false
+            });
+
+            expect(isSameCanonicalUrl('https://example.com/page#a', 'https://example.com/page', rules)).toBe(false);
+            expect(isSameCanonicalUrl('https://example.com/page?utm_source=x', 'https://example.com/page', rules)).toBe(false);
+            expect(isSameCanonicalUrl('https://example.com/page/', 'https://example.com/page', rules)).toBe(false);
+            expect(isSameCanonicalUrl('https://Example.com/page', 'https://example.com/page', rules)).toBe(false);
+            expect(isSameCanonicalUrl('https://www.example.com/page', 'https://example.com/page', rules)).toBe(false);
+        });
+
+        test('should recognize tracking parameters', () => {
+            expect(isTrackingParameter('utm_content')).toBe(true);
+            expect(isTrackingParameter('GCLID')).toBe(true);
+            expect(isTrackingParameter('utmost')).toBe(false);
+            expect(isTrackingParameter('page')).toBe(false);
+        });
+    });
+
+    describe('Grouping', () => {
+        test('should group tabs by canonical URL in tab order', () => {
+            const tabs = [
+                { id: 1, url: 'https://example.com/a' },
+                { id: 2, url: 'https://example.com/b' },
+                { id: 3, url: 'https://www.example.com/a#x' }
+            ];
+
+            const groups = groupTabsByCanonicalUrl(tabs);
+
+            expect(groups.size).toBe(2);
+            expect(groups.get('https://example.com/a').map(({ id }) => id)).toEqual([1, 3]);
+        });
+    });
+});
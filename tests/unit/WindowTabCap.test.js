@@ -0,0 +1,134 @@
+/**
+ * WindowTabCap Unit Tests - Tabs-per-window cap with LRU eviction
+ *
+ * Tests the actual cap functions from src/core/WindowTabCap.js:
+ * - Cap settings validation
+ * - Counting tabs against the cap in close and discard mode
+ * - Least-recently-used eviction planning and the tabs it must never evict
+ */
+
+import {
+    normalizeWindowCap,
+    countCappedTabs,
+    isWindowAtCap,
+    planWindowCapEviction,
+    WINDOW_CAP_DEFAULT,
+    WINDOW_CAP_MIN,
+    WINDOW_CAP_MAX
+} from '../../src/core/WindowTabCap.js';
+
+describe('WindowTabCap Unit Tests - Real Implementation', () => {
+    const makeTabs = (count, overrides = {}) => Array.from({ length: count }, (_, i) => ({
+        id: i + 1,
+        windowId: 1,
+        url: `https://site${i + 1}.example/`,
+        groupId: -1,
+        ...overrides
+    }));
+
+    const settings = (extra = {}) => ({ tabWindowCapEnabled: true, tabWindowCap: 3, ...extra });
+
+    describe('Cap settings', () => {
+        test('should be off unless enabled', () => {
+            expect(normalizeWindowCap({ tabWindowCap: 10 })).toEqual({ cap: null, action: 'close' });
+        });
+
+        test('should clamp the cap and fall back to defaults', () => {
+            expect(normalizeWindowCap({ tabWindowCapEnabled: true }).cap).toBe(WINDOW_CAP_DEFAULT);
+            expect(normalizeWindowCap({ tabWindowCapEnabled: true, tabWindowCap: 0 }).cap).toBe(WINDOW_CAP_MIN);
+            expect(normalizeWindowCap({ tabWindowCapEnabled: true, tabWindowCap: 9999 }).cap).toBe(WINDOW_CAP_MAX);
+            expect(normalizeWindowCap({ tabWindowCapEnabled: true, tabWindowCap: '12.7' }).cap).toBe(12);
+        });
+
+        test('should only accept known actions', () => {
+            expect(normalizeWindowCap(settings({ tabWindowCapAction: 'discard' })).action).toBe('discard');
+            expect(normalizeWindowCap(settings({ tabWindowCapAction: 'explode' })).action).toBe('close');
+        });
+    });
+
+    describe('Counting', () => {
+        test('should only count loaded tabs in discard mode', () => {
+            const tabs = [...makeTabs(2), { id: 9, discarded: true }];
+
+            expect(countCappedTabs(tabs, 'close')).toBe(3);
+            expect(countCappedTabs(tabs, 'discard')).toBe(2);
+            expect(isWindowAtCap(tabs, { cap: 3, action: 'close' })).toBe(true);
+            expect(isWindowAtCap(tabs, { cap: 3, action: 'discard' })).toBe(false);
+            expect(isWindowAtCap(tabs, { cap: null, action: 'close' })).toBe(false);
+        });
+    });
+
+    describe('Eviction planning', () => {
+        test('should evict nothing when the cap is off or not exceeded', () => {
+            expect(planWindowCapEviction({ tabs: makeTabs(10), history: {}, settings: {} }).evictions).toEqual([]);
+            expect(planWindowCapEviction({ tabs: makeTabs(3), history: {}, settings: settings() }).evictions).toEqual([]);
+        });
+
+        test('should evict the least recently activated tabs first', () => {
+            const tabs = makeTabs(5);
+            const history = { 1: 500, 2: 100, 3: 400, 4: 200, 5: 300 };
+
+            const plan = planWindowCapEviction({ tabs, history, settings: settings() });
+
+            expect(plan.excess).toBe(2);
+            expect(plan.evictions.map(({ tab }) => tab.id)).toEqual([2, 4]);
+        });
+
+        test('should fall back to lastAccessed for tabs missing from the history', () => {
+            const tabs = makeTabs(4).map((tab) => ({ ...tab, lastAccessed: tab.id * 1000 }));
+
+            const plan = planWindowCapEviction({ tabs, history: { 1: 5000 }, settings: settings() });
+
+            expect(plan.evictions.map(({ tab }) => tab.id)).toEqual([2]);
+            expect(plan.evictions[0].lastActivated).toBe(2000);
+        });
+
+        test('should never evict pinned, audible, active or kept tabs', () => {
+            const tabs = [
+                { id: 1, url: 'https://a.example/', pinned: true },
+                { id: 2, url: 'https://b.example/', audible: true },
+                { id: 3, url: 'https://c.example/', active: true },
+                { id: 4, url: 'https://d.example/' },
+                { id: 5, url: 'https://e.example/' }
+            ];
+            const history = { 1: 1, 2: 2, 3: 3, 4: 4, 5: 5 };
+            // Even with the protection rules switched off
+            const unprotected = settings({ tabWindowCap: 2, tabJanitorProtectPinned: false, tabJanitorProtectAudible: false });
+
+            const plan = planWindowCapEviction({ tabs, history, settings: unprotected, keepTabIds: [5] });
+
+            expect(plan.excess).toBe(3);
+            expect(plan.evictions.map(({ tab }) => tab.id)).toEqual([4]);
+        });
+
+        test('should honour the allow-list and grouped tab protection', () => {
+            const tabs = [
+                { id: 1, url: 'https://keep.example/', groupId: -1 },
+                { id: 2, url: 'https://b.example/', groupId: 7 },
+                { id: 3, url: 'https://c.example/', groupId: -1 },
+                { id: 4, url: 'https://d.example/', groupId: -1 }
+            ];
+
+            const plan = planWindowCapEviction({
+                tabs,
+                history: { 1: 1, 2: 2, 3: 3, 4: 4 },
+                settings: settings({ tabWindowCap: 2, tabJanitorAllowList: ['keep.example'] })
+            });
+
+            expect(plan.evictions.map(({ tab }) => tab.id)).toEqual([3, 4]);
+        });
+
+        test('should only discard loaded tabs in discard mode', () => {
+            const tabs = [...makeTabs(4), { id: 9, url: 'https://z.example/', discarded: true }];
+
+            const plan = planWindowCapEviction({
+                tabs,
+                history: { 9: 0, 1: 1, 2: 2, 3: 3, 4: 4 },
+                settings: settings({ tabWindowCapAction: 'discard' })
+            });
+
+            expect(plan.action).toBe('discard');
+            expect(plan.evictions.map(({ tab }) => tab.id)).toEqual([1]);
+        });
+    });
+});